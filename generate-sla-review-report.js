@@ -1,6 +1,8 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getResponseGoalMinutes } from './src/sla.js';
+import { calculatePerSlaKPIs } from './src/kpi.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -47,8 +49,7 @@ data.metrics.forEach(issue => {
 
   // Check SLA status based on on-call response time (using business hours)
   if (issue.sla && issue.sla.length > 0 && issue.businessHoursToFirstOnCallAction !== null) {
-    const firstSla = issue.sla[0];
-    const goalMinutes = firstSla.goalDuration ? firstSla.goalDuration / (1000 * 60) : null;
+    const goalMinutes = getResponseGoalMinutes(issue.sla);
 
     if (goalMinutes !== null) {
       const breached = issue.businessHoursToFirstOnCallAction > goalMinutes;
@@ -193,13 +194,25 @@ console.log();
 
 const breachedTickets = data.metrics.filter(t => {
   if (!t.sla || t.sla.length === 0 || t.businessHoursToFirstOnCallAction === null) return false;
-  const goalMinutes = t.sla[0].goalDuration ? t.sla[0].goalDuration / (1000 * 60) : null;
+  const goalMinutes = getResponseGoalMinutes(t.sla);
   return goalMinutes && t.businessHoursToFirstOnCallAction > goalMinutes;
 });
 
 console.log(`Total SLA Breaches: ${breachedTickets.length} out of ${data.metrics.length} (${((breachedTickets.length / data.metrics.length) * 100).toFixed(1)}%)`);
 console.log();
 
+// Every named SLA as Jira measured it (all cycles of re-opened tickets count)
+const bySla = calculatePerSlaKPIs(data.metrics);
+if (Object.keys(bySla).length > 0) {
+  console.log('Compliance by SLA:');
+  Object.values(bySla).forEach(s => {
+    const rate = s.complianceRate === 'N/A' ? 'N/A' : `${s.complianceRate}%`;
+    const reopened = s.reopenedTickets > 0 ? `, ${s.reopenedTickets} re-opened` : '';
+    console.log(`  ${s.name.padEnd(30)}: ${rate.padStart(6)}  (${s.met} met, ${s.breached} breached, ${s.running} running${reopened})`);
+  });
+  console.log();
+}
+
 // Breach reasons
 const breachReasons = {};
 breachedTickets.forEach(t => {
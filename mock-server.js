@@ -0,0 +1,94 @@
+/**
+ * Local Jira & Opsgenie stand-in for development and testing (see src/mockServer.js)
+ *
+ * Usage:
+ *   npm run mock                                        - generated fixtures on port 3001
+ *   npm run mock -- --issues 200 --seed 7 --weeks 12    - more / different generated tickets
+ *   npm run mock -- --fixtures data/archive/<runId>     - replay a recorded run
+ *   npm run mock -- --fixtures data/sample_issues.json  - any JSON file with an `issues` list
+ *   npm run mock -- --fault search:429:2 --fault sla:503@0.2
+ *   npm run mock -- --save-fixtures fixtures.json       - write the generated fixtures and exit
+ *
+ * Then run the metrics against it with the environment variables it prints.
+ */
+
+import fs from 'fs';
+import { loadEnvConfig } from './src/loadEnv.js';
+import { loadRoster } from './src/roster.js';
+import { generateFixtures, loadFixtures } from './src/mockFixtures.js';
+import { createMockServer, parseFaultSpec } from './src/mockServer.js';
+
+const DEFAULT_PORT = 3001;
+
+function parseArgs(argv) {
+  const options = { port: DEFAULT_PORT, faults: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    switch (arg) {
+      case '--port': options.port = Number(value()); break;
+      case '--fixtures': options.fixtures = value(); break;
+      case '--issues': options.issues = Number(value()); break;
+      case '--seed': options.seed = Number(value()); break;
+      case '--start': options.start = value(); break;
+      case '--weeks': options.weeks = Number(value()); break;
+      case '--project': options.projectKey = value(); break;
+      case '--fault': options.faults.push(parseFaultSpec(value())); break;
+      case '--save-fixtures': options.saveFixtures = value(); break;
+      default: throw new Error(`Unknown option ${arg}`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const cfg = loadEnvConfig();
+
+  const fixtures = options.fixtures
+    ? loadFixtures(options.fixtures)
+    : generateFixtures({
+      roster: loadRoster(cfg.ROSTER_PATH),
+      count: options.issues,
+      seed: options.seed,
+      start: options.start,
+      weeks: options.weeks,
+      projectKey: options.projectKey
+    });
+  const projectKey = options.projectKey || (fixtures.issues[0] ? fixtures.issues[0].key.split('-')[0] : 'BUG');
+  // The Opsgenie timeline is fetched for JIRA_START_DATE..JIRA_END_DATE, so suggest the fixtures' span
+  const created = fixtures.issues.map(issue => Date.parse(issue.fields.created)).filter(Number.isFinite);
+  const day = (ms) => new Date(ms).toISOString().slice(0, 10);
+  const span = created.length > 0 ? { start: day(Math.min(...created)), end: day(Math.max(...created) + 24 * 60 * 60 * 1000) } : null;
+
+  if (options.saveFixtures) {
+    fs.writeFileSync(options.saveFixtures, JSON.stringify(fixtures, null, 2));
+    console.log(`Wrote ${fixtures.issues.length} issues to ${options.saveFixtures}`);
+    return;
+  }
+
+  const mock = createMockServer(fixtures, { faults: options.faults, seed: options.seed });
+  const baseUrl = await mock.listen(options.port);
+
+  console.log(`Mock Jira/Opsgenie on ${baseUrl}: ${fixtures.issues.length} issues, ${fixtures.opsgenie.periods.length} on-call shifts`);
+  options.faults.forEach(f => console.log(`  fault: ${f.route} -> ${f.status}${f.times ? ` (${f.times}x)` : ''}${f.rate ? ` (${f.rate * 100}% of requests)` : ''}`));
+  console.log('\nRun the metrics against it with:');
+  console.log(`  JIRA_BASE_URL=${baseUrl} JIRA_EMAIL=mock@example.com JIRA_API_TOKEN=mock \\`);
+  console.log(`  JIRA_PROJECT_KEY=${projectKey} JIRA_JQL= JIRA_SERVICE_DESK_ID=1 JIRA_DRY_RUN=false \\`);
+  if (span) console.log(`  JIRA_START_DATE=${span.start} JIRA_END_DATE=${span.end} \\`);
+  console.log(`  OPSGENIE_BASE_URL=${baseUrl} OPSGENIE_API_KEY=mock OPSGENIE_SCHEDULE_NAME="${fixtures.opsgenie.schedules[0] ? fixtures.opsgenie.schedules[0].name : ''}" \\`);
+  console.log('  npm run metrics:full');
+  console.log('(add JIRA_DEPLOYMENT=datacenter JIRA_PAT=mock for the Data Center API)\n');
+
+  const shutdown = () => mock.close().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch(err => {
+  console.error('Error starting mock server:', err.message);
+  process.exitCode = 1;
+});
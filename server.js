@@ -3,9 +3,14 @@ import fs from 'fs';
 import path from 'path';
 import { exec } from 'child_process';
 import { promisify } from 'util';
+import { verifyWebhookRequest, parseWebhookEvent, queueIssueUpdate } from './src/jiraWebhook.js';
+import { loadEnvConfig } from './src/loadEnv.js';
+import { calculateFlow } from './src/flow.js';
 
 const execAsync = promisify(exec);
 const PORT = 3000;
+// Jira webhook bodies are small; anything bigger isn't a webhook
+const MAX_WEBHOOK_BODY_BYTES = 1024 * 1024;
 
 const mimeTypes = {
   '.html': 'text/html',
@@ -35,6 +40,19 @@ const server = http.createServer(async (req, res) => {
     return;
   }
   
+  // API endpoint for daily open-backlog snapshots
+  if (req.url === '/api/backlog-history' && req.method === 'GET') {
+    try {
+      const historyPath = './data/backlog-history.json';
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(fs.existsSync(historyPath) ? fs.readFileSync(historyPath, 'utf8') : JSON.stringify({ snapshots: [] }));
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+    return;
+  }
+  
   // API endpoint for latest metrics
   if (req.url === '/api/latest-metrics' && req.method === 'GET') {
     try {
@@ -60,6 +78,30 @@ const server = http.createServer(async (req, res) => {
     return;
   }
   
+  // API endpoint for created-vs-resolved flow (throughput, net flow, arrivals) from the latest metrics
+  if (req.url === '/api/flow' && req.method === 'GET') {
+    try {
+      const dataDir = './data';
+      const files = fs.existsSync(dataDir)
+        ? fs.readdirSync(dataDir).filter(f => f.startsWith('metrics-') && f.endsWith('.json')).sort().reverse()
+        : [];
+      
+      if (files.length > 0) {
+        const metricsData = JSON.parse(fs.readFileSync(path.join(dataDir, files[0]), 'utf8'));
+        const flow = calculateFlow(metricsData.metrics || [], { asOf: metricsData.generatedAt });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ file: files[0], period: metricsData.period || null, ...flow }));
+      } else {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'No metrics files found' }));
+      }
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+    return;
+  }
+  
   // API endpoint for listing metrics files
   if (req.url === '/api/metrics-files' && req.method === 'GET') {
     try {
@@ -120,6 +162,52 @@ const server = http.createServer(async (req, res) => {
     return;
   }
   
+  // Jira webhook: issue created/updated and comment events keep the latest metrics near-live
+  if (req.url.split('?')[0] === '/webhooks/jira' && req.method === 'POST') {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size <= MAX_WEBHOOK_BODY_BYTES) chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const reply = (status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      };
+
+      if (!loadEnvConfig().JIRA_WEBHOOK_SECRET) {
+        return reply(503, { error: 'Webhook ingestion is disabled (set JIRA_WEBHOOK_SECRET)' });
+      }
+      if (size > MAX_WEBHOOK_BODY_BYTES) {
+        return reply(413, { error: 'Payload too large' });
+      }
+
+      const rawBody = Buffer.concat(chunks);
+      const query = new URL(req.url, 'http://localhost').searchParams;
+      if (!verifyWebhookRequest({ headers: req.headers, query, rawBody })) {
+        console.warn('Rejected Jira webhook with a missing or wrong secret');
+        return reply(401, { error: 'Invalid webhook secret' });
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(rawBody.toString('utf8'));
+      } catch (error) {
+        return reply(400, { error: 'Body is not valid JSON' });
+      }
+
+      // Acknowledge straight away - refetching the issue and recomputing happen in the background
+      const { key, event, ignored } = parseWebhookEvent(payload);
+      if (ignored) {
+        return reply(202, { accepted: false, event, reason: ignored });
+      }
+      queueIssueUpdate(key);
+      reply(202, { accepted: true, event, key });
+    });
+    return;
+  }
+  
   // Serve static files
   let filePath = '.' + req.url;
   if (filePath === './') {
@@ -0,0 +1,126 @@
+/**
+ * Assignee Chain
+ * Replays the assignee changes in the Jira changelog into the list of people who held a ticket:
+ * who assigned it to them, when, and how long they kept it (wall-clock and business minutes in
+ * the holder's own schedule). A ticket bounced between four developers then no longer looks like
+ * one fixed by its first assignee.
+ *
+ * Unassigned stretches aren't holds; A -> unassigned -> B still counts as a handoff from A to B.
+ */
+
+import { calculateBusinessMinutes } from './businessHours.js';
+import { getPersonId, getDisplayName } from './roster.js';
+import { now as clockNow } from './clock.js';
+
+// Changelog items carry the account id (Cloud) or username (Data Center) in from/to
+function itemUser(id, name) {
+  if (!id && !name) return null;
+  return { accountId: id || undefined, displayName: name || undefined };
+}
+
+/**
+ * Assignee changes from the changelog, oldest first
+ * @param {Object} issue - Jira issue with changelog
+ * @returns {Array<{ at: string, from: Object|null, to: Object|null, by: Object|null }>} Users as { accountId, displayName }
+ */
+export function getAssigneeChanges(issue) {
+  const histories = (issue.changelog && issue.changelog.histories) || [];
+  const changes = [];
+  histories.forEach(h => {
+    (h.items || []).forEach(item => {
+      if (item.field === 'assignee') {
+        changes.push({
+          at: h.created,
+          from: itemUser(item.from, item.fromString),
+          to: itemUser(item.to, item.toString),
+          by: h.author || null
+        });
+      }
+    });
+  });
+  return changes.sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+/**
+ * Everyone who held the ticket, in order
+ * A hold ends at the next assignee change, or at resolution if the holder kept the ticket until then;
+ * the current holder of an open ticket has end null and is measured up to now.
+ * @param {Object} issue - Jira issue with changelog
+ * @param {string|null} resolutionDate - Final resolution (see computeMetrics)
+ * @returns {Array<{ assignee, assigneeId, assignedBy, assignedById, start, end, minutes, businessMinutes }>}
+ */
+export function buildAssigneeChain(issue, resolutionDate = null) {
+  const fields = issue.fields || {};
+  if (!fields.created) return [];
+
+  const changes = getAssigneeChanges(issue);
+  // Assignee at creation: who the first change moved it away from, or the current assignee if it never moved
+  const initialHolder = changes.length > 0 ? changes[0].from : (fields.assignee || null);
+
+  const holds = [];
+  let current = initialHolder ? { user: initialHolder, by: null, start: fields.created } : null;
+  changes.forEach(change => {
+    if (current) holds.push({ ...current, end: change.at });
+    current = change.to ? { user: change.to, by: change.by, start: change.at } : null;
+  });
+  if (current) {
+    const resolvedWhileHeld = resolutionDate && new Date(resolutionDate) >= new Date(current.start);
+    holds.push({ ...current, end: resolvedWhileHeld ? resolutionDate : null });
+  }
+
+  const now = clockNow();
+  return holds.map(hold => {
+    const assignee = getDisplayName(hold.user);
+    const start = new Date(hold.start);
+    const end = hold.end ? new Date(hold.end) : now;
+    return {
+      assignee,
+      assigneeId: getPersonId(hold.user),
+      assignedBy: hold.by ? getDisplayName(hold.by) || 'Unknown' : null,
+      assignedById: getPersonId(hold.by),
+      start: hold.start,
+      end: hold.end,
+      minutes: end >= start ? Math.round((end - start) / (1000 * 60)) : 0,
+      businessMinutes: calculateBusinessMinutes(start, end, assignee)
+    };
+  });
+}
+
+/**
+ * Holder-to-holder handoffs in a chain (consecutive holds by the same person are one hold)
+ * @param {Array} chain - From buildAssigneeChain (or a metrics row's assigneeChain)
+ * @returns {Array<{ fromId, from, toId, to, at, byId, by }>}
+ */
+export function getHandoffs(chain) {
+  const handoffs = [];
+  for (let i = 1; i < chain.length; i++) {
+    const prev = chain[i - 1];
+    const next = chain[i];
+    if (prev.assigneeId === next.assigneeId) continue;
+    handoffs.push({
+      fromId: prev.assigneeId,
+      from: prev.assignee,
+      toId: next.assigneeId,
+      to: next.assignee,
+      at: next.start,
+      byId: next.assignedById,
+      by: next.assignedBy
+    });
+  }
+  return handoffs;
+}
+
+/**
+ * Whether a ticket came back to someone who had already handed it on (A -> B -> A)
+ * @param {Array} chain - From buildAssigneeChain
+ */
+export function isPingPong(chain) {
+  const seen = new Set();
+  let previous = null;
+  for (const hold of chain) {
+    if (hold.assigneeId !== previous && seen.has(hold.assigneeId)) return true;
+    seen.add(hold.assigneeId);
+    previous = hold.assigneeId;
+  }
+  return false;
+}
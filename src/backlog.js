@@ -0,0 +1,201 @@
+/**
+ * Open Backlog
+ * What is still open at run time: every unresolved ticket's age (calendar and business days),
+ * bucketed overall, by priority and by assignee, with tickets that have had no change or
+ * comment in BACKLOG_STALE_DAYS business days flagged stale.
+ *
+ * Each run also records a daily snapshot (data/backlog-history.json, one per team-local day)
+ * so trends.html can chart backlog size and median age over time.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { loadEnvConfig } from './loadEnv.js';
+import { BACKLOG_AGE_BUCKETS, DEFAULT_BACKLOG_STALE_DAYS, BACKLOG_HISTORY_MAX_DAYS } from './constants.js';
+import { calculateBusinessMinutes, countBusinessDays } from './businessHours.js';
+import { getSchedule } from './roster.js';
+import { getZonedParts } from './timezone.js';
+import { now as clockNow } from './clock.js';
+import { histogram, median, percentile } from './stats.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const HISTORY_FILE = join(__dirname, '..', 'data', 'backlog-history.json');
+const MINUTES_PER_DAY = 24 * 60;
+
+const round1 = (value) => (value === null ? null : Math.round(value * 10) / 10);
+
+/**
+ * Business days without activity before an open ticket counts as stale (BACKLOG_STALE_DAYS)
+ * @returns {number}
+ */
+export function getStaleDays() {
+  const { BACKLOG_STALE_DAYS } = loadEnvConfig();
+  if (BACKLOG_STALE_DAYS === undefined || BACKLOG_STALE_DAYS.trim() === '') return DEFAULT_BACKLOG_STALE_DAYS;
+  const days = Number(BACKLOG_STALE_DAYS);
+  if (!Number.isInteger(days) || days < 1) {
+    throw new Error(`BACKLOG_STALE_DAYS must be a whole number of business days, 1 or more (got "${BACKLOG_STALE_DAYS}")`);
+  }
+  return days;
+}
+
+// Team-local calendar date (roster default timezone) - a snapshot's day
+function localDate(date) {
+  const { year, month, day } = getZonedParts(date, getSchedule().timezone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * One open ticket's age and idle time, measured up to now
+ * Business age and idle days use the team's default schedule - the backlog is the team's, not one person's.
+ * @param {Object} m - Metric row
+ * @param {Date} now
+ * @param {number} staleDays
+ */
+function describeOpenTicket(m, now, staleDays) {
+  const created = new Date(m.created);
+  const ageMinutes = Math.max(0, Math.round((now - created) / (1000 * 60)));
+  const lastActivityTime = m.lastActivityTime || m.created;
+  const idleBusinessDays = countBusinessDays(lastActivityTime, now);
+  return {
+    key: m.key,
+    summary: m.summary,
+    status: m.status,
+    priority: m.priority || 'None',
+    assignee: m.assigneeCurrent || 'Unassigned',
+    assigneeId: m.assigneeId || null,
+    created: m.created,
+    ageDays: round1(ageMinutes / MINUTES_PER_DAY),
+    businessAgeMinutes: calculateBusinessMinutes(created, now),
+    businessAgeDays: countBusinessDays(created, now),
+    lastActivityTime,
+    idleBusinessDays,
+    stale: idleBusinessDays >= staleDays
+  };
+}
+
+// Count, stale count, median/oldest age and calendar-age buckets for a group of open tickets
+function summarizeGroup(tickets) {
+  const ages = tickets.map(t => t.ageDays);
+  return {
+    open: tickets.length,
+    stale: tickets.filter(t => t.stale).length,
+    medianAgeDays: round1(median(ages)),
+    medianBusinessAgeDays: round1(median(tickets.map(t => t.businessAgeDays))),
+    oldestAgeDays: ages.length > 0 ? Math.max(...ages) : null,
+    buckets: Object.fromEntries(histogram(ages, BACKLOG_AGE_BUCKETS).map(b => [b.label, b.count]))
+  };
+}
+
+function groupBy(tickets, keyOf) {
+  const groups = new Map();
+  tickets.forEach(t => {
+    const key = keyOf(t);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(t);
+  });
+  return groups;
+}
+
+/**
+ * The open backlog at run time
+ * A ticket is open when it has no resolution (reopened tickets that are open again included).
+ * @param {Array} metrics - Metric rows
+ * @param {Object} options - { staleDays } (default: getStaleDays())
+ * @returns {Object} { date, capturedAt, staleDays, ...summary, buckets, businessBuckets, byPriority, byAssignee, staleKeys, tickets }
+ *   tickets are oldest first
+ */
+export function calculateBacklog(metrics, { staleDays = getStaleDays() } = {}) {
+  const now = clockNow();
+  const tickets = metrics
+    .filter(m => !m.resolutionDate && m.created)
+    .map(m => describeOpenTicket(m, now, staleDays))
+    .sort((a, b) => b.ageDays - a.ageDays);
+
+  const sortedAges = tickets.map(t => t.ageDays).sort((a, b) => a - b);
+  const byPriority = [...groupBy(tickets, t => t.priority)]
+    .map(([priority, group]) => ({ priority, ...summarizeGroup(group) }))
+    .sort((a, b) => b.open - a.open);
+  const byAssignee = [...groupBy(tickets, t => t.assigneeId || t.assignee)]
+    .map(([, group]) => ({
+      assignee: group[0].assignee,
+      assigneeId: group[0].assigneeId,
+      ...summarizeGroup(group),
+      oldestKey: group[0].key
+    }))
+    .sort((a, b) => b.open - a.open);
+
+  return {
+    date: localDate(now),
+    capturedAt: now.toISOString(),
+    staleDays,
+    ...summarizeGroup(tickets),
+    p90AgeDays: round1(percentile(sortedAges, 90)),
+    businessBuckets: Object.fromEntries(histogram(tickets.map(t => t.businessAgeDays), BACKLOG_AGE_BUCKETS).map(b => [b.label, b.count])),
+    byPriority,
+    byAssignee,
+    staleKeys: tickets.filter(t => t.stale).map(t => t.key),
+    tickets
+  };
+}
+
+/**
+ * Load the daily backlog snapshots (newest first)
+ */
+export function loadBacklogHistory() {
+  if (!existsSync(HISTORY_FILE)) {
+    return { snapshots: [] };
+  }
+
+  try {
+    return JSON.parse(readFileSync(HISTORY_FILE, 'utf-8'));
+  } catch (error) {
+    console.error('Error loading backlog history:', error);
+    return { snapshots: [] };
+  }
+}
+
+/**
+ * Record the backlog as the snapshot for its day (a later capture the same day replaces it)
+ * @param {Object} backlog - From calculateBacklog
+ */
+export function saveBacklogSnapshot(backlog) {
+  const history = loadBacklogHistory();
+
+  const snapshot = {
+    date: backlog.date,
+    capturedAt: backlog.capturedAt,
+    staleDays: backlog.staleDays,
+    open: backlog.open,
+    stale: backlog.stale,
+    medianAgeDays: backlog.medianAgeDays,
+    medianBusinessAgeDays: backlog.medianBusinessAgeDays,
+    p90AgeDays: backlog.p90AgeDays,
+    oldestAgeDays: backlog.oldestAgeDays,
+    buckets: backlog.buckets,
+    byPriority: Object.fromEntries(backlog.byPriority.map(p => [p.priority, p.open]))
+  };
+
+  const existing = history.snapshots.findIndex(s => s.date === snapshot.date);
+  if (existing >= 0 && new Date(history.snapshots[existing].capturedAt) > new Date(snapshot.capturedAt)) {
+    // A recompute of an earlier run that day doesn't replace a later capture
+    console.log(`Kept newer backlog snapshot for ${snapshot.date}`);
+    return history.snapshots[existing];
+  }
+  if (existing >= 0) {
+    history.snapshots[existing] = snapshot;
+  } else {
+    history.snapshots.push(snapshot);
+  }
+
+  history.snapshots.sort((a, b) => b.date.localeCompare(a.date));
+  history.snapshots = history.snapshots.slice(0, BACKLOG_HISTORY_MAX_DAYS);
+
+  if (!existsSync(dirname(HISTORY_FILE))) mkdirSync(dirname(HISTORY_FILE));
+  writeFileSync(HISTORY_FILE, JSON.stringify(history, null, 2));
+  console.log(`Saved backlog snapshot for ${snapshot.date}: ${snapshot.open} open, ${snapshot.stale} stale`);
+
+  return snapshot;
+}
@@ -1,203 +1,149 @@
 /**
  * Business Hours Calculator
- * Calculates elapsed time excluding weekends and after-hours
+ * Calculates elapsed time excluding weekends, holidays and after-hours
+ *
+ * Working hours are wall-clock intervals in each person's IANA timezone and weekly schedule
+ * (from config/roster.json, see workSchedule.js), so DST transitions are handled: 8 AM New York is 12:00 UTC in summer and 13:00 UTC in winter.
  */
 
-// Default business hours configuration (EST for US/UK customers)
-const DEFAULT_BUSINESS_HOURS = {
-  start: 13, // 8 AM EST = 13:00 UTC
-  end: 22,   // 5 PM EST = 22:00 UTC
-  timezone: 'America/New_York'
-};
-
-// Manager timezones (for calculating their working hours)
-// Note: All managers work synchronized US East Coast hours regardless of physical location
-const MANAGER_TIMEZONES = {
-  'Brad Goldberg': { timezone: 'America/New_York', utcOffset: -5 },      // EST (UTC-5)
-  'Jeff Maciorowski': { timezone: 'America/New_York', utcOffset: -5 },   // EST (UTC-5)
-  'Akshay Vijay Takkar': { timezone: 'America/New_York', utcOffset: -5 },  // Works EST hours
-  'Grigoriy Semenenko': { timezone: 'America/New_York', utcOffset: -5 },   // Works EST hours
-  'Randy Dahl': { timezone: 'America/New_York', utcOffset: -5 },         // EST (UTC-5)
-  'Evgeniy Suhov': { timezone: 'America/New_York', utcOffset: -5 },      // Works EST hours
-  'Max Kuklin': { timezone: 'America/New_York', utcOffset: -5 }          // Works EST hours
-};
-
-// Calculate UTC hour range for a person's 8 AM - 5 PM in their timezone
-function getPersonBusinessHours(personName) {
-  const tz = MANAGER_TIMEZONES[personName];
-  if (!tz) {
-    // Default to EST if person not found
-    return { start: DEFAULT_BUSINESS_HOURS.start, end: DEFAULT_BUSINESS_HOURS.end };
-  }
-  
-  // 8 AM in their timezone = 8 - utcOffset in UTC
-  // 5 PM in their timezone = 17 - utcOffset in UTC
-  let start = 8 - tz.utcOffset;
-  let end = 17 - tz.utcOffset;
-  
-  // Normalize to 0-23 range
-  start = ((start % 24) + 24) % 24;
-  end = ((end % 24) + 24) % 24;
-  
-  return { start, end };
-}
+import { getSchedule } from './roster.js';
+import { getZonedParts, zonedTimeToUtc, addLocalDays } from './timezone.js';
+import { getHoliday } from './holidays.js';
 
-/**
- * Check if a date falls on a weekend
- */
-function isWeekend(date) {
-  const day = date.getUTCDay();
-  return day === 0 || day === 6; // Sunday or Saturday
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Schedules come from getSchedule(): people not listed in the roster (and calls without a
+// person) use the roster defaults (Mon-Fri 8 AM - 5 PM America/New_York)
+
+// Working intervals for a local date - none on days off and holidays
+function getWorkingIntervals(localDate, hours) {
+  if (getHoliday(localDate, hours.holidays)) return [];
+  return hours.schedule[localDate.weekday];
 }
 
 /**
- * Check if a time is within business hours (UTC)
+ * Check if a time is within business hours in the person's timezone
  * @param {Date} date - The date to check
- * @param {string} personName - Optional: person's name to use their timezone
+ * @param {string} personName - Optional: person's name to use their schedule
  */
 function isBusinessHours(date, personName = null) {
-  const hour = date.getUTCHours();
-  const hours = personName ? getPersonBusinessHours(personName) : DEFAULT_BUSINESS_HOURS;
-  
-  // Handle cases where business hours cross midnight UTC
-  if (hours.start < hours.end) {
-    return hour >= hours.start && hour < hours.end;
-  } else {
-    // Wraps around midnight (e.g., start=22, end=7 means 10 PM - 7 AM UTC)
-    return hour >= hours.start || hour < hours.end;
-  }
+  const hours = getSchedule(personName);
+  const local = getZonedParts(date, hours.timezone);
+  const minuteOfDay = local.hour * 60 + local.minute;
+
+  return getWorkingIntervals(local, hours)
+    .some(interval => minuteOfDay >= interval.start && minuteOfDay < interval.end);
 }
 
 /**
- * Get next business hour from a given date
- * @param {Date} date - The starting date
- * @param {string} personName - Optional: person's name to use their timezone
+ * Calculate business hours between two dates
+ * Walks the person's local calendar one day at a time and adds the overlap of
+ * [start, end] with each of that day's working intervals (converted to UTC for that specific day).
+ * @param {Date|string} start - Start date/time
+ * @param {Date|string} end - End date/time
+ * @param {string} personName - Optional: person's name to use their schedule
+ * @returns {number} Minutes of business hours elapsed
  */
-function getNextBusinessHour(date, personName = null) {
-  const result = new Date(date);
-  const hours = personName ? getPersonBusinessHours(personName) : DEFAULT_BUSINESS_HOURS;
-  
-  // If weekend, move to Monday
-  while (isWeekend(result)) {
-    result.setUTCDate(result.getUTCDate() + 1);
-    result.setUTCHours(hours.start, 0, 0, 0);
-  }
-  
-  // If after hours, move to next business day start
-  if (result.getUTCHours() >= hours.end) {
-    result.setUTCDate(result.getUTCDate() + 1);
-    result.setUTCHours(hours.start, 0, 0, 0);
-    // Check if new day is weekend
-    return getNextBusinessHour(result, personName);
+export function calculateBusinessMinutes(start, end, personName = null) {
+  const startDate = typeof start === 'string' ? new Date(start) : start;
+  const endDate = typeof end === 'string' ? new Date(end) : end;
+  const hours = getSchedule(personName);
+
+  if (!(endDate > startDate)) {
+    return 0;
   }
-  
-  // If before hours, move to business hours start
-  if (result.getUTCHours() < hours.start) {
-    result.setUTCHours(hours.start, 0, 0, 0);
+
+  let businessMs = 0;
+  let localDay = getZonedParts(startDate, hours.timezone);
+
+  while (zonedTimeToUtc(localDay, 0, hours.timezone) < endDate) {
+    for (const interval of getWorkingIntervals(localDay, hours)) {
+      const intervalStart = zonedTimeToUtc(localDay, interval.start, hours.timezone);
+      const intervalEnd = zonedTimeToUtc(localDay, interval.end, hours.timezone);
+      const segmentStart = startDate > intervalStart ? startDate : intervalStart;
+      const segmentEnd = endDate < intervalEnd ? endDate : intervalEnd;
+      if (segmentEnd > segmentStart) {
+        businessMs += segmentEnd - segmentStart;
+      }
+    }
+
+    localDay = addLocalDays(localDay, 1);
   }
-  
-  return result;
+
+  return Math.round(businessMs / (1000 * 60));
 }
 
 /**
- * Calculate business hours between two dates
+ * Count working days between two dates in the person's local calendar
+ * Days after the start's local date up to and including the end's local date that have working
+ * hours (holidays and days off don't count): Monday to the next Monday is 5 on a Mon-Fri schedule.
  * @param {Date|string} start - Start date/time
  * @param {Date|string} end - End date/time
- * @param {string} personName - Optional: person's name to use their timezone
- * @returns {number} Minutes of business hours elapsed
+ * @param {string} personName - Optional: person's name to use their schedule
+ * @returns {number} Working days elapsed
  */
-export function calculateBusinessMinutes(start, end, personName = null) {
+export function countBusinessDays(start, end, personName = null) {
   const startDate = typeof start === 'string' ? new Date(start) : start;
   const endDate = typeof end === 'string' ? new Date(end) : end;
-  const hours = personName ? getPersonBusinessHours(personName) : DEFAULT_BUSINESS_HOURS;
-  
-  let current = new Date(startDate);
-  let businessMinutes = 0;
-  
-  // Move to next business hour if starting outside business hours
-  if (isWeekend(current) || !isBusinessHours(current, personName)) {
-    current = getNextBusinessHour(current, personName);
-  }
-  
-  // If end is before first business hour, no business time elapsed
-  if (endDate < current) {
+  const hours = getSchedule(personName);
+
+  if (!(endDate > startDate)) {
     return 0;
   }
-  
-  // Calculate business hours
-  while (current < endDate) {
-    // Skip weekends
-    if (isWeekend(current)) {
-      current.setUTCDate(current.getUTCDate() + 1);
-      current.setUTCHours(hours.start, 0, 0, 0);
-      continue;
-    }
-    
-    // Skip non-business hours
-    if (current.getUTCHours() < hours.start) {
-      current.setUTCHours(hours.start, 0, 0, 0);
-      continue;
-    }
-    
-    if (current.getUTCHours() >= hours.end) {
-      current.setUTCDate(current.getUTCDate() + 1);
-      current.setUTCHours(hours.start, 0, 0, 0);
-      continue;
-    }
-    
-    // Calculate how much time until end of business day or end date
-    const dayEnd = new Date(current);
-    dayEnd.setUTCHours(hours.end, 0, 0, 0);
-    
-    const segmentEnd = endDate < dayEnd ? endDate : dayEnd;
-    const minutesInSegment = (segmentEnd - current) / (1000 * 60);
-    
-    businessMinutes += minutesInSegment;
-    
-    // Move to next business day
-    current = new Date(segmentEnd);
-    if (current.getUTCHours() >= hours.end) {
-      current.setUTCDate(current.getUTCDate() + 1);
-      current.setUTCHours(hours.start, 0, 0, 0);
-    }
+
+  const last = getZonedParts(endDate, hours.timezone);
+  let localDay = addLocalDays(getZonedParts(startDate, hours.timezone), 1);
+  let days = 0;
+  while (Date.UTC(localDay.year, localDay.month - 1, localDay.day) <= Date.UTC(last.year, last.month - 1, last.day)) {
+    if (getWorkingIntervals(localDay, hours).length > 0) days++;
+    localDay = addLocalDays(localDay, 1);
   }
-  
-  return Math.round(businessMinutes);
+  return days;
 }
 
 /**
  * Check if a ticket was created outside business hours
  * @param {string|Date} dateString - Date to check
- * @param {string} personName - Optional: person's name to use their timezone
+ * @param {string} personName - Optional: person's name to use their schedule
  */
 export function isOutsideBusinessHours(dateString, personName = null) {
-  const date = new Date(dateString);
-  return isWeekend(date) || !isBusinessHours(date, personName);
+  return !isBusinessHours(new Date(dateString), personName);
 }
 
 /**
  * Get a human-readable description of when ticket was created
  * @param {string|Date} dateString - Date to check
- * @param {string} personName - Optional: person's name to use their timezone
+ * @param {string} personName - Optional: person's name to use their schedule
  */
 export function getCreatedTimeContext(dateString, personName = null) {
   const date = new Date(dateString);
-  const hours = personName ? getPersonBusinessHours(personName) : DEFAULT_BUSINESS_HOURS;
-  
-  if (isWeekend(date)) {
-    const day = date.getUTCDay() === 0 ? 'Sunday' : 'Saturday';
-    return `${day} (Weekend)`;
+  const hours = getSchedule(personName);
+  const local = getZonedParts(date, hours.timezone);
+
+  const holiday = getHoliday(local, hours.holidays);
+  if (holiday) {
+    return `Holiday (${holiday})`;
   }
-  
-  const hour = date.getUTCHours();
-  if (hour < hours.start) {
+
+  const intervals = hours.schedule[local.weekday];
+  if (intervals.length === 0) {
+    const isWeekend = local.weekday === 0 || local.weekday === 6;
+    return `${DAY_NAMES[local.weekday]} (${isWeekend ? 'Weekend' : 'Non-working day'})`;
+  }
+
+  const minuteOfDay = local.hour * 60 + local.minute;
+  if (minuteOfDay < intervals[0].start) {
     return personName ? `Before ${personName}'s business hours` : 'Before business hours';
   }
-  
-  if (hour >= hours.end) {
+
+  if (minuteOfDay >= intervals[intervals.length - 1].end) {
     return personName ? `After ${personName}'s business hours` : 'After business hours';
   }
-  
+
+  if (!intervals.some(interval => minuteOfDay >= interval.start && minuteOfDay < interval.end)) {
+    return personName ? `During ${personName}'s break` : 'During break';
+  }
+
   return personName ? `During ${personName}'s business hours` : 'During business hours';
 }
 
@@ -0,0 +1,23 @@
+/**
+ * Run Clock
+ * The "now" that open tickets are measured up to. Live runs use the real time; recompute.js pins it
+ * to when an archived run captured its data, so recomputed metrics match what that run saw.
+ */
+
+let pinnedTime = null;
+
+/**
+ * Current time for metric calculations
+ * @returns {Date}
+ */
+export function now() {
+  return pinnedTime === null ? new Date() : new Date(pinnedTime);
+}
+
+/**
+ * Pin "now" to a fixed time (null to go back to the real clock)
+ * @param {string|Date|null} time
+ */
+export function pinClock(time) {
+  pinnedTime = time === null || time === undefined ? null : new Date(time).getTime();
+}
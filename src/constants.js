@@ -1,21 +1,88 @@
 /**
  * Shared constants for SLA tracking and on-call management
+ *
+ * The team itself (who is on-call, who counts as an SLA responder, etc.) lives in
+ * config/roster.json - see src/roster.js.
  */
 
-// Define on-call managers
-export const ON_CALL_MANAGERS = [
-  'Brad Goldberg',
-  'Jeff Maciorowski',
-  'Akshay Vijay Takkar',
-  'Grigoriy Semenenko',
-  'Randy Dahl',
-  'Evgeniy Suhov',
-  'Max Kuklin'
+// Roles a person can hold in the roster
+export const ROLES = {
+  ON_CALL_MANAGER: 'on-call-manager',   // Takes Opsgenie triage shifts
+  SLA_RESPONDER: 'sla-responder',       // Actions count as SLA response (on-call managers always do)
+  DEVELOPER: 'developer',               // Regular assignee
+  EXCLUDED: 'excluded'                  // Left out of developer stats (non-developers)
+};
+
+// Default roster location, relative to the working directory (override with ROSTER_PATH)
+export const DEFAULT_ROSTER_PATH = 'config/roster.json';
+
+// Statuses that pause the SLA clock (override with SLA_PAUSE_STATUSES, comma-separated; matched case-insensitively)
+export const DEFAULT_SLA_PAUSE_STATUSES = ['Waiting for Customer', 'Pending Info', 'Pending'];
+
+// Status names treated as resolved when no issue has shown their Jira status category yet
+// (exact, case-insensitive matches - see resolution.js; RESOLVED_STATUSES/UNRESOLVED_STATUSES override)
+export const FALLBACK_DONE_STATUSES = ['closed', 'complete', 'completed', 'done', 'resolved'];
+
+// Resolutions that mean closed without a fix (override with NOT_FIXED_RESOLUTIONS); any other resolution is "fixed"
+export const DEFAULT_NOT_FIXED_RESOLUTIONS = ["Won't Fix", "Won't Do", 'Duplicate', 'Cannot Reproduce', 'Incomplete', 'Declined', 'Obsolete'];
+
+// Statuses where work is happening - cycle time starts at the first one (override with IN_PROGRESS_STATUSES)
+export const DEFAULT_IN_PROGRESS_STATUSES = ['In Progress', 'In Review', 'In Development'];
+
+// SLA that on-call and assignee response is measured against (override with JIRA_SLA_NAME)
+export const DEFAULT_SLA_NAME = 'Time to first response';
+
+// What counts as responding for the on-call and assignee SLAs (override with SLA_RESPONSE_TYPE):
+// 'action' - any first action (assignment or comment, internal notes included); 'public' - first customer-visible comment
+export const SLA_RESPONSE_TYPES = ['action', 'public'];
+export const DEFAULT_SLA_RESPONSE_TYPE = 'action';
+
+// Raw inputs of every run, for offline recomputes (see runArchive.js)
+export const DEFAULT_ARCHIVE_DIR = 'data/archive';
+// Run archives kept (override with ARCHIVE_KEEP_RUNS / ARCHIVE_MAX_AGE_DAYS; 0 = no limit)
+export const DEFAULT_ARCHIVE_KEEP_RUNS = 30;
+export const DEFAULT_ARCHIVE_MAX_AGE_DAYS = 90;
+
+// Local issue cache for incremental sync (see issueCache.js)
+export const DEFAULT_CACHE_DIR = 'data/cache';
+
+// How long the cached Jira field catalog (data/cache/fields.json) is used before it's fetched again
+export const FIELD_CATALOG_MAX_AGE_HOURS = 24;
+
+// Default holiday calendars location (override with HOLIDAYS_PATH); optional
+export const DEFAULT_HOLIDAYS_PATH = 'config/holidays.json';
+
+// Histogram buckets for duration distributions, in minutes (upper bound exclusive; the last is open-ended)
+export const DURATION_HISTOGRAM_BUCKETS = [
+  { label: '< 1h', max: 60 },
+  { label: '1-4h', max: 240 },
+  { label: '4-8h', max: 480 },
+  { label: '8h-1d', max: 1440 },
+  { label: '1-3d', max: 4320 },
+  { label: '3-7d', max: 10080 },
+  { label: '7-30d', max: 43200 },
+  { label: '30d+', max: null }
 ];
 
-// People whose actions count as SLA response (on-call managers + key engineers)
-export const SLA_RESPONDERS = [
-  ...ON_CALL_MANAGERS,
-  'Manjeet Kumar Mahto',
-  'Mitali Goel'
+// Open-backlog age buckets, in days (calendar days for calendar age, working days for business age)
+export const BACKLOG_AGE_BUCKETS = [
+  { label: '< 1d', max: 1 },
+  { label: '1-3d', max: 3 },
+  { label: '3-7d', max: 7 },
+  { label: '7-14d', max: 14 },
+  { label: '14-30d', max: 30 },
+  { label: '30-90d', max: 90 },
+  { label: '90d+', max: null }
 ];
+
+// Open tickets with no change or comment in this many business days are flagged stale (override with BACKLOG_STALE_DAYS)
+export const DEFAULT_BACKLOG_STALE_DAYS = 5;
+
+// Daily backlog snapshots kept in data/backlog-history.json (one per day)
+export const BACKLOG_HISTORY_MAX_DAYS = 365;
+
+// Complete weeks averaged for the created-vs-resolved net-flow trend (compared with the weeks before them)
+export const FLOW_TREND_WEEKS = 4;
+
+// KPI segmentations computed when KPI_SEGMENTS isn't set; "+" combines dimensions (see segments.js)
+export const DEFAULT_KPI_SEGMENTS = ['priority', 'component', 'label', 'issueType', 'priority+component'];
@@ -0,0 +1,174 @@
+/**
+ * Jira Field Catalog
+ * Maps human field names ("Organizations", "Root Cause") to field ids (customfield_10010) using
+ * the instance's field list (GET /rest/api/{3,2}/field), so config never hardcodes custom field ids.
+ *
+ * The list is cached in data/cache/fields.json and fetched again after FIELD_CATALOG_MAX_AGE_HOURS
+ * (or on --full-refresh). JIRA_EXTRA_FIELDS names the fields copied into every metric row
+ * (`extraFields`) and latest-summary.csv; each entry is a field name (case-insensitive) or id.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadEnvConfig } from './loadEnv.js';
+import { DEFAULT_CACHE_DIR, FIELD_CATALOG_MAX_AGE_HOURS } from './constants.js';
+import { adfToText } from './jiraNormalize.js';
+
+const CATALOG_FILE = 'fields.json';
+
+let catalog = null;
+let extraFields = [];
+
+function readCachedCatalog(file) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    const cached = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(cached.fields) ? cached : null;
+  } catch (error) {
+    console.warn(`Ignoring unreadable field catalog ${file}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Load the field catalog, from the cache when it's recent enough
+ * A failed fetch falls back to a stale cached copy when there is one.
+ * @param {Object} options
+ * @param {Function|null} options.fetchFields - Returns the field list (jiraClient fetchFieldList); null for offline runs
+ * @param {boolean} options.refresh - Ignore the cached copy
+ * @param {string} options.cacheDir - Defaults to data/cache
+ * @returns {Promise<Object|null>} { fetchedAt, fields } or null when no catalog is available
+ */
+export async function loadFieldCatalog({ fetchFields = null, refresh = false, cacheDir = DEFAULT_CACHE_DIR } = {}) {
+  const file = path.resolve(process.cwd(), cacheDir, CATALOG_FILE);
+  const cached = readCachedCatalog(file);
+  const ageHours = cached ? (Date.now() - new Date(cached.fetchedAt).getTime()) / (1000 * 60 * 60) : Infinity;
+
+  if (cached && (!fetchFields || (!refresh && ageHours < FIELD_CATALOG_MAX_AGE_HOURS))) {
+    catalog = cached;
+    return catalog;
+  }
+  if (!fetchFields) {
+    catalog = null;
+    return null;
+  }
+
+  try {
+    const fields = await fetchFields();
+    catalog = { fetchedAt: new Date().toISOString(), fields };
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(catalog, null, 2));
+  } catch (error) {
+    if (!cached) throw new Error(`Could not load the Jira field catalog: ${error.message}`);
+    console.warn(`Could not refresh the Jira field catalog (${error.message}); using the copy from ${cached.fetchedAt}`);
+    catalog = cached;
+  }
+  return catalog;
+}
+
+/**
+ * Use a catalog loaded elsewhere (an archived run's, see recompute.js)
+ * @param {Object|null} loaded - { fetchedAt, fields }
+ */
+export function setFieldCatalog(loaded) {
+  catalog = loaded;
+}
+
+/**
+ * Field id for a name or id
+ * @param {string} nameOrId - e.g. "Root Cause" or "customfield_10042"
+ * @returns {{ id: string|null, error: string|null }}
+ */
+export function resolveField(nameOrId) {
+  const wanted = nameOrId.trim();
+  if (!catalog) {
+    // Without a catalog only ids can be used
+    return /^customfield_\d+$/.test(wanted)
+      ? { id: wanted, error: null }
+      : { id: null, error: `"${wanted}": no field catalog available to look the name up (use the field id)` };
+  }
+
+  const byId = catalog.fields.find(f => f.id === wanted);
+  if (byId) return { id: byId.id, error: null };
+
+  const byName = catalog.fields.filter(f => (f.name || '').toLowerCase() === wanted.toLowerCase());
+  if (byName.length === 1) return { id: byName[0].id, error: null };
+  if (byName.length > 1) {
+    return { id: null, error: `"${wanted}" matches several fields (${byName.map(f => f.id).join(', ')}) - use the field id` };
+  }
+  return { id: null, error: `"${wanted}": no such field in Jira` };
+}
+
+/**
+ * Field name from the catalog
+ * @param {string} id - Field id
+ * @returns {string|null}
+ */
+export function getFieldName(id) {
+  if (!catalog) return null;
+  const field = catalog.fields.find(f => f.id === id);
+  return field ? field.name : null;
+}
+
+/**
+ * Resolve JIRA_EXTRA_FIELDS against the loaded catalog
+ * Call after loadFieldCatalog(); unresolved entries are left out.
+ * @param {string} setting - Comma-separated field names or ids (defaults to JIRA_EXTRA_FIELDS)
+ * @returns {string[]} List of problems (empty when every field resolved)
+ */
+export function configureExtraFields(setting = loadEnvConfig().JIRA_EXTRA_FIELDS) {
+  const errors = [];
+  extraFields = [];
+  (setting || '').split(',').map(s => s.trim()).filter(Boolean).forEach(name => {
+    const { id, error } = resolveField(name);
+    if (error) errors.push(error);
+    else extraFields.push({ name, id });
+  });
+  return errors;
+}
+
+/**
+ * Configured extra field names, in JIRA_EXTRA_FIELDS order (CSV column names)
+ */
+export function getExtraFieldNames() {
+  return extraFields.map(f => f.name);
+}
+
+// Plain value of a Jira field: options, users, versions, organizations, ADF text...
+function formatFieldValue(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'object') return value;
+  if (Array.isArray(value)) {
+    const parts = value.map(formatFieldValue).filter(v => v !== null && v !== '');
+    return parts.length > 0 ? parts.join('; ') : null;
+  }
+  if (value.type === 'doc') return adfToText(value);
+  if (value.completedCycles || value.ongoingCycle) {
+    // SLA field: its current state
+    const cycles = [...(value.completedCycles || []), ...(value.ongoingCycle ? [value.ongoingCycle] : [])];
+    if (cycles.some(c => c.breached)) return 'breached';
+    return value.ongoingCycle ? 'running' : 'met';
+  }
+  if (value.displayName) return value.displayName;
+  if (value.value !== undefined) {
+    // Select lists; cascading selects carry the child option
+    return value.child ? `${value.value} / ${formatFieldValue(value.child)}` : value.value;
+  }
+  if (value.name !== undefined) return value.name;
+  if (value.key !== undefined) return value.key;
+  return JSON.stringify(value);
+}
+
+/**
+ * Configured extra fields of an issue, by configured name
+ * @param {Object} issue - Normalized Jira issue
+ * @returns {Object} name -> plain value (null when empty)
+ */
+export function extractExtraFields(issue) {
+  const fields = issue.fields || {};
+  const values = {};
+  extraFields.forEach(({ name, id }) => {
+    values[name] = formatFieldValue(fields[id]);
+  });
+  return values;
+}
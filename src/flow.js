@@ -0,0 +1,209 @@
+/**
+ * Created vs Resolved Flow
+ * Weekly and monthly throughput from metric rows: tickets created, resolved and carried over
+ * (still open at the end of the period), the net flow (created - resolved) and its trend, and
+ * when tickets arrive by weekday and hour. Periods and arrival times are in the team's local
+ * time (the roster's default timezone); weeks start on Monday.
+ *
+ * Only tickets in the metrics file are counted, so the first periods don't include tickets opened
+ * before the collection window - carried-over counts start from zero there.
+ */
+
+import { FLOW_TREND_WEEKS } from './constants.js';
+import { getSchedule } from './roster.js';
+import { getZonedParts, addLocalDays } from './timezone.js';
+import { now as clockNow } from './clock.js';
+import { median, percentile } from './stats.js';
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+// Monday first, as the weeks are
+const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+const round1 = (value) => (value === null ? null : Math.round(value * 10) / 10);
+const round2 = (value) => Math.round(value * 100) / 100;
+const pad = (n) => String(n).padStart(2, '0');
+const dayKey = ({ year, month, day }) => `${year}-${pad(month)}-${pad(day)}`;
+const dayNumber = ({ year, month, day }) => Date.UTC(year, month - 1, day) / (24 * 60 * 60 * 1000);
+
+// Monday of the local date's week
+function weekStart(localDate) {
+  return addLocalDays(localDate, -((localDate.weekday + 6) % 7));
+}
+
+// Period keys: the week's Monday (YYYY-MM-DD) or the month (YYYY-MM)
+const PERIODS = {
+  weekly: {
+    key: (localDate) => dayKey(weekStart(localDate)),
+    first: (localDate) => weekStart(localDate),
+    next: (start) => addLocalDays(start, 7),
+    label: (start) => dayKey(start)
+  },
+  monthly: {
+    key: ({ year, month }) => `${year}-${pad(month)}`,
+    first: ({ year, month }) => ({ year, month, day: 1 }),
+    next: ({ year, month }) => (month === 12 ? { year: year + 1, month: 1, day: 1 } : { year, month: month + 1, day: 1 }),
+    label: ({ year, month }) => `${year}-${pad(month)}`
+  }
+};
+
+/**
+ * Created/resolved/carried-over counts per period, from the first ticket's period to the one containing asOf
+ * @param {Array<{ created: Object, resolved: Object|null }>} tickets - Local dates
+ * @param {Object} from - Local date of the earliest ticket
+ * @param {Object} until - Local date of asOf
+ * @param {Object} period - PERIODS entry
+ */
+function countByPeriod(tickets, from, until, period) {
+  const created = new Map();
+  const resolved = new Map();
+  const bump = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+  tickets.forEach(t => {
+    bump(created, period.key(t.created));
+    if (t.resolved) bump(resolved, period.key(t.resolved));
+  });
+
+  const rows = [];
+  const lastKey = period.key(until);
+  let open = 0;
+  for (let start = period.first(from); ; start = period.next(start)) {
+    const key = period.label(start);
+    const createdCount = created.get(key) || 0;
+    const resolvedCount = resolved.get(key) || 0;
+    const end = addLocalDays(period.next(start), -1);
+    rows.push({
+      period: key,
+      start: dayKey(start),
+      end: dayKey(end),
+      created: createdCount,
+      resolved: resolvedCount,
+      netFlow: createdCount - resolvedCount,
+      openAtStart: open,
+      carriedOver: open + createdCount - resolvedCount,
+      // The period asOf falls in isn't over yet
+      inProgress: key === lastKey
+    });
+    open += createdCount - resolvedCount;
+    if (key === lastKey) break;
+  }
+  return rows;
+}
+
+// Average, median, p90 and max of per-period counts
+function describeCounts(counts) {
+  if (counts.length === 0) return { periods: 0, avg: null, median: null, p90: null, max: null };
+  const sorted = [...counts].sort((a, b) => a - b);
+  return {
+    periods: counts.length,
+    avg: round1(counts.reduce((a, b) => a + b, 0) / counts.length),
+    median: round1(median(counts)),
+    p90: round1(percentile(sorted, 90)),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+function describeThroughput(rows) {
+  const complete = rows.filter(r => !r.inProgress);
+  return {
+    created: describeCounts(complete.map(r => r.created)),
+    resolved: describeCounts(complete.map(r => r.resolved)),
+    netFlow: describeCounts(complete.map(r => r.netFlow))
+  };
+}
+
+/**
+ * Average weekly net flow over the last FLOW_TREND_WEEKS complete weeks vs the weeks before them
+ * direction: 'growing' (more arriving than resolved), 'shrinking' or 'flat'
+ */
+function netFlowTrend(weekly) {
+  const complete = weekly.filter(r => !r.inProgress);
+  const recent = complete.slice(-FLOW_TREND_WEEKS);
+  const previous = complete.slice(-2 * FLOW_TREND_WEEKS, -FLOW_TREND_WEEKS);
+  const avgNet = (rows) => (rows.length > 0 ? round1(rows.reduce((sum, r) => sum + r.netFlow, 0) / rows.length) : null);
+  const recentAvgNetFlow = avgNet(recent);
+  return {
+    weeks: recent.length,
+    recentAvgNetFlow,
+    previousAvgNetFlow: avgNet(previous),
+    direction: recentAvgNetFlow === null ? null : recentAvgNetFlow > 0 ? 'growing' : recentAvgNetFlow < 0 ? 'shrinking' : 'flat'
+  };
+}
+
+/**
+ * Arrivals per weekday and hour of day (team local time)
+ * avgPerDay divides by how many of that weekday (or how many days, for hours) the range covers.
+ */
+function arrivalStats(tickets, from, until) {
+  const weekdayCounts = Array(7).fill(0);
+  const hourCounts = Array(24).fill(0);
+  tickets.forEach(t => {
+    weekdayCounts[t.created.weekday]++;
+    hourCounts[t.created.hour]++;
+  });
+
+  const weekdayOccurrences = Array(7).fill(0);
+  const totalDays = dayNumber(until) - dayNumber(from) + 1;
+  for (let day = from, i = 0; i < totalDays; day = addLocalDays(day, 1), i++) {
+    weekdayOccurrences[day.weekday]++;
+  }
+
+  const share = (count) => (tickets.length > 0 ? ((count / tickets.length) * 100).toFixed(1) : '0.0');
+  return {
+    days: totalDays,
+    avgPerDay: round1(tickets.length / totalDays),
+    byWeekday: WEEKDAY_ORDER.map(weekday => ({
+      day: DAY_NAMES[weekday],
+      created: weekdayCounts[weekday],
+      avgPerDay: weekdayOccurrences[weekday] > 0 ? round1(weekdayCounts[weekday] / weekdayOccurrences[weekday]) : null,
+      share: share(weekdayCounts[weekday])
+    })),
+    byHour: hourCounts.map((count, hour) => ({
+      hour: `${pad(hour)}:00`,
+      created: count,
+      avgPerDay: round2(count / totalDays),
+      share: share(count)
+    }))
+  };
+}
+
+/**
+ * Created vs resolved flow for a metrics file
+ * A ticket counts as resolved at its resolutionDate (reopened tickets that are open again aren't resolved).
+ * @param {Array} metrics - Metric rows (needs created, resolutionDate)
+ * @param {Object} options - { asOf } when the data was captured (default: now)
+ * @returns {Object} { timezone, asOf, tickets, weekly, monthly, throughput: { weekly, monthly }, netFlowTrend, arrivals }
+ */
+export function calculateFlow(metrics, { asOf = null } = {}) {
+  const timezone = getSchedule().timezone;
+  const asOfDate = asOf ? new Date(asOf) : clockNow();
+  const local = (time) => getZonedParts(new Date(time), timezone);
+
+  const tickets = metrics
+    .filter(m => m.created && new Date(m.created) <= asOfDate)
+    .map(m => ({
+      created: local(m.created),
+      resolved: m.resolutionDate && new Date(m.resolutionDate) <= asOfDate ? local(m.resolutionDate) : null
+    }));
+
+  if (tickets.length === 0) {
+    return { timezone, asOf: asOfDate.toISOString(), tickets: 0, weekly: [], monthly: [], throughput: null, netFlowTrend: null, arrivals: null };
+  }
+
+  const from = tickets.reduce((earliest, t) => (dayNumber(t.created) < dayNumber(earliest) ? t.created : earliest), tickets[0].created);
+  const until = local(asOfDate);
+  const weekly = countByPeriod(tickets, from, until, PERIODS.weekly);
+  const monthly = countByPeriod(tickets, from, until, PERIODS.monthly);
+
+  return {
+    timezone,
+    asOf: asOfDate.toISOString(),
+    tickets: tickets.length,
+    weekly,
+    monthly,
+    throughput: {
+      weekly: describeThroughput(weekly),
+      monthly: describeThroughput(monthly)
+    },
+    netFlowTrend: netFlowTrend(weekly),
+    arrivals: arrivalStats(tickets, from, until)
+  };
+}
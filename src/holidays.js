@@ -0,0 +1,215 @@
+/**
+ * Holiday Calendars
+ * Loads config/holidays.json - named calendars (company-wide, per-region) whose days are
+ * excluded from business-hours SLA clocks. Each calendar is either an inline date list
+ * or a local .ics file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadEnvConfig } from './loadEnv.js';
+import { DEFAULT_HOLIDAYS_PATH } from './constants.js';
+
+const SUPPORTED_VERSION = 1;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+let cachedCalendars = null;
+
+/**
+ * Validate a parsed holidays file
+ * @param {Object} raw - Parsed holidays JSON
+ * @returns {string[]} List of problems (empty when valid)
+ */
+export function validateHolidays(raw) {
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object') {
+    return ['holidays file must be a JSON object'];
+  }
+  if (raw.version !== SUPPORTED_VERSION) {
+    errors.push(`unsupported version ${raw.version} (expected ${SUPPORTED_VERSION})`);
+  }
+  if (!raw.calendars || typeof raw.calendars !== 'object' || Array.isArray(raw.calendars)) {
+    errors.push('"calendars" must be an object of calendar name -> { dates } or { ics }');
+    return errors;
+  }
+
+  Object.entries(raw.calendars).forEach(([name, calendar]) => {
+    const label = `calendars.${name}`;
+    const hasDates = calendar && calendar.dates !== undefined;
+    const hasIcs = calendar && calendar.ics !== undefined;
+
+    if (hasDates === hasIcs) {
+      errors.push(`${label}: set exactly one of "dates" or "ics"`);
+      return;
+    }
+
+    if (hasIcs && (typeof calendar.ics !== 'string' || !calendar.ics.trim())) {
+      errors.push(`${label}: "ics" must be a file path`);
+    }
+
+    if (hasDates) {
+      if (!Array.isArray(calendar.dates)) {
+        errors.push(`${label}: "dates" must be an array`);
+        return;
+      }
+      calendar.dates.forEach((entry, i) => {
+        const date = typeof entry === 'string' ? entry : entry && entry.date;
+        if (typeof date !== 'string' || !DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date))) {
+          errors.push(`${label}.dates[${i}]: expected "YYYY-MM-DD" or { "date": "YYYY-MM-DD", "name": "..." }`);
+        }
+      });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Parse the all-day (and timed) events of an iCalendar file into date -> name
+ * Multi-day events cover every date from DTSTART up to (not including) DTEND.
+ * @param {string} text - .ics file contents
+ * @returns {Map<string, string>} 'YYYY-MM-DD' -> holiday name
+ */
+export function parseIcs(text) {
+  const days = new Map();
+  // Unfold continuation lines (RFC 5545: a line starting with space/tab continues the previous one)
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+  let event = null;
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (event && event.start) {
+        const name = event.summary || 'Holiday';
+        const end = event.end && event.end > event.start ? event.end : addDays(event.start, 1);
+        for (let d = event.start; d < end; d = addDays(d, 1)) {
+          days.set(d, name);
+        }
+      }
+      event = null;
+      continue;
+    }
+    if (!event) continue;
+
+    const separator = line.indexOf(':');
+    if (separator < 0) continue;
+    const property = line.slice(0, separator).split(';')[0].toUpperCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (property === 'DTSTART') event.start = icsDate(value);
+    else if (property === 'DTEND') event.end = icsDate(value);
+    else if (property === 'SUMMARY') event.summary = value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ');
+  }
+
+  return days;
+}
+
+// 20251127 or 20251127T000000Z -> 2025-11-27
+function icsDate(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+function addDays(isoDate, days) {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Load, validate and cache the holiday calendars
+ * A missing file is not an error - it just means no holidays are excluded.
+ * @param {string} filePath - Optional path; defaults to HOLIDAYS_PATH or config/holidays.json
+ * @returns {Map<string, Map<string, string>>} calendar name -> ('YYYY-MM-DD' -> holiday name)
+ */
+export function loadHolidayCalendars(filePath = null) {
+  const configured = filePath || loadEnvConfig().HOLIDAYS_PATH;
+  const holidaysPath = path.resolve(process.cwd(), configured || DEFAULT_HOLIDAYS_PATH);
+
+  if (!fs.existsSync(holidaysPath)) {
+    if (configured) {
+      throw new Error(`Holidays file not found: ${holidaysPath}`);
+    }
+    cachedCalendars = new Map();
+    return cachedCalendars;
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(holidaysPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to parse holidays ${holidaysPath}: ${error.message}`);
+  }
+
+  const errors = validateHolidays(raw);
+  if (errors.length > 0) {
+    throw new Error(`Invalid holidays ${holidaysPath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const calendars = new Map();
+  Object.entries(raw.calendars).forEach(([name, calendar]) => {
+    if (calendar.ics) {
+      // .ics paths are relative to the holidays file
+      const icsPath = path.resolve(path.dirname(holidaysPath), calendar.ics);
+      if (!fs.existsSync(icsPath)) {
+        throw new Error(`Holiday calendar "${name}": .ics file not found: ${icsPath}`);
+      }
+      calendars.set(name, parseIcs(fs.readFileSync(icsPath, 'utf8')));
+    } else {
+      calendars.set(name, new Map(calendar.dates.map(entry =>
+        typeof entry === 'string' ? [entry, 'Holiday'] : [entry.date, entry.name || 'Holiday']
+      )));
+    }
+  });
+
+  cachedCalendars = calendars;
+  return cachedCalendars;
+}
+
+/**
+ * Get the loaded calendars, loading the default file on first use
+ */
+export function getHolidayCalendars() {
+  return cachedCalendars || loadHolidayCalendars();
+}
+
+/**
+ * Check that every calendar the roster refers to exists
+ * @param {Object} roster - Loaded roster (see roster.js)
+ * @returns {string[]} List of problems (empty when valid)
+ */
+export function validateRosterCalendars(roster) {
+  const calendars = getHolidayCalendars();
+  const errors = [];
+  const check = (names, label) => names
+    .filter(name => !calendars.has(name))
+    .forEach(name => errors.push(`${label}: unknown holiday calendar "${name}"`));
+
+  check(roster.defaults.holidays, 'defaults');
+  roster.people.forEach(person => check(person.holidays, person.name));
+  return errors;
+}
+
+/**
+ * Holiday name for a local calendar date, if it is a holiday in any of the given calendars
+ * @param {{ year: number, month: number, day: number }} localDate - month is 1-12
+ * @param {string[]} calendarNames - Calendars that apply (e.g. ['company', 'ua'])
+ * @returns {string|null}
+ */
+export function getHoliday({ year, month, day }, calendarNames = []) {
+  if (calendarNames.length === 0) return null;
+  const calendars = getHolidayCalendars();
+  const key = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+  for (const name of calendarNames) {
+    const calendar = calendars.get(name);
+    if (calendar && calendar.has(key)) {
+      return calendar.get(key);
+    }
+  }
+  return null;
+}
@@ -0,0 +1,103 @@
+/**
+ * HTTP Request Layer
+ * GET with per-request timeouts and retries: exponential backoff with jitter for network
+ * errors and 429/5xx responses, honouring Retry-After when the server sends one.
+ * Also a small helper to run per-item requests with bounded concurrency.
+ */
+
+import axios from 'axios';
+
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Network errors and timeouts have no response; those are worth another try too
+function isRetryable(error) {
+  if (!error.response) return error.code !== 'ERR_CANCELED';
+  return RETRYABLE_STATUSES.has(error.response.status);
+}
+
+/**
+ * Delay requested by a Retry-After header (seconds or HTTP date)
+ * @returns {number|null} Milliseconds, or null when absent/unparseable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  // Jitter keeps parallel workers from retrying in lockstep
+  return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+
+/**
+ * GET a URL, retrying transient failures
+ * @param {string} url - Absolute URL
+ * @param {Object} options
+ * @param {Object} options.headers - Request headers
+ * @param {Object} options.params - Query parameters
+ * @param {number} options.timeoutMs - Per-attempt timeout (default 30s)
+ * @param {number} options.maxRetries - Retries after the first attempt (default 5)
+ * @param {number} options.baseDelayMs - First backoff delay (default 1s, doubles each retry)
+ * @param {number} options.maxDelayMs - Backoff ceiling (default 30s; Retry-After may exceed it up to 5 minutes)
+ * @param {string} options.label - What is being fetched, for log messages
+ * @returns {Promise<Object>} Axios response
+ */
+export async function getWithRetry(url, {
+  headers = {},
+  params = {},
+  timeoutMs = 30000,
+  maxRetries = 5,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  label = url
+} = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await axios.get(url, { headers, params, timeout: timeoutMs });
+    } catch (error) {
+      if (attempt > maxRetries || !isRetryable(error)) {
+        throw error;
+      }
+
+      const status = error.response ? error.response.status : (error.code || 'network error');
+      const retryAfter = error.response
+        ? parseRetryAfter(error.response.headers && error.response.headers['retry-after'])
+        : null;
+      const delay = retryAfter !== null
+        ? Math.min(retryAfter, MAX_RETRY_AFTER_MS)
+        : backoffDelay(attempt, baseDelayMs, maxDelayMs);
+
+      console.warn(`${label}: request failed (${status}), retrying in ${(delay / 1000).toFixed(1)}s (retry ${attempt}/${maxRetries})`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Run an async function over items with at most `limit` in flight
+ * @param {Array} items
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, run));
+  return results;
+}
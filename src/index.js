@@ -1,16 +1,47 @@
 import fs from 'fs';
 import path from 'path';
 import { loadEnvConfig } from './loadEnv.js';
-import { fetchIssues, fetchViaProject } from './jiraClient.js';
-import { computeMetrics, summarize } from './metrics.js';
-import { calculateSLAKPIs } from './kpi.js';
+import { fetchIssues, fetchIssueKeys, fetchViaProject, fetchFieldList, getFailedKeys, getFetchSignature, loadFullHistory, loadServiceDeskSlas } from './jiraClient.js';
+import { loadFieldCatalog, configureExtraFields } from './fieldCatalog.js';
+import { openIssueCache, mergeIssues, saveIssueCache, readCachedIssues, evictIssues } from './issueCache.js';
+import { computeMetrics } from './metrics.js';
+import { learnStatusCategories } from './resolution.js';
 import { saveKPISnapshot } from './kpiHistory.js';
-import { initializeOpsgenie, getOnCallForTimestamps } from './opsgenieClient.js';
+import { saveBacklogSnapshot } from './backlog.js';
+import { initializeOpsgenie, getOnCallForTimestamps, getScheduleTimeline } from './opsgenieClient.js';
+import { loadTeamConfig, computeRun, writeMetricsFile, writeSummaryCsv, writeDistributionCsv, writeSegmentCsv, getComputeSettings } from './pipeline.js';
+import { writeRunArchive, pruneRunArchives, getArchiveRetention } from './runArchive.js';
+import { pinClock } from './clock.js';
+import { acquireRunLock, releaseRunLock } from './runLock.js';
+import { getSegmentations } from './segments.js';
+import { DEFAULT_HOLIDAYS_PATH } from './constants.js';
 
 const cfg = loadEnvConfig();
 
 async function main() {
   ensureDataDir();
+
+  // Validate the roster and holiday calendars up front so a bad edit fails the run before any API calls
+  const { roster } = loadTeamConfig(cfg);
+
+  // Field catalog, so config can name custom fields ("Root Cause") instead of hardcoding customfield ids
+  const fieldCatalog = await loadFieldCatalog({
+    fetchFields: cfg.JIRA_DRY_RUN ? null : fetchFieldList,
+    refresh: process.argv.includes('--full-refresh')
+  });
+  if (fieldCatalog) {
+    console.log(`Field catalog: ${fieldCatalog.fields.length} fields (fetched ${fieldCatalog.fetchedAt})`);
+  }
+  const fieldErrors = configureExtraFields();
+  if (fieldErrors.length > 0) {
+    const message = `JIRA_EXTRA_FIELDS refers to unknown fields:\n  - ${fieldErrors.join('\n  - ')}`;
+    if (!cfg.JIRA_DRY_RUN) throw new Error(message);
+    console.warn(`${message}\nDry run: continuing without them`);
+  }
+  // A KPI_SEGMENTS or archive retention typo fails the run here, not after fetching
+  getSegmentations();
+  getArchiveRetention();
+
   const timestamp = new Date().toISOString().replace(/[:.]/g,'-');
   
   // Initialize Opsgenie if configured
@@ -24,20 +55,64 @@ async function main() {
   }
   
   let issues;
+  let source = 'jira';
   if (cfg.JIRA_DRY_RUN) {
+    source = 'sample';
     issues = loadSampleIssues();
     console.log('Dry run: using sample issues');
   } else {
-    issues = await fetchIssues({});
-    console.log(`Fetched ${issues.length} issues from Jira search.`);
+    // Incremental sync: only fetch issues updated since the last run, then use the merged cache
+    const cache = openIssueCache(getFetchSignature(), { fullRefresh: process.argv.includes('--full-refresh') });
+    if (cache.lastSync) {
+      console.log(`Incremental sync: fetching issues updated since ${cache.lastSync}`);
+    } else {
+      console.log(`Full sync (${cache.resetReason})`);
+    }
+    const syncStartedAt = new Date().toISOString();
+    const fetched = await fetchIssues({ updatedSince: cache.lastSync });
+    console.log(`Fetched ${fetched.length} issues from Jira search.`);
+    const changed = mergeIssues(cache, fetched);
+
+    // The updated-since search never returns issues that left the query - drop them by key
+    if (cache.lastSync) {
+      try {
+        const evicted = evictIssues(cache, await fetchIssueKeys());
+        if (evicted.length > 0) {
+          console.log(`Dropped ${evicted.length} cached issue(s) no longer matched by the query: ${evicted.join(', ')}`);
+        }
+      } catch (error) {
+        console.warn(`Couldn't list the query's issue keys, keeping every cached issue: ${error.message}`);
+      }
+    }
+
+    // Retry cached issues whose changelog/comments couldn't be fully loaded on an earlier run
+    const fetchedKeys = new Set(fetched.map(issue => issue.key));
+    const incomplete = readCachedIssues(cache).filter(issue => issue.historyIncomplete && !fetchedKeys.has(issue.key));
+    if (incomplete.length > 0) {
+      console.log(`Retrying full history for ${incomplete.length} cached issue(s)`);
+      mergeIssues(cache, await loadFullHistory(incomplete));
+    }
+
+    // Running SLA cycles keep ticking (and can breach) without the issue's `updated` changing
+    const runningSla = readCachedIssues(cache).filter(issue =>
+      !fetchedKeys.has(issue.key) && (issue.serviceDeskSla || []).some(metric => metric.ongoingCycle));
+    if (runningSla.length > 0) {
+      console.log(`Refreshing SLAs for ${runningSla.length} cached issue(s) with running SLA cycles`);
+      mergeIssues(cache, await loadServiceDeskSlas(runningSla));
+    }
+    issues = readCachedIssues(cache);
+    saveIssueCache(cache, syncStartedAt);
+    console.log(`Issue cache: ${changed} new or updated, ${issues.length} total`);
     if (issues.length === 0 && cfg.JIRA_PROJECT_KEY) {
       const fallback = await fetchViaProject({
         projectKey: cfg.JIRA_PROJECT_KEY,
         maxIssues: cfg.JIRA_MAX_ISSUES ? Number(cfg.JIRA_MAX_ISSUES) : undefined
       });
       console.log(`Project browse fallback returned ${fallback.length} issues.`);
+      source = 'project-fallback';
       
       // Compute metrics first to get assignment dates
+      learnStatusCategories(fallback);
       const fallbackMetrics = fallback.map(computeMetrics);
       
       // Filter by assignment date OR creation date
@@ -69,62 +144,85 @@ async function main() {
     }
   }
   
-  let metrics = issues.map(computeMetrics);
-  
-  // Enrich metrics with Opsgenie on-call data
+  // Opsgenie on-call timeline (fetched once - much more efficient than per-ticket lookups)
+  let shifts = null;
   if (scheduleId && cfg.OPSGENIE_API_KEY) {
     console.log('Fetching on-call schedule timeline from Opsgenie...');
-    
-    // Fetch entire schedule timeline once (much more efficient than per-ticket lookups)
-    const { getScheduleTimeline, findShiftAtTime } = await import('./opsgenieClient.js');
-    const shifts = await getScheduleTimeline(
+    shifts = await getScheduleTimeline(
       scheduleId, 
       cfg.JIRA_START_DATE, 
       cfg.JIRA_END_DATE, 
       cfg.OPSGENIE_API_KEY
     );
-    
     console.log(`Fetched ${shifts.length} on-call shifts from timeline`);
-    
-    // Add whoWasOnCall and shift boundaries to each metric
-    metrics = metrics.map(m => {
-      if (m.created) {
-        const shift = findShiftAtTime(shifts, m.created);
-        return {
-          ...m,
-          whoWasOnCall: shift.person,
-          onCallShiftStart: shift.shiftStart,
-          onCallShiftEnd: shift.shiftEnd
-        };
-      }
-      return m;
-    });
-    
-    console.log(`Enriched ${metrics.length} tickets with on-call schedule data`);
   }
-  
-  const summary = summarize(metrics);
-  
-  // Calculate KPIs before saving
-  const tempOut = { generatedAt: new Date().toISOString(), summary, metrics };
-  const kpis = calculateSLAKPIs(tempOut);
+
+  // Open tickets are measured up to this moment; the archive records it so recompute.js can replay the run
+  const capturedAt = new Date().toISOString();
+  pinClock(capturedAt);
+  const { metrics, summary, kpis } = computeRun(issues, shifts);
   const period = {
     start: cfg.JIRA_START_DATE || 'N/A',
     end: cfg.JIRA_END_DATE || 'N/A'
   };
   
   // Include KPIs and period in the output JSON
-  const out = { generatedAt: new Date().toISOString(), period, summary, metrics, kpis };
-  const jsonPath = path.join('data', `metrics-${timestamp}.json`);
-  fs.writeFileSync(jsonPath, JSON.stringify(out, null, 2));
+  const out = { generatedAt: capturedAt, period, summary, metrics, kpis };
+  const jsonPath = writeMetricsFile(timestamp, out);
   writeSummaryCsv(metrics);
+  writeDistributionCsv(summary, kpis);
+  writeSegmentCsv(kpis);
   
   // Save KPI snapshot for historical tracking
-  saveKPISnapshot(kpis, period);
+  saveKPISnapshot(kpis, period, capturedAt);
+  saveBacklogSnapshot(kpis.backlog);
+
+  // Keep the raw inputs so metric logic or roster changes can be replayed offline (npm run recompute)
+  const archiveDir = writeRunArchive(timestamp, {
+    capturedAt,
+    period,
+    source,
+    issues,
+    shifts,
+    fieldCatalog,
+    settings: {
+      fetch: cfg.JIRA_DRY_RUN ? null : getFetchSignature(),
+      ...getComputeSettings()
+    },
+    configFiles: { roster: roster.path, holidays: cfg.HOLIDAYS_PATH || DEFAULT_HOLIDAYS_PATH },
+    metricsFile: path.basename(jsonPath)
+  });
+  const pruned = pruneRunArchives();
+  if (pruned.length > 0) {
+    console.log(`Pruned ${pruned.length} old run archive(s): ${pruned.join(', ')}`);
+  }
   
-  console.log('Summary:', summary);
+  const { distributions, ...averages } = summary;
+  console.log('Summary:', averages);
   console.log('SLA Compliance Rate:', kpis.overall.complianceRate + '%');
+  console.log(`Open backlog: ${kpis.backlog.open} tickets (median age ${kpis.backlog.medianAgeDays ?? 'N/A'} days, ${kpis.backlog.stale} stale)`);
   console.log('Wrote metrics file:', jsonPath);
+  console.log('Archived raw inputs:', archiveDir);
+
+  const failed = getFailedKeys();
+  const missing = failed.filter(f => f.missing);
+  const partial = failed.filter(f => !f.missing);
+  if (missing.length > 0) {
+    console.warn(`${missing.length} issue(s) could not be fetched and are missing from this run:`);
+    missing.forEach(({ key, error }) => console.warn(`  - ${key}: ${error}`));
+  }
+  if (partial.length > 0) {
+    console.warn(`${partial.length} issue(s) have partial data (changelog, comments or SLAs failed to load):`);
+    partial.forEach(({ key, error }) => console.warn(`  - ${key}: ${error}`));
+  }
+
+  // Cached issues that weren't fetched again this run keep the flag from the run that fetched them
+  const failedKeys = new Set(failed.map(f => f.key));
+  const incompleteHistory = metrics.filter(m => m.historyIncomplete && !failedKeys.has(m.key));
+  if (incompleteHistory.length > 0) {
+    console.warn(`${incompleteHistory.length} more issue(s) have incomplete changelog/comment history from an earlier run (flagged historyIncomplete):`);
+    incompleteHistory.forEach(m => console.warn(`  - ${m.key}`));
+  }
 }
 
 function loadSampleIssues() {
@@ -136,21 +234,12 @@ function ensureDataDir() {
   if (!fs.existsSync('data')) fs.mkdirSync('data');
 }
 
-function writeSummaryCsv(metrics) {
-  const headers = [
-    'key','summary','status','assigneeCurrent','assignedBy','whoWasOnCall','created','createdTimeContext','resolutionDate','firstAssignmentTime','firstAssigneeCommentTime','openDurationMinutes','timeToResolutionMinutes','timeToFirstAssigneeCommentMinutes','businessHoursToFirstOnCallAction','businessHoursToFirstAssigneeComment'
-  ];
-  const rows = [headers.join(',')].concat(metrics.map(m => headers.map(h => escapeCsv(m[h])).join(',')));
-  fs.writeFileSync(path.join('data','latest-summary.csv'), rows.join('\n'));
-}
-
-function escapeCsv(v) {
-  if (v === null || v === undefined) return '';
-  const s = String(v);
-  return /[",\n]/.test(s) ? '"' + s.replace(/"/g,'""') + '"' : s;
-}
-
-main().catch(err => {
+// Webhook updates hold off while this run writes the metrics file and issue cache (see runLock.js)
+Promise.resolve().then(() => {
+  ensureDataDir();
+  acquireRunLock('metrics run');
+  return main();
+}).catch(err => {
   console.error('Error running metrics:', err.message);
   process.exitCode = 1;
-});
+}).finally(releaseRunLock);
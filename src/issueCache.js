@@ -0,0 +1,135 @@
+/**
+ * Local Issue Cache
+ * Keeps the raw Jira issues from earlier runs under data/cache/ so later runs only fetch
+ * issues updated since the last sync. Metrics are computed from the merged cache.
+ *
+ * Layout:
+ *   data/cache/index.json        - { version, signature, lastSync, issues: { KEY: updated } }
+ *   data/cache/issues/KEY.json   - raw issue as returned by the search API
+ *
+ * The cache is thrown away when the fetch signature (Jira URL, JQL, fields, expand) changes,
+ * or on --full-refresh. Issues that leave the query (moved, changed status, deleted) are evicted
+ * on each incremental sync (evictIssues).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { DEFAULT_CACHE_DIR } from './constants.js';
+
+const CACHE_VERSION = 1;
+
+function hashSignature(signature) {
+  return crypto.createHash('sha256').update(JSON.stringify(signature)).digest('hex');
+}
+
+function issueFile(cache, key) {
+  return path.join(cache.dir, 'issues', `${key}.json`);
+}
+
+/**
+ * Open the cache for a fetch signature
+ * @param {Object} signature - From jiraClient getFetchSignature()
+ * @param {Object} options
+ * @param {boolean} options.fullRefresh - Ignore (and clear) whatever is cached
+ * @param {string} options.cacheDir - Defaults to data/cache
+ * @param {boolean} options.reset - Clear a cache that can't be used; false just reports resetReason (webhooks)
+ * @returns {{ dir: string, signature: string, lastSync: string|null, issues: Object, resetReason: string|null }}
+ *   lastSync is null when everything has to be fetched
+ */
+export function openIssueCache(signature, { fullRefresh = false, cacheDir = DEFAULT_CACHE_DIR, reset = true } = {}) {
+  const dir = path.resolve(process.cwd(), cacheDir);
+  const hash = hashSignature(signature);
+  const indexPath = path.join(dir, 'index.json');
+
+  let index = null;
+  if (fs.existsSync(indexPath)) {
+    try {
+      index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    } catch (error) {
+      console.warn(`Ignoring unreadable issue cache index ${indexPath}: ${error.message}`);
+    }
+  }
+
+  let resetReason = null;
+  if (fullRefresh) resetReason = 'full refresh requested';
+  else if (!index) resetReason = 'no cache yet';
+  else if (index.version !== CACHE_VERSION) resetReason = `cache version ${index.version} is outdated`;
+  else if (index.signature !== hash) resetReason = 'query or field configuration changed';
+
+  if (resetReason) {
+    if (!reset) return { dir, signature: hash, lastSync: null, issues: {}, resetReason };
+    fs.rmSync(path.join(dir, 'issues'), { recursive: true, force: true });
+    return { dir, signature: hash, lastSync: null, issues: {}, resetReason };
+  }
+
+  return { dir, signature: hash, lastSync: index.lastSync || null, issues: index.issues || {}, resetReason: null };
+}
+
+/**
+ * Store fetched issues, replacing cached copies that are older
+ * @param {Object} cache - From openIssueCache
+ * @param {Array} issues - Raw Jira issues
+ * @returns {number} How many issues were added or changed
+ */
+export function mergeIssues(cache, issues) {
+  fs.mkdirSync(path.join(cache.dir, 'issues'), { recursive: true });
+
+  let changed = 0;
+  issues.forEach(issue => {
+    const updated = (issue.fields && issue.fields.updated) || null;
+    const cachedUpdated = cache.issues[issue.key];
+    if (cachedUpdated && updated && new Date(updated) < new Date(cachedUpdated)) return;
+
+    fs.writeFileSync(issueFile(cache, issue.key), JSON.stringify(issue));
+    if (cachedUpdated !== updated) changed++;
+    cache.issues[issue.key] = updated;
+  });
+  return changed;
+}
+
+/**
+ * Drop cached issues the query no longer returns
+ * @param {Object} cache - From openIssueCache
+ * @param {Set<string>} currentKeys - Every key the query matches now (jiraClient fetchIssueKeys)
+ * @returns {string[]} Evicted keys
+ */
+export function evictIssues(cache, currentKeys) {
+  const evicted = Object.keys(cache.issues).filter(key => !currentKeys.has(key));
+  evicted.forEach(key => {
+    fs.rmSync(issueFile(cache, key), { force: true });
+    delete cache.issues[key];
+  });
+  return evicted;
+}
+
+/**
+ * Write the cache index - call after a successful sync so a failed run is retried next time
+ * @param {Object} cache - From openIssueCache
+ * @param {string} syncStartedAt - ISO time the sync's search started (the next run fetches from here)
+ */
+export function saveIssueCache(cache, syncStartedAt) {
+  fs.mkdirSync(cache.dir, { recursive: true });
+  cache.lastSync = syncStartedAt;
+  const index = { version: CACHE_VERSION, signature: cache.signature, lastSync: cache.lastSync, issues: cache.issues };
+  fs.writeFileSync(path.join(cache.dir, 'index.json'), JSON.stringify(index, null, 2));
+}
+
+/**
+ * All cached issues, newest first (matching the search's ORDER BY created DESC)
+ * Entries whose file has gone missing are dropped from the index.
+ * @param {Object} cache - From openIssueCache
+ * @returns {Array} Raw Jira issues
+ */
+export function readCachedIssues(cache) {
+  const issues = [];
+  Object.keys(cache.issues).forEach(key => {
+    const file = issueFile(cache, key);
+    if (!fs.existsSync(file)) {
+      delete cache.issues[key];
+      return;
+    }
+    issues.push(JSON.parse(fs.readFileSync(file, 'utf8')));
+  });
+  return issues.sort((a, b) => new Date(b.fields.created) - new Date(a.fields.created));
+}
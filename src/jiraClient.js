@@ -1,10 +1,13 @@
-import axios from 'axios';
 import { loadEnvConfig } from './loadEnv.js';
+import { getWithRetry, mapWithConcurrency } from './httpClient.js';
+import { normalizeIssue } from './jiraNormalize.js';
 
 const {
   JIRA_BASE_URL,
   JIRA_EMAIL,
   JIRA_API_TOKEN,
+  JIRA_DEPLOYMENT,
+  JIRA_PAT,
   JIRA_JQL,
   JIRA_PROJECT_KEY,
   JIRA_ISSUE_TYPES,
@@ -12,9 +15,90 @@ const {
   JIRA_START_DATE,
   JIRA_END_DATE,
   JIRA_MAX_ISSUES,
+  JIRA_MAX_RETRIES,
+  JIRA_TIMEOUT_MS,
+  JIRA_CONCURRENCY,
+  JIRA_SERVICE_DESK_ID,
   LOG_LEVEL
 } = loadEnvConfig();
 
+// Retry/timeout settings shared by every Jira request
+const requestOptions = {
+  maxRetries: JIRA_MAX_RETRIES !== undefined && JIRA_MAX_RETRIES !== '' ? Number(JIRA_MAX_RETRIES) : 5,
+  timeoutMs: Number(JIRA_TIMEOUT_MS) || 30000
+};
+const concurrency = Number(JIRA_CONCURRENCY) || 5;
+
+// What every issue fetch asks for - part of the cache signature, so changing it invalidates the cache
+const ISSUE_FIELDS = '*all';
+const ISSUE_EXPAND = 'changelog';
+
+// JQL datetimes are read in the API user's profile timezone, which we don't know - look back a day
+// further than the last sync so nothing is missed (re-fetching a few issues is harmless)
+const UPDATED_SINCE_OVERLAP_MS = 24 * 60 * 60 * 1000;
+
+// Issues that couldn't be fetched (stage 'issue') or only partly (changelog, comments, SLA) this run:
+// key -> [{ stage, error }]
+const failedKeys = new Map();
+
+// Changelog/comment page size for the per-issue endpoints (Jira's maximum)
+const HISTORY_PAGE_SIZE = 100;
+
+// JIRA_DEPLOYMENT values; "server" is an alias for Data Center (same REST v2 API)
+const DEPLOYMENTS = { cloud: 'cloud', datacenter: 'datacenter', server: 'datacenter' };
+
+/**
+ * Which Jira flavour we talk to: 'cloud' (REST v3, email + API token) or
+ * 'datacenter' (REST v2, Personal Access Token)
+ */
+export function getDeployment() {
+  const value = (JIRA_DEPLOYMENT || 'cloud').trim().toLowerCase();
+  if (!DEPLOYMENTS[value]) {
+    throw new Error(`Unknown JIRA_DEPLOYMENT "${JIRA_DEPLOYMENT}" (expected cloud or datacenter)`);
+  }
+  return DEPLOYMENTS[value];
+}
+
+function apiBase() {
+  return `${JIRA_BASE_URL}/rest/api/${getDeployment() === 'cloud' ? 3 : 2}`;
+}
+
+function authHeaders() {
+  if (getDeployment() === 'datacenter') {
+    if (!JIRA_PAT) throw new Error('JIRA_PAT (Personal Access Token) is required when JIRA_DEPLOYMENT=datacenter');
+    return { Authorization: `Bearer ${JIRA_PAT}`, Accept: 'application/json' };
+  }
+  const auth = Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString('base64');
+  return { Authorization: `Basic ${auth}`, Accept: 'application/json' };
+}
+
+function jiraGet(url, { headers, params, label }) {
+  return getWithRetry(url, { ...requestOptions, headers, params, label: `Jira ${label}` });
+}
+
+function describeError(error) {
+  return error.response ? `HTTP ${error.response.status}` : error.message;
+}
+
+function recordFailure(key, stage, error) {
+  if (!failedKeys.has(key)) failedKeys.set(key, []);
+  failedKeys.get(key).push({ stage, error: describeError(error) });
+}
+
+/**
+ * Issues that failed to fetch, fully or in part, during this run (after retries)
+ * @returns {Array<{ key: string, error: string, missing: boolean }>}
+ *   error names each failed stage ("changelog: HTTP 503; SLA: HTTP 500");
+ *   missing is true when the issue itself couldn't be fetched (otherwise its data is partial)
+ */
+export function getFailedKeys() {
+  return [...failedKeys].map(([key, failures]) => ({
+    key,
+    error: failures.map(f => `${f.stage}: ${f.error}`).join('; '),
+    missing: failures.some(f => f.stage === 'issue')
+  }));
+}
+
 function buildJql() {
   // If explicit JQL provided, use it as-is.
   if (JIRA_JQL && JIRA_JQL.trim().length) return JIRA_JQL.trim();
@@ -38,35 +122,91 @@ function buildJql() {
   return jql + ' ORDER BY created DESC';
 }
 
-export async function fetchIssues({ maxIssues = Number(JIRA_MAX_ISSUES) || undefined }) {
-  const auth = Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString('base64');
-  const headers = { Authorization: `Basic ${auth}`, Accept: 'application/json' };
-  const jql = buildJql();
+// AND a clause onto a JQL query, keeping any ORDER BY at the end
+function andWhere(jql, clause) {
+  const [where, orderBy] = jql.split(/\s*(?=\bORDER\s+BY\b)/i);
+  const filtered = where.trim() ? `(${where.trim()}) AND ${clause}` : clause;
+  return orderBy ? `${filtered} ${orderBy.trim()}` : filtered;
+}
+
+// Add `updated >= since` to a JQL query
+function withUpdatedSince(jql, since) {
+  const from = new Date(new Date(since).getTime() - UPDATED_SINCE_OVERLAP_MS);
+  return andWhere(jql, `updated >= "${from.toISOString().slice(0, 16).replace('T', ' ')}"`);
+}
+
+/**
+ * Everything that determines which issues and fields a search returns
+ * Used by the issue cache to detect configuration changes.
+ */
+export function getFetchSignature() {
+  return {
+    // A cache filled from one Jira (or the local mock server) must not be reused for another
+    baseUrl: JIRA_BASE_URL,
+    deployment: getDeployment(),
+    jql: buildJql(),
+    fields: ISSUE_FIELDS,
+    expand: ISSUE_EXPAND,
+    maxIssues: Number(JIRA_MAX_ISSUES) || null,
+    serviceDeskId: JIRA_SERVICE_DESK_ID || null
+  };
+}
+
+/**
+ * Search issues with changelog and all fields
+ * @param {Object} options
+ * @param {number} options.maxIssues - Stop after this many issues
+ * @param {string} options.updatedSince - ISO timestamp; only fetch issues updated since then (incremental sync)
+ * @param {string[]} options.keys - Only these issues, if they still match the query (webhook updates)
+ */
+export async function fetchIssues({ maxIssues = Number(JIRA_MAX_ISSUES) || undefined, updatedSince = null, keys = null }) {
+  const headers = authHeaders();
+  let jql = updatedSince ? withUpdatedSince(buildJql(), updatedSince) : buildJql();
+  if (keys) jql = andWhere(jql, `key in (${keys.map(k => `"${k}"`).join(', ')})`);
 
   if (LOG_LEVEL === 'debug') {
     console.log('[debug] Final JQL:', jql);
   }
 
-  const pageSize = 50;
+  const all = await searchAll(jql, { headers, maxIssues, pageSize: 50, fields: ISSUE_FIELDS, expand: ISSUE_EXPAND, label: 'search' });
+  return loadServiceDeskSlas(await loadFullHistory(all));
+}
+
+/**
+ * Keys of every issue the configured query matches right now (no fields, changelogs or SLAs)
+ * The incremental sync only sees issues updated since the last run; this tells it which cached
+ * issues have left the query (moved project, changed status, deleted) since.
+ * @returns {Promise<Set<string>>}
+ */
+export async function fetchIssueKeys({ maxIssues = Number(JIRA_MAX_ISSUES) || undefined } = {}) {
+  const issues = await searchAll(buildJql(), { headers: authHeaders(), maxIssues, pageSize: 100, fields: 'created', label: 'key search' });
+  return new Set(issues.map(issue => issue.key));
+}
+
+// Every page of a search (up to maxIssues): Cloud pages /search/jql with nextPageToken,
+// Data Center pages /search with startAt
+async function searchAll(jql, { headers, maxIssues, pageSize, fields, expand = null, label }) {
+  const isCloud = getDeployment() === 'cloud';
   let all = [];
   let nextPageToken = '';
 
   while (true) {
     const remaining = maxIssues ? Math.max(0, maxIssues - all.length) : pageSize;
     const maxResults = remaining && remaining < pageSize ? remaining : pageSize;
-    const url = `${JIRA_BASE_URL}/rest/api/3/search/jql`;
+    const url = isCloud ? `${apiBase()}/search/jql` : `${apiBase()}/search`;
     const params = {
       jql,
       maxResults,
-      expand: 'changelog',
-      fields: '*all',
-      ...(nextPageToken ? { nextPageToken } : {})
+      ...(expand ? { expand } : {}),
+      fields,
+      ...(isCloud ? (nextPageToken ? { nextPageToken } : {}) : { startAt: all.length })
     };
 
-    const { data } = await axios.get(url, { headers, params });
+    const { data } = await jiraGet(url, { headers, params, label: `${label} (${all.length} fetched so far)` });
 
     if (LOG_LEVEL === 'debug') {
-      console.log(`[debug] Fetched ${data.issues.length} issues, nextPageToken: ${data.nextPageToken || 'none'}`);
+      const position = isCloud ? `nextPageToken: ${data.nextPageToken || 'none'}` : `total: ${data.total}`;
+      console.log(`[debug] Fetched ${data.issues.length} issues, ${position}`);
     }
 
     all = all.concat(data.issues);
@@ -77,8 +217,8 @@ export async function fetchIssues({ maxIssues = Number(JIRA_MAX_ISSUES) || undef
     // Stop if reached max limit
     if (maxIssues && all.length >= maxIssues) break;
 
-    // Stop if no next page token (last page)
-    if (!data.nextPageToken) break;
+    // Stop on the last page (no next page token / everything up to total fetched)
+    if (isCloud ? !data.nextPageToken : all.length >= data.total) break;
 
     nextPageToken = data.nextPageToken;
   }
@@ -86,17 +226,149 @@ export async function fetchIssues({ maxIssues = Number(JIRA_MAX_ISSUES) || undef
   return all;
 }
 
+// Fetch every page of a startAt/maxResults collection (changelog "values", "comments")
+async function fetchAllPages(url, { headers, itemsKey, label }) {
+  const items = [];
+  while (true) {
+    const params = { startAt: items.length, maxResults: HISTORY_PAGE_SIZE };
+    const { data } = await jiraGet(url, { headers, params, label: `${label} (from ${items.length})` });
+    const page = data[itemsKey] || [];
+    items.push(...page);
+    if (page.length === 0 || data.isLast === true || (typeof data.total === 'number' && items.length >= data.total)) break;
+  }
+  return items;
+}
+
+// Complete changelog for an issue: Cloud pages /changelog, Data Center has no such endpoint
+// but returns the whole changelog when the issue itself is fetched with expand=changelog
+async function fetchFullChangelog(key, headers) {
+  if (getDeployment() === 'cloud') {
+    return fetchAllPages(`${apiBase()}/issue/${key}/changelog`, { headers, itemsKey: 'values', label: `${key} changelog` });
+  }
+  const { data } = await jiraGet(`${apiBase()}/issue/${key}`, {
+    headers, params: { fields: 'created', expand: 'changelog' }, label: `${key} changelog`
+  });
+  return (data.changelog && data.changelog.histories) || [];
+}
+
+/**
+ * Fill in the changelog entries and comments Jira leaves out of issue/search responses,
+ * then normalize the issues (see jiraNormalize.js)
+ * Embedded changelogs stop at 100 histories and embedded comments at the first page; when
+ * `total` says there are more, the rest is paged in per issue.
+ * Issues whose history still couldn't be loaded get `historyIncomplete: ['changelog' | 'comments']`.
+ * @param {Array} issues - Raw Jira issues
+ * @returns {Promise<Array>} Completed, normalized issues
+ */
+export async function loadFullHistory(issues) {
+  const headers = authHeaders();
+  const deployment = getDeployment();
+
+  await mapWithConcurrency(issues, concurrency, async (issue) => {
+    const fields = issue.fields || {};
+    const missing = [];
+
+    const changelog = issue.changelog;
+    if (changelog && changelog.total > (changelog.histories || []).length) {
+      try {
+        const histories = await fetchFullChangelog(issue.key, headers);
+        issue.changelog = { startAt: 0, maxResults: histories.length, total: histories.length, histories };
+      } catch (e) {
+        console.warn(`${issue.key}: could not load full changelog (${describeError(e)})`);
+        recordFailure(issue.key, 'changelog', e);
+        missing.push('changelog');
+      }
+    }
+
+    const comment = fields.comment;
+    if (comment && comment.total > (comment.comments || []).length) {
+      try {
+        const comments = await fetchAllPages(`${apiBase()}/issue/${issue.key}/comment`, {
+          headers, itemsKey: 'comments', label: `${issue.key} comments`
+        });
+        fields.comment = { ...comment, startAt: 0, maxResults: comments.length, total: comments.length, comments };
+      } catch (e) {
+        console.warn(`${issue.key}: could not load all comments (${describeError(e)})`);
+        recordFailure(issue.key, 'comments', e);
+        missing.push('comments');
+      }
+    }
+
+    if (missing.length > 0) issue.historyIncomplete = missing;
+    else delete issue.historyIncomplete;
+  });
+
+  return issues.map(issue => normalizeIssue(issue, deployment));
+}
+
+/**
+ * Attach the named SLA metrics from the Service Management API as issue.serviceDeskSla
+ * Only when JIRA_SERVICE_DESK_ID is set; issues whose SLAs can't be loaded keep what they had
+ * (sla.js then falls back to SLA custom fields).
+ * @param {Array} issues - Normalized issues
+ * @returns {Promise<Array>} Issues with serviceDeskSla
+ */
+export async function loadServiceDeskSlas(issues) {
+  if (!JIRA_SERVICE_DESK_ID) return issues;
+  const headers = authHeaders();
+
+  return mapWithConcurrency(issues, concurrency, async (issue) => {
+    const url = `${JIRA_BASE_URL}/rest/servicedeskapi/request/${issue.key}/sla`;
+    try {
+      const values = [];
+      while (true) {
+        const { data } = await jiraGet(url, { headers, params: { start: values.length, limit: 50 }, label: `${issue.key} SLA` });
+        const page = data.values || [];
+        values.push(...page);
+        if (data.isLastPage !== false || page.length === 0) break;
+      }
+      return { ...issue, serviceDeskSla: values };
+    } catch (e) {
+      console.warn(`${issue.key}: could not load Service Management SLAs (${describeError(e)})`);
+      recordFailure(issue.key, 'SLA', e);
+      return issue;
+    }
+  });
+}
+
+/**
+ * Jira users matching a name or email (roster accountId lookup, see rosterAccounts.js)
+ * Cloud matches display names and emails (query=); Data Center usernames, names and emails (username=).
+ * @param {string} query
+ * @returns {Promise<Array>} Users, each with an accountId (the user key on Data Center)
+ */
+export async function searchUsers(query) {
+  const isCloud = getDeployment() === 'cloud';
+  const { data } = await jiraGet(`${apiBase()}/user/search`, {
+    headers: authHeaders(),
+    params: isCloud ? { query, maxResults: 20 } : { username: query, maxResults: 20 },
+    label: `user search "${query}"`
+  });
+  return (data || [])
+    // Cloud also returns app and customer accounts
+    .filter(user => !user.accountType || user.accountType === 'atlassian')
+    .map(user => (isCloud ? user : { ...user, accountId: user.key || user.name }));
+}
+
+/**
+ * Every field the Jira instance knows (system and custom), from /rest/api/{3,2}/field
+ * @returns {Promise<Array>} [{ id, key, name, custom, schema, clauseNames }]
+ */
+export async function fetchFieldList() {
+  const { data } = await jiraGet(`${apiBase()}/field`, { headers: authHeaders(), label: 'field list' });
+  return data;
+}
+
 export async function fetchViaProject({ projectKey, maxIssues = 50 }) {
   // Fallback: use /rest/api/3/project/{key}/statuses to enumerate issue keys, then fetch individually
   if (!projectKey) return [];
-  const auth = Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString('base64');
-  const headers = { Authorization: `Basic ${auth}`, Accept: 'application/json' };
+  const headers = authHeaders();
   const results = [];
   try {
     // Try paginated issue navigation endpoint
-    const navUrl = `${JIRA_BASE_URL}/rest/api/3/issue/picker`;
+    const navUrl = `${apiBase()}/issue/picker`;
     const params = { query: projectKey, currentJQL: `project = ${projectKey}`, showSubTasks: true };
-    const { data } = await axios.get(navUrl, { headers, params });
+    const { data } = await jiraGet(navUrl, { headers, params, label: 'issue picker' });
     if (LOG_LEVEL === 'debug') console.log('[debug] Issue picker returned', data.sections && data.sections.length, 'sections');
     const keys = [];
     if (data.sections) {
@@ -111,29 +383,26 @@ export async function fetchViaProject({ projectKey, maxIssues = 50 }) {
       }
     }
     // Fetch each issue individually with changelog expansion and all fields to get SLA
-    for (const key of keys.slice(0, maxIssues)) {
+    const issues = await mapWithConcurrency(keys.slice(0, maxIssues), concurrency, async (key) => {
+      const issueUrl = `${apiBase()}/issue/${key}`;
       try {
-        const issueUrl = `${JIRA_BASE_URL}/rest/api/3/issue/${key}`;
-        const issParams = {
-          fields: '*all',
-          expand: 'changelog'
-        };
-        const { data: issue } = await axios.get(issueUrl, { headers, params: issParams });
-        results.push(issue);
+        const { data: issue } = await jiraGet(issueUrl, { headers, params: { fields: ISSUE_FIELDS, expand: ISSUE_EXPAND }, label: key });
+        return issue;
       } catch (e) {
         if (LOG_LEVEL === 'debug') console.log('[debug] Failed fetching', key, e.message);
         // Retry without changelog if it fails
         try {
-          const issParams = { fields: '*all' };
-          const { data: issue } = await axios.get(issueUrl, { headers, params: issParams });
-          results.push(issue);
+          const { data: issue } = await jiraGet(issueUrl, { headers, params: { fields: ISSUE_FIELDS }, label: key });
+          return issue;
         } catch (e2) {
-          if (LOG_LEVEL === 'debug') console.log('[debug] Retry without changelog also failed for', key);
+          recordFailure(key, 'issue', e2);
+          return null;
         }
       }
-    }
+    });
+    results.push(...issues.filter(Boolean));
   } catch (e) {
-    if (LOG_LEVEL === 'debug') console.log('[debug] Project browse fallback error:', e.message);
+    console.warn('Project browse fallback failed:', describeError(e));
   }
-  return results;
+  return loadServiceDeskSlas(await loadFullHistory(results));
 }
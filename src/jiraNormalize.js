@@ -0,0 +1,105 @@
+/**
+ * Jira Issue Normalization
+ * Cloud (REST v3) and Data Center / Server (REST v2) return slightly different issue shapes.
+ * Everything leaving jiraClient.js goes through normalizeIssue() so computeMetrics sees one shape:
+ *   - changelog.histories newest first, comments oldest first
+ *   - every user has an accountId (Data Center users get their user key / username)
+ *   - every comment has a plain-text bodyText (from ADF on Cloud, wiki markup on Data Center)
+ *   - every comment has jsdPublic: false only for Service Management internal notes
+ */
+
+/**
+ * Plain text of an Atlassian Document Format node (Cloud comment bodies)
+ */
+export function adfToText(node) {
+  if (!node) return '';
+  if (typeof node === 'string') return node;
+
+  switch (node.type) {
+    case 'text':
+      return node.text || '';
+    case 'hardBreak':
+      return '\n';
+    case 'mention':
+      return (node.attrs && node.attrs.text) || '';
+    case 'emoji':
+      return (node.attrs && (node.attrs.text || node.attrs.shortName)) || '';
+    case 'inlineCard':
+      return (node.attrs && node.attrs.url) || '';
+    default: {
+      const children = (node.content || []).map(adfToText);
+      // Block nodes (paragraphs, list items, headings...) go on their own lines
+      const isInline = (node.content || []).every(child => ['text', 'hardBreak', 'mention', 'emoji', 'inlineCard'].includes(child.type));
+      return children.join(isInline ? '' : '\n').trim();
+    }
+  }
+}
+
+/**
+ * Plain text of a Jira wiki-markup string (Data Center comment bodies)
+ * Covers the markup people actually type in comments; anything unrecognised is left as-is.
+ */
+export function wikiToText(markup) {
+  if (typeof markup !== 'string') return '';
+  return markup
+    .replace(/\{\{(.+?)\}\}/g, '$1')                           // {{monospace}}
+    .replace(/\{(code|noformat|quote|panel)(:[^}]*)?\}/g, '')   // block macros
+    .replace(/\{color(:[^}]*)?\}/g, '')
+    .replace(/!([^!\n|]+)(\|[^!\n]*)?!/g, '')                  // embedded images
+    .replace(/\[~([^\]]+)\]/g, '@$1')                          // user mentions
+    .replace(/\[([^|\]]+)\|([^\]]+)\]/g, '$1')                 // [text|link]
+    .replace(/\[([^\]]+)\]/g, '$1')                            // [link]
+    .replace(/^\s*(h[1-6]|bq)\.\s+/gm, '')                     // headings, block quotes
+    .replace(/^\s*[*#-]+\s+/gm, '')                            // list bullets
+    .replace(/(^|[\s(])([*_+^~-]|\?\?)(\S(?:.*?\S)?)\2(?=[\s).,!?:;]|$)/gm, '$1$3') // *bold* _italic_ -strike- ...
+    .replace(/\\\\/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Service Management internal notes: jsdPublic on Cloud, the sd.public.comment property on Data Center
+// (only present when comments are fetched with expand=properties). Other projects have no internal comments.
+function isPublicComment(comment) {
+  if (typeof comment.jsdPublic === 'boolean') return comment.jsdPublic;
+  const property = (comment.properties || []).find(p => p.key === 'sd.public.comment');
+  return !(property && property.value && property.value.internal);
+}
+
+function normalizeUser(user, deployment) {
+  if (!user || typeof user !== 'object' || deployment === 'cloud' || user.accountId) return user;
+  return { ...user, accountId: user.key || user.name };
+}
+
+/**
+ * Normalize an issue from either deployment (returns a new object)
+ * @param {Object} issue - Raw issue from search or /issue/{key}
+ * @param {string} deployment - 'cloud' or 'datacenter'
+ */
+export function normalizeIssue(issue, deployment) {
+  const fields = { ...(issue.fields || {}) };
+  ['assignee', 'reporter', 'creator'].forEach(name => {
+    if (fields[name]) fields[name] = normalizeUser(fields[name], deployment);
+  });
+
+  if (fields.comment) {
+    const comments = (fields.comment.comments || [])
+      .map(c => ({
+        ...c,
+        author: normalizeUser(c.author, deployment),
+        updateAuthor: normalizeUser(c.updateAuthor, deployment),
+        bodyText: typeof c.body === 'string' ? wikiToText(c.body) : adfToText(c.body),
+        jsdPublic: isPublicComment(c)
+      }))
+      .sort((a, b) => new Date(a.created) - new Date(b.created));
+    fields.comment = { ...fields.comment, comments };
+  }
+
+  const normalized = { ...issue, fields };
+  if (issue.changelog) {
+    const histories = (issue.changelog.histories || [])
+      .map(h => ({ ...h, author: normalizeUser(h.author, deployment) }))
+      .sort((a, b) => new Date(b.created) - new Date(a.created));
+    normalized.changelog = { ...issue.changelog, histories };
+  }
+  return normalized;
+}
@@ -0,0 +1,270 @@
+/**
+ * Jira Webhook Ingestion
+ * Keeps the dashboard near-live between batch runs. server.js hands POST /webhooks/jira here:
+ * issue created/updated and comment events queue the issue, which is refetched from Jira (full
+ * changelog, comments and SLAs - webhook payloads only carry the change), stored in the issue cache,
+ * and its metrics row plus the summary and KPIs in the latest data/metrics-*.json are recomputed.
+ *
+ * Requests must prove they know JIRA_WEBHOOK_SECRET, either:
+ *   - X-Hub-Signature: sha256=<HMAC of the body> (Jira Cloud webhooks registered with a secret), or
+ *   - the secret itself in an X-Webhook-Secret header or ?secret= (Data Center, Automation rules)
+ *
+ * Updates are applied one batch at a time; repeated events for a queued issue are coalesced.
+ * The batch run stays authoritative: it writes a fresh metrics file and the KPI history snapshot.
+ * While a batch run or recompute holds the run lock (runLock.js), including one started from
+ * /api/run-metrics, updates stay queued and are applied to the new metrics file once it finishes.
+ * With JIRA_DRY_RUN=true (sample data, no Jira API) events are acknowledged and ignored.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { loadEnvConfig } from './loadEnv.js';
+import { fetchIssues, getFetchSignature } from './jiraClient.js';
+import { openIssueCache, mergeIssues, saveIssueCache } from './issueCache.js';
+import { loadFieldCatalog, configureExtraFields } from './fieldCatalog.js';
+import { loadTeamConfig, withOnCall, summarizeRun, writeFileAtomic } from './pipeline.js';
+import { readRunArchive } from './runArchive.js';
+import { getRunInProgress } from './runLock.js';
+import { computeMetrics } from './metrics.js';
+import { learnStatusCategory, learnStatusCategories } from './resolution.js';
+
+const cfg = loadEnvConfig();
+
+const HANDLED_EVENTS = ['jira:issue_created', 'jira:issue_updated', 'comment_created', 'comment_updated', 'comment_deleted'];
+const ISSUE_KEY_PATTERN = /^[A-Z][A-Z0-9_]*-\d+$/i;
+// Keys per Jira search when a burst of events has queued up
+const MAX_KEYS_PER_FETCH = 50;
+// How often queued updates check whether a metrics run has finished
+const RUN_WAIT_MS = 30000;
+const DATA_DIR = 'data';
+
+const pendingKeys = new Set();
+let draining = null;
+let teamConfigLoaded = false;
+// Opsgenie timeline of the run behind the latest metrics file: { runId, shifts }
+let archivedShifts = null;
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Check a webhook request against JIRA_WEBHOOK_SECRET
+ * @param {Object} request
+ * @param {Object} request.headers - Lower-cased request headers
+ * @param {URLSearchParams} request.query - URL query parameters
+ * @param {Buffer} request.rawBody - Body exactly as received (the HMAC covers these bytes)
+ * @param {string} secret - Defaults to JIRA_WEBHOOK_SECRET
+ * @returns {boolean}
+ */
+export function verifyWebhookRequest({ headers, query, rawBody }, secret = cfg.JIRA_WEBHOOK_SECRET) {
+  if (!secret) return false;
+
+  const signature = headers['x-hub-signature'];
+  if (signature) {
+    const [algorithm, digest] = String(signature).split('=');
+    if (algorithm !== 'sha256' || !digest) return false;
+    return safeEqual(crypto.createHmac('sha256', secret).update(rawBody).digest('hex'), digest);
+  }
+
+  const token = headers['x-webhook-secret'] || (query && query.get('secret'));
+  return Boolean(token) && safeEqual(token, secret);
+}
+
+/**
+ * The issue a webhook event is about
+ * @param {Object} payload - Parsed webhook body
+ * @returns {{ key: string|null, event: string, ignored: string|null }} ignored says why nothing will happen
+ */
+export function parseWebhookEvent(payload) {
+  const event = (payload && payload.webhookEvent) || 'unknown';
+  if (!HANDLED_EVENTS.includes(event)) return { key: null, event, ignored: `event ${event} isn't handled` };
+
+  const key = payload.issue && payload.issue.key;
+  if (!key || !ISSUE_KEY_PATTERN.test(key)) return { key: null, event, ignored: 'no valid issue key in payload' };
+  return { key: key.toUpperCase(), event, ignored: null };
+}
+
+/**
+ * Queue an issue for refetch and recompute (returns immediately)
+ * @param {string} key - Issue key
+ */
+export function queueIssueUpdate(key) {
+  pendingKeys.add(key);
+  if (!draining) {
+    draining = drainQueue().finally(() => { draining = null; });
+  }
+}
+
+/**
+ * Resolves once every queued update has been applied
+ */
+export function whenIdle() {
+  return draining || Promise.resolve();
+}
+
+async function drainQueue() {
+  let waitingFor = null;
+  while (pendingKeys.size > 0) {
+    const running = getRunInProgress();
+    if (running) {
+      if (!waitingFor) {
+        console.log(`Webhook: ${running.label} in progress - holding ${pendingKeys.size} update(s) until it finishes`);
+      }
+      waitingFor = running;
+      await new Promise(resolve => setTimeout(resolve, RUN_WAIT_MS));
+      continue;
+    }
+    waitingFor = null;
+
+    const keys = [...pendingKeys].slice(0, MAX_KEYS_PER_FETCH);
+    keys.forEach(key => pendingKeys.delete(key));
+    try {
+      await applyIssueUpdates(keys);
+    } catch (error) {
+      console.warn(`Webhook update for ${keys.join(', ')} failed: ${error.message}`);
+    }
+  }
+}
+
+// Roster, holidays and extra fields, loaded on the first update (the server runs without them otherwise)
+async function ensureTeamConfig() {
+  if (teamConfigLoaded) return;
+  loadTeamConfig(cfg);
+  await loadFieldCatalog();
+  const fieldErrors = configureExtraFields();
+  if (fieldErrors.length > 0) {
+    console.warn(`JIRA_EXTRA_FIELDS can't be resolved (continuing without them):\n  - ${fieldErrors.join('\n  - ')}`);
+  }
+  teamConfigLoaded = true;
+}
+
+function latestMetricsFile() {
+  if (!fs.existsSync(DATA_DIR)) return null;
+  const files = fs.readdirSync(DATA_DIR)
+    .filter(f => f.startsWith('metrics-') && f.endsWith('.json'))
+    .sort()
+    .reverse();
+  return files.length > 0 ? path.join(DATA_DIR, files[0]) : null;
+}
+
+// Opsgenie shifts archived with the run that wrote this metrics file (null when there are none)
+function shiftsForRun(file) {
+  const runId = path.basename(file, '.json').replace(/^metrics-/, '');
+  if (!archivedShifts || archivedShifts.runId !== runId) {
+    let shifts = null;
+    try {
+      shifts = readRunArchive(runId).shifts;
+    } catch (error) {
+      // Runs from before archiving, or a pruned archive - on-call fields are carried over instead
+    }
+    archivedShifts = { runId, shifts };
+  }
+  return archivedShifts.shifts;
+}
+
+// Put keys back in the queue, to be applied after the metrics run that is writing new files
+function requeue(keys, reason) {
+  console.log(`Webhook: ${reason} - ${keys.join(', ')} queued again`);
+  keys.forEach(key => pendingKeys.add(key));
+}
+
+// Recompute the given tickets' rows and the KPIs in the latest metrics file
+function updateMetricsFile(issues) {
+  const file = latestMetricsFile();
+  if (!file) {
+    console.log('Webhook: no metrics file yet - cached issues will be picked up by the next metrics run');
+    return;
+  }
+
+  const readAt = fs.statSync(file).mtimeMs;
+  const out = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const shifts = shiftsForRun(file);
+  const rows = new Map((out.metrics || []).map(m => [m.key, m]));
+  // Every ticket's status category before computing any row, so the changed ones' history is judged
+  // as in the batch run (the refetched issues last: their statuses are the newest)
+  (out.metrics || []).forEach(m => learnStatusCategory(m.status, m.statusCategory));
+  learnStatusCategories(issues);
+
+  issues.forEach(issue => {
+    let row = computeMetrics(issue);
+    const previous = rows.get(issue.key);
+    if (shifts) {
+      row = withOnCall(row, shifts);
+    } else if (previous && previous.whoWasOnCall !== undefined) {
+      row = {
+        ...row,
+        whoWasOnCall: previous.whoWasOnCall,
+        whoWasOnCallName: previous.whoWasOnCallName,
+        onCallShiftStart: previous.onCallShiftStart,
+        onCallShiftEnd: previous.onCallShiftEnd
+      };
+    }
+    rows.set(issue.key, row);
+  });
+
+  const metrics = [...rows.values()].sort((a, b) => new Date(b.created) - new Date(a.created));
+  const { summary, kpis } = summarizeRun(metrics);
+  const liveUpdatedKeys = [...new Set([...(out.liveUpdatedKeys || []), ...issues.map(issue => issue.key)])];
+
+  // A metrics run or recompute may have started (or finished) while this was computed
+  const keys = issues.map(issue => issue.key);
+  if (getRunInProgress()) {
+    requeue(keys, 'a metrics run started');
+    return;
+  }
+  if (latestMetricsFile() !== file || fs.statSync(file).mtimeMs !== readAt) {
+    requeue(keys, `${file} changed while updating`);
+    return;
+  }
+
+  writeFileAtomic(file, JSON.stringify({
+    ...out,
+    summary,
+    metrics,
+    kpis,
+    liveUpdatedAt: new Date().toISOString(),
+    liveUpdatedKeys
+  }, null, 2));
+  console.log(`Webhook: updated ${issues.map(issue => issue.key).join(', ')} in ${file} (SLA compliance ${kpis.overall.complianceRate}%)`);
+}
+
+/**
+ * Refetch issues, store them in the issue cache and recompute their metrics
+ * Issues that don't match the configured query (other projects, types, dates) are ignored.
+ * @param {string[]} keys - Issue keys
+ */
+export async function applyIssueUpdates(keys) {
+  if (cfg.JIRA_DRY_RUN) {
+    console.log(`Webhook: JIRA_DRY_RUN is set - ignoring ${keys.join(', ')}`);
+    return;
+  }
+  await ensureTeamConfig();
+
+  // Never clear the cache from here - if the configuration changed, the next batch run rebuilds it
+  const cache = openIssueCache(getFetchSignature(), { reset: false });
+  if (cache.resetReason) {
+    console.warn(`Webhook: issue cache can't be used (${cache.resetReason}) - ${keys.join(', ')} left for the next metrics run`);
+    return;
+  }
+
+  const issues = await fetchIssues({ keys, maxIssues: keys.length });
+  const fetchedKeys = new Set(issues.map(issue => issue.key));
+  const skipped = keys.filter(key => !fetchedKeys.has(key));
+  if (skipped.length > 0) {
+    console.log(`Webhook: ignoring ${skipped.join(', ')} (not matched by the configured query)`);
+  }
+  if (issues.length === 0) return;
+  if (getRunInProgress()) {
+    requeue(keys, 'a metrics run started');
+    return;
+  }
+
+  mergeIssues(cache, issues);
+  // Keep lastSync: the next batch run still fetches everything updated since the last full sync
+  saveIssueCache(cache, cache.lastSync);
+  updateMetricsFile(issues);
+}
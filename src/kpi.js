@@ -2,36 +2,39 @@
  * KPI Calculator for SLA Performance Metrics
  */
 
-import { calculateBusinessMinutes, isOutsideBusinessHours, getCreatedTimeContext } from './businessHours.js';
-import { ON_CALL_MANAGERS, SLA_RESPONDERS } from './constants.js';
+import { isOutsideBusinessHours, getCreatedTimeContext } from './businessHours.js';
+import { calculatePausedMinutes, calculateSlaBusinessMinutes } from './slaPause.js';
+import { resolvePerson, isOnCallManager, hasRole, getPersonId, getDisplayName, getSchedule } from './roster.js';
+import { getZonedParts } from './timezone.js';
+import { ROLES } from './constants.js';
+import { getResponseGoalMinutes, getPrimarySlaName, getResponseType } from './sla.js';
+import { now as clockNow } from './clock.js';
+import { getInProgressStatuses } from './statusTime.js';
+import { getHandoffs } from './assigneeChain.js';
+import { calculateBacklog } from './backlog.js';
+import { calculateSegmentKPIs } from './segments.js';
+import { describeDistribution, median, average } from './stats.js';
 
 export function calculateSLAKPIs(metricsData) {
   const { metrics } = metricsData;
+  // Any first action, or only customer-visible replies (SLA_RESPONSE_TYPE)
+  const responseType = getResponseType();
 
   // Overall SLA Performance
   const totalTickets = metrics.length;
-  const ticketsWithSLA = metrics.filter(m => m.sla && m.sla.length > 0);
+  // Only tickets with a response SLA (JIRA_SLA_NAME) that has a goal are judged; others have "no response SLA"
+  const ticketsWithSLA = metrics.filter(m => getResponseGoalMinutes(m.sla) !== null);
+  const ticketsWithoutResponseSla = metrics.filter(m => m.sla && m.sla.length > 0).length - ticketsWithSLA.length;
 
   // Calculate SLA compliance
   // Track BOTH on-call manager response AND assignee response
   const slaResults = [];
 
-  // Email to name mapping for whoWasOnCall
-  const emailToName = {
-    'bgoldberg': 'Brad Goldberg',
-    'jmaciorowski': 'Jeff Maciorowski',
-    'atakkar': 'Akshay Vijay Takkar',
-    'akshay.takkar': 'Akshay Vijay Takkar',  // Opsgenie format
-    'gsemenenko': 'Grigoriy Semenenko',
-    'rdahl': 'Randy Dahl',
-    'esuhov': 'Evgeniy Suhov',
-    'mkuklin': 'Max Kuklin'
-  };
-
   ticketsWithSLA.forEach(ticket => {
-    const sla = ticket.sla[0]; // First SLA entry
-    const goalHours = sla.goalDuration / (1000 * 60 * 60);
-    const goalMinutes = goalHours * 60;
+    const response = responsePoints(ticket, responseType);
+    const goalMinutes = getResponseGoalMinutes(ticket.sla); // Response SLA by name (JIRA_SLA_NAME)
+    // SLA clocks stop while the ticket sits in a pause status (see slaPause.js)
+    const pauseIntervals = ticket.pauseIntervals || [];
 
     // Check if ticket was created outside business hours
     const createdOutsideHours = isOutsideBusinessHours(ticket.created);
@@ -40,16 +43,18 @@ export function calculateSLAKPIs(metricsData) {
     // Track the on-call person (who was actually on-call when ticket was created)
     const whoWasOnCall = ticket.whoWasOnCall;
     if (whoWasOnCall && !whoWasOnCall.startsWith('[')) {
-      const onCallPerson = emailToName[whoWasOnCall] || whoWasOnCall;
-      if (ON_CALL_MANAGERS.includes(onCallPerson)) {
-        const onCallResponseMinutes = ticket.timeToFirstOnCallActionMinutes;
+      // Opsgenie gives an email prefix - resolve it to a roster person (grouped by roster id)
+      const onCallEntry = resolvePerson(ticket.whoWasOnCallName || whoWasOnCall);
+      if (onCallEntry && isOnCallManager(onCallEntry.id)) {
+        const onCallPerson = onCallEntry.name;
+        const onCallResponseMinutes = response.onCallMinutes;
         const shiftStart = ticket.onCallShiftStart ? new Date(ticket.onCallShiftStart) : null;
         const shiftEnd = ticket.onCallShiftEnd ? new Date(ticket.onCallShiftEnd) : null;
 
         if (onCallResponseMinutes === null) {
           // No response yet - check if still during their shift or if shift has ended
           const createdDate = new Date(ticket.created);
-          const now = new Date();
+          const now = clockNow();
 
           // Determine when accountability starts: shift start if ticket created before shift, otherwise creation time
           const accountabilityStart = shiftStart && createdDate < shiftStart ? shiftStart : createdDate;
@@ -57,10 +62,12 @@ export function calculateSLAKPIs(metricsData) {
           // If we have shift boundaries, check if response should have happened during shift
           if (shiftEnd && now > shiftEnd) {
             // Shift ended without response - measure time from accountability start to shift end
-            const shiftDurationMinutes = (shiftEnd - accountabilityStart) / (1000 * 60);
+            const shiftDurationMinutes = (shiftEnd - accountabilityStart) / (1000 * 60) -
+              calculatePausedMinutes(pauseIntervals, accountabilityStart, shiftEnd);
             slaResults.push({
               ticket: ticket.key,
               manager: onCallPerson,
+              personId: onCallEntry.id,
               role: 'on-call',
               met: false, // No response during shift = breach
               responseMinutes: null,
@@ -75,10 +82,11 @@ export function calculateSLAKPIs(metricsData) {
             });
           } else {
             // Still during shift or no shift data - measure business hours from accountability start
-            const businessMinutes = calculateBusinessMinutes(accountabilityStart, now, onCallPerson);
+            const businessMinutes = calculateSlaBusinessMinutes(accountabilityStart, now, onCallPerson, pauseIntervals);
             slaResults.push({
               ticket: ticket.key,
               manager: onCallPerson,
+              personId: onCallEntry.id,
               role: 'on-call',
               met: businessMinutes <= goalMinutes,
               responseMinutes: null,
@@ -95,7 +103,7 @@ export function calculateSLAKPIs(metricsData) {
         } else {
           // Has response - check if it was during their shift
           const createdDate = new Date(ticket.created);
-          const responseDate = new Date(ticket.firstOnCallActionTime);
+          const responseDate = new Date(response.onCallTime);
 
           // Determine when accountability starts: shift start if ticket created before shift, otherwise creation time
           const accountabilityStart = shiftStart && createdDate < shiftStart ? shiftStart : createdDate;
@@ -104,10 +112,12 @@ export function calculateSLAKPIs(metricsData) {
           if (shiftEnd && responseDate > shiftEnd) {
             // Responded after shift ended - breach (passed to next person)
             // Measure time from accountability start to shift end
-            const shiftDurationMinutes = (shiftEnd - accountabilityStart) / (1000 * 60);
+            const shiftDurationMinutes = (shiftEnd - accountabilityStart) / (1000 * 60) -
+              calculatePausedMinutes(pauseIntervals, accountabilityStart, shiftEnd);
             slaResults.push({
               ticket: ticket.key,
               manager: onCallPerson,
+              personId: onCallEntry.id,
               role: 'on-call',
               met: false, // Responded after shift = breach
               responseMinutes: onCallResponseMinutes,
@@ -123,11 +133,12 @@ export function calculateSLAKPIs(metricsData) {
           } else {
             // Responded during shift - calculate business hours from accountability start
             const effectiveResponseTime = shiftEnd && responseDate > shiftEnd ? shiftEnd : responseDate;
-            const businessMinutes = calculateBusinessMinutes(accountabilityStart, effectiveResponseTime, onCallPerson);
+            const businessMinutes = calculateSlaBusinessMinutes(accountabilityStart, effectiveResponseTime, onCallPerson, pauseIntervals);
 
             slaResults.push({
               ticket: ticket.key,
               manager: onCallPerson,
+              personId: onCallEntry.id,
               role: 'on-call',
               met: businessMinutes <= goalMinutes,
               responseMinutes: onCallResponseMinutes,
@@ -148,8 +159,9 @@ export function calculateSLAKPIs(metricsData) {
     // Track ALL assignee responses (not just on-call managers)
     // This tracks how well developers respond to and resolve tickets after assignment
     if (ticket.assigneeCurrent && ticket.firstAssignmentTime) {
-      const assignee = ticket.assigneeCurrent;
-      const assigneeResponseMinutes = ticket.timeToFirstAssigneeCommentMinutes;
+      const assignee = getDisplayName(ticket.assigneeCurrent);
+      const assigneeId = ticket.assigneeId || getPersonId(ticket.assigneeCurrent);
+      const assigneeResponseMinutes = response.assigneeMinutes;
       const assignmentOutsideHours = isOutsideBusinessHours(ticket.firstAssignmentTime);
       const assignmentContext = getCreatedTimeContext(ticket.firstAssignmentTime);
 
@@ -159,11 +171,12 @@ export function calculateSLAKPIs(metricsData) {
           // Resolved without comment - consider it as implicit response
           const assignmentDate = new Date(ticket.firstAssignmentTime);
           const resolutionDate = new Date(ticket.resolutionDate);
-          const businessMinutes = calculateBusinessMinutes(assignmentDate, resolutionDate, assignee);
+          const businessMinutes = calculateSlaBusinessMinutes(assignmentDate, resolutionDate, assignee, pauseIntervals);
           const actualMinutes = (resolutionDate - assignmentDate) / (1000 * 60);
           slaResults.push({
             ticket: ticket.key,
             manager: assignee,
+            personId: assigneeId,
             role: 'assignee',
             met: businessMinutes <= goalMinutes,
             responseMinutes: actualMinutes,
@@ -178,12 +191,13 @@ export function calculateSLAKPIs(metricsData) {
         } else {
           // Not resolved and no comment - needs attention!
           const assignmentDate = new Date(ticket.firstAssignmentTime);
-          const now = new Date();
-          const businessMinutes = calculateBusinessMinutes(assignmentDate, now, assignee);
+          const now = clockNow();
+          const businessMinutes = calculateSlaBusinessMinutes(assignmentDate, now, assignee, pauseIntervals);
           const actualMinutes = (now - assignmentDate) / (1000 * 60);
           slaResults.push({
             ticket: ticket.key,
             manager: assignee,
+            personId: assigneeId,
             role: 'assignee',
             met: businessMinutes <= goalMinutes,
             responseMinutes: null,
@@ -199,11 +213,12 @@ export function calculateSLAKPIs(metricsData) {
       } else {
         // Has comment - check response time
         const assignmentDate = new Date(ticket.firstAssignmentTime);
-        const responseDate = new Date(ticket.firstAssigneeCommentTime);
-        const businessMinutes = calculateBusinessMinutes(assignmentDate, responseDate, assignee);
+        const responseDate = new Date(response.assigneeTime);
+        const businessMinutes = calculateSlaBusinessMinutes(assignmentDate, responseDate, assignee, pauseIntervals);
         slaResults.push({
           ticket: ticket.key,
           manager: assignee,
+          personId: assigneeId,
           role: 'assignee',
           met: businessMinutes <= goalMinutes,
           responseMinutes: assigneeResponseMinutes,
@@ -253,88 +268,96 @@ export function calculateSLAKPIs(metricsData) {
 
   // Manager-level performance (COMBINED - both roles)
   const managerPerformance = {};
+  // Keyed by canonical person id so a display name change doesn't split someone in two
   slaResults.forEach(result => {
-    if (!managerPerformance[result.manager]) {
-      managerPerformance[result.manager] = { met: 0, breached: 0, pending: 0, total: 0 };
+    if (!managerPerformance[result.personId]) {
+      managerPerformance[result.personId] = { manager: result.manager, met: 0, breached: 0, pending: 0, total: 0 };
     }
-    managerPerformance[result.manager].total++;
+    managerPerformance[result.personId].total++;
     if (result.status === 'pending') {
-      managerPerformance[result.manager].pending++;
+      managerPerformance[result.personId].pending++;
     } else if (result.met) {
-      managerPerformance[result.manager].met++;
+      managerPerformance[result.personId].met++;
     } else {
-      managerPerformance[result.manager].breached++;
+      managerPerformance[result.personId].breached++;
     }
   });
 
   // Calculate compliance rate for each manager (combined)
-  const managerKPIs = Object.entries(managerPerformance).map(([manager, stats]) => ({
-    manager,
+  const managerKPIs = Object.entries(managerPerformance).map(([personId, stats]) => ({
+    personId,
     ...stats,
     complianceRate: stats.total > 0 ? ((stats.met / stats.total) * 100).toFixed(1) : 0,
-    avgResponseTime: calculateAvgResponseTime(slaResults.filter(r => r.manager === manager))
+    avgResponseTime: calculateAvgResponseTime(slaResults.filter(r => r.personId === personId)),
+    responseTimeStats: calculateResponseTimeStats(slaResults.filter(r => r.personId === personId))
   })).sort((a, b) => b.complianceRate - a.complianceRate);
 
   // ON-CALL performance (first response to new tickets)
   const onCallPerformance = {};
   onCallResults.forEach(result => {
-    if (!onCallPerformance[result.manager]) {
-      onCallPerformance[result.manager] = { met: 0, breached: 0, pending: 0, total: 0 };
+    if (!onCallPerformance[result.personId]) {
+      onCallPerformance[result.personId] = { manager: result.manager, met: 0, breached: 0, pending: 0, total: 0 };
     }
-    onCallPerformance[result.manager].total++;
+    onCallPerformance[result.personId].total++;
     if (result.status === 'pending') {
-      onCallPerformance[result.manager].pending++;
+      onCallPerformance[result.personId].pending++;
     } else if (result.met) {
-      onCallPerformance[result.manager].met++;
+      onCallPerformance[result.personId].met++;
     } else {
-      onCallPerformance[result.manager].breached++;
+      onCallPerformance[result.personId].breached++;
     }
   });
 
-  const onCallManagerKPIs = Object.entries(onCallPerformance).map(([manager, stats]) => ({
-    manager,
+  const onCallManagerKPIs = Object.entries(onCallPerformance).map(([personId, stats]) => ({
+    personId,
     ...stats,
     complianceRate: stats.total > 0 ? ((stats.met / stats.total) * 100).toFixed(1) : 0,
-    avgResponseTime: calculateAvgResponseTime(onCallResults.filter(r => r.manager === manager && (r.status === 'responded' || r.status === 'resolved')))
+    avgResponseTime: calculateAvgResponseTime(onCallResults.filter(r => r.personId === personId && (r.status === 'responded' || r.status === 'resolved'))),
+    responseTimeStats: calculateResponseTimeStats(onCallResults.filter(r => r.personId === personId && (r.status === 'responded' || r.status === 'resolved')))
   })).sort((a, b) => b.complianceRate - a.complianceRate);
 
   // DEVELOPER performance (response and resolution after being assigned)
   const developerPerformance = {};
   const allTicketsByAssignee = {}; // Track ALL tickets (not just SLA ones)
 
-  // People to exclude from developer stats (non-developers)
-  const EXCLUDED_FROM_STATS = ['Katelyn Schuh'];
-
   // Build comprehensive assignee stats from all metrics
   metrics.forEach(ticket => {
     if (ticket.assigneeCurrent && ticket.firstAssignmentTime) {
-      const assignee = ticket.assigneeCurrent;
+      // Older metrics files have no assigneeId - fall back to resolving the name through the roster
+      const assigneeId = ticket.assigneeId || getPersonId(ticket.assigneeCurrent);
 
-      // Exclude non-developers from stats
-      if (EXCLUDED_FROM_STATS.includes(assignee)) {
+      // Exclude non-developers (roster role "excluded") from stats
+      if (hasRole(assigneeId, ROLES.EXCLUDED)) {
         return;
       }
 
-      if (!allTicketsByAssignee[assignee]) {
-        allTicketsByAssignee[assignee] = {
+      if (!allTicketsByAssignee[assigneeId]) {
+        allTicketsByAssignee[assigneeId] = {
+          developer: getDisplayName(ticket.assigneeCurrent),
           totalAssigned: 0,
           withComment: 0,
           withoutComment: 0,
           resolved: 0,
+          fixed: 0,
+          notFixed: 0,
           stillOpen: 0,
+          everResolved: 0,
+          reopened: 0,
           responseTimes: [],
-          resolutionTimes: []
+          resolutionTimes: [],
+          fixTimes: []
         };
       }
 
-      const stats = allTicketsByAssignee[assignee];
+      const stats = allTicketsByAssignee[assigneeId];
       stats.totalAssigned++;
 
-      // Track comment engagement
-      if (ticket.firstAssigneeCommentTime) {
+      // Track comment engagement (public comments only with SLA_RESPONSE_TYPE=public)
+      const response = responsePoints(ticket, responseType);
+      if (response.assigneeTime) {
         stats.withComment++;
-        if (ticket.timeToFirstAssigneeCommentMinutes !== null) {
-          stats.responseTimes.push(ticket.timeToFirstAssigneeCommentMinutes);
+        if (response.assigneeMinutes !== null) {
+          stats.responseTimes.push(response.assigneeMinutes);
         }
       } else {
         stats.withoutComment++;
@@ -343,32 +366,43 @@ export function calculateSLAKPIs(metricsData) {
       // Track resolution
       if (ticket.resolutionDate) {
         stats.resolved++;
+        // Won't fix / duplicate / cannot reproduce count as resolved but not as fixes
+        const fixed = ticket.resolutionClass !== 'not-fixed';
+        if (fixed) stats.fixed++;
+        else stats.notFixed++;
         if (ticket.timeToResolutionMinutes !== null) {
           stats.resolutionTimes.push(ticket.timeToResolutionMinutes);
+          if (fixed) stats.fixTimes.push(ticket.timeToResolutionMinutes);
         }
       } else {
         stats.stillOpen++;
       }
+
+      // Reopens (metrics files from before reopen tracking have no reopenCount)
+      if (ticket.reopenCount !== undefined && ticket.firstResolutionDate) {
+        stats.everResolved++;
+        if (ticket.reopenCount > 0) stats.reopened++;
+      }
     }
   });
 
   // Calculate SLA compliance for assignees
   assigneeResults.forEach(result => {
-    if (!developerPerformance[result.manager]) {
-      developerPerformance[result.manager] = { met: 0, breached: 0, noResponse: 0, total: 0 };
+    if (!developerPerformance[result.personId]) {
+      developerPerformance[result.personId] = { met: 0, breached: 0, noResponse: 0, total: 0 };
     }
-    developerPerformance[result.manager].total++;
+    developerPerformance[result.personId].total++;
     if (result.status === 'no-response') {
-      developerPerformance[result.manager].noResponse++;
+      developerPerformance[result.personId].noResponse++;
     } else if (result.met) {
-      developerPerformance[result.manager].met++;
+      developerPerformance[result.personId].met++;
     } else {
-      developerPerformance[result.manager].breached++;
+      developerPerformance[result.personId].breached++;
     }
   });
 
-  const developerKPIs = Object.entries(allTicketsByAssignee).map(([developer, stats]) => {
-    const slaStats = developerPerformance[developer] || { met: 0, breached: 0, noResponse: 0, total: 0 };
+  const developerKPIs = Object.entries(allTicketsByAssignee).map(([personId, stats]) => {
+    const slaStats = developerPerformance[personId] || { met: 0, breached: 0, noResponse: 0, total: 0 };
     const avgResponseMinutes = stats.responseTimes.length > 0
       ? stats.responseTimes.reduce((a, b) => a + b, 0) / stats.responseTimes.length
       : null;
@@ -377,38 +411,53 @@ export function calculateSLAKPIs(metricsData) {
       : null;
 
     return {
-      developer,
+      personId,
+      developer: stats.developer,
       totalAssigned: stats.totalAssigned,
       withComment: stats.withComment,
       withoutComment: stats.withoutComment,
       noCommentRate: ((stats.withoutComment / stats.totalAssigned) * 100).toFixed(1),
       resolved: stats.resolved,
+      fixed: stats.fixed,
+      notFixed: stats.notFixed,
       stillOpen: stats.stillOpen,
       resolutionRate: ((stats.resolved / stats.totalAssigned) * 100).toFixed(1),
+      reopened: stats.reopened,
+      reopenRate: stats.everResolved > 0 ? ((stats.reopened / stats.everResolved) * 100).toFixed(1) : 'N/A',
       slaCompliance: slaStats.total > 0 ? ((slaStats.met / slaStats.total) * 100).toFixed(1) : 'N/A',
       slaMet: slaStats.met,
       slaBreached: slaStats.breached,
       slaNoResponse: slaStats.noResponse,
       avgResponseTime: avgResponseMinutes !== null ? formatMinutes(avgResponseMinutes) : 'N/A',
-      avgResolutionTime: avgResolutionMinutes !== null ? formatMinutes(avgResolutionMinutes) : 'N/A'
+      avgResolutionTime: avgResolutionMinutes !== null ? formatMinutes(avgResolutionMinutes) : 'N/A',
+      avgFixTime: stats.fixTimes.length > 0 ? formatMinutes(average(stats.fixTimes)) : 'N/A',
+      medianResponseTime: stats.responseTimes.length > 0 ? formatMinutes(median(stats.responseTimes)) : 'N/A',
+      responseTimeStats: describeDistribution(stats.responseTimes),
+      resolutionTimeStats: describeDistribution(stats.resolutionTimes)
     };
   }).sort((a, b) => b.totalAssigned - a.totalAssigned);
 
   // Time-based analysis
-  const byDayOfWeek = analyzeByDayOfWeek(metrics);
-  const byHourOfDay = analyzeByHourOfDay(metrics);
+  const outcome = (m) => onCallResponseOutcome(m, responseType);
+  const byDayOfWeek = analyzeByDayOfWeek(metrics, outcome);
+  const byHourOfDay = analyzeByHourOfDay(metrics, outcome);
 
   // Response time distribution
   const responseTimeDistribution = categorizeResponseTimes(slaResults);
 
   return {
+    slaName: getPrimarySlaName(),
+    responseType,
     overall: {
       totalTickets,
+      // Tickets with SLAs, but none named JIRA_SLA_NAME with a goal (left out of compliance)
+      noResponseSla: ticketsWithoutResponseSla,
       metSLA: metCount,
       breachedSLA: breachedCount,
       pendingSLA: pendingCount,
       complianceRate: complianceRate.toFixed(1),
-      avgResponseTime: calculateAvgResponseTime(slaResults.filter(r => r.status === 'responded'))
+      avgResponseTime: calculateAvgResponseTime(slaResults.filter(r => r.status === 'responded')),
+      responseTimeStats: calculateResponseTimeStats(slaResults.filter(r => r.status === 'responded'))
     },
     onCall: {
       totalTickets: onCallResults.length,
@@ -416,7 +465,8 @@ export function calculateSLAKPIs(metricsData) {
       breachedSLA: onCallBreached,
       pendingSLA: onCallPending,
       complianceRate: onCallCompliance,
-      avgResponseTime: calculateAvgResponseTime(onCallResults.filter(r => r.status === 'responded'))
+      avgResponseTime: calculateAvgResponseTime(onCallResults.filter(r => r.status === 'responded')),
+      responseTimeStats: calculateResponseTimeStats(onCallResults.filter(r => r.status === 'responded'))
     },
     assignee: {
       totalTickets: assigneeResults.length,
@@ -424,16 +474,30 @@ export function calculateSLAKPIs(metricsData) {
       breachedSLA: assigneeBreached,
       pendingSLA: assigneePending,
       complianceRate: assigneeCompliance,
-      avgResponseTime: calculateAvgResponseTime(assigneeResults.filter(r => r.status === 'responded' || r.status === 'resolved'))
+      avgResponseTime: calculateAvgResponseTime(assigneeResults.filter(r => r.status === 'responded' || r.status === 'resolved')),
+      responseTimeStats: calculateResponseTimeStats(assigneeResults.filter(r => r.status === 'responded' || r.status === 'resolved'))
     },
     managerKPIs,
     onCallManagerKPIs,
     developerKPIs,
     timeAnalysis: {
+      timezone: getSchedule().timezone,
       byDayOfWeek,
       byHourOfDay
     },
     responseTimeDistribution,
+    reopens: calculateReopenKPIs(metrics),
+    resolutions: calculateResolutionKPIs(metrics),
+    timeInStatus: calculateTimeInStatusKPIs(metrics),
+    flowTimes: calculateFlowTimeKPIs(metrics),
+    handoffs: calculateHandoffKPIs(metrics),
+    responseVisibility: calculateResponseVisibilityKPIs(metrics),
+    // What is still open at run time: age buckets and stale tickets (see backlog.js)
+    backlog: calculateBacklog(metrics),
+    // Every named SLA as Jira measured it (response KPIs above use slaName only)
+    bySla: calculatePerSlaKPIs(metrics),
+    // The KPIs above per priority, component, label, issue type... (KPI_SEGMENTS, see segments.js)
+    segments: calculateSegmentKPIs(metrics, slaResults),
     details: slaResults
   };
 }
@@ -462,13 +526,292 @@ function calculateAvgResponseTime(results) {
   return `${hours}h ${minutes}m`;
 }
 
-function analyzeByDayOfWeek(metrics) {
+// Percentiles, spread and histogram of the business-minute response times behind an avgResponseTime
+function calculateResponseTimeStats(results) {
+  return describeDistribution(results.map(r => r.businessMinutes));
+}
+
+/**
+ * Reopen rate: share of tickets resolved at least once that were reopened afterwards
+ * @param {Array} metrics - Metric rows (rows without reopenCount predate reopen tracking and are skipped)
+ */
+function calculateReopenKPIs(metrics) {
+  const resolved = metrics.filter(m => m.reopenCount !== undefined && m.firstResolutionDate);
+  const reopened = resolved.filter(m => m.reopenCount > 0);
+  return {
+    resolvedTickets: resolved.length,
+    reopenedTickets: reopened.length,
+    totalReopens: reopened.reduce((sum, m) => sum + m.reopenCount, 0),
+    reopenRate: resolved.length > 0 ? ((reopened.length / resolved.length) * 100).toFixed(1) : 'N/A',
+    reopenedKeys: reopened.map(m => m.key)
+  };
+}
+
+/**
+ * Resolved tickets split into fixed and closed without a fix (won't fix, duplicate, cannot reproduce, ...)
+ * Each class gets its own resolution and lead times, so quick "duplicate" closes don't flatter the fix times.
+ * @param {Array} metrics - Metric rows (rows without resolutionClass predate it and are skipped)
+ */
+function calculateResolutionKPIs(metrics) {
+  const resolved = metrics.filter(m => m.resolutionDate && m.resolutionClass);
+  const describeClass = (tickets) => {
+    const resolutionMinutes = tickets.map(m => m.timeToResolutionMinutes).filter(v => typeof v === 'number');
+    const leadTimeBusinessMinutes = tickets.map(m => m.leadTimeBusinessMinutes).filter(v => typeof v === 'number');
+    return {
+      tickets: tickets.length,
+      share: resolved.length > 0 ? ((tickets.length / resolved.length) * 100).toFixed(1) : 'N/A',
+      avgResolutionMinutes: average(resolutionMinutes),
+      medianResolutionMinutes: median(resolutionMinutes),
+      medianLeadTimeBusinessMinutes: median(leadTimeBusinessMinutes),
+      reopened: tickets.filter(m => m.reopenCount > 0).length
+    };
+  };
+
+  const byResolution = {};
+  resolved.forEach(m => {
+    const name = m.resolution || '(none)';
+    if (!byResolution[name]) byResolution[name] = { resolution: name, class: m.resolutionClass, tickets: 0 };
+    byResolution[name].tickets++;
+  });
+  const notFixed = resolved.filter(m => m.resolutionClass === 'not-fixed');
+
+  return {
+    resolvedTickets: resolved.length,
+    fixed: describeClass(resolved.filter(m => m.resolutionClass === 'fixed')),
+    notFixed: describeClass(notFixed),
+    byResolution: Object.values(byResolution).sort((a, b) => b.tickets - a.tickets),
+    notFixedKeys: notFixed.map(m => m.key)
+  };
+}
+
+// Per-status totals over a group of tickets; perTicket* spread the total over every ticket in the
+// group, so the statuses of a group add up to its average open time (the stacked bar in kpi.html)
+function aggregateTimeInStatus(tickets) {
+  const byStatus = {};
+  tickets.forEach(ticket => {
+    Object.entries(ticket.timeInStatus).forEach(([status, time]) => {
+      if (!byStatus[status]) byStatus[status] = { tickets: 0, visits: 0, minutes: [], businessMinutes: [] };
+      byStatus[status].tickets++;
+      byStatus[status].visits += time.visits;
+      byStatus[status].minutes.push(time.minutes);
+      byStatus[status].businessMinutes.push(time.businessMinutes);
+    });
+  });
+
+  const sum = (values) => values.reduce((a, b) => a + b, 0);
+  const allMinutes = sum(Object.values(byStatus).map(s => sum(s.minutes)));
+  const allBusinessMinutes = sum(Object.values(byStatus).map(s => sum(s.businessMinutes)));
+  const result = {};
+  Object.entries(byStatus)
+    .sort(([, a], [, b]) => sum(b.minutes) - sum(a.minutes))
+    .forEach(([status, stats]) => {
+      result[status] = {
+        tickets: stats.tickets,
+        visits: stats.visits,
+        totalMinutes: sum(stats.minutes),
+        totalBusinessMinutes: sum(stats.businessMinutes),
+        avgMinutes: average(stats.minutes),
+        avgBusinessMinutes: average(stats.businessMinutes),
+        medianMinutes: median(stats.minutes),
+        medianBusinessMinutes: median(stats.businessMinutes),
+        perTicketMinutes: Math.round(sum(stats.minutes) / tickets.length),
+        perTicketBusinessMinutes: Math.round(sum(stats.businessMinutes) / tickets.length),
+        share: allMinutes > 0 ? ((sum(stats.minutes) / allMinutes) * 100).toFixed(1) : '0.0',
+        businessShare: allBusinessMinutes > 0 ? ((sum(stats.businessMinutes) / allBusinessMinutes) * 100).toFixed(1) : '0.0'
+      };
+    });
+  return result;
+}
+
+/**
+ * Where tickets wait: time per status (closed statuses left out), overall and by priority
+ * @param {Array} metrics - Metric rows (rows without timeInStatus predate it and are skipped)
+ */
+function calculateTimeInStatusKPIs(metrics) {
+  const tickets = metrics.filter(m => m.timeInStatus);
+  const byPriority = {};
+  tickets.forEach(m => {
+    const priority = m.priority || 'None';
+    if (!byPriority[priority]) byPriority[priority] = [];
+    byPriority[priority].push(m);
+  });
+
+  return {
+    tickets: tickets.length,
+    byStatus: aggregateTimeInStatus(tickets),
+    byPriority: Object.fromEntries(Object.entries(byPriority).map(([priority, group]) => [
+      priority,
+      { tickets: group.length, byStatus: aggregateTimeInStatus(group) }
+    ]))
+  };
+}
+
+/**
+ * Lead time (created -> resolved) and cycle time (first in-progress status -> resolved) of resolved tickets
+ * @param {Array} metrics - Metric rows
+ */
+function calculateFlowTimeKPIs(metrics) {
+  const summarizeTimes = (field) => {
+    const minutes = metrics.map(m => m[`${field}Minutes`]).filter(v => typeof v === 'number');
+    const businessMinutes = metrics.map(m => m[`${field}BusinessMinutes`]).filter(v => typeof v === 'number');
+    return {
+      tickets: minutes.length,
+      avgMinutes: average(minutes),
+      medianMinutes: median(minutes),
+      avgBusinessMinutes: average(businessMinutes),
+      medianBusinessMinutes: median(businessMinutes),
+      stats: describeDistribution(minutes),
+      businessStats: describeDistribution(businessMinutes)
+    };
+  };
+  return {
+    inProgressStatuses: getInProgressStatuses(),
+    leadTime: summarizeTimes('leadTime'),
+    cycleTime: summarizeTimes('cycleTime')
+  };
+}
+
+const TOP_HANDOFF_PATHS = 10;
+
+/**
+ * Reassignments: how often tickets change hands, the most frequent handoff paths (who passes to whom),
+ * tickets that bounced back to an earlier holder, and how long each person holds tickets
+ * @param {Array} metrics - Metric rows (rows without assigneeChain predate it and are skipped)
+ */
+function calculateHandoffKPIs(metrics) {
+  const tickets = metrics.filter(m => Array.isArray(m.assigneeChain) && m.assigneeChain.length > 0);
+  const distribution = { '0': 0, '1': 0, '2': 0, '3+': 0 };
+  const paths = new Map();
+  const holders = new Map();
+
+  tickets.forEach(m => {
+    const handoffs = getHandoffs(m.assigneeChain);
+    distribution[handoffs.length >= 3 ? '3+' : String(handoffs.length)]++;
+
+    handoffs.forEach(h => {
+      const pathKey = `${h.fromId}->${h.toId}`;
+      if (!paths.has(pathKey)) paths.set(pathKey, { fromId: h.fromId, from: h.from, toId: h.toId, to: h.to, count: 0, tickets: [] });
+      const path = paths.get(pathKey);
+      path.count++;
+      if (!path.tickets.includes(m.key)) path.tickets.push(m.key);
+    });
+
+    m.assigneeChain.forEach((hold, i) => {
+      if (!holders.has(hold.assigneeId)) {
+        holders.set(hold.assigneeId, { personId: hold.assigneeId, name: hold.assignee, holds: 0, handedOn: 0, minutes: [], businessMinutes: [] });
+      }
+      const stats = holders.get(hold.assigneeId);
+      stats.holds++;
+      stats.minutes.push(hold.minutes);
+      stats.businessMinutes.push(hold.businessMinutes);
+      const next = m.assigneeChain[i + 1];
+      if (next && next.assigneeId !== hold.assigneeId) stats.handedOn++;
+    });
+  });
+
+  const reassigned = tickets.filter(m => m.reassignmentCount > 0);
+  const pingPong = tickets.filter(m => m.pingPong);
+  return {
+    tickets: tickets.length,
+    reassignedTickets: reassigned.length,
+    reassignmentRate: tickets.length > 0 ? ((reassigned.length / tickets.length) * 100).toFixed(1) : 'N/A',
+    totalReassignments: reassigned.reduce((sum, m) => sum + m.reassignmentCount, 0),
+    avgReassignments: tickets.length > 0 ? (reassigned.reduce((sum, m) => sum + m.reassignmentCount, 0) / tickets.length).toFixed(2) : 'N/A',
+    distribution,
+    pingPongTickets: pingPong.length,
+    pingPongKeys: pingPong.map(m => m.key),
+    topPaths: [...paths.values()].sort((a, b) => b.count - a.count).slice(0, TOP_HANDOFF_PATHS),
+    byHolder: [...holders.values()]
+      .map(({ minutes, businessMinutes, ...stats }) => ({
+        ...stats,
+        handOnRate: stats.holds > 0 ? ((stats.handedOn / stats.holds) * 100).toFixed(1) : 'N/A',
+        avgHoldMinutes: average(minutes),
+        medianHoldMinutes: median(minutes),
+        avgHoldBusinessMinutes: average(businessMinutes),
+        medianHoldBusinessMinutes: median(businessMinutes)
+      }))
+      .sort((a, b) => b.handedOn - a.handedOn || b.holds - a.holds)
+  };
+}
+
+// Whether a ticket's first on-call response met the primary (response) SLA; null when it can't be judged
+function onCallResponseOutcome(m, responseType) {
+  const goalMinutes = getResponseGoalMinutes(m.sla);
+  const minutes = responsePoints(m, responseType).onCallBusinessMinutes;
+  if (goalMinutes === null || minutes === null || minutes === undefined) {
+    return null;
+  }
+  return minutes <= goalMinutes;
+}
+
+// The response each SLA pathway is judged on: the first action ('action') or the first customer-visible
+// comment ('public'). Rows from before public responses were recorded fall back to their first action.
+function responsePoints(ticket, responseType) {
+  if (responseType === 'public' && ticket.firstPublicResponseTime !== undefined) {
+    return {
+      onCallTime: ticket.firstOnCallPublicResponseTime,
+      onCallMinutes: ticket.timeToFirstOnCallPublicResponseMinutes,
+      onCallBusinessMinutes: ticket.businessHoursToFirstOnCallPublicResponse,
+      assigneeTime: ticket.firstAssigneePublicCommentTime,
+      assigneeMinutes: ticket.timeToFirstAssigneePublicCommentMinutes
+    };
+  }
+  return {
+    onCallTime: ticket.firstOnCallActionTime,
+    onCallMinutes: ticket.timeToFirstOnCallActionMinutes,
+    onCallBusinessMinutes: ticket.businessHoursToFirstOnCallAction,
+    assigneeTime: ticket.firstAssigneeCommentTime,
+    assigneeMinutes: ticket.timeToFirstAssigneeCommentMinutes
+  };
+}
+
+/**
+ * First customer-visible response vs first internal action (internal note or assignment), both
+ * measured for every ticket whatever SLA_RESPONSE_TYPE the SLAs use, and per response pathway
+ * @param {Array} metrics - Metric rows (rows without firstPublicResponseTime predate it and are skipped)
+ */
+function calculateResponseVisibilityKPIs(metrics) {
+  const tickets = metrics.filter(m => m.firstPublicResponseTime !== undefined);
+  const internalOnly = tickets.filter(m => m.firstInternalActionTime && !m.firstPublicResponseTime);
+  // How long customers waited for a reply after the team had started on the ticket
+  const waits = tickets
+    .filter(m => m.firstInternalActionTime && m.firstPublicResponseTime && new Date(m.firstPublicResponseTime) > new Date(m.firstInternalActionTime))
+    .map(m => m.businessHoursToFirstPublicResponse - m.businessHoursToFirstInternalAction);
+  const distribution = (field) => describeDistribution(tickets.map(m => m[field]));
+
+  return {
+    tickets: tickets.length,
+    withPublicResponse: tickets.filter(m => m.firstPublicResponseTime).length,
+    withInternalAction: tickets.filter(m => m.firstInternalActionTime).length,
+    internalOnly: internalOnly.length,
+    internalOnlyKeys: internalOnly.map(m => m.key),
+    firstInternalAction: distribution('businessHoursToFirstInternalAction'),
+    firstPublicResponse: distribution('businessHoursToFirstPublicResponse'),
+    publicAfterInternal: describeDistribution(waits),
+    onCall: {
+      action: distribution('businessHoursToFirstOnCallAction'),
+      public: distribution('businessHoursToFirstOnCallPublicResponse')
+    },
+    assignee: {
+      action: distribution('businessHoursToFirstAssigneeComment'),
+      public: distribution('businessHoursToFirstAssigneePublicComment')
+    }
+  };
+}
+
+/**
+ * @param {Array} metrics - Tickets (needs `created`)
+ * @param {Function} outcome - ticket => true (met) / false (breached) / null (counted in total only)
+ */
+// Created day and hour are the team's local time (roster default timezone), as in flow.js and business
+// hours - not the server's, so a CI run in UTC buckets tickets the same way
+function analyzeByDayOfWeek(metrics, outcome) {
   const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  const timezone = getSchedule().timezone;
   const analysis = {};
 
   metrics.forEach(m => {
-    const created = new Date(m.created);
-    const dayName = days[created.getDay()];
+    const dayName = days[getZonedParts(new Date(m.created), timezone).weekday];
 
     if (!analysis[dayName]) {
       analysis[dayName] = { total: 0, met: 0, breached: 0 };
@@ -476,13 +819,11 @@ function analyzeByDayOfWeek(metrics) {
 
     analysis[dayName].total++;
 
-    if (m.sla && m.sla.length > 0 && m.businessHoursToFirstOnCallAction !== null && m.businessHoursToFirstOnCallAction !== undefined) {
-      const goalMinutes = m.sla[0].goalDuration / (1000 * 60);
-      if (m.businessHoursToFirstOnCallAction <= goalMinutes) {
-        analysis[dayName].met++;
-      } else {
-        analysis[dayName].breached++;
-      }
+    const met = outcome(m);
+    if (met === true) {
+      analysis[dayName].met++;
+    } else if (met === false) {
+      analysis[dayName].breached++;
     }
   });
 
@@ -493,12 +834,12 @@ function analyzeByDayOfWeek(metrics) {
   }));
 }
 
-function analyzeByHourOfDay(metrics) {
+function analyzeByHourOfDay(metrics, outcome) {
+  const timezone = getSchedule().timezone;
   const analysis = {};
 
   metrics.forEach(m => {
-    const created = new Date(m.created);
-    const hour = created.getHours();
+    const hour = getZonedParts(new Date(m.created), timezone).hour;
 
     if (!analysis[hour]) {
       analysis[hour] = { total: 0, met: 0, breached: 0 };
@@ -506,13 +847,11 @@ function analyzeByHourOfDay(metrics) {
 
     analysis[hour].total++;
 
-    if (m.sla && m.sla.length > 0 && m.businessHoursToFirstOnCallAction !== null && m.businessHoursToFirstOnCallAction !== undefined) {
-      const goalMinutes = (m.sla[0].goalDuration / (1000 * 60));
-      if (m.businessHoursToFirstOnCallAction <= goalMinutes) {
-        analysis[hour].met++;
-      } else {
-        analysis[hour].breached++;
-      }
+    const met = outcome(m);
+    if (met === true) {
+      analysis[hour].met++;
+    } else if (met === false) {
+      analysis[hour].breached++;
     }
   });
 
@@ -523,6 +862,100 @@ function analyzeByHourOfDay(metrics) {
   })).sort((a, b) => parseInt(a.hour) - parseInt(b.hour));
 }
 
+// Cycles of an SLA entry; metrics files from before cycles were recorded only have the first one
+function slaCycles(sla) {
+  return sla.cycles || [sla];
+}
+
+/**
+ * KPIs for every named SLA, as Jira Service Management measured them
+ * (elapsed time on the SLA's own calendar, Jira's own breach flag).
+ * Every cycle of a re-opened ticket counts; a ticket breached an SLA if any of its cycles did.
+ * @param {Array} metrics - Metric rows with `sla` lists (see sla.js)
+ * @returns {Object} SLA name -> stats
+ */
+export function calculatePerSlaKPIs(metrics) {
+  const grouped = {};
+  metrics.forEach(ticket => {
+    (ticket.sla || []).forEach(sla => {
+      if (!grouped[sla.name]) grouped[sla.name] = [];
+      grouped[sla.name].push({ ticket, cycles: slaCycles(sla) });
+    });
+  });
+
+  const bySla = {};
+  Object.entries(grouped).forEach(([name, entries]) => {
+    const cycles = entries.flatMap(e => e.cycles);
+    const completed = cycles.filter(c => !c.ongoing);
+    const met = completed.filter(c => !c.breached).length;
+    const breached = cycles.filter(c => c.breached).length;
+    const elapsedMinutes = completed
+      .filter(c => c.elapsedTime !== null && c.elapsedTime !== undefined)
+      .map(c => c.elapsedTime / (1000 * 60));
+    const goals = cycles.map(c => c.goalDuration).filter(g => g !== null && g !== undefined);
+
+    // Ticket-level outcome for the time analysis
+    const outcomes = new Map(entries.map(({ ticket, cycles: ticketCycles }) => {
+      if (ticketCycles.some(c => c.breached)) return [ticket, false];
+      return [ticket, ticketCycles.every(c => !c.ongoing) ? true : null];
+    }));
+    const tickets = entries.map(e => e.ticket);
+
+    bySla[name] = {
+      name,
+      goalMinutes: goals.length > 0 ? Math.round(goals[0] / (1000 * 60)) : null,
+      tickets: entries.length,
+      cycles: cycles.length,
+      reopenedTickets: entries.filter(e => e.cycles.length > 1).length,
+      met,
+      breached,
+      running: cycles.filter(c => c.ongoing && !c.breached).length,
+      paused: cycles.filter(c => c.ongoing && c.paused).length,
+      breachedTickets: [...outcomes.values()].filter(v => v === false).length,
+      complianceRate: met + breached > 0 ? ((met / (met + breached)) * 100).toFixed(1) : 'N/A',
+      avgElapsedTime: elapsedMinutes.length > 0
+        ? formatMinutes(elapsedMinutes.reduce((a, b) => a + b, 0) / elapsedMinutes.length)
+        : 'N/A',
+      distribution: categorizeAgainstGoal(cycles),
+      timeAnalysis: {
+        byDayOfWeek: analyzeByDayOfWeek(tickets, t => outcomes.get(t)),
+        byHourOfDay: analyzeByHourOfDay(tickets, t => outcomes.get(t))
+      }
+    };
+  });
+
+  return bySla;
+}
+
+// How much of its goal each SLA cycle used
+function categorizeAgainstGoal(cycles) {
+  const categories = {
+    'Under 50% of goal': 0,
+    '50-75% of goal': 0,
+    '75-100% of goal': 0,
+    'Breached': 0,
+    'Running': 0
+  };
+
+  cycles.forEach(c => {
+    if (c.breached) {
+      categories['Breached']++;
+    } else if (c.ongoing) {
+      categories['Running']++;
+    } else if (!c.goalDuration || c.elapsedTime === null || c.elapsedTime === undefined) {
+      return;
+    } else if (c.elapsedTime < c.goalDuration * 0.5) {
+      categories['Under 50% of goal']++;
+    } else if (c.elapsedTime < c.goalDuration * 0.75) {
+      categories['50-75% of goal']++;
+    } else {
+      categories['75-100% of goal']++;
+    }
+  });
+
+  return categories;
+}
+
 function categorizeResponseTimes(results) {
   const categories = {
     'Under 1 hour': 0,
@@ -574,14 +1007,24 @@ export function comparePeriods(currentKPIs, previousKPIs) {
   };
 }
 
+/**
+ * Canonical person id for a KPI row
+ * Rows from before person ids existed only carry a name, which is resolved through roster aliases
+ * so snapshots taken before a rename still line up with current ones.
+ */
+function rowPersonId(row) {
+  return row.personId || getPersonId(row.manager || row.developer);
+}
+
 function compareManagers(current, previous) {
   const comparison = [];
 
   current.forEach(curr => {
-    const prev = previous.find(p => p.manager === curr.manager);
+    const prev = previous.find(p => rowPersonId(p) === rowPersonId(curr));
     if (prev) {
       const change = parseFloat(curr.complianceRate) - parseFloat(prev.complianceRate);
       comparison.push({
+        personId: rowPersonId(curr),
         manager: curr.manager,
         currentRate: curr.complianceRate,
         previousRate: prev.complianceRate,
@@ -613,12 +1056,14 @@ export function saveKPISnapshot(kpis, filepath) {
 /**
  * Get individual performance trends over time
  * @param {Array} history - Array of KPI snapshots from kpi-history.json
- * @param {string} personName - Name of person to analyze
+ * @param {string} person - Person id, current name or any roster alias
  * @returns {Object} Performance trends by role
  */
-export function getPersonalTrends(history, personName) {
+export function getPersonalTrends(history, person) {
+  const personId = getPersonId(person);
   const trends = {
-    person: personName,
+    personId,
+    person: getDisplayName(person),
     onCallTrends: [],
     developerTrends: [],
     combinedTrends: []
@@ -629,7 +1074,7 @@ export function getPersonalTrends(history, personName) {
     const period = `${snapshot.period.start} to ${snapshot.period.end}`;
 
     // On-call performance
-    const onCallPerf = snapshot.kpis.onCallManagerKPIs?.find(k => k.manager === personName);
+    const onCallPerf = snapshot.kpis.onCallManagerKPIs?.find(k => rowPersonId(k) === personId);
     if (onCallPerf) {
       trends.onCallTrends.push({
         date,
@@ -643,7 +1088,7 @@ export function getPersonalTrends(history, personName) {
     }
 
     // Developer performance
-    const devPerf = snapshot.kpis.developerKPIs?.find(k => k.developer === personName);
+    const devPerf = snapshot.kpis.developerKPIs?.find(k => rowPersonId(k) === personId);
     if (devPerf) {
       trends.developerTrends.push({
         date,
@@ -657,7 +1102,7 @@ export function getPersonalTrends(history, personName) {
     }
 
     // Combined performance
-    const combinedPerf = snapshot.kpis.managerKPIs?.find(k => k.manager === personName);
+    const combinedPerf = snapshot.kpis.managerKPIs?.find(k => rowPersonId(k) === personId);
     if (combinedPerf) {
       trends.combinedTrends.push({
         date,
@@ -690,10 +1135,11 @@ export function comparePerformanceByRole(currentKPIs, previousKPIs) {
   // On-call manager comparison
   if (currentKPIs.onCallManagerKPIs && previousKPIs.onCallManagerKPIs) {
     currentKPIs.onCallManagerKPIs.forEach(curr => {
-      const prev = previousKPIs.onCallManagerKPIs.find(p => p.manager === curr.manager);
+      const prev = previousKPIs.onCallManagerKPIs.find(p => rowPersonId(p) === rowPersonId(curr));
       if (prev) {
         const complianceChange = parseFloat(curr.complianceRate) - parseFloat(prev.complianceRate);
         comparison.onCallComparison.push({
+          personId: rowPersonId(curr),
           manager: curr.manager,
           currentRate: curr.complianceRate,
           previousRate: prev.complianceRate,
@@ -709,10 +1155,11 @@ export function comparePerformanceByRole(currentKPIs, previousKPIs) {
   // Developer comparison
   if (currentKPIs.developerKPIs && previousKPIs.developerKPIs) {
     currentKPIs.developerKPIs.forEach(curr => {
-      const prev = previousKPIs.developerKPIs.find(p => p.developer === curr.developer);
+      const prev = previousKPIs.developerKPIs.find(p => rowPersonId(p) === rowPersonId(curr));
       if (prev) {
         const complianceChange = parseFloat(curr.complianceRate) - parseFloat(prev.complianceRate);
         comparison.developerComparison.push({
+          personId: rowPersonId(curr),
           developer: curr.developer,
           currentRate: curr.complianceRate,
           previousRate: prev.complianceRate,
@@ -728,10 +1175,11 @@ export function comparePerformanceByRole(currentKPIs, previousKPIs) {
   // Combined comparison
   if (currentKPIs.managerKPIs && previousKPIs.managerKPIs) {
     currentKPIs.managerKPIs.forEach(curr => {
-      const prev = previousKPIs.managerKPIs.find(p => p.manager === curr.manager);
+      const prev = previousKPIs.managerKPIs.find(p => rowPersonId(p) === rowPersonId(curr));
       if (prev) {
         const complianceChange = parseFloat(curr.complianceRate) - parseFloat(prev.complianceRate);
         comparison.combinedComparison.push({
+          personId: rowPersonId(curr),
           person: curr.manager,
           currentRate: curr.complianceRate,
           previousRate: prev.complianceRate,
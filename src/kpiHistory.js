@@ -29,14 +29,36 @@ export function loadKPIHistory() {
   }
 }
 
+// Per-SLA figures worth trending (the full bySla block also carries distributions)
+function summarizeBySla(bySla) {
+  if (!bySla) return null;
+  const summary = {};
+  Object.entries(bySla).forEach(([name, stats]) => {
+    summary[name] = {
+      complianceRate: stats.complianceRate,
+      met: stats.met,
+      breached: stats.breached,
+      tickets: stats.tickets,
+      cycles: stats.cycles,
+      reopenedTickets: stats.reopenedTickets
+    };
+  });
+  return summary;
+}
+
+const statOrNull = (stats, key) => (stats ? stats[key] : null);
+
 /**
  * Save KPI snapshot to history
+ * @param {Object} kpis - From calculateSLAKPIs
+ * @param {Object} period - { start, end }
+ * @param {string} timestamp - When the data was captured (recomputes pass the archived run's time)
  */
-export function saveKPISnapshot(kpis, period) {
+export function saveKPISnapshot(kpis, period, timestamp = new Date().toISOString()) {
   const history = loadKPIHistory();
   
   const snapshot = {
-    timestamp: new Date().toISOString(),
+    timestamp,
     period: {
       start: period.start,
       end: period.end
@@ -47,7 +69,38 @@ export function saveKPISnapshot(kpis, period) {
       assignee: kpis.assignee || null,
       managerCount: kpis.managerKPIs.length,
       topPerformer: kpis.managerKPIs.length > 0 ? kpis.managerKPIs[0].manager : null,
-      topPerformerRate: kpis.managerKPIs.length > 0 ? kpis.managerKPIs[0].complianceRate : null
+      topPerformerId: kpis.managerKPIs.length > 0 ? kpis.managerKPIs[0].personId || null : null,
+      topPerformerRate: kpis.managerKPIs.length > 0 ? kpis.managerKPIs[0].complianceRate : null,
+      slaName: kpis.slaName || null,
+      responseType: kpis.responseType || null,
+      bySla: summarizeBySla(kpis.bySla),
+      reopens: kpis.reopens ? {
+        resolvedTickets: kpis.reopens.resolvedTickets,
+        reopenedTickets: kpis.reopens.reopenedTickets,
+        totalReopens: kpis.reopens.totalReopens,
+        reopenRate: kpis.reopens.reopenRate
+      } : null,
+      resolutions: kpis.resolutions ? {
+        resolvedTickets: kpis.resolutions.resolvedTickets,
+        fixed: kpis.resolutions.fixed.tickets,
+        notFixed: kpis.resolutions.notFixed.tickets,
+        medianFixMinutes: kpis.resolutions.fixed.medianResolutionMinutes
+      } : null,
+      // Medians alongside the averages above (business minutes for response, wall-clock for lead/cycle time)
+      medians: {
+        overallResponseMinutes: statOrNull(kpis.overall && kpis.overall.responseTimeStats, 'p50'),
+        onCallResponseMinutes: statOrNull(kpis.onCall && kpis.onCall.responseTimeStats, 'p50'),
+        assigneeResponseMinutes: statOrNull(kpis.assignee && kpis.assignee.responseTimeStats, 'p50'),
+        leadTimeMinutes: kpis.flowTimes ? kpis.flowTimes.leadTime.medianMinutes : null,
+        cycleTimeMinutes: kpis.flowTimes ? kpis.flowTimes.cycleTime.medianMinutes : null
+      },
+      handoffs: kpis.handoffs ? {
+        tickets: kpis.handoffs.tickets,
+        reassignedTickets: kpis.handoffs.reassignedTickets,
+        reassignmentRate: kpis.handoffs.reassignmentRate,
+        avgReassignments: kpis.handoffs.avgReassignments,
+        pingPongTickets: kpis.handoffs.pingPongTickets
+      } : null
     }
   };
   
@@ -56,6 +109,11 @@ export function saveKPISnapshot(kpis, period) {
     s.period.start === period.start && s.period.end === period.end
   );
   
+  if (existing >= 0 && new Date(history.snapshots[existing].timestamp) > new Date(timestamp)) {
+    // A recompute of an older run doesn't replace a newer collection for the same period
+    console.log(`Kept newer KPI snapshot for period ${period.start} to ${period.end}`);
+    return history.snapshots[existing];
+  }
   if (existing >= 0) {
     history.snapshots[existing] = snapshot;
   } else {
@@ -13,18 +13,39 @@ export function loadEnvConfig() {
     JIRA_BASE_URL: process.env.JIRA_BASE_URL,
     JIRA_EMAIL: process.env.JIRA_EMAIL,
     JIRA_API_TOKEN: process.env.JIRA_API_TOKEN,
+    JIRA_DEPLOYMENT: process.env.JIRA_DEPLOYMENT || 'cloud',
+    JIRA_PAT: process.env.JIRA_PAT,
     JIRA_JQL: process.env.JIRA_JQL,
     JIRA_PROJECT_KEY: process.env.JIRA_PROJECT_KEY,
     JIRA_ISSUE_TYPES: process.env.JIRA_ISSUE_TYPES,
     JIRA_STATUS_NAMES: process.env.JIRA_STATUS_NAMES,
     JIRA_DRY_RUN: (process.env.JIRA_DRY_RUN || 'false').toLowerCase() === 'true',
     JIRA_MAX_ISSUES: process.env.JIRA_MAX_ISSUES,
+    JIRA_MAX_RETRIES: process.env.JIRA_MAX_RETRIES,
+    JIRA_TIMEOUT_MS: process.env.JIRA_TIMEOUT_MS,
+    JIRA_CONCURRENCY: process.env.JIRA_CONCURRENCY,
     JIRA_START_DATE: process.env.JIRA_START_DATE,
     JIRA_END_DATE: process.env.JIRA_END_DATE,
     LOG_LEVEL: process.env.LOG_LEVEL || 'info',
     TZ: process.env.TZ || 'UTC',
     JIRA_SERVICE_DESK_ID: process.env.JIRA_SERVICE_DESK_ID,
+    JIRA_SLA_NAME: process.env.JIRA_SLA_NAME,
+    SLA_RESPONSE_TYPE: process.env.SLA_RESPONSE_TYPE,
+    JIRA_EXTRA_FIELDS: process.env.JIRA_EXTRA_FIELDS,
+    JIRA_WEBHOOK_SECRET: process.env.JIRA_WEBHOOK_SECRET,
     OPSGENIE_API_KEY: process.env.OPSGENIE_API_KEY,
-    OPSGENIE_SCHEDULE_NAME: process.env.OPSGENIE_SCHEDULE_NAME
+    OPSGENIE_SCHEDULE_NAME: process.env.OPSGENIE_SCHEDULE_NAME,
+    OPSGENIE_BASE_URL: process.env.OPSGENIE_BASE_URL,
+    ROSTER_PATH: process.env.ROSTER_PATH,
+    HOLIDAYS_PATH: process.env.HOLIDAYS_PATH,
+    SLA_PAUSE_STATUSES: process.env.SLA_PAUSE_STATUSES,
+    IN_PROGRESS_STATUSES: process.env.IN_PROGRESS_STATUSES,
+    RESOLVED_STATUSES: process.env.RESOLVED_STATUSES,
+    UNRESOLVED_STATUSES: process.env.UNRESOLVED_STATUSES,
+    NOT_FIXED_RESOLUTIONS: process.env.NOT_FIXED_RESOLUTIONS,
+    BACKLOG_STALE_DAYS: process.env.BACKLOG_STALE_DAYS,
+    KPI_SEGMENTS: process.env.KPI_SEGMENTS,
+    ARCHIVE_KEEP_RUNS: process.env.ARCHIVE_KEEP_RUNS,
+    ARCHIVE_MAX_AGE_DAYS: process.env.ARCHIVE_MAX_AGE_DAYS
   };
 }
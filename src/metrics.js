@@ -1,48 +1,83 @@
 import { differenceInMinutes, parseISO } from 'date-fns';
-import { calculateBusinessMinutes, isOutsideBusinessHours, getCreatedTimeContext } from './businessHours.js';
-import { ON_CALL_MANAGERS, SLA_RESPONDERS } from './constants.js';
+import { isOutsideBusinessHours, getCreatedTimeContext } from './businessHours.js';
+import { extractSlas } from './sla.js';
+import { extractExtraFields } from './fieldCatalog.js';
+import { now } from './clock.js';
+import { describeDistribution } from './stats.js';
+import { buildStatusIntervals, calculateTimeInStatus, calculateFlowTimes } from './statusTime.js';
+import { isClosedStatus, classifyResolution } from './resolution.js';
+import { buildAssigneeChain, getHandoffs, isPingPong } from './assigneeChain.js';
+import { buildPauseIntervals, calculatePausedMinutes, calculateSlaBusinessMinutes } from './slaPause.js';
+import { resolvePerson, isOnCallManager, isSlaResponder, isSamePerson, getPersonId, getDisplayName } from './roster.js';
+
+// First/last move into a closed status and every move back out of one
+function resolutionHistory(histories) {
+  let firstResolvedAt = null;
+  let lastResolvedAt = null;
+  const reopenedAt = [];
+  for (let i = histories.length - 1; i >= 0; i--) {
+    const h = histories[i];
+    (h.items || []).filter(item => item.field === 'status').forEach(item => {
+      const wasClosed = isClosedStatus(item.fromString);
+      const isClosed = isClosedStatus(item.toString);
+      if (isClosed && !wasClosed) {
+        if (!firstResolvedAt) firstResolvedAt = h.created;
+        lastResolvedAt = h.created;
+      } else if (wasClosed && !isClosed) {
+        reopenedAt.push(h.created);
+      }
+    });
+  }
+  return { firstResolvedAt, lastResolvedAt, reopenedAt };
+}
 
+// Status categories are only read here: learn them for the whole batch first (learnStatusCategories),
+// so a ticket's history doesn't depend on which tickets happened to be computed before it
 export function computeMetrics(issue) {
   const key = issue.key;
   const fields = issue.fields || {};
   const created = fields.created;
   let resolutionDate = fields.resolutiondate || fields.resolveddatetime || null;
-  const assignee = fields.assignee ? fields.assignee.displayName : null;
+  // People are matched by Jira accountId (via the roster); names below are the current display names
+  const assigneeUser = fields.assignee || null;
+  const assignee = getDisplayName(assigneeUser);
+  const assigneeId = getPersonId(assigneeUser);
   const status = fields.status ? fields.status.name : null;
+  const statusCategory = fields.status && fields.status.statusCategory ? fields.status.statusCategory.key : null;
+  const resolutionName = fields.resolution ? fields.resolution.name : null;
   const comments = (fields.comment && fields.comment.comments) || [];
   const histories = (issue.changelog && issue.changelog.histories) || [];
 
-  // If no resolution date but status is closed/complete, find when status changed to closed
-  if (!resolutionDate && status) {
-    const closedStatuses = ['closed', 'complete', 'completed', 'done', 'resolved'];
-    const statusLower = status.toLowerCase();
-    if (closedStatuses.some(s => statusLower.includes(s))) {
-      for (const h of histories) {
-        for (const item of h.items) {
-          if (item.field === 'status') {
-            const toString = (item.toString || '').toLowerCase();
-            if (closedStatuses.some(s => toString.includes(s))) {
-              resolutionDate = h.created;
-              break;
-            }
-          }
-        }
-        if (resolutionDate) break;
-      }
-    }
+  // Resolutions and reopens from the status history (oldest first). A reopen is any move from a
+  // closed status back to an open one; the final resolution only counts while the ticket is still closed.
+  const statusHistory = resolutionHistory(histories);
+  const finalResolutionDate = isClosedStatus(status)
+    ? (statusHistory.lastResolvedAt || fields.resolutiondate || fields.resolveddatetime || null)
+    : null;
+
+  // If no resolution date but status is closed/complete, use when it was last closed
+  if (!resolutionDate && finalResolutionDate) {
+    resolutionDate = finalResolutionDate;
+  }
+  // A ticket outside a terminal status isn't resolved, even if Jira kept a resolution date
+  // (reopened tickets, or workflows that set a resolution on the way to "Resolution Pending")
+  if (status && !isClosedStatus(status)) {
+    resolutionDate = null;
   }
 
   // Find first assignee assignment time and who assigned it
   // Note: changelog.histories is in reverse chronological order (newest first)
   let firstAssignmentTime = null;
   let assignedBy = null;
+  let assignedByUser = null;
   for (let i = histories.length - 1; i >= 0; i--) {
     const h = histories[i];
     for (const item of h.items) {
       if (item.field === 'assignee' && item.toString) {
         if (!firstAssignmentTime) {
           firstAssignmentTime = h.created;
-          assignedBy = h.author && h.author.displayName ? h.author.displayName : 'Unknown';
+          assignedByUser = h.author || null;
+          assignedBy = getDisplayName(assignedByUser) || 'Unknown';
         }
         break;
       }
@@ -63,11 +98,11 @@ export function computeMetrics(issue) {
   let firstOnCallActionTime = null;
   let firstOnCallActionType = null;
   let onCallPersonWhoActedFirst = null;
+  let onCallUserWhoActedFirst = null;
 
   // Check all history items for assignments by on-call managers
   for (const h of histories) {
-    const actorName = h.author && h.author.displayName ? h.author.displayName : null;
-    if (!actorName || !ON_CALL_MANAGERS.includes(actorName)) continue;
+    if (!h.author || !isOnCallManager(h.author)) continue;
 
     for (const item of h.items) {
       if (item.field === 'assignee' && item.toString) {
@@ -75,7 +110,7 @@ export function computeMetrics(issue) {
         if (!firstOnCallActionTime || parseISO(actionTime) < parseISO(firstOnCallActionTime)) {
           firstOnCallActionTime = actionTime;
           firstOnCallActionType = 'assignment';
-          onCallPersonWhoActedFirst = actorName;
+          onCallUserWhoActedFirst = h.author;
         }
         break;
       }
@@ -84,39 +119,37 @@ export function computeMetrics(issue) {
 
   // Check all comments for comments by on-call managers (including current assignee)
   for (const c of comments) {
-    const authorName = c.author && c.author.displayName ? c.author.displayName : null;
-    if (!authorName || !ON_CALL_MANAGERS.includes(authorName)) continue;
+    if (!c.author || !isOnCallManager(c.author)) continue;
 
     const commentTime = c.created;
     if (!firstOnCallActionTime || parseISO(commentTime) < parseISO(firstOnCallActionTime)) {
       firstOnCallActionTime = commentTime;
       firstOnCallActionType = 'comment';
-      onCallPersonWhoActedFirst = authorName;
+      onCallUserWhoActedFirst = c.author;
     }
   }
 
   // If current assignee is an on-call manager and took first action, update assignedBy
-  if (onCallPersonWhoActedFirst && assignee === onCallPersonWhoActedFirst && !assignedBy) {
+  if (onCallUserWhoActedFirst && isSamePerson(assigneeUser, onCallUserWhoActedFirst) && !assignedBy) {
     assignedBy = 'Self-assigned';
   }
 
   // Find first action from SLA responders (on-call managers + key engineers)
   // This is used for SLA measurement - only these people's actions count
   let firstHumanActionTime = null;
-  let firstHumanActionPerson = null;
+  let firstHumanActionUser = null;
 
   // Check for first assignment by SLA responders
   // Iterate in reverse chronological order to find the earliest assignment
   for (let i = histories.length - 1; i >= 0; i--) {
     const h = histories[i];
-    const actorName = h.author && h.author.displayName ? h.author.displayName : null;
-    if (!actorName || !SLA_RESPONDERS.includes(actorName)) continue;
+    if (!h.author || !isSlaResponder(h.author)) continue;
 
     for (const item of h.items) {
       if (item.field === 'assignee' && item.toString) {
         if (!firstHumanActionTime || parseISO(h.created) < parseISO(firstHumanActionTime)) {
           firstHumanActionTime = h.created;
-          firstHumanActionPerson = actorName;
+          firstHumanActionUser = h.author;
         }
         break;
       }
@@ -125,29 +158,29 @@ export function computeMetrics(issue) {
 
   // Check for first comment by SLA responders
   for (const c of comments) {
-    const authorName = c.author && c.author.displayName ? c.author.displayName : null;
-    if (!authorName || !SLA_RESPONDERS.includes(authorName)) continue;
+    if (!c.author || !isSlaResponder(c.author)) continue;
 
     const commentTime = c.created;
     if (!firstHumanActionTime || parseISO(commentTime) < parseISO(firstHumanActionTime)) {
       firstHumanActionTime = commentTime;
-      firstHumanActionPerson = authorName;
+      firstHumanActionUser = c.author;
     }
   }
 
   // Update onCallPersonWhoActedFirst if no on-call manager acted first
   // This ensures non-on-call SLA responders (like Katelyn, Manjeet) are tracked
-  if (!onCallPersonWhoActedFirst && firstHumanActionPerson) {
-    onCallPersonWhoActedFirst = firstHumanActionPerson;
+  if (!onCallUserWhoActedFirst && firstHumanActionUser) {
+    onCallUserWhoActedFirst = firstHumanActionUser;
   }
+  onCallPersonWhoActedFirst = getDisplayName(onCallUserWhoActedFirst);
 
   // Legacy: Find first manager comment (any comment from the person who assigned)
   let firstManagerCommentTime = null;
   let managerCommentedBeforeAssignment = false;
 
-  if (assignedBy) {
+  if (assignedByUser) {
     for (const c of comments) {
-      if (c.author && c.author.displayName === assignedBy) {
+      if (isSamePerson(c.author, assignedByUser)) {
         firstManagerCommentTime = c.created;
         // Check if comment came before assignment
         if (firstAssignmentTime) {
@@ -167,7 +200,7 @@ export function computeMetrics(issue) {
   if (assignee && firstAssignmentTime) {
     const assignmentMoment = parseISO(firstAssignmentTime);
     for (const c of comments) {
-      if (!c.author || c.author.displayName !== assignee) continue;
+      if (!isSamePerson(c.author, assigneeUser)) continue;
       const commentTime = parseISO(c.created);
       if (commentTime >= assignmentMoment) {
         firstAssigneeCommentTime = c.created;
@@ -176,8 +209,49 @@ export function computeMetrics(issue) {
     }
   }
 
-  const nowIso = new Date().toISOString();
+  // Customer-visible replies vs internal work. Service Management internal notes have jsdPublic false;
+  // comments from before jsdPublic was recorded count as public, as do all comments outside JSM projects.
+  // Only people on the roster count - customers commenting on their own ticket aren't a response.
+  const isPublic = (c) => c.jsdPublic !== false;
+  const firstPublicComment = comments.find(c => isPublic(c) && resolvePerson(c.author));
+  const firstPublicResponseTime = firstPublicComment ? firstPublicComment.created : null;
+  const firstPublicResponseUser = firstPublicComment ? firstPublicComment.author : null;
+
+  // First thing the team did that the customer doesn't see: an internal note or an assignment
+  const firstInternalComment = comments.find(c => !isPublic(c) && resolvePerson(c.author));
+  let firstInternalActionTime = firstInternalComment ? firstInternalComment.created : null;
+  let firstInternalActionType = firstInternalComment ? 'internal-comment' : null;
+  for (let i = histories.length - 1; i >= 0; i--) {
+    const h = histories[i];
+    if (!resolvePerson(h.author) || !h.items.some(item => item.field === 'assignee' && item.toString)) continue;
+    if (!firstInternalActionTime || parseISO(h.created) < parseISO(firstInternalActionTime)) {
+      firstInternalActionTime = h.created;
+      firstInternalActionType = 'assignment';
+    }
+    break;
+  }
+
+  // Public replies on each response pathway (the 'public' SLA_RESPONSE_TYPE measures these)
+  const firstOnCallPublicComment = comments.find(c => isPublic(c) && c.author && isOnCallManager(c.author));
+  const firstOnCallPublicResponseTime = firstOnCallPublicComment ? firstOnCallPublicComment.created : null;
+  let firstAssigneePublicCommentTime = null;
+  if (assignee && firstAssignmentTime) {
+    const assignmentMoment = parseISO(firstAssignmentTime);
+    const comment = comments.find(c => isPublic(c) && isSamePerson(c.author, assigneeUser) && parseISO(c.created) >= assignmentMoment);
+    firstAssigneePublicCommentTime = comment ? comment.created : null;
+  }
+
+  // Latest change or comment by anyone - the backlog's stale flag counts idle days from here
+  const lastActivityTime = [created, ...histories.map(h => h.created), ...comments.map(c => c.created)]
+    .filter(Boolean)
+    .reduce((latest, time) => (!latest || new Date(time) > new Date(latest) ? time : latest), null);
+
+  const nowIso = now().toISOString();
   const endForOpenDuration = resolutionDate || nowIso;
+
+  // Time spent in pause statuses (e.g. Waiting for Customer) is taken out of the SLA clocks below
+  const pauseIntervals = buildPauseIntervals(issue);
+  const pausedMinutes = calculatePausedMinutes(pauseIntervals, created, endForOpenDuration);
   const openDurationMinutes = safeDiffMinutes(created, endForOpenDuration);
   const timeToResolutionMinutes = resolutionDate ? safeDiffMinutes(created, resolutionDate) : null;
   const timeToFirstAssigneeCommentMinutes = (firstAssignmentTime && firstAssigneeCommentTime)
@@ -195,90 +269,79 @@ export function computeMetrics(issue) {
     ? safeDiffMinutes(created, firstManagerCommentTime)
     : null;
 
-  // Extract SLA information - search all custom fields for SLA data
-  let slaData = null;
-
-  // Common SLA field patterns in Jira
-  const slaFieldCandidates = Object.keys(fields).filter(key =>
-    key.toLowerCase().includes('sla') ||
-    key.includes('customfield')
-  );
-
-  for (const fieldKey of slaFieldCandidates) {
-    const field = fields[fieldKey];
-    if (!field) continue;
-
-    // Check for SLA structure
-    if (field.completedCycles && field.completedCycles.length > 0) {
-      slaData = field.completedCycles.map(cycle => ({
-        name: cycle.goalName || cycle.name || 'SLA',
-        breached: cycle.breached || false,
-        goalDuration: cycle.goalDuration ? cycle.goalDuration.millis : null,
-        elapsedTime: cycle.elapsedTime ? cycle.elapsedTime.millis : null,
-        remainingTime: cycle.remainingTime ? cycle.remainingTime.millis : null
-      }));
-      break;
-    } else if (field.ongoingCycle) {
-      const cycle = field.ongoingCycle;
-      slaData = [{
-        name: cycle.goalName || cycle.name || 'SLA',
-        breached: cycle.breached || false,
-        goalDuration: cycle.goalDuration ? cycle.goalDuration.millis : null,
-        elapsedTime: cycle.elapsedTime ? cycle.elapsedTime.millis : null,
-        remainingTime: cycle.remainingTime ? cycle.remainingTime.millis : null
-      }];
-      break;
-    }
-    // Also check for simpler SLA format (like Time to first response)
-    else if (field._links && field.ongoingCycle !== undefined) {
-      slaData = [{
-        name: fieldKey,
-        breached: false,
-        goalDuration: null,
-        elapsedTime: null,
-        remainingTime: null
-      }];
-      break;
-    }
-  }
+  // Where the ticket waited, and lead/cycle time (see statusTime.js)
+  const statusIntervals = buildStatusIntervals(issue);
+  const timeInStatus = calculateTimeInStatus(statusIntervals);
+  const flowTimes = calculateFlowTimes(issue, statusIntervals, resolutionDate);
+
+  // Everyone who held the ticket and how long (see assigneeChain.js)
+  const assigneeChain = buildAssigneeChain(issue, resolutionDate);
 
-  // Calculate business hours for key metrics
-  // On-call action uses default (EST) timezone since tickets come from US/UK customers
+  // SLA metrics from the Service Management API (or SLA custom fields as a fallback)
+  const slaData = extractSlas(issue);
+
+  // Calculate business hours for key metrics (paused time excluded)
+  // On-call action uses the default (America/New_York) timezone since tickets come from US/UK customers
   const businessHoursToFirstOnCallAction = firstOnCallActionTime
-    ? calculateBusinessMinutes(created, firstOnCallActionTime)
+    ? calculateSlaBusinessMinutes(created, firstOnCallActionTime, null, pauseIntervals)
     : null;
 
   // Assignee response uses assignee's timezone for fair measurement
   const businessHoursToFirstAssigneeComment = (firstAssignmentTime && firstAssigneeCommentTime && assignee)
-    ? calculateBusinessMinutes(firstAssignmentTime, firstAssigneeCommentTime, assignee)
+    ? calculateSlaBusinessMinutes(firstAssignmentTime, firstAssigneeCommentTime, assignee, pauseIntervals)
     : null;
 
   // Calculate business hours from creation to assignee comment (for SLA comparison)
   const businessHoursToFirstAssigneeCommentFromCreation = firstAssigneeCommentTime
-    ? calculateBusinessMinutes(created, firstAssigneeCommentTime)
+    ? calculateSlaBusinessMinutes(created, firstAssigneeCommentTime, null, pauseIntervals)
     : null;
 
   // Calculate business hours to first HUMAN action (for true SLA measurement)
   const businessHoursToFirstHumanAction = firstHumanActionTime
-    ? calculateBusinessMinutes(created, firstHumanActionTime)
+    ? calculateSlaBusinessMinutes(created, firstHumanActionTime, null, pauseIntervals)
     : null;
 
+  // Public response vs internal action, from creation (assignee: from assignment, in their timezone)
+  const sinceCreated = (time) => (time ? safeDiffMinutes(created, time) : null);
+  const businessSinceCreated = (time) => (time ? calculateSlaBusinessMinutes(created, time, null, pauseIntervals) : null);
+
   return {
     key,
     summary: fields.summary,
     status,
+    statusCategory,
     priority: fields.priority ? fields.priority.name : 'None',
+    // Segmentation dimensions (see segments.js)
+    issueType: fields.issuetype ? fields.issuetype.name : null,
+    components: (fields.components || []).map(c => c.name),
+    labels: fields.labels || [],
     assigneeCurrent: assignee,
+    assigneeId,
     created,
     resolutionDate,
+    // Fixed vs closed without a fix (won't fix, duplicate, ...) - null while unresolved (see resolution.js)
+    resolution: resolutionDate ? resolutionName : null,
+    resolutionClass: resolutionDate ? classifyResolution(resolutionName, status) : null,
+    // Reopens: moves from a closed status back to an open one
+    firstResolutionDate: statusHistory.firstResolvedAt || finalResolutionDate,
+    finalResolutionDate,
+    reopenCount: statusHistory.reopenedAt.length,
+    reopenedAt: statusHistory.reopenedAt,
+    lastActivityTime,
     firstAssignmentTime,
     firstAssigneeCommentTime,
     assignedBy,
+    assignedById: getPersonId(assignedByUser),
     firstManagerCommentTime,
     firstOnCallActionTime,
     firstOnCallActionType,
     onCallPersonWhoActedFirst,
+    onCallPersonWhoActedFirstId: getPersonId(onCallUserWhoActedFirst),
     managerCommentedBeforeAssignment,
+    // Reassignments: holder-to-holder handoffs, and whether it came back to an earlier holder
+    assigneeChain,
+    reassignmentCount: getHandoffs(assigneeChain).length,
+    pingPong: isPingPong(assigneeChain),
     timeToFirstOnCallActionMinutes,
     timeToAssignmentMinutes,
     timeToManagerCommentMinutes,
@@ -286,12 +349,40 @@ export function computeMetrics(issue) {
     businessHoursToFirstAssigneeComment,
     businessHoursToFirstAssigneeCommentFromCreation,
     businessHoursToFirstHumanAction,
+    // Customer-visible response vs internal action (see SLA_RESPONSE_TYPE)
+    firstPublicResponseTime,
+    firstPublicResponseBy: getDisplayName(firstPublicResponseUser),
+    firstPublicResponseById: getPersonId(firstPublicResponseUser),
+    timeToFirstPublicResponseMinutes: sinceCreated(firstPublicResponseTime),
+    businessHoursToFirstPublicResponse: businessSinceCreated(firstPublicResponseTime),
+    firstInternalActionTime,
+    firstInternalActionType,
+    timeToFirstInternalActionMinutes: sinceCreated(firstInternalActionTime),
+    businessHoursToFirstInternalAction: businessSinceCreated(firstInternalActionTime),
+    firstOnCallPublicResponseTime,
+    timeToFirstOnCallPublicResponseMinutes: sinceCreated(firstOnCallPublicResponseTime),
+    businessHoursToFirstOnCallPublicResponse: businessSinceCreated(firstOnCallPublicResponseTime),
+    firstAssigneePublicCommentTime,
+    timeToFirstAssigneePublicCommentMinutes: (firstAssignmentTime && firstAssigneePublicCommentTime)
+      ? safeDiffMinutes(firstAssignmentTime, firstAssigneePublicCommentTime)
+      : null,
+    businessHoursToFirstAssigneePublicComment: (firstAssignmentTime && firstAssigneePublicCommentTime)
+      ? calculateSlaBusinessMinutes(firstAssignmentTime, firstAssigneePublicCommentTime, assignee, pauseIntervals)
+      : null,
     createdOutsideBusinessHours: isOutsideBusinessHours(created),
     createdTimeContext: getCreatedTimeContext(created),
     sla: slaData,
+    pauseIntervals,
+    pausedMinutes,
+    // Changelog or comments couldn't be fully loaded - first assignment/response may be off
+    historyIncomplete: Array.isArray(issue.historyIncomplete) && issue.historyIncomplete.length > 0,
+    // JIRA_EXTRA_FIELDS, by configured name (see fieldCatalog.js)
+    extraFields: extractExtraFields(issue),
     openDurationMinutes,
     timeToResolutionMinutes,
     timeToFirstAssigneeCommentMinutes,
+    timeInStatus,
+    ...flowTimes,
     url: `https://your-domain.atlassian.net/browse/${key}`
   };
 }
@@ -300,6 +391,27 @@ function safeDiffMinutes(a, b) {
   try { return differenceInMinutes(parseISO(b), parseISO(a)); } catch { return null; }
 }
 
+// Every per-ticket duration (minutes) that summarize() describes
+export const DURATION_METRICS = [
+  'openDurationMinutes',
+  'timeToResolutionMinutes',
+  'timeToFirstAssigneeCommentMinutes',
+  'timeToFirstOnCallActionMinutes',
+  'timeToAssignmentMinutes',
+  'businessHoursToFirstOnCallAction',
+  'businessHoursToFirstAssigneeComment',
+  'businessHoursToFirstHumanAction',
+  'timeToFirstPublicResponseMinutes',
+  'businessHoursToFirstPublicResponse',
+  'timeToFirstInternalActionMinutes',
+  'businessHoursToFirstInternalAction',
+  'leadTimeMinutes',
+  'leadTimeBusinessMinutes',
+  'cycleTimeMinutes',
+  'cycleTimeBusinessMinutes',
+  'pausedMinutes'
+];
+
 export function summarize(allMetrics) {
   const numeric = (name) => allMetrics.map(m => m[name]).filter(v => typeof v === 'number');
   const avg = (arr) => arr.length ? +(arr.reduce((s, v) => s + v, 0) / arr.length).toFixed(2) : null;
@@ -309,6 +421,8 @@ export function summarize(allMetrics) {
     avgTimeToResolutionMinutes: avg(numeric('timeToResolutionMinutes')),
     avgTimeToFirstAssigneeCommentMinutes: avg(numeric('timeToFirstAssigneeCommentMinutes')),
     avgBusinessHoursToFirstOnCallAction: avg(numeric('businessHoursToFirstOnCallAction')),
-    avgBusinessHoursToFirstAssigneeComment: avg(numeric('businessHoursToFirstAssigneeComment'))
+    avgBusinessHoursToFirstAssigneeComment: avg(numeric('businessHoursToFirstAssigneeComment')),
+    // Percentiles, standard deviation and histogram per duration (the averages above hide outliers)
+    distributions: Object.fromEntries(DURATION_METRICS.map(name => [name, describeDistribution(numeric(name))]))
   };
 }
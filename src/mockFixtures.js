@@ -0,0 +1,348 @@
+/**
+ * Mock Server Fixtures
+ * Data served by the local Jira/Opsgenie stand-in (mockServer.js), either recorded or generated.
+ *
+ * Fixtures are Jira Cloud shaped (mockServer.js converts for Data Center requests):
+ *   {
+ *     issues:   [...],             - issues with full changelog.histories and fields.comment.comments
+ *     slas:     { KEY: [...] },    - Service Management SLA metrics per issue
+ *     fields:   [...],             - /field catalog
+ *     opsgenie: { schedules: [{ id, name }], periods: [{ startDate, endDate, type, recipient: { name } }] }
+ *   }
+ *
+ * Recorded fixtures come from a run archive (data/archive/<runId>), a fixtures file saved with
+ * --save-fixtures, or any { issues } file such as data/sample_issues.json. Generated fixtures are
+ * deterministic for a given seed and use the roster's people, so metrics, KPIs and on-call
+ * enrichment all have something to match.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { readRunArchive } from './runArchive.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const MOCK_SCHEDULE = { id: 'mock-schedule-1', name: 'Engineering Triage' };
+const RESPONSE_GOAL_MS = 4 * HOUR;
+const RESOLUTION_GOAL_MS = 5 * DAY;
+
+export const MOCK_FIELDS = [
+  { id: 'summary', key: 'summary', name: 'Summary', custom: false, schema: { type: 'string', system: 'summary' } },
+  { id: 'status', key: 'status', name: 'Status', custom: false, schema: { type: 'status', system: 'status' } },
+  { id: 'priority', key: 'priority', name: 'Priority', custom: false, schema: { type: 'priority', system: 'priority' } },
+  { id: 'assignee', key: 'assignee', name: 'Assignee', custom: false, schema: { type: 'user', system: 'assignee' } },
+  { id: 'components', key: 'components', name: 'Components', custom: false, schema: { type: 'array', items: 'component', system: 'components' } },
+  { id: 'labels', key: 'labels', name: 'Labels', custom: false, schema: { type: 'array', items: 'string', system: 'labels' } },
+  { id: 'customfield_10010', key: 'customfield_10010', name: 'Organizations', custom: true, schema: { type: 'array', items: 'sd-customerorganization' } },
+  { id: 'customfield_10020', key: 'customfield_10020', name: 'Root Cause', custom: true, schema: { type: 'option' } },
+  { id: 'customfield_10030', key: 'customfield_10030', name: 'Team', custom: true, schema: { type: 'option' } },
+  { id: 'customfield_10040', key: 'customfield_10040', name: 'Time to first response', custom: true, schema: { type: 'sd-servicelevelagreement' } },
+  { id: 'customfield_10041', key: 'customfield_10041', name: 'Time to resolution', custom: true, schema: { type: 'sd-servicelevelagreement' } }
+];
+
+const PRIORITIES = ['Highest', 'High', 'Medium', 'Medium', 'Low'];
+const COMPONENTS = ['MR System', 'Bulk Email', 'QualStage', 'Reporting'];
+const ROOT_CAUSES = ['Code defect', 'Configuration', 'Data issue', 'Third party', 'Not a bug'];
+const ORGANIZATIONS = ['Acme Corp', 'Globex', 'Initech', 'Umbrella'];
+// Most resolved tickets are fixed; every few is closed without a fix
+const NOT_FIXED_RESOLUTIONS = ["Won't Fix", 'Duplicate', 'Cannot Reproduce'];
+const SUMMARIES = ['Login fails', 'Export times out', 'Emails not delivered', 'Report totals wrong', 'Page crashes on save', 'Search returns nothing'];
+
+// Small seeded PRNG (mulberry32) so generated fixtures are reproducible
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (list) => list[Math.floor(next() * list.length)],
+    chance: (p) => next() < p
+  };
+}
+
+const jiraTime = (ms) => new Date(ms).toISOString().replace('Z', '+0000');
+const slaTime = (ms) => ({ iso8601: jiraTime(ms), epochMillis: ms });
+const slaDuration = (ms) => ({ millis: ms, friendly: `${Math.round(ms / MINUTE)}m` });
+
+function toUser(person) {
+  return { accountId: `mock-${person.id}`, displayName: person.name, emailAddress: `${person.id}@example.com`, active: true };
+}
+
+function adf(text) {
+  return { type: 'doc', version: 1, content: [{ type: 'paragraph', content: [{ type: 'text', text }] }] };
+}
+
+function slaMetric(id, name, goalMs, cycles) {
+  // cycles: [{ start, stop|null }] - the last one without stop is still running
+  const completed = cycles.filter(c => c.stop !== null).map(c => {
+    const elapsed = c.stop - c.start;
+    return {
+      startTime: slaTime(c.start),
+      stopTime: slaTime(c.stop),
+      breachTime: slaTime(c.start + goalMs),
+      breached: elapsed > goalMs,
+      goalDuration: slaDuration(goalMs),
+      elapsedTime: slaDuration(elapsed),
+      remainingTime: slaDuration(goalMs - elapsed)
+    };
+  });
+  const running = cycles.find(c => c.stop === null);
+  const metric = { id, name, completedCycles: completed, _links: {} };
+  if (running) {
+    const elapsed = Math.max(0, running.asOf - running.start);
+    metric.ongoingCycle = {
+      startTime: slaTime(running.start),
+      breachTime: slaTime(running.start + goalMs),
+      breached: elapsed > goalMs,
+      paused: running.paused || false,
+      withinCalendarHours: true,
+      goalDuration: slaDuration(goalMs),
+      elapsedTime: slaDuration(elapsed),
+      remainingTime: slaDuration(goalMs - elapsed)
+    };
+  }
+  return metric;
+}
+
+/**
+ * Generate a deterministic set of tickets, SLAs and on-call shifts
+ * @param {Object} options
+ * @param {Object} options.roster - Parsed roster (config/roster.json)
+ * @param {number} options.count - Number of issues
+ * @param {number} options.seed - PRNG seed
+ * @param {string} options.start - First creation day (YYYY-MM-DD, UTC)
+ * @param {number} options.weeks - Span of creation dates
+ * @param {string} options.projectKey - Issue key prefix
+ * @returns {Object} Fixtures
+ */
+export function generateFixtures({ roster, count = 60, seed = 42, start = '2025-11-03', weeks = 6, projectKey = 'BUG' }) {
+  const random = createRandom(seed);
+  const people = roster.people || [];
+  const managers = people.filter(p => (p.roles || []).includes('on-call-manager'));
+  const developers = people.filter(p => (p.roles || []).includes('developer'));
+  if (managers.length === 0 || developers.length === 0) {
+    throw new Error('Roster needs at least one on-call manager and one developer to generate fixtures');
+  }
+  const customers = [1, 2, 3, 4].map(n => ({ accountId: `mock-customer-${n}`, displayName: `Customer ${n}`, active: true }));
+
+  const startMs = Date.parse(`${start}T00:00:00Z`);
+  const endMs = startMs + weeks * 7 * DAY;
+  // Generated data describes a moment just after the last ticket, not the real clock
+  const asOf = endMs + DAY;
+
+  const issues = [];
+  const slas = {};
+  for (let n = 1; n <= count; n++) {
+    const key = `${projectKey}-${n}`;
+    const created = startMs + Math.floor(random.next() * (endMs - startMs));
+    const manager = random.pick(managers);
+    let developer = random.pick(developers);
+    const histories = [];
+    const comments = [];
+    let status = 'To Do';
+    let seq = 0;
+
+    const addHistory = (at, author, items) => {
+      histories.push({ id: `${n}${String(++seq).padStart(4, '0')}`, author: toUser(author), created: jiraTime(at), items });
+    };
+    // jsdPublic false: a Service Management internal note the customer doesn't see
+    const addComment = (at, author, text, jsdPublic = true) => {
+      comments.push({ id: `${n}${String(++seq).padStart(4, '0')}`, author: author.accountId ? author : toUser(author), body: adf(text), created: jiraTime(at), updated: jiraTime(at), jsdPublic });
+    };
+    const transition = (at, author, to) => {
+      addHistory(at, author, [{ field: 'status', fieldtype: 'jira', fromString: status, toString: to }]);
+      status = to;
+    };
+
+    // Triage: the on-call manager comments or assigns (some tickets wait a long time, some never get triaged)
+    const untriaged = random.chance(0.08);
+    let respondedAt = null;
+    let resolvedAt = null;
+    const cycles = [];
+    if (!untriaged) {
+      respondedAt = created + random.int(5, random.chance(0.25) ? 1800 : 300) * MINUTE;
+      if (random.chance(0.4)) {
+        if (random.chance(0.5)) addComment(respondedAt, manager, 'Triage: routing to the owning team.', false);
+        else addComment(respondedAt, manager, 'Thanks for the report - we are looking into this.');
+      }
+      addHistory(respondedAt + random.int(0, 20) * MINUTE, manager, [{
+        field: 'assignee', fieldtype: 'jira', from: null, fromString: null, to: `mock-${developer.id}`, toString: developer.name
+      }]);
+
+      let at = respondedAt + random.int(30, 1500) * MINUTE;
+      // Some developers leave an internal note before replying to the customer
+      if (random.chance(0.3)) addComment(at - random.int(10, 25) * MINUTE, developer, 'Internal: checking the logs for this account.', false);
+      const reassign = (author, to) => {
+        addHistory(at, author, [{
+          field: 'assignee', fieldtype: 'jira', from: `mock-${developer.id}`, fromString: developer.name, to: `mock-${to.id}`, toString: to.name
+        }]);
+        developer = to;
+      };
+
+      // Misrouted tickets get passed on, and some bounce back to the first assignee (ping-pong)
+      if (random.chance(0.25)) {
+        const first = developer;
+        const others = developers.filter(d => d !== first);
+        reassign(first, others.length > 0 ? random.pick(others) : manager);
+        if (random.chance(0.4)) {
+          at += random.int(60, 1440) * MINUTE;
+          reassign(developer, first);
+        }
+        at += random.int(30, 600) * MINUTE;
+      }
+      addComment(at, developer, 'Reproduced, working on a fix.');
+      transition(at, developer, 'In Progress');
+      let cycleStart = created;
+
+      if (random.chance(0.2)) {
+        at += random.int(60, 600) * MINUTE;
+        transition(at, developer, 'Waiting for Customer');
+        at += random.int(120, 2880) * MINUTE;
+        addComment(at, customers[n % customers.length], 'Here are the details you asked for.');
+        transition(at, developer, 'In Progress');
+      }
+
+      if (random.chance(0.75)) {
+        at += random.int(60, 7200) * MINUTE;
+        transition(at, developer, 'Done');
+        resolvedAt = at;
+        cycles.push({ start: cycleStart, stop: at });
+
+        // Re-opened tickets get a second resolution cycle
+        if (random.chance(0.15)) {
+          at += random.int(600, 4000) * MINUTE;
+          transition(at, manager, 'Reopened');
+          cycleStart = at;
+          at += random.int(60, 3000) * MINUTE;
+          transition(at, developer, 'Done');
+          resolvedAt = at;
+          cycles.push({ start: cycleStart, stop: at });
+        }
+      }
+      if (!resolvedAt) cycles.push({ start: cycleStart, stop: null, asOf, paused: status === 'Waiting for Customer' });
+
+      // Long-lived tickets: enough history and comments to need paging past the embedded first page
+      if (n % 15 === 0) {
+        for (let i = 0; i < 130; i++) {
+          addHistory(at + (i + 1) * MINUTE, developer, [{ field: 'labels', fieldtype: 'jira', fromString: '', toString: `triage-${i}` }]);
+        }
+        for (let i = 0; i < 30; i++) addComment(at + (i + 1) * MINUTE, developer, `Progress update ${i + 1}`);
+      }
+    } else {
+      cycles.push({ start: created, stop: null, asOf });
+    }
+
+    const events = [created, ...histories.map(h => Date.parse(h.created)), ...comments.map(c => Date.parse(c.created))];
+    histories.sort((a, b) => Date.parse(b.created) - Date.parse(a.created));
+    comments.sort((a, b) => Date.parse(a.created) - Date.parse(b.created));
+
+    const responseCycle = respondedAt
+      ? [{ start: created, stop: respondedAt }]
+      : [{ start: created, stop: null, asOf }];
+
+    issues.push({
+      id: String(10000 + n),
+      key,
+      fields: {
+        summary: `${random.pick(SUMMARIES)} (${key})`,
+        created: jiraTime(created),
+        updated: jiraTime(Math.max(...events)),
+        resolutiondate: resolvedAt ? jiraTime(resolvedAt) : null,
+        resolution: resolvedAt ? { name: n % 6 === 0 ? NOT_FIXED_RESOLUTIONS[(n / 6) % NOT_FIXED_RESOLUTIONS.length] : 'Done' } : null,
+        status: { name: status, statusCategory: { key: status === 'Done' ? 'done' : status === 'To Do' ? 'new' : 'indeterminate' } },
+        issuetype: { name: 'Bug' },
+        priority: { name: random.pick(PRIORITIES) },
+        project: { key: projectKey },
+        assignee: untriaged ? null : toUser(developer),
+        reporter: customers[n % customers.length],
+        components: [{ name: random.pick(COMPONENTS) }],
+        labels: random.chance(0.3) ? ['customer-reported'] : [],
+        customfield_10010: [{ id: String(n % ORGANIZATIONS.length), name: ORGANIZATIONS[n % ORGANIZATIONS.length] }],
+        customfield_10020: resolvedAt ? { value: random.pick(ROOT_CAUSES) } : null,
+        customfield_10030: { value: random.chance(0.5) ? 'Platform' : 'Product' },
+        comment: { comments, maxResults: comments.length, total: comments.length, startAt: 0 }
+      },
+      changelog: { startAt: 0, maxResults: histories.length, total: histories.length, histories }
+    });
+
+    slas[key] = [
+      slaMetric('1', 'Time to first response', RESPONSE_GOAL_MS, responseCycle),
+      slaMetric('2', 'Time to resolution', RESOLUTION_GOAL_MS, cycles)
+    ];
+  }
+  issues.sort((a, b) => Date.parse(b.fields.created) - Date.parse(a.fields.created));
+
+  // Weekday triage shifts 07:00-15:00 and 15:00-23:00 UTC, rotating through the on-call managers
+  const periods = [];
+  let turn = 0;
+  for (let day = startMs - 7 * DAY; day < asOf; day += DAY) {
+    const weekday = new Date(day).getUTCDay();
+    if (weekday === 0 || weekday === 6) continue;
+    [[7, 15], [15, 23]].forEach(([from, to]) => {
+      const person = managers[turn++ % managers.length];
+      const alias = (person.opsgenie && person.opsgenie[0]) || person.id;
+      periods.push({
+        startDate: new Date(day + from * HOUR).toISOString(),
+        endDate: new Date(day + to * HOUR).toISOString(),
+        type: 'historical',
+        recipient: { name: `${alias}@example.com`, type: 'user' }
+      });
+    });
+  }
+
+  return { issues, slas, fields: MOCK_FIELDS, opsgenie: { schedules: [MOCK_SCHEDULE], periods } };
+}
+
+/**
+ * Load recorded fixtures
+ * @param {string} source - A run archive directory (data/archive/<runId>) or a JSON file with `issues`
+ * @returns {Object} Fixtures
+ */
+export function loadFixtures(source) {
+  const resolved = path.resolve(process.cwd(), source);
+  if (!fs.existsSync(resolved)) throw new Error(`Fixtures not found: ${source}`);
+
+  let raw;
+  if (fs.statSync(resolved).isDirectory()) {
+    const archive = readRunArchive(path.basename(resolved), path.dirname(resolved));
+    raw = {
+      issues: archive.issues,
+      fields: archive.fieldCatalog ? archive.fieldCatalog.fields : null,
+      // Archived shifts are already reduced to { person, shiftStart, shiftEnd }
+      opsgenie: archive.shifts ? {
+        schedules: [MOCK_SCHEDULE],
+        periods: archive.shifts.map(s => ({
+          startDate: s.shiftStart, endDate: s.shiftEnd, type: s.type || 'historical',
+          recipient: { name: `${s.person}@example.com`, type: 'user' }
+        }))
+      } : null
+    };
+  } else {
+    raw = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  }
+  if (!Array.isArray(raw.issues)) throw new Error(`Fixtures ${source} have no issues list`);
+
+  // SLAs attached by loadServiceDeskSlas (archives) are served from the SLA endpoint instead
+  const slas = { ...(raw.slas || {}) };
+  const issues = raw.issues.map(issue => {
+    if (!issue.serviceDeskSla) return issue;
+    slas[issue.key] = issue.serviceDeskSla;
+    const { serviceDeskSla, historyIncomplete, ...rest } = issue;
+    return rest;
+  });
+
+  return {
+    issues,
+    slas,
+    fields: raw.fields || MOCK_FIELDS,
+    opsgenie: raw.opsgenie || { schedules: [MOCK_SCHEDULE], periods: [] }
+  };
+}
@@ -0,0 +1,500 @@
+/**
+ * Jira & Opsgenie Mock Server
+ * A local stand-in for the Jira REST API (Cloud v3 and Data Center v2), the Service Management
+ * SLA API and the Opsgenie schedule API, serving fixtures from mockFixtures.js. Point
+ * JIRA_BASE_URL and OPSGENIE_BASE_URL at it to run the real clients - paging, retries, history
+ * completion, SLA loading and on-call enrichment - end to end without network access.
+ *
+ * Like the real services:
+ *   - Cloud search pages with nextPageToken (bound to the query), Data Center with startAt/total
+ *   - embedded changelogs and comments are cut off, so the per-issue endpoints get exercised
+ *   - Data Center users have key/name and comment bodies are plain text instead of ADF
+ *   - requests without an Authorization header get 401
+ *
+ * Fault injection makes chosen routes fail: { route, status, times, rate, retryAfter }
+ *   route:  search | issue | changelog | comment | field | picker | user | sla | schedules | timeline | oncalls | *
+ *   status: an HTTP status, 'timeout' (never answers) or 'reset' (drops the connection)
+ *   times:  fail this many matching requests, then stop (default: every one)
+ *   rate:   fail this fraction of matching requests (seeded, so runs repeat)
+ *
+ * Control endpoints:
+ *   GET    /__mock/requests  - requests served so far (route, status, fault)
+ *   POST   /__mock/faults    - add fault rules (JSON rule or array of rules)
+ *   DELETE /__mock/faults    - remove every fault rule
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { adfToText } from './jiraNormalize.js';
+
+const FAULT_ROUTES = ['search', 'issue', 'changelog', 'comment', 'field', 'picker', 'user', 'sla', 'schedules', 'timeline', 'oncalls', '*'];
+// A 'timeout' fault holds the connection this long, well past any client timeout
+const HANG_MS = 10 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a fault rule from the command line
+ *   route:status[:times][@rate]  e.g. search:429:2, sla:503@0.2, changelog:timeout:1, *:reset@0.05
+ * @param {string} spec
+ * @returns {Object} Fault rule
+ */
+export function parseFaultSpec(spec) {
+  const [rule, rateText] = String(spec).split('@');
+  const [route, statusText, timesText] = rule.split(':');
+  return checkFaultRule({
+    route,
+    status: ['timeout', 'reset'].includes(statusText) ? statusText : Number(statusText),
+    times: timesText !== undefined ? Number(timesText) : null,
+    rate: rateText !== undefined ? Number(rateText) : null
+  }, spec);
+}
+
+function checkFaultRule(rule, label = JSON.stringify(rule)) {
+  const { route, status, times = null, rate = null } = rule;
+  const problems = [];
+  if (!FAULT_ROUTES.includes(route)) problems.push(`unknown route "${route}" (expected ${FAULT_ROUTES.join(', ')})`);
+  if (!['timeout', 'reset'].includes(status) && !(status >= 400 && status <= 599)) problems.push(`status "${status}" isn't 400-599, timeout or reset`);
+  if (times !== null && !(Number.isInteger(times) && times > 0)) problems.push(`times "${times}" isn't a positive whole number`);
+  if (rate !== null && !(rate > 0 && rate <= 1)) problems.push(`rate "${rate}" isn't between 0 and 1`);
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid fault ${label}:\n  - ${problems.join('\n  - ')}`);
+  }
+  return { ...rule, times, rate };
+}
+
+// Seeded PRNG for fault rates (mulberry32)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// --- Minimal JQL: the clauses jiraClient.js builds ---------------------------------------------
+
+function jqlValues(text) {
+  const list = text.trim().replace(/^\(|\)$/g, '');
+  return list.split(',').map(v => v.trim().replace(/^["']|["']$/g, '').toLowerCase()).filter(Boolean);
+}
+
+// 'YYYY-MM-DD' or 'YYYY-MM-DD HH:mm', read as UTC
+function jqlDate(text) {
+  const value = text.trim().replace(/^["']|["']$/g, '').replace(' ', 'T');
+  return Date.parse(value.length <= 10 ? `${value}T00:00:00Z` : `${value}Z`);
+}
+
+const COMPARE = {
+  '>=': (a, b) => a >= b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '<': (a, b) => a < b,
+  '=': (a, b) => a === b
+};
+
+// Drop the grouping parentheses a clause picked up when the query was split on AND
+function trimGrouping(clause) {
+  let text = clause.trim();
+  const count = (ch) => text.split(ch).length - 1;
+  while (text.startsWith('(') && count('(') > count(')')) text = text.slice(1).trim();
+  while (text.endsWith(')') && count(')') > count('(')) text = text.slice(0, -1).trim();
+  return text;
+}
+
+function compileClause(clause) {
+  const match = clause.match(/^(\w+)\s*(>=|<=|>|<|=|\bin\b)\s*(.+)$/i);
+  if (!match) return { ignored: clause };
+  const [, rawField, rawOperator, operand] = match;
+  const field = rawField.toLowerCase();
+  const operator = rawOperator.toLowerCase();
+
+  const byName = (get) => {
+    const wanted = operator === 'in' ? jqlValues(operand) : jqlValues(operand).slice(0, 1);
+    return (issue) => wanted.includes(String(get(issue) || '').toLowerCase());
+  };
+
+  switch (field) {
+    case 'key':
+    case 'issuekey':
+      return byName(issue => issue.key);
+    case 'project':
+      return byName(issue => (issue.fields.project && issue.fields.project.key) || issue.key.split('-')[0]);
+    case 'issuetype':
+    case 'type':
+      return byName(issue => issue.fields.issuetype && issue.fields.issuetype.name);
+    case 'status':
+      return byName(issue => issue.fields.status && issue.fields.status.name);
+    case 'created':
+    case 'updated': {
+      if (!COMPARE[operator]) return { ignored: clause };
+      const bound = jqlDate(operand);
+      return (issue) => COMPARE[operator](Date.parse(issue.fields[field]), bound);
+    }
+    default:
+      return { ignored: clause };
+  }
+}
+
+/**
+ * Filter issues by a JQL query (AND-ed clauses on key, project, issuetype, status, created, updated);
+ * results are always newest created first. Clauses it can't read are ignored and reported.
+ * @returns {{ issues: Array, ignored: string[] }}
+ */
+function runJql(issues, jql) {
+  const where = String(jql || '').split(/\bORDER\s+BY\b/i)[0];
+  const clauses = where.split(/\s+AND\s+/i).map(trimGrouping).filter(Boolean);
+
+  const ignored = [];
+  const filters = [];
+  clauses.forEach(clause => {
+    const compiled = compileClause(clause);
+    if (typeof compiled === 'function') filters.push(compiled);
+    else ignored.push(compiled.ignored);
+  });
+
+  const matched = issues
+    .filter(issue => filters.every(filter => filter(issue)))
+    .sort((a, b) => Date.parse(b.fields.created) - Date.parse(a.fields.created));
+  return { issues: matched, ignored };
+}
+
+// --- Response shapes ------------------------------------------------------------------------
+
+function toDataCenterUser(user) {
+  if (!user || typeof user !== 'object' || !user.accountId) return user;
+  const { accountId, ...rest } = user;
+  return { ...rest, key: accountId, name: accountId };
+}
+
+function pickFields(fields, requested) {
+  const wanted = String(requested || '*all').split(',').map(f => f.trim()).filter(Boolean);
+  if (wanted.includes('*all') || wanted.includes('*navigable')) return { ...fields };
+  const picked = {};
+  wanted.forEach(name => { if (name in fields) picked[name] = fields[name]; });
+  return picked;
+}
+
+/**
+ * An issue as the API returns it: requested fields, embedded changelog/comments cut to the limits,
+ * and Data Center shapes for v2
+ */
+function renderIssue(issue, { version, fields, expand, historyLimit, commentLimit }) {
+  const isDataCenter = version === '2';
+  const user = (u) => (isDataCenter ? toDataCenterUser(u) : u);
+  const body = (b) => (isDataCenter && b && typeof b === 'object' ? adfToText(b) : b);
+
+  const out = { id: issue.id, key: issue.key, fields: pickFields(issue.fields, fields) };
+  ['assignee', 'reporter', 'creator'].forEach(name => {
+    if (out.fields[name]) out.fields[name] = user(out.fields[name]);
+  });
+
+  if (out.fields.comment) {
+    const all = issue.fields.comment.comments || [];
+    const comments = all.slice(0, commentLimit)
+      .map(({ bodyText, jsdPublic, ...c }) => ({
+        ...c,
+        author: user(c.author),
+        updateAuthor: user(c.updateAuthor),
+        body: body(c.body),
+        // Data Center keeps comment visibility in the sd.public.comment property instead
+        ...(isDataCenter || jsdPublic === undefined ? {} : { jsdPublic })
+      }));
+    out.fields.comment = { comments, maxResults: comments.length, total: all.length, startAt: 0 };
+  }
+
+  if (String(expand || '').split(',').includes('changelog') && issue.changelog) {
+    const all = issue.changelog.histories || [];
+    const histories = all.slice(0, historyLimit).map(h => ({ ...h, author: user(h.author) }));
+    out.changelog = { startAt: 0, maxResults: histories.length, total: all.length, histories };
+  }
+  return out;
+}
+
+// --- Server ---------------------------------------------------------------------------------
+
+/**
+ * Create a mock server over a set of fixtures
+ * @param {Object} fixtures - From generateFixtures() or loadFixtures()
+ * @param {Object} options
+ * @param {number} options.historyEmbedLimit - Histories embedded in search/issue responses (Jira: 100)
+ * @param {number} options.commentEmbedLimit - Comments embedded in search/issue responses
+ * @param {Array} options.faults - Fault rules (see parseFaultSpec)
+ * @param {number} options.seed - Seed for fault rates
+ * @returns {{ server: http.Server, listen: Function, close: Function, requests: Array, addFaults: Function, clearFaults: Function }}
+ */
+export function createMockServer(fixtures, { historyEmbedLimit = 100, commentEmbedLimit = 20, faults = [], seed = 1 } = {}) {
+  const issuesByKey = new Map(fixtures.issues.map(issue => [issue.key.toUpperCase(), issue]));
+  const slas = fixtures.slas || {};
+  // Everyone who appears on an issue, for user search
+  const users = new Map();
+  const addUser = (u) => { if (u && u.accountId && !users.has(u.accountId)) users.set(u.accountId, u); };
+  fixtures.issues.forEach(issue => {
+    ['assignee', 'reporter', 'creator'].forEach(name => addUser(issue.fields[name]));
+    ((issue.fields.comment && issue.fields.comment.comments) || []).forEach(c => addUser(c.author));
+    ((issue.changelog && issue.changelog.histories) || []).forEach(h => addUser(h.author));
+  });
+  const opsgenie = fixtures.opsgenie || { schedules: [], periods: [] };
+  const random = createRandom(seed);
+  const requests = [];
+  let rules = [];
+  const hanging = new Set();
+  const reportedJql = new Set();
+
+  const addFaults = (list) => {
+    rules = rules.concat([].concat(list).map(rule => ({ times: null, rate: null, ...rule, hits: 0 })));
+  };
+  const clearFaults = () => { rules = []; };
+  addFaults(faults);
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+  const jiraError = (res, status, message) => send(res, status, { errorMessages: [message], errors: {} });
+
+  // The fault to apply to this request, if any
+  const takeFault = (route) => {
+    const rule = rules.find(r => (r.route === route || r.route === '*') && (r.times === null || r.hits < r.times));
+    if (!rule) return null;
+    if (rule.rate && random() >= rule.rate) return null;
+    rule.hits++;
+    return rule;
+  };
+
+  const applyFault = (rule, req, res) => {
+    if (rule.status === 'reset') {
+      req.socket.destroy();
+      return;
+    }
+    if (rule.status === 'timeout') {
+      // Hold the request open; the client's timeout gives up first
+      const timer = setTimeout(() => { hanging.delete(timer); res.destroy(); }, HANG_MS);
+      hanging.add(timer);
+      return;
+    }
+    const retryAfter = rule.retryAfter !== undefined ? rule.retryAfter : ([429, 503].includes(rule.status) ? 1 : null);
+    send(res, rule.status, { errorMessages: [`Injected fault (${rule.route}:${rule.status})`], errors: {} },
+      retryAfter !== null ? { 'Retry-After': String(retryAfter) } : {});
+  };
+
+  const paging = (query, startName, sizeName, defaultSize) => ({
+    start: Math.max(0, Number(query.get(startName)) || 0),
+    size: Math.min(Math.max(1, Number(query.get(sizeName)) || defaultSize), 100)
+  });
+
+  const searchIssues = (jql) => {
+    const result = runJql(fixtures.issues, jql);
+    if (result.ignored.length > 0 && !reportedJql.has(jql)) {
+      reportedJql.add(jql);
+      console.warn(`Mock: ignoring JQL clause(s) it can't evaluate: ${result.ignored.join('; ')}`);
+    }
+    return result.issues;
+  };
+
+  const jqlHash = (jql) => crypto.createHash('sha256').update(String(jql || '')).digest('hex').slice(0, 16);
+
+  // Route table: [fault route name, path pattern, handler(match, query, req, res)] - all GET
+  const routes = [
+    ['search', /^\/rest\/api\/3\/search$/, (m, q, req, res) => {
+      jiraError(res, 410, 'The requested API has been removed. Please migrate to the /rest/api/3/search/jql API.');
+    }],
+    ['search', /^\/rest\/api\/3\/search\/jql$/, (m, q, req, res) => {
+      const jql = q.get('jql');
+      let offset = 0;
+      const token = q.get('nextPageToken');
+      if (token) {
+        let decoded = null;
+        try {
+          decoded = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+        } catch (error) {
+          // handled below
+        }
+        if (!decoded || decoded.jql !== jqlHash(jql)) return jiraError(res, 400, 'Invalid nextPageToken for this query.');
+        offset = decoded.offset;
+      }
+      const { size } = paging(q, 'startAt', 'maxResults', 50);
+      const all = searchIssues(jql);
+      const page = all.slice(offset, offset + size);
+      const next = offset + page.length;
+      const body = {
+        issues: page.map(issue => renderIssue(issue, {
+          version: '3', fields: q.get('fields'), expand: q.get('expand'), historyLimit: historyEmbedLimit, commentLimit: commentEmbedLimit
+        })),
+        isLast: next >= all.length
+      };
+      if (next < all.length) {
+        body.nextPageToken = Buffer.from(JSON.stringify({ offset: next, jql: jqlHash(jql) })).toString('base64url');
+      }
+      send(res, 200, body);
+    }],
+    ['search', /^\/rest\/api\/2\/search$/, (m, q, req, res) => {
+      const { start, size } = paging(q, 'startAt', 'maxResults', 50);
+      const all = searchIssues(q.get('jql'));
+      const page = all.slice(start, start + size);
+      send(res, 200, {
+        startAt: start,
+        maxResults: size,
+        total: all.length,
+        issues: page.map(issue => renderIssue(issue, {
+          version: '2', fields: q.get('fields'), expand: q.get('expand'), historyLimit: historyEmbedLimit, commentLimit: commentEmbedLimit
+        }))
+      });
+    }],
+    ['field', /^\/rest\/api\/([23])\/field$/, (m, q, req, res) => send(res, 200, fixtures.fields || [])],
+    ['picker', /^\/rest\/api\/([23])\/issue\/picker$/, (m, q, req, res) => {
+      const jql = q.get('currentJQL') || (q.get('query') ? `project = ${q.get('query')}` : '');
+      const issues = searchIssues(jql).map(issue => ({ key: issue.key, summaryText: issue.fields.summary }));
+      send(res, 200, { sections: [{ id: 'cs', label: 'Current Search', issues }] });
+    }],
+    ['user', /^\/rest\/api\/([23])\/user\/search$/, (m, q, req, res) => {
+      const isDataCenter = m[1] === '2';
+      const query = String(q.get(isDataCenter ? 'username' : 'query') || '').toLowerCase();
+      if (!query) return jiraError(res, 400, `The ${isDataCenter ? 'username' : 'query'} parameter is required.`);
+      const matches = [...users.values()]
+        .filter(u => [u.displayName, u.emailAddress, isDataCenter ? u.accountId : null].some(v => v && v.toLowerCase().includes(query)))
+        .map(u => (isDataCenter ? toDataCenterUser(u) : { ...u, accountType: 'atlassian' }));
+      send(res, 200, matches);
+    }],
+    ['changelog', /^\/rest\/api\/3\/issue\/([^/]+)\/changelog$/, (m, q, req, res) => {
+      const issue = issuesByKey.get(decodeURIComponent(m[1]).toUpperCase());
+      if (!issue) return jiraError(res, 404, 'Issue does not exist or you do not have permission to see it.');
+      // This endpoint lists oldest first
+      const all = [...((issue.changelog && issue.changelog.histories) || [])].reverse();
+      const { start, size } = paging(q, 'startAt', 'maxResults', 100);
+      const values = all.slice(start, start + size);
+      send(res, 200, { startAt: start, maxResults: size, total: all.length, isLast: start + values.length >= all.length, values });
+    }],
+    ['comment', /^\/rest\/api\/([23])\/issue\/([^/]+)\/comment$/, (m, q, req, res) => {
+      const issue = issuesByKey.get(decodeURIComponent(m[2]).toUpperCase());
+      if (!issue) return jiraError(res, 404, 'Issue does not exist or you do not have permission to see it.');
+      const all = renderIssue(issue, { version: m[1], fields: 'comment', historyLimit: 0, commentLimit: Infinity }).fields.comment;
+      const { start, size } = paging(q, 'startAt', 'maxResults', 50);
+      const comments = (all ? all.comments : []).slice(start, start + size);
+      send(res, 200, { startAt: start, maxResults: size, total: all ? all.total : 0, comments });
+    }],
+    ['issue', /^\/rest\/api\/([23])\/issue\/([^/]+)$/, (m, q, req, res) => {
+      const issue = issuesByKey.get(decodeURIComponent(m[2]).toUpperCase());
+      if (!issue) return jiraError(res, 404, 'Issue does not exist or you do not have permission to see it.');
+      // Data Center has no changelog endpoint; its issue resource carries the whole changelog instead
+      send(res, 200, renderIssue(issue, {
+        version: m[1], fields: q.get('fields'), expand: q.get('expand'),
+        historyLimit: m[1] === '2' ? Infinity : historyEmbedLimit, commentLimit: commentEmbedLimit
+      }));
+    }],
+    ['sla', /^\/rest\/servicedeskapi\/request\/([^/]+)\/sla$/, (m, q, req, res) => {
+      const key = decodeURIComponent(m[1]).toUpperCase();
+      if (!issuesByKey.has(key)) return jiraError(res, 404, 'Request does not exist.');
+      const all = slas[key] || [];
+      const { start, size } = paging(q, 'start', 'limit', 50);
+      const values = all.slice(start, start + size);
+      send(res, 200, { size: values.length, start, limit: size, isLastPage: start + values.length >= all.length, values });
+    }],
+    ['schedules', /^\/v2\/schedules$/, (m, q, req, res) => {
+      send(res, 200, { data: opsgenie.schedules.map(s => ({ ...s, enabled: true })), took: 0.01, requestId: crypto.randomUUID() });
+    }],
+    ['timeline', /^\/v2\/schedules\/([^/]+)\/timeline$/, (m, q, req, res) => {
+      const schedule = opsgenie.schedules.find(s => s.id === m[1] || s.name === decodeURIComponent(m[1]));
+      if (!schedule) return send(res, 404, { message: 'Schedule not found', took: 0.01 });
+      const start = Date.parse(q.get('date') || new Date().toISOString());
+      const days = Number(q.get('interval')) || 1;
+      const end = start + days * DAY_MS;
+      const periods = opsgenie.periods.filter(p => Date.parse(p.endDate) > start && Date.parse(p.startDate) < end);
+      send(res, 200, {
+        data: {
+          _parent: { id: schedule.id, name: schedule.name, enabled: true },
+          startDate: new Date(start).toISOString(),
+          endDate: new Date(end).toISOString(),
+          finalTimeline: { rotations: [{ id: `${schedule.id}-rotation`, name: 'Rotation', order: 1, periods }] }
+        },
+        took: 0.01
+      });
+    }],
+    ['oncalls', /^\/v2\/schedules\/([^/]+)\/on-calls$/, (m, q, req, res) => {
+      const at = Date.parse(q.get('date') || new Date().toISOString());
+      const current = opsgenie.periods.filter(p => Date.parse(p.startDate) <= at && at < Date.parse(p.endDate));
+      send(res, 200, {
+        data: { _parent: { id: m[1] }, onCallParticipants: current.map(p => ({ name: p.recipient.name, type: 'user' })) },
+        took: 0.01
+      });
+    }]
+  ];
+
+  const handleControl = (url, req, res) => {
+    if (url.pathname === '/__mock/requests' && req.method === 'GET') return send(res, 200, { requests });
+    if (url.pathname === '/__mock/faults' && req.method === 'DELETE') {
+      clearFaults();
+      return send(res, 200, { faults: rules });
+    }
+    if (url.pathname === '/__mock/faults' && req.method === 'POST') {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        try {
+          addFaults([].concat(JSON.parse(body || '[]')).map(rule => checkFaultRule(rule)));
+          send(res, 200, { faults: rules });
+        } catch (error) {
+          send(res, 400, { error: error.message });
+        }
+      });
+      return;
+    }
+    send(res, 404, { error: `No mock control endpoint ${req.method} ${url.pathname}` });
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://mock.local');
+    if (url.pathname.startsWith('/__mock/')) return handleControl(url, req, res);
+
+    const found = routes.map(([name, pattern, handler]) => ({ name, handler, match: url.pathname.match(pattern) }))
+      .find(r => r.match);
+    const entry = { at: new Date().toISOString(), method: req.method, path: url.pathname, route: found ? found.name : null, status: null, fault: null };
+    requests.push(entry);
+    res.on('finish', () => { entry.status = res.statusCode; });
+
+    if (!found || req.method !== 'GET') {
+      return send(res, 404, { errorMessages: [`Mock doesn't serve ${req.method} ${url.pathname}`] });
+    }
+
+    const auth = req.headers.authorization || '';
+    const isOpsgenie = url.pathname.startsWith('/v2/');
+    if (isOpsgenie ? !/^GenieKey \S+/.test(auth) : !/^(Basic|Bearer) \S+/.test(auth)) {
+      return isOpsgenie
+        ? send(res, 401, { message: 'Could not authenticate', took: 0 })
+        : jiraError(res, 401, 'You are not authenticated. Authentication required to perform this operation.');
+    }
+
+    const fault = takeFault(found.name);
+    if (fault) {
+      entry.fault = String(fault.status);
+      return applyFault(fault, req, res);
+    }
+    found.handler(found.match, url.searchParams, req, res);
+  });
+
+  return {
+    server,
+    requests,
+    addFaults,
+    clearFaults,
+    /**
+     * Start listening (port 0 picks a free port)
+     * @returns {Promise<string>} Base URL
+     */
+    listen(port = 0, host = '127.0.0.1') {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => resolve(`http://${host}:${server.address().port}`));
+      });
+    },
+    close() {
+      hanging.forEach(timer => clearTimeout(timer));
+      hanging.clear();
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
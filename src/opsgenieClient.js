@@ -3,18 +3,25 @@
  * Fetches on-call schedule data to determine who was on-call at specific times
  */
 
+import http from 'http';
 import https from 'https';
+import { resolveOpsgenieUser } from './roster.js';
+import { loadEnvConfig } from './loadEnv.js';
 
-const OPSGENIE_API_BASE = 'https://api.opsgenie.com/v2';
+// OPSGENIE_BASE_URL points at the EU instance or a local mock server (see mockServer.js)
+const OPSGENIE_API_BASE = `${(loadEnvConfig().OPSGENIE_BASE_URL || 'https://api.opsgenie.com').replace(/\/$/, '')}/v2`;
 
 /**
  * Make a request to Opsgenie API
  */
 async function opsgenieRequest(path, apiKey) {
   return new Promise((resolve, reject) => {
+    const url = new URL(`${OPSGENIE_API_BASE}${path}`);
+    const client = url.protocol === 'http:' ? http : https;
     const options = {
-      hostname: 'api.opsgenie.com',
-      path: `/v2${path}`,
+      hostname: url.hostname,
+      port: url.port || undefined,
+      path: `${url.pathname}${url.search}`,
       method: 'GET',
       headers: {
         'Authorization': `GenieKey ${apiKey}`,
@@ -22,7 +29,7 @@ async function opsgenieRequest(path, apiKey) {
       }
     };
 
-    const req = https.request(options, (res) => {
+    const req = client.request(options, (res) => {
       let data = '';
       
       res.on('data', (chunk) => {
@@ -259,7 +266,7 @@ export async function getScheduleTimeline(scheduleId, startDate, endDate, apiKey
  * Find who was on-call at a specific time from a cached timeline
  * @param {Array} shifts - Array of shift objects from getScheduleTimeline
  * @param {string} timestamp - ISO timestamp to check
- * @returns {Object} - Shift object with person, start, end times
+ * @returns {Object} - Shift object with person, start, end times and personName (roster name, if known)
  */
 export function findShiftAtTime(shifts, timestamp) {
   const date = new Date(timestamp);
@@ -275,7 +282,8 @@ export function findShiftAtTime(shifts, timestamp) {
     const shiftEnd = new Date(shift.shiftEnd);
     
     if (date >= shiftStart && date <= shiftEnd) {
-      return shift;
+      // Opsgenie only gives us the email prefix - map it to the roster name
+      return { ...shift, personName: resolveOpsgenieUser(shift.person) };
     }
   }
   
@@ -0,0 +1,212 @@
+/**
+ * Metrics Pipeline
+ * Raw issues (and the Opsgenie timeline) -> metric rows, summary and KPIs, and the files a run writes.
+ * Shared by live runs (index.js) and offline recomputes from a run archive (recompute.js).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { computeMetrics, summarize } from './metrics.js';
+import { calculateSLAKPIs } from './kpi.js';
+import { findShiftAtTime } from './opsgenieClient.js';
+import { getExtraFieldNames } from './fieldCatalog.js';
+import { loadRoster } from './roster.js';
+import { learnStatusCategories, getStatusOverrides, getNotFixedResolutions } from './resolution.js';
+import { getPrimarySlaName, getResponseType } from './sla.js';
+import { getPauseStatuses } from './slaPause.js';
+import { getInProgressStatuses } from './statusTime.js';
+import { getStaleDays } from './backlog.js';
+import { getSegmentations } from './segments.js';
+import { loadHolidayCalendars, validateRosterCalendars } from './holidays.js';
+import { now } from './clock.js';
+
+const DATA_DIR = 'data';
+
+/**
+ * Load and validate the roster and holiday calendars - call before computing anything
+ * so a bad edit fails the run up front
+ * @param {Object} cfg - From loadEnvConfig()
+ */
+export function loadTeamConfig(cfg) {
+  const roster = loadRoster(cfg.ROSTER_PATH);
+  console.log(`Loaded roster: ${roster.people.length} people from ${roster.path}`);
+  const calendars = loadHolidayCalendars(cfg.HOLIDAYS_PATH);
+  const calendarErrors = validateRosterCalendars(roster);
+  if (calendarErrors.length > 0) {
+    throw new Error(`Roster refers to unknown holiday calendars:\n  - ${calendarErrors.join('\n  - ')}`);
+  }
+  console.log(`Loaded ${calendars.size} holiday calendar(s)`);
+  return { roster, calendars };
+}
+
+/**
+ * Settings that change the metrics and KPIs computed from the same issues
+ * A run archives them (manifest.settings) so recompute.js can tell when they have changed since.
+ * Call after configureExtraFields().
+ */
+export function getComputeSettings() {
+  return {
+    slaName: getPrimarySlaName(),
+    slaResponseType: getResponseType(),
+    slaPauseStatuses: getPauseStatuses(),
+    inProgressStatuses: getInProgressStatuses(),
+    statusOverrides: getStatusOverrides(),
+    notFixedResolutions: getNotFixedResolutions(),
+    backlogStaleDays: getStaleDays(),
+    kpiSegments: getSegmentations().map(s => s.name),
+    extraFields: getExtraFieldNames()
+  };
+}
+
+/**
+ * Add whoWasOnCall and shift boundaries to a metric row
+ * @param {Object} m - Metric row
+ * @param {Array} shifts - Opsgenie timeline (getScheduleTimeline)
+ */
+export function withOnCall(m, shifts) {
+  if (!m.created) return m;
+  const shift = findShiftAtTime(shifts, m.created);
+  return {
+    ...m,
+    whoWasOnCall: shift.person,
+    whoWasOnCallName: shift.personName || null,
+    onCallShiftStart: shift.shiftStart,
+    onCallShiftEnd: shift.shiftEnd
+  };
+}
+
+/**
+ * Summary and KPIs over metric rows
+ * @param {Array} metrics - Metric rows
+ * @returns {{ summary: Object, kpis: Object }}
+ */
+export function summarizeRun(metrics) {
+  const summary = summarize(metrics);
+  // The run clock, so a recompute of an archived run stamps the run's own capture time
+  const kpis = calculateSLAKPIs({ generatedAt: now().toISOString(), summary, metrics });
+  return { summary, kpis };
+}
+
+/**
+ * Metrics, summary and KPIs for a set of issues
+ * @param {Array} issues - Normalized Jira issues
+ * @param {Array|null} shifts - Opsgenie timeline (getScheduleTimeline); null when Opsgenie isn't used
+ * @returns {{ metrics: Array, summary: Object, kpis: Object }}
+ */
+export function computeRun(issues, shifts = null) {
+  // Status categories from every issue first, so historical statuses are judged the same for every ticket
+  learnStatusCategories(issues);
+  let metrics = issues.map(issue => computeMetrics(issue));
+
+  if (shifts) {
+    metrics = metrics.map(m => withOnCall(m, shifts));
+    console.log(`Enriched ${metrics.length} tickets with on-call schedule data`);
+  }
+
+  return { metrics, ...summarizeRun(metrics) };
+}
+
+/**
+ * Path of a run's metrics file
+ * @param {string} runId - Run timestamp
+ */
+export function metricsFilePath(runId) {
+  return path.join(DATA_DIR, `metrics-${runId}.json`);
+}
+
+/**
+ * Write data/metrics-<runId>.json (replacing it when recomputing the same run)
+ * @param {string} runId - Run timestamp, e.g. 2025-11-19T15-35-09-149Z
+ * @param {Object} out - { generatedAt, period, summary, metrics, kpis, ... }
+ * @returns {string} Path written
+ */
+export function writeMetricsFile(runId, out) {
+  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR);
+  const jsonPath = metricsFilePath(runId);
+  writeFileAtomic(jsonPath, JSON.stringify(out, null, 2));
+  return jsonPath;
+}
+
+/**
+ * Write a file through a temp file and rename, so readers (the dashboard, webhook updates)
+ * never see it half-written
+ * @param {string} file - Path
+ * @param {string} content
+ */
+export function writeFileAtomic(file, content) {
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, content);
+  fs.renameSync(temp, file);
+}
+
+/**
+ * Write data/latest-summary.csv
+ * @param {Array} metrics - Metric rows
+ */
+export function writeSummaryCsv(metrics) {
+  const headers = [
+    'key','summary','status','resolution','resolutionClass','assigneeCurrent','assigneeId','assignedBy','reassignmentCount','pingPong','whoWasOnCall','created','createdTimeContext','resolutionDate','reopenCount','finalResolutionDate','firstAssignmentTime','firstAssigneeCommentTime','firstInternalActionTime','firstPublicResponseTime','openDurationMinutes','timeToResolutionMinutes','timeToFirstAssigneeCommentMinutes','leadTimeMinutes','cycleTimeMinutes','cycleTimeBusinessMinutes','businessHoursToFirstOnCallAction','businessHoursToFirstAssigneeComment','businessHoursToFirstInternalAction','businessHoursToFirstPublicResponse','pausedMinutes','historyIncomplete'
+  ];
+  // One column per JIRA_EXTRA_FIELDS entry, named as configured
+  const extraNames = getExtraFieldNames();
+  const rows = [headers.concat(extraNames).map(escapeCsv).join(',')].concat(metrics.map(m =>
+    headers.map(h => escapeCsv(m[h]))
+      .concat(extraNames.map(name => escapeCsv(m.extraFields ? m.extraFields[name] : null)))
+      .join(',')));
+  fs.writeFileSync(path.join(DATA_DIR, 'latest-summary.csv'), rows.join('\n'));
+}
+
+/**
+ * Write data/latest-distributions.csv: percentiles and spread of every duration, overall and per person/role
+ * @param {Object} summary - From summarize()
+ * @param {Object} kpis - From calculateSLAKPIs()
+ */
+export function writeDistributionCsv(summary, kpis) {
+  const stats = ['count', 'mean', 'stddev', 'min', 'p50', 'p75', 'p90', 'p95', 'max'];
+  const rows = [];
+  const add = (scope, personId, metric, distribution) => {
+    if (distribution) rows.push([scope, personId, metric, ...stats.map(s => distribution[s])]);
+  };
+
+  Object.entries(summary.distributions || {}).forEach(([metric, distribution]) => add('all tickets', null, metric, distribution));
+  add('overall', null, 'responseBusinessMinutes', kpis.overall.responseTimeStats);
+  add('on-call', null, 'responseBusinessMinutes', kpis.onCall && kpis.onCall.responseTimeStats);
+  add('assignee', null, 'responseBusinessMinutes', kpis.assignee && kpis.assignee.responseTimeStats);
+  (kpis.onCallManagerKPIs || []).forEach(m => add(`on-call: ${m.manager}`, m.personId, 'responseBusinessMinutes', m.responseTimeStats));
+  (kpis.developerKPIs || []).forEach(d => {
+    add(`assignee: ${d.developer}`, d.personId, 'timeToFirstAssigneeCommentMinutes', d.responseTimeStats);
+    add(`assignee: ${d.developer}`, d.personId, 'timeToResolutionMinutes', d.resolutionTimeStats);
+  });
+
+  const lines = [['scope', 'personId', 'metric', ...stats].join(',')]
+    .concat(rows.map(row => row.map(escapeCsv).join(',')));
+  fs.writeFileSync(path.join(DATA_DIR, 'latest-distributions.csv'), lines.join('\n'));
+}
+
+/**
+ * Write data/latest-segments.csv: KPIs per segment, one row per segmentation and segment
+ * @param {Object} kpis - From calculateSLAKPIs()
+ */
+export function writeSegmentCsv(kpis) {
+  const counts = ['tickets', 'withSla', 'metSLA', 'breachedSLA', 'pendingSLA', 'complianceRate', 'jiraBreachedTickets', 'resolved', 'fixed', 'notFixed', 'stillOpen', 'reopened'];
+  const percentiles = ['p50', 'p90', 'p95'];
+  const headers = ['segmentation', 'segment', ...counts]
+    .concat(percentiles.map(p => `responseBusinessMinutes${p.toUpperCase()}`))
+    .concat(percentiles.map(p => `resolutionMinutes${p.toUpperCase()}`));
+
+  const rows = [];
+  Object.entries((kpis.segments && kpis.segments.bySegmentation) || {}).forEach(([name, { segments }]) => {
+    segments.forEach(s => rows.push([name, s.key, ...counts.map(c => s[c])]
+      .concat(percentiles.map(p => s.responseTimeStats[p]))
+      .concat(percentiles.map(p => s.resolutionTimeStats[p]))));
+  });
+
+  const lines = [headers.join(',')].concat(rows.map(row => row.map(escapeCsv).join(',')));
+  fs.writeFileSync(path.join(DATA_DIR, 'latest-segments.csv'), lines.join('\n'));
+}
+
+function escapeCsv(v) {
+  if (v === null || v === undefined) return '';
+  const s = String(v);
+  return /[",\n]/.test(s) ? '"' + s.replace(/"/g,'""') + '"' : s;
+}
@@ -0,0 +1,127 @@
+/**
+ * Offline Recompute
+ * Rebuilds data/metrics-<runId>.json, its KPIs and the kpi-history.json and backlog-history.json
+ * snapshots from a run archive (see runArchive.js) with the current metric logic, roster and
+ * holiday calendars - no Jira or Opsgenie calls. Open tickets are measured up to the archived run's
+ * capture time, so recomputing with unchanged logic reproduces the original output.
+ *
+ * Settings from .env that change the KPIs (SLA name, pause statuses, ...) must match the ones the run
+ * archived; a recompute stops with the differences unless --current-settings says to use the new ones.
+ * The first recompute of a run keeps its original metrics file in the archive (metrics-original.json).
+ *
+ * Usage:
+ *   npm run recompute                 - latest archived run
+ *   npm run recompute -- <runId>      - one run (e.g. 2025-11-19T15-35-09-149Z)
+ *   npm run recompute -- --all        - every archived run, oldest first
+ *   npm run recompute -- --list       - list archived runs
+ *   npm run recompute -- --current-settings ...  - recompute with the current settings where they differ
+ */
+
+import { loadEnvConfig } from './loadEnv.js';
+import { listRunArchives, readRunArchive, keepOriginalMetrics } from './runArchive.js';
+import { loadTeamConfig, computeRun, writeMetricsFile, metricsFilePath, getComputeSettings } from './pipeline.js';
+import { setFieldCatalog, configureExtraFields } from './fieldCatalog.js';
+import { saveKPISnapshot } from './kpiHistory.js';
+import { saveBacklogSnapshot } from './backlog.js';
+import { pinClock } from './clock.js';
+import { acquireRunLock, releaseRunLock } from './runLock.js';
+
+const cfg = loadEnvConfig();
+
+/**
+ * Settings that differ between the archived run and the current configuration
+ * @param {Object} archived - manifest.settings
+ * @param {Object} current - getComputeSettings()
+ * @returns {{ changed: string[], unrecorded: string[] }} Descriptions of changed settings; names the archive predates
+ */
+function compareSettings(archived, current) {
+  const changed = [];
+  const unrecorded = [];
+  Object.entries(current).forEach(([name, value]) => {
+    if (!(name in archived)) unrecorded.push(name);
+    else if (JSON.stringify(archived[name]) !== JSON.stringify(value)) {
+      changed.push(`${name}: archived ${JSON.stringify(archived[name])}, now ${JSON.stringify(value)}`);
+    }
+  });
+  return { changed, unrecorded };
+}
+
+function recomputeRun(runId, { useCurrentSettings = false } = {}) {
+  const { manifest, issues, shifts, fieldCatalog } = readRunArchive(runId);
+  console.log(`Recomputing ${runId}: ${issues.length} issues, period ${manifest.period.start} to ${manifest.period.end} (captured ${manifest.capturedAt})`);
+
+  setFieldCatalog(fieldCatalog);
+  const fieldErrors = configureExtraFields();
+  if (fieldErrors.length > 0) {
+    console.warn(`JIRA_EXTRA_FIELDS can't be resolved for this run (continuing without them):\n  - ${fieldErrors.join('\n  - ')}`);
+  }
+
+  const { changed, unrecorded } = compareSettings(manifest.settings || {}, getComputeSettings());
+  if (changed.length > 0 && !useCurrentSettings) {
+    throw new Error(`Settings changed since ${runId} was captured (restore them, or use --current-settings to recompute with the current ones):\n  - ${changed.join('\n  - ')}`);
+  }
+  if (changed.length > 0) {
+    console.warn(`Recomputing ${runId} with changed settings:\n  - ${changed.join('\n  - ')}`);
+  }
+  if (unrecorded.length > 0) {
+    console.warn(`  Not recorded by this run, using the current values: ${unrecorded.join(', ')}`);
+  }
+
+  pinClock(manifest.capturedAt);
+  try {
+    const { metrics, summary, kpis } = computeRun(issues, shifts);
+    const out = {
+      generatedAt: manifest.capturedAt,
+      recomputedAt: new Date().toISOString(),
+      archive: runId,
+      period: manifest.period,
+      summary,
+      metrics,
+      kpis
+    };
+    const backup = keepOriginalMetrics(runId, metricsFilePath(runId));
+    if (backup) console.log(`  Kept the original metrics file as ${backup}`);
+    const jsonPath = writeMetricsFile(runId, out);
+    saveKPISnapshot(kpis, manifest.period, manifest.capturedAt);
+    saveBacklogSnapshot(kpis.backlog);
+    console.log(`  SLA Compliance Rate: ${kpis.overall.complianceRate}%`);
+    console.log(`  Wrote metrics file: ${jsonPath}`);
+  } finally {
+    pinClock(null);
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const archives = listRunArchives();
+
+  if (args.includes('--list')) {
+    if (archives.length === 0) console.log('No archived runs yet (every metrics run archives its inputs).');
+    archives.forEach(m => {
+      console.log(`${m.runId}  ${m.period.start} to ${m.period.end}  ${String(m.counts.issues).padStart(5)} issues  ${m.source}`);
+    });
+    return;
+  }
+
+  if (archives.length === 0) {
+    throw new Error('No archived runs in data/archive - run metrics collection first');
+  }
+
+  loadTeamConfig(cfg);
+
+  const runIds = args.includes('--all')
+    ? archives.map(m => m.runId)
+    : [args.find(a => !a.startsWith('--')) || archives[archives.length - 1].runId];
+  const useCurrentSettings = args.includes('--current-settings');
+  runIds.forEach(runId => recomputeRun(runId, { useCurrentSettings }));
+}
+
+try {
+  acquireRunLock('recompute');
+  main();
+} catch (err) {
+  console.error('Error recomputing metrics:', err.message);
+  process.exitCode = 1;
+} finally {
+  releaseRunLock();
+}
@@ -37,6 +37,7 @@ Total Tickets Processed:         ${overall.totalTickets}
 ⏳ Pending Response:              ${overall.pendingSLA}
 
 ⏱️  Average Response Time:        ${overall.avgResponseTime}
+   Median / p90 / Max:            ${formatPercentiles(overall.responseTimeStats)}
 🎯 SLA Goal:                      4 hours
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -49,7 +50,8 @@ ${i + 1}. ${m.manager.padEnd(20)} | ${m.complianceRate}% compliance
    ├─ Met SLA: ${m.met}
    ├─ Breached: ${m.breached}
    ├─ Pending: ${m.pending}
-   └─ Avg Response: ${m.avgResponseTime}
+   ├─ Avg Response: ${m.avgResponseTime}
+   └─ Median / p90: ${formatPercentiles(m.responseTimeStats, ['p50', 'p90'])}
 `).join('')}
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -79,6 +81,7 @@ export function generateCSVReport(kpis, period) {
   const { managerKPIs } = kpis;
   
   const headers = [
+    'Person ID',
     'Manager',
     'Compliance Rate (%)',
     'Total Tickets',
@@ -86,11 +89,18 @@ export function generateCSVReport(kpis, period) {
     'Breached SLA',
     'Pending',
     'Avg Response Time',
+    'Median Response (min)',
+    'P75 Response (min)',
+    'P90 Response (min)',
+    'P95 Response (min)',
+    'Max Response (min)',
+    'Response Std Dev (min)',
     'Period Start',
     'Period End'
   ];
   
   const rows = managerKPIs.map(m => [
+    m.personId || '',
     m.manager,
     m.complianceRate,
     m.total,
@@ -98,6 +108,8 @@ export function generateCSVReport(kpis, period) {
     m.breached,
     m.pending,
     m.avgResponseTime,
+    // Snapshots from before distribution stats have no responseTimeStats
+    ...['p50', 'p75', 'p90', 'p95', 'max', 'stddev'].map(stat => (m.responseTimeStats && m.responseTimeStats[stat] !== null ? m.responseTimeStats[stat] : '')),
     period.start,
     period.end
   ]);
@@ -210,6 +222,17 @@ export function saveReport(content, filename) {
 
 // Helper functions
 
+// "1h 5m / 3h 40m / 2d 4h" for the chosen percentiles of a describeDistribution() result
+function formatPercentiles(stats, keys = ['p50', 'p90', 'max']) {
+  if (!stats || stats.count === 0) return 'N/A';
+  return keys.map(key => {
+    const minutes = stats[key];
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    return days > 0 ? `${days}d ${hours}h` : `${hours}h ${Math.round(minutes % 60)}m`;
+  }).join(' / ');
+}
+
 function getRatingEmoji(rate) {
   if (rate >= 85) return '🟢';
   if (rate >= 70) return '🟡';
@@ -0,0 +1,103 @@
+/**
+ * Resolution Detection
+ * Decides which statuses are terminal (the ticket is resolved while in one) and whether a resolved
+ * ticket was fixed or closed without a fix (won't fix, duplicate, cannot reproduce, ...).
+ *
+ * A status is terminal when Jira puts it in the "done" status category. Categories are learned from
+ * the issues themselves (every issue carries its current status's category); the changelog only has
+ * status names, so statuses no issue currently sits in fall back to an exact name match against
+ * FALLBACK_DONE_STATUSES - "Not Done" and "Resolution Pending" are never terminal by name.
+ * RESOLVED_STATUSES and UNRESOLVED_STATUSES override both, status by status.
+ */
+
+import { loadEnvConfig } from './loadEnv.js';
+import { FALLBACK_DONE_STATUSES, DEFAULT_NOT_FIXED_RESOLUTIONS } from './constants.js';
+
+// Lowercased status name -> Jira status category key ('new', 'indeterminate', 'done')
+const statusCategories = new Map();
+
+let cachedStatusOverrides = null;
+let cachedNotFixedResolutions = null;
+
+const splitList = (value) => (value || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+
+/**
+ * Statuses forced terminal (RESOLVED_STATUSES) or never terminal (UNRESOLVED_STATUSES), lowercased
+ * @returns {{ resolved: string[], unresolved: string[] }}
+ */
+export function getStatusOverrides() {
+  if (!cachedStatusOverrides) {
+    const { RESOLVED_STATUSES, UNRESOLVED_STATUSES } = loadEnvConfig();
+    const resolved = splitList(RESOLVED_STATUSES);
+    const unresolved = splitList(UNRESOLVED_STATUSES);
+    const both = resolved.filter(s => unresolved.includes(s));
+    if (both.length > 0) {
+      throw new Error(`Statuses listed in both RESOLVED_STATUSES and UNRESOLVED_STATUSES: ${both.join(', ')}`);
+    }
+    cachedStatusOverrides = { resolved, unresolved };
+  }
+  return cachedStatusOverrides;
+}
+
+/**
+ * Resolutions that mean the ticket was closed without a fix (NOT_FIXED_RESOLUTIONS), lowercased
+ * @returns {string[]}
+ */
+export function getNotFixedResolutions() {
+  if (!cachedNotFixedResolutions) {
+    const { NOT_FIXED_RESOLUTIONS } = loadEnvConfig();
+    cachedNotFixedResolutions = NOT_FIXED_RESOLUTIONS && NOT_FIXED_RESOLUTIONS.trim()
+      ? splitList(NOT_FIXED_RESOLUTIONS)
+      : DEFAULT_NOT_FIXED_RESOLUTIONS.map(s => s.toLowerCase());
+  }
+  return cachedNotFixedResolutions;
+}
+
+/**
+ * Remember a status's category (from an issue's current status, or a metric row's statusCategory)
+ * @param {string} name - Status name
+ * @param {string} categoryKey - Jira statusCategory.key
+ */
+export function learnStatusCategory(name, categoryKey) {
+  if (name && categoryKey) statusCategories.set(name.toLowerCase(), categoryKey);
+}
+
+/**
+ * Learn the status categories of a batch of issues before computing any of them,
+ * so a status is judged the same way for every ticket in the run
+ * @param {Array} issues - Jira issues
+ */
+export function learnStatusCategories(issues) {
+  issues.forEach(issue => {
+    const status = issue.fields && issue.fields.status;
+    if (status) learnStatusCategory(status.name, status.statusCategory && status.statusCategory.key);
+  });
+}
+
+/**
+ * Whether a status counts as closed/resolved
+ * @param {string} name - Status name
+ */
+export function isClosedStatus(name) {
+  const lower = (name || '').toLowerCase();
+  if (lower === '') return false;
+  const { resolved, unresolved } = getStatusOverrides();
+  if (unresolved.includes(lower)) return false;
+  if (resolved.includes(lower)) return true;
+  if (statusCategories.has(lower)) return statusCategories.get(lower) === 'done';
+  return FALLBACK_DONE_STATUSES.includes(lower);
+}
+
+/**
+ * Fixed or closed without a fix, for a resolved ticket
+ * Jira's resolution field decides; workflows that close tickets into a "Won't Fix" or "Duplicate"
+ * status without setting a resolution are matched on the status name. Anything else counts as fixed.
+ * @param {string|null} resolution - Resolution name (fields.resolution.name)
+ * @param {string|null} status - Status name
+ * @returns {'fixed'|'not-fixed'}
+ */
+export function classifyResolution(resolution, status) {
+  const notFixed = getNotFixedResolutions();
+  const matches = (name) => Boolean(name) && notFixed.includes(name.toLowerCase());
+  return matches(resolution) || (!resolution && matches(status)) ? 'not-fixed' : 'fixed';
+}
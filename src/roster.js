@@ -0,0 +1,316 @@
+/**
+ * Team Roster
+ * Loads and validates config/roster.json - the single list of people, their roles,
+ * Opsgenie aliases, timezone and working hours
+ *
+ * People are identified by their Jira accountId where possible. Display names, old
+ * display names and email prefixes are kept as aliases so a rename in Jira does not
+ * silently drop someone from the on-call or responder lists.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadEnvConfig } from './loadEnv.js';
+import { ROLES, DEFAULT_ROSTER_PATH } from './constants.js';
+import { isValidTimezone } from './timezone.js';
+import { validateWorkSchedule, buildWeeklySchedule } from './workSchedule.js';
+
+const SUPPORTED_VERSION = 1;
+const VALID_ROLES = Object.values(ROLES);
+
+let cachedRoster = null;
+
+/**
+ * Validate a parsed roster file
+ * @param {Object} raw - Parsed roster JSON
+ * @returns {string[]} List of problems (empty when valid)
+ */
+export function validateRoster(raw) {
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object') {
+    return ['roster must be a JSON object'];
+  }
+  if (raw.version !== SUPPORTED_VERSION) {
+    errors.push(`unsupported version ${raw.version} (expected ${SUPPORTED_VERSION})`);
+  }
+  if (raw.defaults) {
+    errors.push(...validateSchedule(raw.defaults, 'defaults'));
+  }
+  if (!Array.isArray(raw.people)) {
+    errors.push('"people" must be an array');
+    return errors;
+  }
+
+  const seenIds = new Set();
+  const seenAccountIds = new Map();
+  const seenAliases = new Map();
+
+  // Names, ids, aliases and Opsgenie usernames share one namespace - each must point at one person
+  const claimAlias = (alias, person, label) => {
+    const owner = seenAliases.get(alias.toLowerCase());
+    if (owner && owner !== person.id) {
+      errors.push(`${label}: "${alias}" is already used by ${owner}`);
+    }
+    seenAliases.set(alias.toLowerCase(), person.id);
+  };
+
+  raw.people.forEach((person, i) => {
+    const label = person && person.name ? `people[${i}] (${person.name})` : `people[${i}]`;
+
+    if (!person || typeof person.name !== 'string' || !person.name.trim()) {
+      errors.push(`${label}: "name" is required`);
+      return;
+    }
+    if (typeof person.id !== 'string' || !/^[A-Za-z0-9._-]+$/.test(person.id)) {
+      errors.push(`${label}: "id" is required (letters, digits, ".", "_" or "-")`);
+      return;
+    }
+    if (seenIds.has(person.id)) {
+      errors.push(`${label}: duplicate id "${person.id}"`);
+    }
+    seenIds.add(person.id);
+    claimAlias(person.id, person, label);
+    claimAlias(person.name, person, label);
+
+    if (person.accountId !== undefined) {
+      if (typeof person.accountId !== 'string' || !person.accountId.trim()) {
+        errors.push(`${label}: "accountId" must be a non-empty string`);
+      } else if (seenAccountIds.has(person.accountId)) {
+        errors.push(`${label}: accountId is already used by ${seenAccountIds.get(person.accountId)}`);
+      } else {
+        seenAccountIds.set(person.accountId, person.id);
+      }
+    }
+
+    if (person.aliases !== undefined) {
+      if (!Array.isArray(person.aliases) || person.aliases.some(a => typeof a !== 'string' || !a.trim())) {
+        errors.push(`${label}: "aliases" must be an array of names or email prefixes`);
+      } else {
+        person.aliases.forEach(alias => claimAlias(alias, person, label));
+      }
+    }
+
+    if (!Array.isArray(person.roles) || person.roles.length === 0) {
+      errors.push(`${label}: "roles" must be a non-empty array`);
+    } else {
+      person.roles
+        .filter(role => !VALID_ROLES.includes(role))
+        .forEach(role => errors.push(`${label}: unknown role "${role}" (expected one of ${VALID_ROLES.join(', ')})`));
+    }
+
+    if (person.opsgenie !== undefined) {
+      if (!Array.isArray(person.opsgenie) || person.opsgenie.some(a => typeof a !== 'string' || !a.trim())) {
+        errors.push(`${label}: "opsgenie" must be an array of usernames`);
+      } else {
+        person.opsgenie.forEach(alias => claimAlias(alias, person, label));
+      }
+    }
+
+    errors.push(...validateSchedule(person, label));
+  });
+
+  return errors;
+}
+
+function validateSchedule(entry, label) {
+  const errors = [];
+
+  if (entry.timezone !== undefined && (typeof entry.timezone !== 'string' || !isValidTimezone(entry.timezone))) {
+    errors.push(`${label}: unknown timezone "${entry.timezone}" (use an IANA name like "America/New_York")`);
+  }
+
+  if (entry.utcOffset !== undefined) {
+    errors.push(`${label}: "utcOffset" is no longer supported - set "timezone" to an IANA zone instead`);
+  }
+
+  if (entry.holidays !== undefined && (!Array.isArray(entry.holidays) || entry.holidays.some(h => typeof h !== 'string' || !h.trim()))) {
+    errors.push(`${label}: "holidays" must be an array of calendar names from the holidays file`);
+  }
+
+  errors.push(...validateWorkSchedule(entry, label));
+
+  return errors;
+}
+
+/**
+ * Load, validate and cache the roster
+ * @param {string} filePath - Optional path; defaults to ROSTER_PATH or config/roster.json
+ * @returns {Object} Normalized roster
+ */
+export function loadRoster(filePath = null) {
+  const rosterPath = path.resolve(process.cwd(), filePath || loadEnvConfig().ROSTER_PATH || DEFAULT_ROSTER_PATH);
+
+  if (!fs.existsSync(rosterPath)) {
+    throw new Error(`Roster file not found: ${rosterPath}`);
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(rosterPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to parse roster ${rosterPath}: ${error.message}`);
+  }
+
+  const errors = validateRoster(raw);
+  if (errors.length > 0) {
+    throw new Error(`Invalid roster ${rosterPath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const rawDefaults = raw.defaults || {};
+  const defaults = {
+    timezone: rawDefaults.timezone || 'America/New_York',
+    // Mon-Fri 8 AM - 5 PM unless the roster says otherwise
+    schedule: buildWeeklySchedule(rawDefaults) || buildWeeklySchedule({ workingHours: { start: '08:00', end: '17:00' } }),
+    holidays: rawDefaults.holidays || []
+  };
+
+  const people = raw.people.map(person => ({
+    id: person.id,
+    name: person.name,
+    accountId: person.accountId || null,
+    aliases: person.aliases || [],
+    roles: person.roles,
+    opsgenie: person.opsgenie || [],
+    timezone: person.timezone || defaults.timezone,
+    schedule: buildWeeklySchedule(person) || defaults.schedule,
+    holidays: person.holidays || defaults.holidays
+  }));
+
+  // On-call managers and responders decide SLA compliance; matched by name only, a rename in Jira drops them
+  const withoutAccountId = people
+    .filter(person => !person.accountId && person.roles.some(role => role === ROLES.ON_CALL_MANAGER || role === ROLES.SLA_RESPONDER))
+    .map(person => person.id);
+  if (withoutAccountId.length > 0) {
+    console.warn(`Roster: no accountId for ${withoutAccountId.length} on-call manager(s)/SLA responder(s) (${withoutAccountId.join(', ')}) - they are matched by display name and aliases only, so a Jira rename stops their responses counting. Fill them in with npm run roster:accounts`);
+  }
+
+  // Lookup indexes: accountId, then any name/id/alias/Opsgenie username (case-insensitive)
+  const byAccountId = new Map();
+  const byAlias = new Map();
+  people.forEach(person => {
+    if (person.accountId) byAccountId.set(person.accountId, person);
+    [person.id, person.name, ...person.aliases, ...person.opsgenie]
+      .forEach(alias => byAlias.set(alias.toLowerCase(), person));
+  });
+
+  cachedRoster = { path: rosterPath, version: raw.version, defaults, people, byAccountId, byAlias };
+  return cachedRoster;
+}
+
+/**
+ * Get the loaded roster, loading the default file on first use
+ */
+export function getRoster() {
+  return cachedRoster || loadRoster();
+}
+
+/**
+ * Find the roster entry for a Jira user or a name
+ * Matches on accountId first, then display name, email prefix and aliases.
+ * @param {Object|string} user - Jira user ({ accountId, displayName, emailAddress }), roster id, name or alias
+ * @returns {Object|null}
+ */
+export function resolvePerson(user) {
+  if (!user) return null;
+  const roster = getRoster();
+
+  if (typeof user === 'string') {
+    return roster.byAlias.get(user.toLowerCase()) || null;
+  }
+
+  if (user.accountId && roster.byAccountId.has(user.accountId)) {
+    return roster.byAccountId.get(user.accountId);
+  }
+
+  const candidates = [user.displayName, user.emailAddress, user.emailAddress && user.emailAddress.split('@')[0]];
+  for (const candidate of candidates) {
+    const person = candidate ? roster.byAlias.get(candidate.toLowerCase()) : null;
+    // A different Jira account that happens to share a display name is not this person
+    if (person && !(person.accountId && user.accountId && person.accountId !== user.accountId)) {
+      return person;
+    }
+  }
+  return null;
+}
+
+/**
+ * Canonical id for grouping people across runs
+ * Roster people get their roster id; anyone else falls back to jira:<accountId>, then display name.
+ * @param {Object|string} user - Jira user or name
+ * @returns {string|null}
+ */
+export function getPersonId(user) {
+  if (!user) return null;
+  const person = resolvePerson(user);
+  if (person) return person.id;
+  if (typeof user === 'string') return user;
+  if (user.accountId) return `jira:${user.accountId}`;
+  return user.displayName || null;
+}
+
+/**
+ * Current display name for a Jira user or name (roster name when known)
+ * @param {Object|string} user - Jira user or name
+ * @returns {string|null}
+ */
+export function getDisplayName(user) {
+  if (!user) return null;
+  const person = resolvePerson(user);
+  if (person) return person.name;
+  return typeof user === 'string' ? user : (user.displayName || null);
+}
+
+/**
+ * Whether two Jira users (or names) are the same person
+ */
+export function isSamePerson(a, b) {
+  if (!a || !b) return false;
+  if (typeof a === 'object' && typeof b === 'object' && a.accountId && b.accountId) {
+    return a.accountId === b.accountId;
+  }
+  return getPersonId(a) === getPersonId(b);
+}
+
+/**
+ * Whether a Jira user (or name) holds a role
+ */
+export function hasRole(user, role) {
+  const person = resolvePerson(user);
+  return Boolean(person && person.roles.includes(role));
+}
+
+/**
+ * Whether a Jira user takes on-call triage shifts
+ */
+export function isOnCallManager(user) {
+  return hasRole(user, ROLES.ON_CALL_MANAGER);
+}
+
+/**
+ * Whether a Jira user's actions count as SLA response (on-call managers + key engineers)
+ */
+export function isSlaResponder(user) {
+  return hasRole(user, ROLES.ON_CALL_MANAGER) || hasRole(user, ROLES.SLA_RESPONDER);
+}
+
+/**
+ * Map an Opsgenie username (email prefix) to a roster name
+ * @param {string} username - e.g. 'bgoldberg'
+ * @returns {string|null} Roster name, or null if unknown
+ */
+export function resolveOpsgenieUser(username) {
+  const person = resolvePerson(username);
+  return person ? person.name : null;
+}
+
+/**
+ * Working schedule for a person, falling back to roster defaults
+ * @returns {{ timezone: string, schedule: Array<Array<{ start: number, end: number }>>, holidays: string[] }}
+ *   schedule is indexed by local weekday (0 = Sunday); intervals are minutes since local midnight
+ */
+export function getSchedule(name = null) {
+  const person = resolvePerson(name);
+  const { timezone, schedule, holidays } = person || getRoster().defaults;
+  return { timezone, schedule, holidays };
+}
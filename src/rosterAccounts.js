@@ -0,0 +1,88 @@
+/**
+ * Roster accountId Lookup
+ * Finds the Jira accountId (Data Center: user key) of roster people that don't have one yet, so they
+ * are matched by account instead of display name. Each person is searched by name, then by their
+ * aliases and Opsgenie usernames; a search counts when exactly one user matches the name
+ * (case-insensitive), or when it returns a single user. Ambiguous and missing people are listed
+ * for a manual edit.
+ *
+ * Usage:
+ *   npm run roster:accounts               - show what would be filled in
+ *   npm run roster:accounts -- --write    - write the accountIds into the roster file
+ *   npm run roster:accounts -- --all      - look up everyone, not only on-call managers and SLA responders
+ */
+
+import fs from 'fs';
+import { loadEnvConfig } from './loadEnv.js';
+import { loadRoster } from './roster.js';
+import { searchUsers } from './jiraClient.js';
+import { ROLES } from './constants.js';
+
+const cfg = loadEnvConfig();
+
+// The Jira user for a roster person, or every candidate seen when no search was conclusive
+async function lookUpPerson(person) {
+  const seen = new Map();
+  for (const query of [person.name, ...person.aliases, ...person.opsgenie]) {
+    const users = await searchUsers(query);
+    users.forEach(u => seen.set(u.accountId, u));
+    const named = users.filter(u => (u.displayName || '').toLowerCase() === person.name.toLowerCase());
+    if (named.length === 1) return { user: named[0] };
+    if (users.length === 1) return { user: users[0] };
+  }
+  return { candidates: [...seen.values()] };
+}
+
+// Add "accountId" after the person's "name" line, keeping the file's layout; rewrite the JSON if it isn't laid out that way
+function withAccountId(text, id, accountId) {
+  const escaped = id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`(\\n([ \\t]*)"id":\\s*"${escaped}",\\s*\\n[ \\t]*"name":\\s*"(?:[^"\\\\]|\\\\.)*",)`);
+  if (pattern.test(text)) {
+    return text.replace(pattern, (match, block, indent) => `${block}\n${indent}"accountId": ${JSON.stringify(accountId)},`);
+  }
+  const raw = JSON.parse(text);
+  raw.people.find(p => p.id === id).accountId = accountId;
+  return `${JSON.stringify(raw, null, 2)}\n`;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const roster = loadRoster(cfg.ROSTER_PATH);
+  const people = roster.people.filter(person => !person.accountId &&
+    (args.includes('--all') || person.roles.some(role => role === ROLES.ON_CALL_MANAGER || role === ROLES.SLA_RESPONDER)));
+
+  if (people.length === 0) {
+    console.log('Every on-call manager and SLA responder already has an accountId.');
+    return;
+  }
+
+  let text = fs.readFileSync(roster.path, 'utf8');
+  const unresolved = [];
+  let found = 0;
+  for (const person of people) {
+    const { user, candidates } = await lookUpPerson(person);
+    if (user) {
+      found++;
+      console.log(`${person.id.padEnd(20)} ${user.accountId}  (${user.displayName})`);
+      text = withAccountId(text, person.id, user.accountId);
+    } else {
+      unresolved.push(`${person.id}: ${candidates.length === 0 ? 'no Jira user found' : `several matches - ${candidates.map(u => `${u.displayName} (${u.accountId})`).join(', ')}`}`);
+    }
+  }
+
+  if (unresolved.length > 0) {
+    console.warn(`\nNot resolved (set "accountId" by hand):\n  - ${unresolved.join('\n  - ')}`);
+  }
+  if (found === 0) return;
+  if (args.includes('--write')) {
+    fs.writeFileSync(roster.path, text);
+    console.log(`\nWrote ${found} accountId(s) to ${roster.path}`);
+  } else {
+    console.log(`\nRun with --write to save ${found} accountId(s) to ${roster.path}`);
+  }
+}
+
+main().catch(err => {
+  console.error('Error looking up roster accounts:', err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,200 @@
+/**
+ * Run Archive
+ * Every run keeps the raw inputs its metrics were computed from, so a fix in the metric/KPI logic
+ * or a roster change can be replayed offline (npm run recompute) without calling Jira or Opsgenie.
+ *
+ * Layout:
+ *   data/archive/<runId>/manifest.json            - what was captured, when, and with which settings
+ *   data/archive/<runId>/issues.json.gz           - normalized Jira issues (changelog, comments, SLAs)
+ *   data/archive/<runId>/opsgenie-shifts.json.gz  - on-call timeline, when Opsgenie was used
+ *   data/archive/<runId>/fields.json.gz           - Jira field catalog, when one was loaded
+ *   data/archive/<runId>/metrics-original.json    - the run's metrics file as first written, kept by the first recompute
+ *
+ * runId is the run's timestamp, the same one in its data/metrics-<runId>.json.
+ * Old archives are pruned after each run (ARCHIVE_KEEP_RUNS, ARCHIVE_MAX_AGE_DAYS).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { loadEnvConfig } from './loadEnv.js';
+import { DEFAULT_ARCHIVE_DIR, DEFAULT_ARCHIVE_KEEP_RUNS, DEFAULT_ARCHIVE_MAX_AGE_DAYS } from './constants.js';
+
+const ARCHIVE_VERSION = 1;
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+function archiveRoot(archiveDir) {
+  return path.resolve(process.cwd(), archiveDir);
+}
+
+function writeGzipJson(dir, name, value) {
+  const buffer = zlib.gzipSync(JSON.stringify(value));
+  fs.writeFileSync(path.join(dir, name), buffer);
+  return { bytes: buffer.length, sha256: sha256(buffer) };
+}
+
+function readGzipJson(dir, name) {
+  return JSON.parse(zlib.gunzipSync(fs.readFileSync(path.join(dir, name))).toString('utf8'));
+}
+
+// Config files the metrics depend on, by content hash (null when the file doesn't exist)
+function digestFiles(files) {
+  const digests = {};
+  Object.entries(files || {}).forEach(([name, filePath]) => {
+    const resolved = filePath ? path.resolve(process.cwd(), filePath) : null;
+    digests[name] = resolved && fs.existsSync(resolved)
+      ? { path: filePath, sha256: sha256(fs.readFileSync(resolved)) }
+      : null;
+  });
+  return digests;
+}
+
+/**
+ * Archive a run's raw inputs
+ * @param {string} runId - Run timestamp
+ * @param {Object} run
+ * @param {string} run.capturedAt - ISO time open tickets were measured up to
+ * @param {Object} run.period - { start, end }
+ * @param {string} run.source - 'jira', 'project-fallback' or 'sample'
+ * @param {Array} run.issues - Normalized Jira issues
+ * @param {Array|null} run.shifts - Opsgenie timeline
+ * @param {Object|null} run.fieldCatalog - From loadFieldCatalog
+ * @param {Object} run.settings - Settings that shaped the data (fetch signature, SLA name, ...)
+ * @param {Object} run.configFiles - name -> path of config files to fingerprint (roster, holidays)
+ * @param {string} run.metricsFile - The metrics file written from this run
+ * @param {string} archiveDir - Defaults to data/archive
+ * @returns {string} Archive directory
+ */
+export function writeRunArchive(runId, run, archiveDir = DEFAULT_ARCHIVE_DIR) {
+  const dir = path.join(archiveRoot(archiveDir), runId);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const files = { 'issues.json.gz': writeGzipJson(dir, 'issues.json.gz', run.issues) };
+  if (run.shifts) files['opsgenie-shifts.json.gz'] = writeGzipJson(dir, 'opsgenie-shifts.json.gz', run.shifts);
+  if (run.fieldCatalog) files['fields.json.gz'] = writeGzipJson(dir, 'fields.json.gz', run.fieldCatalog);
+
+  const manifest = {
+    version: ARCHIVE_VERSION,
+    runId,
+    capturedAt: run.capturedAt,
+    period: run.period,
+    source: run.source,
+    counts: { issues: run.issues.length, shifts: run.shifts ? run.shifts.length : null },
+    settings: run.settings || {},
+    configFiles: digestFiles(run.configFiles),
+    metricsFile: run.metricsFile || null,
+    files
+  };
+  fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+  return dir;
+}
+
+// A whole-number retention setting (0 = no limit)
+function retentionSetting(name, value, fallback) {
+  if (value === undefined || value.trim() === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`${name} must be a whole number, 0 for no limit (got "${value}")`);
+  }
+  return number;
+}
+
+/**
+ * How many run archives to keep (ARCHIVE_KEEP_RUNS) and for how long (ARCHIVE_MAX_AGE_DAYS); 0 = no limit
+ * @returns {{ keepRuns: number, maxAgeDays: number }}
+ */
+export function getArchiveRetention() {
+  const { ARCHIVE_KEEP_RUNS, ARCHIVE_MAX_AGE_DAYS } = loadEnvConfig();
+  return {
+    keepRuns: retentionSetting('ARCHIVE_KEEP_RUNS', ARCHIVE_KEEP_RUNS, DEFAULT_ARCHIVE_KEEP_RUNS),
+    maxAgeDays: retentionSetting('ARCHIVE_MAX_AGE_DAYS', ARCHIVE_MAX_AGE_DAYS, DEFAULT_ARCHIVE_MAX_AGE_DAYS)
+  };
+}
+
+/**
+ * Delete run archives beyond the newest keepRuns, or captured more than maxAgeDays before now
+ * The newest archive is always kept.
+ * @param {Object} retention - Default: getArchiveRetention()
+ * @param {Date} now - Default: the current time
+ * @param {string} archiveDir - Defaults to data/archive
+ * @returns {string[]} runIds removed
+ */
+export function pruneRunArchives(retention = getArchiveRetention(), now = new Date(), archiveDir = DEFAULT_ARCHIVE_DIR) {
+  const { keepRuns, maxAgeDays } = retention;
+  const newestFirst = listRunArchives(archiveDir).reverse();
+  const cutoff = maxAgeDays > 0 ? now.getTime() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+
+  const removed = newestFirst
+    .filter((manifest, i) => i > 0 && ((keepRuns > 0 && i >= keepRuns) ||
+      (cutoff !== null && Date.parse(manifest.capturedAt) < cutoff)))
+    .map(manifest => manifest.runId);
+  removed.forEach(runId => fs.rmSync(path.join(archiveRoot(archiveDir), runId), { recursive: true, force: true }));
+  return removed;
+}
+
+/**
+ * Keep a copy of a run's metrics file before a recompute replaces it
+ * Only the first recompute copies it, so the copy is always the run's own output.
+ * @param {string} runId - Run timestamp
+ * @param {string} metricsPath - data/metrics-<runId>.json
+ * @param {string} archiveDir - Defaults to data/archive
+ * @returns {string|null} Path of the copy when one was made now
+ */
+export function keepOriginalMetrics(runId, metricsPath, archiveDir = DEFAULT_ARCHIVE_DIR) {
+  const backup = path.join(archiveRoot(archiveDir), runId, 'metrics-original.json');
+  if (!fs.existsSync(metricsPath) || fs.existsSync(backup)) return null;
+  fs.copyFileSync(metricsPath, backup);
+  return backup;
+}
+
+/**
+ * Archived runs, oldest first
+ * @param {string} archiveDir - Defaults to data/archive
+ * @returns {Array} Manifests
+ */
+export function listRunArchives(archiveDir = DEFAULT_ARCHIVE_DIR) {
+  const root = archiveRoot(archiveDir);
+  if (!fs.existsSync(root)) return [];
+  return fs.readdirSync(root)
+    .filter(name => fs.existsSync(path.join(root, name, 'manifest.json')))
+    .sort()
+    .map(name => JSON.parse(fs.readFileSync(path.join(root, name, 'manifest.json'), 'utf8')));
+}
+
+/**
+ * Load an archived run, checking its files against the manifest
+ * @param {string} runId - Run timestamp
+ * @param {string} archiveDir - Defaults to data/archive
+ * @returns {{ manifest: Object, issues: Array, shifts: Array|null, fieldCatalog: Object|null }}
+ */
+export function readRunArchive(runId, archiveDir = DEFAULT_ARCHIVE_DIR) {
+  const dir = path.join(archiveRoot(archiveDir), runId);
+  const manifestPath = path.join(dir, 'manifest.json');
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`No archived run ${runId} in ${archiveRoot(archiveDir)}`);
+  }
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  if (manifest.version !== ARCHIVE_VERSION) {
+    throw new Error(`Archived run ${runId} has unsupported version ${manifest.version} (expected ${ARCHIVE_VERSION})`);
+  }
+
+  const problems = [];
+  Object.entries(manifest.files || {}).forEach(([name, info]) => {
+    const file = path.join(dir, name);
+    if (!fs.existsSync(file)) problems.push(`${name} is missing`);
+    else if (sha256(fs.readFileSync(file)) !== info.sha256) problems.push(`${name} doesn't match its checksum`);
+  });
+  if (problems.length > 0) {
+    throw new Error(`Archived run ${runId} is damaged:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  const has = (name) => Boolean(manifest.files[name]);
+  return {
+    manifest,
+    issues: readGzipJson(dir, 'issues.json.gz'),
+    shifts: has('opsgenie-shifts.json.gz') ? readGzipJson(dir, 'opsgenie-shifts.json.gz') : null,
+    fieldCatalog: has('fields.json.gz') ? readGzipJson(dir, 'fields.json.gz') : null
+  };
+}
@@ -0,0 +1,57 @@
+/**
+ * Run Lock
+ * data/.run.lock marks a batch metrics run or recompute in progress (pid, what, since when), so
+ * webhook updates (jiraWebhook.js) hold off instead of rewriting a metrics file or the issue cache
+ * while a run is writing new ones. A lock left behind by a process that no longer exists is ignored.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const LOCK_FILE = path.join('data', '.run.lock');
+
+function isAlive(pid) {
+  try {
+    // Signal 0 only checks that the process exists
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * The run in progress, if any
+ * @returns {{ pid: number, label: string, startedAt: string }|null}
+ */
+export function getRunInProgress() {
+  if (!fs.existsSync(LOCK_FILE)) return null;
+  try {
+    const lock = JSON.parse(fs.readFileSync(LOCK_FILE, 'utf8'));
+    return lock.pid === process.pid || isAlive(lock.pid) ? lock : null;
+  } catch (error) {
+    // Being written right now
+    return { pid: null, label: 'metrics run', startedAt: null };
+  }
+}
+
+/**
+ * Take the lock for this process, failing when another run holds it
+ * @param {string} label - What is running, e.g. "metrics run" or "recompute"
+ */
+export function acquireRunLock(label) {
+  const running = getRunInProgress();
+  if (running && running.pid !== process.pid) {
+    throw new Error(`Another ${running.label} is in progress (pid ${running.pid}, started ${running.startedAt}) - wait for it to finish`);
+  }
+  fs.mkdirSync(path.dirname(LOCK_FILE), { recursive: true });
+  fs.writeFileSync(LOCK_FILE, JSON.stringify({ pid: process.pid, label, startedAt: new Date().toISOString() }));
+}
+
+/**
+ * Release the lock if this process holds it
+ */
+export function releaseRunLock() {
+  const running = getRunInProgress();
+  if (running && running.pid === process.pid) fs.rmSync(LOCK_FILE, { force: true });
+}
@@ -0,0 +1,179 @@
+/**
+ * KPI Segments
+ * The SLA KPIs (compliance, breach counts, response and resolution percentiles) for slices of the
+ * tickets: by priority, component, label, issue type or a JIRA_EXTRA_FIELDS field, or by a
+ * combination of them ("priority+component" gives one segment per priority and component pair).
+ * KPI_SEGMENTS lists the segmentations to compute.
+ *
+ * Components and labels are multi-valued: a ticket with two components counts in both, so the
+ * segments of a dimension can add up to more than the ticket total. Tickets with no value fall in "(none)".
+ */
+
+import { loadEnvConfig } from './loadEnv.js';
+import { DEFAULT_KPI_SEGMENTS } from './constants.js';
+import { findSla } from './sla.js';
+import { describeDistribution } from './stats.js';
+
+const NO_VALUE = '(none)';
+
+// Built-in dimensions: metric row -> its values
+const BUILT_IN_DIMENSIONS = {
+  priority: (m) => [m.priority || 'None'],
+  component: (m) => m.components || [],
+  label: (m) => m.labels || [],
+  issueType: (m) => (m.issueType ? [m.issueType] : [])
+};
+
+// Spellings accepted in KPI_SEGMENTS (lowercased) -> built-in dimension
+const DIMENSION_ALIASES = {
+  priority: 'priority',
+  component: 'component',
+  components: 'component',
+  label: 'label',
+  labels: 'label',
+  issuetype: 'issueType',
+  'issue type': 'issueType'
+};
+
+let cachedSegmentations = null;
+
+// A JIRA_EXTRA_FIELDS field as a dimension (the value copied into the row's extraFields)
+function extraFieldDimension(name) {
+  return (m) => {
+    const value = m.extraFields ? m.extraFields[name] : null;
+    return value === null || value === undefined || value === '' ? [] : [String(value)];
+  };
+}
+
+/**
+ * Segmentations to compute (KPI_SEGMENTS, comma-separated; "+" combines dimensions)
+ * Each dimension is priority, component, label, issueType or a field listed in JIRA_EXTRA_FIELDS.
+ * @returns {Array<{ name: string, dimensions: Array<{ name: string, valuesOf: Function }> }>}
+ */
+export function getSegmentations() {
+  if (!cachedSegmentations) {
+    const { KPI_SEGMENTS, JIRA_EXTRA_FIELDS } = loadEnvConfig();
+    const configured = KPI_SEGMENTS && KPI_SEGMENTS.trim()
+      ? KPI_SEGMENTS.split(',').map(s => s.trim()).filter(Boolean)
+      : DEFAULT_KPI_SEGMENTS;
+    const extraFields = (JIRA_EXTRA_FIELDS || '').split(',').map(s => s.trim()).filter(Boolean);
+
+    const errors = [];
+    const segmentations = configured.map(entry => {
+      const dimensions = entry.split('+').map(s => s.trim()).filter(Boolean).map(part => {
+        const builtIn = DIMENSION_ALIASES[part.toLowerCase()];
+        if (builtIn) return { name: builtIn, valuesOf: BUILT_IN_DIMENSIONS[builtIn] };
+        const field = extraFields.find(f => f.toLowerCase() === part.toLowerCase());
+        if (field) return { name: field, valuesOf: extraFieldDimension(field) };
+        errors.push(`"${part}" (in "${entry}") is not priority, component, label, issueType or a JIRA_EXTRA_FIELDS field`);
+        return null;
+      }).filter(Boolean);
+      const names = dimensions.map(d => d.name);
+      if (new Set(names).size < names.length) errors.push(`"${entry}" uses the same dimension twice`);
+      return { name: names.join('+'), dimensions };
+    });
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid KPI_SEGMENTS:\n  - ${errors.join('\n  - ')}`);
+    }
+    // The same segmentation listed twice (e.g. "labels" and "label") is computed once
+    cachedSegmentations = segmentations.filter((s, i) => s.dimensions.length > 0 && segmentations.findIndex(o => o.name === s.name) === i);
+  }
+  return cachedSegmentations;
+}
+
+// Every combination of a ticket's dimension values, e.g. [{ priority: 'High', component: 'Billing' }, ...]
+function segmentValues(m, dimensions) {
+  return dimensions.reduce((combinations, dimension) => {
+    const values = [...new Set(dimension.valuesOf(m))];
+    return combinations.flatMap(combination => (values.length > 0 ? values : [NO_VALUE])
+      .map(value => ({ ...combination, [dimension.name]: value })));
+  }, [{}]);
+}
+
+// Percentiles and spread, without the histogram (there is one per segment)
+function describeTimes(values) {
+  const { histogram, ...stats } = describeDistribution(values);
+  return stats;
+}
+
+/**
+ * KPIs for one segment
+ * SLA counts are per ticket, the way overall compliance counts them: a ticket met the SLA when any of
+ * its on-call or assignee responses did; otherwise it is pending while a response is still awaited,
+ * and breached when none is. metSLA + breachedSLA + pendingSLA = withSla.
+ * @param {Array} tickets - Metric rows in the segment
+ * @param {Map} resultsByTicket - Ticket key -> SLA results (calculateSLAKPIs details)
+ */
+function describeSegment(tickets, resultsByTicket) {
+  const results = tickets.flatMap(t => resultsByTicket.get(t.key) || []);
+  const withSla = tickets.filter(t => resultsByTicket.has(t.key));
+  const outcomes = withSla.map(t => {
+    const ticketResults = resultsByTicket.get(t.key);
+    if (ticketResults.some(r => r.met)) return 'met';
+    return ticketResults.some(r => r.status === 'pending') ? 'pending' : 'breached';
+  });
+  const met = outcomes.filter(o => o === 'met').length;
+  const resolved = tickets.filter(t => t.resolutionDate);
+  const jiraBreached = tickets.filter(t => {
+    const sla = findSla(t.sla);
+    return sla && (sla.cycles || [sla]).some(c => c.breached);
+  });
+
+  return {
+    tickets: tickets.length,
+    withSla: withSla.length,
+    metSLA: met,
+    breachedSLA: outcomes.filter(o => o === 'breached').length,
+    pendingSLA: outcomes.filter(o => o === 'pending').length,
+    complianceRate: withSla.length > 0 ? ((met / withSla.length) * 100).toFixed(1) : 'N/A',
+    // Breaches of the response SLA as Jira measured it
+    jiraBreachedTickets: jiraBreached.length,
+    responseTimeStats: describeTimes(results.filter(r => r.status === 'responded').map(r => r.businessMinutes)),
+    resolved: resolved.length,
+    fixed: resolved.filter(t => t.resolutionClass !== 'not-fixed').length,
+    notFixed: resolved.filter(t => t.resolutionClass === 'not-fixed').length,
+    stillOpen: tickets.length - resolved.length,
+    reopened: tickets.filter(t => t.reopenCount > 0).length,
+    resolutionTimeStats: describeTimes(resolved.map(t => t.timeToResolutionMinutes).filter(v => typeof v === 'number'))
+  };
+}
+
+/**
+ * KPIs per segment for every configured segmentation
+ * @param {Array} metrics - Metric rows
+ * @param {Array} slaResults - Per-ticket, per-role SLA results (calculateSLAKPIs details)
+ * @param {Array} segmentations - Default: getSegmentations()
+ * @returns {Object} { segmentations: names, bySegmentation: { name: { dimensions, segments } } }
+ *   segments are largest first; each has key ("High / Billing"), values ({ priority, component }) and its KPIs
+ */
+export function calculateSegmentKPIs(metrics, slaResults, segmentations = getSegmentations()) {
+  const resultsByTicket = new Map();
+  slaResults.forEach(r => {
+    if (!resultsByTicket.has(r.ticket)) resultsByTicket.set(r.ticket, []);
+    resultsByTicket.get(r.ticket).push(r);
+  });
+
+  const bySegmentation = {};
+  segmentations.forEach(({ name, dimensions }) => {
+    const groups = new Map();
+    metrics.forEach(m => {
+      segmentValues(m, dimensions).forEach(values => {
+        const key = dimensions.map(d => values[d.name]).join(' / ');
+        if (!groups.has(key)) groups.set(key, { values, tickets: [] });
+        groups.get(key).tickets.push(m);
+      });
+    });
+
+    bySegmentation[name] = {
+      dimensions: dimensions.map(d => d.name),
+      segments: [...groups].map(([key, { values, tickets }]) => ({ key, values, ...describeSegment(tickets, resultsByTicket) }))
+        .sort((a, b) => b.tickets - a.tickets || a.key.localeCompare(b.key))
+    };
+  });
+
+  return {
+    segmentations: segmentations.map(s => s.name),
+    bySegmentation
+  };
+}
@@ -0,0 +1,122 @@
+/**
+ * SLA Extraction
+ * Turns Jira Service Management SLA data into the `sla` list on each metric row.
+ *
+ * Preferred source is the Service Management API (/rest/servicedeskapi/request/{key}/sla,
+ * fetched by jiraClient.js into issue.serviceDeskSla), which names every SLA metric.
+ * Without it we fall back to scanning custom fields for SLA-shaped values, named by the field
+ * catalog (fieldCatalog.js) when the value doesn't carry its own name.
+ *
+ * Each entry is one named SLA: { name, source, cycles, ...first cycle }. A cycle is
+ * { breached, paused, withinCalendarHours, goalDuration, elapsedTime, remainingTime, startTime,
+ * stopTime, breachTime, ongoing } - durations in milliseconds, times ISO. Re-opened tickets have
+ * several cycles (completed ones in order, then the running one).
+ * The primary SLA (JIRA_SLA_NAME, default "Time to first response") is listed first.
+ */
+
+import { loadEnvConfig } from './loadEnv.js';
+import { DEFAULT_SLA_NAME, SLA_RESPONSE_TYPES, DEFAULT_SLA_RESPONSE_TYPE } from './constants.js';
+import { getFieldName } from './fieldCatalog.js';
+
+let primarySlaName = null;
+
+const millis = (duration) => (duration && typeof duration.millis === 'number' ? duration.millis : null);
+// Service Management dates are { iso8601, epochMillis, friendly }; custom field values use the same shape
+const isoTime = (time) => (time && (time.iso8601 || (time.epochMillis && new Date(time.epochMillis).toISOString()))) || null;
+
+function toCycle(cycle, ongoing) {
+  return {
+    breached: cycle.breached || false,
+    paused: ongoing ? cycle.paused || false : false,
+    withinCalendarHours: ongoing ? cycle.withinCalendarHours !== false : null,
+    goalDuration: millis(cycle.goalDuration),
+    elapsedTime: millis(cycle.elapsedTime),
+    remainingTime: millis(cycle.remainingTime),
+    startTime: isoTime(cycle.startTime),
+    stopTime: ongoing ? null : isoTime(cycle.stopTime),
+    breachTime: isoTime(cycle.breachTime),
+    ongoing
+  };
+}
+
+// Top-level fields describe the first cycle (what response SLAs are judged on)
+function toEntry(name, source, value) {
+  const cycles = [
+    ...(value.completedCycles || []).map(cycle => toCycle(cycle, false)),
+    ...(value.ongoingCycle ? [toCycle(value.ongoingCycle, true)] : [])
+  ];
+  if (cycles.length === 0) return null;
+  return { name, source, ...cycles[0], cycles };
+}
+
+/**
+ * Name of the SLA that on-call/assignee response is measured against
+ */
+export function getPrimarySlaName() {
+  if (!primarySlaName) {
+    primarySlaName = loadEnvConfig().JIRA_SLA_NAME || DEFAULT_SLA_NAME;
+  }
+  return primarySlaName;
+}
+
+/**
+ * What the on-call and assignee SLAs count as a response (SLA_RESPONSE_TYPE): 'action' or 'public'
+ */
+export function getResponseType() {
+  const configured = loadEnvConfig().SLA_RESPONSE_TYPE;
+  const value = (configured || DEFAULT_SLA_RESPONSE_TYPE).trim().toLowerCase();
+  if (!SLA_RESPONSE_TYPES.includes(value)) {
+    throw new Error(`Unknown SLA_RESPONSE_TYPE "${configured}" (expected ${SLA_RESPONSE_TYPES.join(' or ')})`);
+  }
+  return value;
+}
+
+/**
+ * SLA entry by name (case-insensitive)
+ * @param {Array} slaList - metric.sla
+ * @param {string} name - Defaults to the primary SLA name
+ * @returns {Object|null} null when the ticket has no SLA of that name - never some other SLA
+ */
+export function findSla(slaList, name = getPrimarySlaName()) {
+  if (!slaList || slaList.length === 0) return null;
+  const wanted = name.toLowerCase();
+  return slaList.find(s => (s.name || '').toLowerCase() === wanted) || null;
+}
+
+/**
+ * Goal of a ticket's response SLA (JIRA_SLA_NAME) in minutes
+ * @param {Array} slaList - metric.sla
+ * @returns {number|null} null when the ticket has no response SLA, or it has no goal
+ */
+export function getResponseGoalMinutes(slaList) {
+  const sla = findSla(slaList);
+  return sla && sla.goalDuration > 0 ? sla.goalDuration / (1000 * 60) : null;
+}
+
+/**
+ * All SLAs on an issue
+ * @param {Object} issue - Normalized Jira issue (see jiraNormalize.js)
+ * @returns {Array|null} SLA entries, primary first; null when the issue has none
+ */
+export function extractSlas(issue) {
+  const fields = issue.fields || {};
+  let slas = [];
+
+  if (Array.isArray(issue.serviceDeskSla)) {
+    slas = issue.serviceDeskSla
+      .map(metric => toEntry(metric.name, 'servicedesk', metric))
+      .filter(Boolean);
+  } else {
+    // Fallback: SLA custom fields (completedCycles / ongoingCycle values)
+    Object.entries(fields).forEach(([fieldKey, value]) => {
+      if (!value || typeof value !== 'object' || (!value.completedCycles && !value.ongoingCycle)) return;
+      const entry = toEntry(value.name || getFieldName(fieldKey) || fieldKey, 'field', value);
+      if (entry) slas.push(entry);
+    });
+  }
+
+  if (slas.length === 0) return null;
+
+  const primary = getPrimarySlaName().toLowerCase();
+  return slas.sort((a, b) => Number(b.name.toLowerCase() === primary) - Number(a.name.toLowerCase() === primary));
+}
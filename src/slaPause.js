@@ -0,0 +1,109 @@
+/**
+ * SLA Clock Pauses
+ * Time a ticket spends in a pause status (e.g. "Waiting for Customer") doesn't count
+ * against on-call or assignee response SLAs. Pause intervals are rebuilt by replaying
+ * the status transitions in the Jira changelog.
+ */
+
+import { loadEnvConfig } from './loadEnv.js';
+import { DEFAULT_SLA_PAUSE_STATUSES } from './constants.js';
+import { calculateBusinessMinutes } from './businessHours.js';
+import { now as clockNow } from './clock.js';
+import { getStatusTransitions } from './statusTime.js';
+
+let cachedPauseStatuses = null;
+
+/**
+ * Pause statuses from SLA_PAUSE_STATUSES (comma-separated), lowercased
+ * Empty uses the defaults from constants.js; "none" turns pausing off.
+ * @returns {string[]}
+ */
+export function getPauseStatuses() {
+  if (!cachedPauseStatuses) {
+    const { SLA_PAUSE_STATUSES } = loadEnvConfig();
+    const configured = SLA_PAUSE_STATUSES && SLA_PAUSE_STATUSES.trim()
+      ? SLA_PAUSE_STATUSES.split(',').map(s => s.trim()).filter(Boolean)
+      : DEFAULT_SLA_PAUSE_STATUSES;
+    cachedPauseStatuses = configured
+      .map(s => s.toLowerCase())
+      .filter(s => s !== 'none');
+  }
+  return cachedPauseStatuses;
+}
+
+/**
+ * Replay status changes to find when the ticket sat in a pause status
+ * @param {Object} issue - Jira issue with changelog
+ * @param {string[]} pauseStatuses - Lowercased status names (default: getPauseStatuses())
+ * @returns {Array<{ start: string, end: string|null, status: string }>} Chronological intervals;
+ *   end is null while the ticket is still paused
+ */
+export function buildPauseIntervals(issue, pauseStatuses = getPauseStatuses()) {
+  const fields = issue.fields || {};
+  if (pauseStatuses.length === 0 || !fields.created) return [];
+
+  const transitions = getStatusTransitions(issue);
+
+  const isPause = (status) => !!status && pauseStatuses.includes(status.toLowerCase());
+  // Status at creation: where the first transition came from, or the current status if it never moved
+  const initialStatus = transitions.length > 0
+    ? transitions[0].from
+    : (fields.status && fields.status.name);
+
+  const intervals = [];
+  let open = isPause(initialStatus) ? { start: fields.created, end: null, status: initialStatus } : null;
+
+  transitions.forEach(t => {
+    if (open && !isPause(t.to)) {
+      open.end = t.at;
+      intervals.push(open);
+      open = null;
+    } else if (!open && isPause(t.to)) {
+      open = { start: t.at, end: null, status: t.to };
+    }
+  });
+  if (open) intervals.push(open);
+
+  return intervals;
+}
+
+// Overlap of [start, end] with each pause interval (open intervals run until now)
+function overlaps(pauseIntervals, start, end) {
+  const startDate = new Date(start);
+  const endDate = new Date(end);
+  const now = clockNow();
+
+  return (pauseIntervals || [])
+    .map(p => {
+      const pauseStart = new Date(p.start);
+      const pauseEnd = p.end ? new Date(p.end) : now;
+      return {
+        start: pauseStart > startDate ? pauseStart : startDate,
+        end: pauseEnd < endDate ? pauseEnd : endDate
+      };
+    })
+    .filter(o => o.end > o.start);
+}
+
+/**
+ * Wall-clock minutes of [start, end] spent paused
+ */
+export function calculatePausedMinutes(pauseIntervals, start, end) {
+  const ms = overlaps(pauseIntervals, start, end).reduce((sum, o) => sum + (o.end - o.start), 0);
+  return Math.round(ms / (1000 * 60));
+}
+
+/**
+ * Business minutes between two dates with paused time taken out - the SLA clock
+ * @param {Date|string} start - Start date/time
+ * @param {Date|string} end - End date/time
+ * @param {string} personName - Optional: person's name to use their schedule
+ * @param {Array} pauseIntervals - From buildPauseIntervals (ISO strings)
+ * @returns {number} Minutes
+ */
+export function calculateSlaBusinessMinutes(start, end, personName = null, pauseIntervals = []) {
+  const total = calculateBusinessMinutes(start, end, personName);
+  const paused = overlaps(pauseIntervals, start, end)
+    .reduce((sum, o) => sum + calculateBusinessMinutes(o.start, o.end, personName), 0);
+  return Math.max(0, total - paused);
+}
@@ -0,0 +1,77 @@
+/**
+ * Distribution Statistics
+ * Percentiles, standard deviation and histograms for duration metrics. A couple of month-old
+ * tickets drag a mean a long way; the median and p90 say what a typical and a bad ticket look like.
+ */
+
+import { DURATION_HISTOGRAM_BUCKETS } from './constants.js';
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Percentile of sorted values, interpolating between the two nearest ranks
+ * @param {number[]} sorted - Ascending
+ * @param {number} p - 0-100
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+export function median(values) {
+  if (values.length === 0) return null;
+  return percentile([...values].sort((a, b) => a - b), 50);
+}
+
+// Mean rounded to whole minutes
+export function average(values) {
+  return values.length > 0 ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : null;
+}
+
+/**
+ * Count of values per histogram bucket
+ * @param {number[]} values
+ * @param {Array<{ label: string, max: number|null }>} buckets - Ascending upper bounds; max null is open-ended
+ * @returns {Array<{ label, min, max, count }>}
+ */
+export function histogram(values, buckets = DURATION_HISTOGRAM_BUCKETS) {
+  const counts = buckets.map((bucket, i) => ({ label: bucket.label, min: i > 0 ? buckets[i - 1].max : 0, max: bucket.max, count: 0 }));
+  values.forEach(value => {
+    const bucket = counts.find(b => b.max === null || value < b.max) || counts[counts.length - 1];
+    bucket.count++;
+  });
+  return counts;
+}
+
+/**
+ * Summary of a set of durations: count, mean, standard deviation, p50/p75/p90/p95, min/max and a histogram
+ * Non-numeric values (null: not measured yet) are ignored. Figures are rounded to 0.1.
+ * @param {Array<number|null>} values - Minutes
+ * @param {Array} buckets - Histogram buckets (default DURATION_HISTOGRAM_BUCKETS)
+ */
+export function describeDistribution(values, buckets = DURATION_HISTOGRAM_BUCKETS) {
+  const numbers = values.filter(v => typeof v === 'number' && Number.isFinite(v));
+  if (numbers.length === 0) {
+    return { count: 0, mean: null, stddev: null, min: null, p50: null, p75: null, p90: null, p95: null, max: null, histogram: histogram([], buckets) };
+  }
+
+  const sorted = [...numbers].sort((a, b) => a - b);
+  const mean = sorted.reduce((a, b) => a + b, 0) / sorted.length;
+  // Population standard deviation - the tickets are the whole period, not a sample of it
+  const variance = sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / sorted.length;
+  return {
+    count: sorted.length,
+    mean: round1(mean),
+    stddev: round1(Math.sqrt(variance)),
+    min: round1(sorted[0]),
+    p50: round1(percentile(sorted, 50)),
+    p75: round1(percentile(sorted, 75)),
+    p90: round1(percentile(sorted, 90)),
+    p95: round1(percentile(sorted, 95)),
+    max: round1(sorted[sorted.length - 1]),
+    histogram: histogram(sorted, buckets)
+  };
+}
@@ -0,0 +1,127 @@
+/**
+ * Time in Status
+ * Replays the status transitions in the Jira changelog to find how long a ticket sat in each
+ * status (wall-clock and business minutes), and derives lead time (created -> resolved) and
+ * cycle time (first "in progress" status -> resolved).
+ *
+ * Time in a closed status isn't counted - the question is where open bugs wait.
+ */
+
+import { loadEnvConfig } from './loadEnv.js';
+import { DEFAULT_IN_PROGRESS_STATUSES } from './constants.js';
+import { calculateBusinessMinutes } from './businessHours.js';
+import { now as clockNow } from './clock.js';
+import { isClosedStatus } from './resolution.js';
+
+let cachedInProgressStatuses = null;
+
+/**
+ * Statuses where work is happening, from IN_PROGRESS_STATUSES (comma-separated), lowercased
+ * Cycle time starts at the first move into one of them.
+ * @returns {string[]}
+ */
+export function getInProgressStatuses() {
+  if (!cachedInProgressStatuses) {
+    const { IN_PROGRESS_STATUSES } = loadEnvConfig();
+    const configured = IN_PROGRESS_STATUSES && IN_PROGRESS_STATUSES.trim()
+      ? IN_PROGRESS_STATUSES.split(',').map(s => s.trim()).filter(Boolean)
+      : DEFAULT_IN_PROGRESS_STATUSES;
+    cachedInProgressStatuses = configured.map(s => s.toLowerCase());
+  }
+  return cachedInProgressStatuses;
+}
+
+/**
+ * Status changes from the changelog, oldest first
+ * @param {Object} issue - Jira issue with changelog
+ * @returns {Array<{ at: string, from: string, to: string }>}
+ */
+export function getStatusTransitions(issue) {
+  const histories = (issue.changelog && issue.changelog.histories) || [];
+  const transitions = [];
+  histories.forEach(h => {
+    (h.items || []).forEach(item => {
+      if (item.field === 'status') {
+        transitions.push({ at: h.created, from: item.fromString, to: item.toString });
+      }
+    });
+  });
+  return transitions.sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+/**
+ * Every stretch of time the ticket spent in one status
+ * @param {Object} issue - Jira issue with changelog
+ * @returns {Array<{ status: string, start: string, end: string|null }>} Chronological; end is null for the current status
+ */
+export function buildStatusIntervals(issue) {
+  const fields = issue.fields || {};
+  if (!fields.created) return [];
+
+  const transitions = getStatusTransitions(issue);
+  // Status at creation: where the first transition came from, or the current status if it never moved
+  const initialStatus = transitions.length > 0
+    ? transitions[0].from
+    : (fields.status && fields.status.name);
+
+  const intervals = [];
+  let current = { status: initialStatus || 'Unknown', start: fields.created, end: null };
+  transitions.forEach(t => {
+    current.end = t.at;
+    intervals.push(current);
+    current = { status: t.to || 'Unknown', start: t.at, end: null };
+  });
+  intervals.push(current);
+  return intervals;
+}
+
+/**
+ * Wall-clock and business minutes per status, leaving out time in closed statuses
+ * Business minutes use the roster's default schedule (the team's, not any one person's).
+ * @param {Array} intervals - From buildStatusIntervals
+ * @returns {Object} status -> { minutes, businessMinutes, visits }
+ */
+export function calculateTimeInStatus(intervals) {
+  const now = clockNow();
+  const byStatus = {};
+  intervals.forEach(interval => {
+    if (isClosedStatus(interval.status)) return;
+    const start = new Date(interval.start);
+    const end = interval.end ? new Date(interval.end) : now;
+    if (!(end >= start)) return;
+
+    if (!byStatus[interval.status]) {
+      byStatus[interval.status] = { minutes: 0, businessMinutes: 0, visits: 0 };
+    }
+    const entry = byStatus[interval.status];
+    entry.minutes += Math.round((end - start) / (1000 * 60));
+    entry.businessMinutes += calculateBusinessMinutes(start, end);
+    entry.visits++;
+  });
+  return byStatus;
+}
+
+/**
+ * Lead time (created -> resolved) and cycle time (first in-progress status -> resolved)
+ * Both are null while the ticket is unresolved; cycle time is null if it never went in progress.
+ * @param {Object} issue - Jira issue
+ * @param {Array} intervals - From buildStatusIntervals
+ * @param {string|null} resolutionDate - Final resolution (see computeMetrics)
+ * @param {string[]} inProgressStatuses - Lowercased (default: getInProgressStatuses())
+ */
+export function calculateFlowTimes(issue, intervals, resolutionDate, inProgressStatuses = getInProgressStatuses()) {
+  const created = issue.fields && issue.fields.created;
+  const started = intervals.find(i => inProgressStatuses.includes((i.status || '').toLowerCase()));
+  const cycleStartTime = started ? started.start : null;
+
+  const minutesBetween = (a, b) => Math.round((new Date(b) - new Date(a)) / (1000 * 60));
+  const measurable = (start) => Boolean(start && resolutionDate && new Date(resolutionDate) >= new Date(start));
+
+  return {
+    cycleStartTime,
+    leadTimeMinutes: measurable(created) ? minutesBetween(created, resolutionDate) : null,
+    leadTimeBusinessMinutes: measurable(created) ? calculateBusinessMinutes(created, resolutionDate) : null,
+    cycleTimeMinutes: measurable(cycleStartTime) ? minutesBetween(cycleStartTime, resolutionDate) : null,
+    cycleTimeBusinessMinutes: measurable(cycleStartTime) ? calculateBusinessMinutes(cycleStartTime, resolutionDate) : null
+  };
+}
@@ -0,0 +1,100 @@
+/**
+ * IANA Timezone Helpers
+ * Converts between UTC instants and wall-clock time in a named zone (DST-aware)
+ * using the built-in Intl API - no fixed UTC offsets
+ */
+
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @param {Date} date - UTC instant
+ * @param {string} timezone - IANA zone, e.g. 'America/New_York'
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number }}
+ *   month is 1-12, weekday is 0 (Sunday) - 6 (Saturday)
+ */
+export function getZonedParts(date, timezone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in minutes (EDT = -240, EST = -300)
+ */
+export function getTimezoneOffsetMinutes(date, timezone) {
+  const p = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * UTC instant for a wall-clock time in a timezone
+ * Times skipped by a spring-forward are shifted forward by the gap (02:30 becomes 03:30);
+ * times repeated by a fall-back resolve to the first occurrence.
+ * @param {{ year: number, month: number, day: number }} localDate - month is 1-12
+ * @param {number} minuteOfDay - Minutes since local midnight (0-1440)
+ * @param {string} timezone - IANA zone
+ * @returns {Date}
+ */
+export function zonedTimeToUtc({ year, month, day }, minuteOfDay, timezone) {
+  const wallClock = Date.UTC(year, month - 1, day, 0, minuteOfDay);
+  const firstGuess = wallClock - getTimezoneOffsetMinutes(new Date(wallClock), timezone) * 60000;
+  const offsetAtGuess = getTimezoneOffsetMinutes(new Date(firstGuess), timezone);
+  const secondGuess = wallClock - offsetAtGuess * 60000;
+
+  // Prefer the earlier offset when both guesses land on the requested wall-clock time (fall-back overlap)
+  const earlier = Math.min(firstGuess, secondGuess);
+  const later = Math.max(firstGuess, secondGuess);
+  if (earlier + getTimezoneOffsetMinutes(new Date(earlier), timezone) * 60000 === wallClock) {
+    return new Date(earlier);
+  }
+  return new Date(later);
+}
+
+/**
+ * Calendar date a number of days after a local date
+ * @returns {{ year: number, month: number, day: number, weekday: number }}
+ */
+export function addLocalDays({ year, month, day }, days) {
+  const d = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(), weekday: d.getUTCDay() };
+}
+
+/**
+ * Whether a string is a timezone Intl understands
+ */
+export function isValidTimezone(timezone) {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * Working Schedules
+ * Parses the roster's per-person working time into a weekly list of intervals
+ * (minute precision, split shifts, any set of workdays)
+ *
+ * Two forms are accepted:
+ *   "workingHours": { "start": "08:30", "end": "17:30", "days": ["mon", "tue", "wed", "thu", "fri"] }
+ *   "schedule": { "sun": ["09:00-13:00", "14:00-18:00"], "mon": ["09:00-18:00"], ... }
+ * Days missing from a "schedule" are days off. Intervals can't cross midnight - split them per day.
+ */
+
+export const WEEKDAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DEFAULT_WORKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri'];
+const CLOCK_PATTERN = /^([01]\d|2[0-4]):([0-5]\d)$/;
+
+/**
+ * Minutes since midnight for "HH:MM" (or a whole hour number, the original roster format)
+ * @returns {number|null} null when not a valid time
+ */
+export function parseClock(value) {
+  if (Number.isInteger(value)) {
+    return value >= 0 && value <= 24 ? value * 60 : null;
+  }
+  const match = typeof value === 'string' ? value.match(CLOCK_PATTERN) : null;
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return minutes <= 24 * 60 ? minutes : null;
+}
+
+/**
+ * Validate the working-time fields of a roster entry
+ * @param {Object} entry - Roster person or defaults block
+ * @param {string} label - Prefix for error messages
+ * @returns {string[]} List of problems (empty when valid)
+ */
+export function validateWorkSchedule(entry, label) {
+  const errors = [];
+
+  if (entry.workingHours !== undefined && entry.schedule !== undefined) {
+    errors.push(`${label}: set either "workingHours" or "schedule", not both`);
+  }
+
+  if (entry.workingHours !== undefined) {
+    const { start, end, days } = entry.workingHours || {};
+    const startMinute = parseClock(start);
+    const endMinute = parseClock(end);
+    if (startMinute === null || endMinute === null || startMinute >= endMinute) {
+      errors.push(`${label}: "workingHours" must be { start, end } as "HH:MM" with start < end`);
+    }
+    if (days !== undefined && (!Array.isArray(days) || days.length === 0 || days.some(d => !WEEKDAY_KEYS.includes(d)))) {
+      errors.push(`${label}: "workingHours.days" must be a non-empty list of ${WEEKDAY_KEYS.join(', ')}`);
+    }
+  }
+
+  if (entry.schedule !== undefined) {
+    if (!entry.schedule || typeof entry.schedule !== 'object' || Array.isArray(entry.schedule)) {
+      errors.push(`${label}: "schedule" must be an object of weekday -> ["HH:MM-HH:MM", ...]`);
+      return errors;
+    }
+    Object.entries(entry.schedule).forEach(([day, intervals]) => {
+      if (!WEEKDAY_KEYS.includes(day)) {
+        errors.push(`${label}: unknown schedule day "${day}" (expected ${WEEKDAY_KEYS.join(', ')})`);
+        return;
+      }
+      if (!Array.isArray(intervals)) {
+        errors.push(`${label}: schedule.${day} must be an array of "HH:MM-HH:MM"`);
+        return;
+      }
+      const parsed = intervals.map(parseInterval);
+      if (parsed.some(i => i === null)) {
+        errors.push(`${label}: schedule.${day} has an invalid interval (expected "HH:MM-HH:MM" with start < end)`);
+        return;
+      }
+      parsed.sort((a, b) => a.start - b.start);
+      for (let i = 1; i < parsed.length; i++) {
+        if (parsed[i].start < parsed[i - 1].end) {
+          errors.push(`${label}: schedule.${day} has overlapping intervals`);
+          break;
+        }
+      }
+    });
+  }
+
+  return errors;
+}
+
+function parseInterval(value) {
+  if (typeof value !== 'string') return null;
+  const [from, to] = value.split('-').map(s => s.trim());
+  const start = parseClock(from);
+  const end = parseClock(to);
+  return start !== null && end !== null && start < end ? { start, end } : null;
+}
+
+/**
+ * Build the weekly schedule for a (validated) roster entry
+ * @param {Object} entry - Roster person or defaults block
+ * @returns {Array<Array<{ start: number, end: number }>>|null} Seven lists of intervals in minutes
+ *   since local midnight, indexed by weekday (0 = Sunday); null when the entry doesn't set one
+ */
+export function buildWeeklySchedule(entry) {
+  if (entry.schedule) {
+    return WEEKDAY_KEYS.map(day => (entry.schedule[day] || [])
+      .map(parseInterval)
+      .sort((a, b) => a.start - b.start));
+  }
+
+  if (entry.workingHours) {
+    const days = entry.workingHours.days || DEFAULT_WORKDAYS;
+    const interval = { start: parseClock(entry.workingHours.start), end: parseClock(entry.workingHours.end) };
+    return WEEKDAY_KEYS.map(day => (days.includes(day) ? [interval] : []));
+  }
+
+  return null;
+}
+
@@ -0,0 +1,125 @@
+/**
+ * Assignee chain (src/assigneeChain.js): everyone who held a ticket, replayed from the changelog,
+ * the handoffs between them and tickets that bounced back, and the reassignment KPIs. The fixture
+ * roster has Dana (on-call manager), Sam (New York) and Alex (Berlin, no accountId), all 8 AM - 5 PM.
+ */
+
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { loadRoster } from '../src/roster.js';
+import { pinClock } from '../src/clock.js';
+import { buildAssigneeChain, getHandoffs, isPingPong } from '../src/assigneeChain.js';
+import { calculateSLAKPIs } from '../src/kpi.js';
+
+loadRoster(fileURLToPath(new URL('./fixtures/roster-identity.json', import.meta.url)));
+
+afterEach(() => pinClock(null));
+
+const DANA = { accountId: 'acc-dana', displayName: 'Dana Reyes' };
+const SAM = { accountId: 'acc-sam', displayName: 'Sam Lee' };
+
+// Jira lists the changelog newest first; created Monday 9 AM New York (3 PM Berlin)
+const issue = (assignee, changes) => ({
+  fields: { created: '2025-06-02T13:00:00.000Z', assignee },
+  changelog: {
+    histories: changes.map(([at, author, from, to]) => ({
+      created: at,
+      author,
+      items: [{
+        field: 'assignee',
+        from: from && from.accountId, fromString: from && from.displayName,
+        to: to && to.accountId, toString: to && to.displayName
+      }]
+    })).reverse()
+  }
+});
+
+// Sam -> Alex (by Dana), Alex unassigns it, Dana gives it back to Sam, who resolves it
+const bounced = issue(SAM, [
+  ['2025-06-02T14:00:00.000Z', DANA, SAM, { displayName: 'Alex Kim' }],
+  ['2025-06-02T15:00:00.000Z', { displayName: 'akim' }, { displayName: 'Alex Kim' }, null],
+  ['2025-06-02T16:00:00.000Z', DANA, null, SAM]
+]);
+
+test('buildAssigneeChain lists every hold, skipping unassigned stretches', () => {
+  assert.deepEqual(buildAssigneeChain(bounced, '2025-06-02T18:00:00.000Z'), [
+    {
+      assignee: 'Sam Lee', assigneeId: 'sam', assignedBy: null, assignedById: null,
+      start: '2025-06-02T13:00:00.000Z', end: '2025-06-02T14:00:00.000Z', minutes: 60, businessMinutes: 60
+    },
+    {
+      assignee: 'Alex Kim', assigneeId: 'alex', assignedBy: 'Dana Reyes', assignedById: 'dana',
+      start: '2025-06-02T14:00:00.000Z', end: '2025-06-02T15:00:00.000Z', minutes: 60, businessMinutes: 60
+    },
+    {
+      assignee: 'Sam Lee', assigneeId: 'sam', assignedBy: 'Dana Reyes', assignedById: 'dana',
+      start: '2025-06-02T16:00:00.000Z', end: '2025-06-02T18:00:00.000Z', minutes: 120, businessMinutes: 120
+    }
+  ]);
+});
+
+test('business minutes of a hold follow the holder\'s own schedule', () => {
+  // 3 PM - 7 PM Berlin: two hours before Alex's day ends; 9 AM - 1 PM in New York
+  const toAlex = issue(null, [['2025-06-02T13:00:00.000Z', DANA, null, { displayName: 'Alex Kim' }]]);
+  const [hold] = buildAssigneeChain(toAlex, '2025-06-02T17:00:00.000Z');
+  assert.equal(hold.minutes, 240);
+  assert.equal(hold.businessMinutes, 120);
+});
+
+test('the current holder of an open ticket is measured up to now', () => {
+  pinClock('2025-06-02T17:30:00.000Z');
+  const chain = buildAssigneeChain(bounced, null);
+  assert.equal(chain[2].end, null);
+  assert.equal(chain[2].minutes, 90);
+  // Never reassigned: held by the current assignee since creation
+  assert.deepEqual(buildAssigneeChain(issue(SAM, [])).map(h => [h.assigneeId, h.minutes]), [['sam', 270]]);
+  assert.deepEqual(buildAssigneeChain(issue(null, [])), []);
+});
+
+test('getHandoffs and isPingPong: A -> B -> A bounced back', () => {
+  const chain = buildAssigneeChain(bounced, '2025-06-02T18:00:00.000Z');
+  assert.deepEqual(getHandoffs(chain), [
+    { fromId: 'sam', from: 'Sam Lee', toId: 'alex', to: 'Alex Kim', at: '2025-06-02T14:00:00.000Z', byId: 'dana', by: 'Dana Reyes' },
+    { fromId: 'alex', from: 'Alex Kim', toId: 'sam', to: 'Sam Lee', at: '2025-06-02T16:00:00.000Z', byId: 'dana', by: 'Dana Reyes' }
+  ]);
+  assert.equal(isPingPong(chain), true);
+
+  // Sam -> unassigned -> Sam is one hold, not a handoff
+  const back = buildAssigneeChain(issue(SAM, [
+    ['2025-06-02T14:00:00.000Z', SAM, SAM, null],
+    ['2025-06-02T15:00:00.000Z', SAM, null, SAM]
+  ]), '2025-06-02T16:00:00.000Z');
+  assert.deepEqual(getHandoffs(back), []);
+  assert.equal(isPingPong(back), false);
+});
+
+test('the handoff KPIs count reassigned tickets, paths and holders', () => {
+  mock.method(console, 'log', () => {});
+  const row = (key, chain) => ({
+    key, created: '2025-06-02T13:00:00.000Z', assigneeChain: chain, reassignmentCount: getHandoffs(chain).length, pingPong: isPingPong(chain)
+  });
+  const handoffs = calculateSLAKPIs({
+    metrics: [
+      row('BUG-1', buildAssigneeChain(bounced, '2025-06-02T18:00:00.000Z')),
+      row('BUG-2', buildAssigneeChain(issue(SAM, []), '2025-06-02T14:00:00.000Z')),
+      // A row from a metrics file written before assignee chains
+      { key: 'BUG-3', created: '2025-06-02T13:00:00.000Z' }
+    ]
+  }).handoffs;
+
+  assert.equal(handoffs.tickets, 2);
+  assert.equal(handoffs.reassignedTickets, 1);
+  assert.equal(handoffs.reassignmentRate, '50.0');
+  assert.equal(handoffs.totalReassignments, 2);
+  assert.deepEqual(handoffs.distribution, { '0': 1, '1': 0, '2': 1, '3+': 0 });
+  assert.deepEqual(handoffs.pingPongKeys, ['BUG-1']);
+  assert.deepEqual(handoffs.topPaths.map(p => [p.fromId, p.toId, p.count, p.tickets]), [
+    ['sam', 'alex', 1, ['BUG-1']],
+    ['alex', 'sam', 1, ['BUG-1']]
+  ]);
+  assert.deepEqual(handoffs.byHolder.map(h => [h.personId, h.holds, h.handedOn, h.handOnRate]), [
+    ['sam', 3, 1, '33.3'],
+    ['alex', 1, 1, '100.0']
+  ]);
+});
@@ -0,0 +1,109 @@
+/**
+ * Open backlog (src/backlog.js): the age of every unresolved ticket at run time, in calendar and
+ * business days, bucketed overall, by priority and by assignee, and tickets idle for
+ * BACKLOG_STALE_DAYS business days flagged stale. The fixture roster works Mon-Fri 8 AM - 5 PM
+ * New York time with no holidays; the clock is pinned to Wednesday 2025-06-18, noon.
+ */
+
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { loadRoster } from '../src/roster.js';
+import { pinClock } from '../src/clock.js';
+import { calculateBacklog, getStaleDays } from '../src/backlog.js';
+
+loadRoster(fileURLToPath(new URL('./fixtures/roster.json', import.meta.url)));
+
+before(() => pinClock('2025-06-18T16:00:00.000Z'));
+after(() => pinClock(null));
+afterEach(() => { delete process.env.BACKLOG_STALE_DAYS; });
+
+const row = (key, created, { lastActivityTime = created, priority = 'High', assignee = null, resolutionDate = null } = {}) => ({
+  key,
+  summary: key,
+  status: resolutionDate ? 'Done' : 'Open',
+  priority,
+  assigneeCurrent: assignee ? assignee.name : null,
+  assigneeId: assignee ? assignee.id : null,
+  created,
+  lastActivityTime,
+  resolutionDate
+});
+const SAM = { id: 'sam', name: 'Sam Lee' };
+const ALEX = { id: 'alex', name: 'Alex Kim' };
+
+const metrics = [
+  // Mondays 9 AM: untouched for 12 working days, and picked up this morning
+  row('BUG-1', '2025-06-02T13:00:00.000Z', { assignee: SAM }),
+  row('BUG-2', '2025-06-16T13:00:00.000Z', { assignee: SAM, lastActivityTime: '2025-06-18T14:00:00.000Z' }),
+  // An hour old, nobody on it yet
+  row('BUG-3', '2025-06-18T15:00:00.000Z', { priority: 'Low' }),
+  // Last touched last Wednesday: 5 working days idle
+  row('BUG-4', '2025-06-09T13:00:00.000Z', { priority: 'Low', assignee: ALEX, lastActivityTime: '2025-06-11T13:00:00.000Z' }),
+  row('BUG-5', '2025-06-02T13:00:00.000Z', { resolutionDate: '2025-06-03T13:00:00.000Z' })
+];
+
+test('calculateBacklog ages open tickets, oldest first', () => {
+  const backlog = calculateBacklog(metrics);
+
+  assert.equal(backlog.date, '2025-06-18');
+  assert.equal(backlog.capturedAt, '2025-06-18T16:00:00.000Z');
+  assert.deepEqual(backlog.tickets.map(t => [t.key, t.ageDays, t.businessAgeDays, t.idleBusinessDays, t.stale]), [
+    ['BUG-1', 16.1, 12, 12, true],
+    ['BUG-4', 9.1, 7, 5, true],
+    ['BUG-2', 2.1, 2, 0, false],
+    ['BUG-3', 0, 0, 0, false]
+  ]);
+  assert.equal(backlog.tickets[3].assignee, 'Unassigned');
+  assert.equal(backlog.tickets[3].businessAgeMinutes, 60);
+});
+
+test('calculateBacklog summarizes the open tickets into age buckets', () => {
+  const backlog = calculateBacklog(metrics);
+
+  assert.equal(backlog.staleDays, 5);
+  assert.equal(backlog.open, 4);
+  assert.equal(backlog.stale, 2);
+  assert.deepEqual(backlog.staleKeys, ['BUG-1', 'BUG-4']);
+  assert.equal(backlog.medianAgeDays, 5.6);
+  assert.equal(backlog.medianBusinessAgeDays, 4.5);
+  assert.equal(backlog.oldestAgeDays, 16.1);
+  assert.equal(backlog.p90AgeDays, 14);
+  assert.deepEqual(backlog.buckets, { '< 1d': 1, '1-3d': 1, '3-7d': 0, '7-14d': 1, '14-30d': 1, '30-90d': 0, '90d+': 0 });
+  assert.deepEqual(backlog.businessBuckets, { '< 1d': 1, '1-3d': 1, '3-7d': 0, '7-14d': 2, '14-30d': 0, '30-90d': 0, '90d+': 0 });
+});
+
+test('calculateBacklog groups by priority and assignee', () => {
+  const backlog = calculateBacklog(metrics);
+
+  assert.deepEqual(backlog.byPriority.map(p => [p.priority, p.open, p.stale, p.oldestAgeDays]), [
+    ['High', 2, 1, 16.1],
+    ['Low', 2, 1, 9.1]
+  ]);
+  assert.deepEqual(backlog.byAssignee.map(a => [a.assignee, a.assigneeId, a.open, a.oldestKey]), [
+    ['Sam Lee', 'sam', 2, 'BUG-1'],
+    ['Alex Kim', 'alex', 1, 'BUG-4'],
+    ['Unassigned', null, 1, 'BUG-3']
+  ]);
+});
+
+test('BACKLOG_STALE_DAYS sets when idle tickets count as stale', () => {
+  process.env.BACKLOG_STALE_DAYS = '10';
+  assert.equal(getStaleDays(), 10);
+  assert.deepEqual(calculateBacklog(metrics).staleKeys, ['BUG-1']);
+  assert.deepEqual(calculateBacklog(metrics, { staleDays: 1 }).staleKeys, ['BUG-1', 'BUG-4']);
+
+  process.env.BACKLOG_STALE_DAYS = '0';
+  assert.throws(() => getStaleDays(), { message: 'BACKLOG_STALE_DAYS must be a whole number of business days, 1 or more (got "0")' });
+  process.env.BACKLOG_STALE_DAYS = ' ';
+  assert.equal(getStaleDays(), 5);
+});
+
+test('an empty backlog', () => {
+  const backlog = calculateBacklog([metrics[4]]);
+  assert.equal(backlog.open, 0);
+  assert.equal(backlog.medianAgeDays, null);
+  assert.equal(backlog.oldestAgeDays, null);
+  assert.equal(backlog.p90AgeDays, null);
+  assert.deepEqual(backlog.byAssignee, []);
+});
@@ -0,0 +1,88 @@
+/**
+ * Business hours across the 2025 DST transitions in America/New_York
+ * (spring forward Sunday 2025-03-09 02:00 EST -> 03:00 EDT, fall back Sunday 2025-11-02 02:00 EDT -> 01:00 EST).
+ * The fixture roster works Mon-Fri 8 AM - 5 PM New York time with no holidays.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { loadRoster } from '../src/roster.js';
+import { zonedTimeToUtc } from '../src/timezone.js';
+import { calculateBusinessMinutes, isOutsideBusinessHours, getCreatedTimeContext } from '../src/businessHours.js';
+
+loadRoster(fileURLToPath(new URL('./fixtures/roster.json', import.meta.url)));
+
+const minutesCases = [
+  // Friday 4 PM EST -> Monday 9 AM EDT: an hour each side of the spring-forward weekend
+  { name: 'over the March weekend', start: '2025-03-07T21:00:00Z', end: '2025-03-10T13:00:00Z', minutes: 120 },
+  // Friday 4 PM EDT -> Monday 9 AM EST
+  { name: 'over the November weekend', start: '2025-10-31T20:00:00Z', end: '2025-11-03T14:00:00Z', minutes: 120 },
+  { name: 'first EDT Monday, 8 AM - 5 PM', start: '2025-03-10T12:00:00Z', end: '2025-03-10T21:00:00Z', minutes: 540 },
+  { name: 'first EST Monday, 8 AM - 5 PM', start: '2025-11-03T13:00:00Z', end: '2025-11-03T22:00:00Z', minutes: 540 },
+  // 12:00-13:00 UTC is 7-8 AM EST: before hours once the clocks are back
+  { name: 'first EST Monday before 8 AM', start: '2025-11-03T12:00:00Z', end: '2025-11-03T13:00:00Z', minutes: 0 },
+  { name: 'week spanning spring forward', start: '2025-03-07T13:00:00Z', end: '2025-03-14T21:00:00Z', minutes: 6 * 540 },
+  { name: 'week spanning fall back', start: '2025-10-31T12:00:00Z', end: '2025-11-07T22:00:00Z', minutes: 6 * 540 },
+  { name: 'transition Sundays only', start: '2025-03-09T00:00:00Z', end: '2025-03-09T23:59:00Z', minutes: 0 }
+];
+
+minutesCases.forEach(({ name, start, end, minutes }) => {
+  test(`calculateBusinessMinutes: ${name}`, () => {
+    assert.equal(calculateBusinessMinutes(start, end), minutes);
+  });
+});
+
+const outsideCases = [
+  // 12:30 UTC is 8:30 AM EDT, but 7:30 AM EST
+  { at: '2025-03-10T12:30:00Z', outside: false },
+  { at: '2025-11-03T12:30:00Z', outside: true },
+  { at: '2025-03-07T21:30:00Z', outside: false },
+  { at: '2025-03-10T21:30:00Z', outside: true },
+  { at: '2025-10-31T21:30:00Z', outside: true },
+  { at: '2025-11-03T21:30:00Z', outside: false },
+  { at: '2025-03-09T15:00:00Z', outside: true },
+  { at: '2025-11-02T15:00:00Z', outside: true }
+];
+
+outsideCases.forEach(({ at, outside }) => {
+  test(`isOutsideBusinessHours: ${at}`, () => {
+    assert.equal(isOutsideBusinessHours(at), outside);
+  });
+});
+
+const contextCases = [
+  // 07:30 UTC on 2025-03-09 is 03:30 EDT, just after the gap
+  { at: '2025-03-09T07:30:00Z', context: 'Sunday (Weekend)' },
+  // 06:30 UTC on 2025-11-02 is the second 01:30 (EST)
+  { at: '2025-11-02T06:30:00Z', context: 'Sunday (Weekend)' },
+  { at: '2025-03-10T11:59:00Z', context: 'Before business hours' },
+  { at: '2025-03-10T12:00:00Z', context: 'During business hours' },
+  { at: '2025-03-10T21:30:00Z', context: 'After business hours' },
+  { at: '2025-11-03T12:59:00Z', context: 'Before business hours' },
+  { at: '2025-11-03T13:30:00Z', context: 'During business hours' },
+  { at: '2025-11-03T22:00:00Z', context: 'After business hours' }
+];
+
+contextCases.forEach(({ at, context }) => {
+  test(`getCreatedTimeContext: ${at}`, () => {
+    assert.equal(getCreatedTimeContext(at), context);
+  });
+});
+
+test('zonedTimeToUtc: a time in the spring-forward gap moves forward by the gap', () => {
+  // 02:30 doesn't exist on 2025-03-09; it becomes 03:30 EDT
+  assert.equal(zonedTimeToUtc({ year: 2025, month: 3, day: 9 }, 2 * 60 + 30, 'America/New_York').toISOString(), '2025-03-09T07:30:00.000Z');
+});
+
+test('zonedTimeToUtc: a time in the fall-back overlap resolves to the first occurrence', () => {
+  // 01:30 happens twice on 2025-11-02; the first is 01:30 EDT
+  assert.equal(zonedTimeToUtc({ year: 2025, month: 11, day: 2 }, 60 + 30, 'America/New_York').toISOString(), '2025-11-02T05:30:00.000Z');
+});
+
+test('zonedTimeToUtc: working hours on either side of the transitions', () => {
+  assert.equal(zonedTimeToUtc({ year: 2025, month: 3, day: 7 }, 8 * 60, 'America/New_York').toISOString(), '2025-03-07T13:00:00.000Z');
+  assert.equal(zonedTimeToUtc({ year: 2025, month: 3, day: 10 }, 8 * 60, 'America/New_York').toISOString(), '2025-03-10T12:00:00.000Z');
+  assert.equal(zonedTimeToUtc({ year: 2025, month: 10, day: 31 }, 8 * 60, 'America/New_York').toISOString(), '2025-10-31T12:00:00.000Z');
+  assert.equal(zonedTimeToUtc({ year: 2025, month: 11, day: 3 }, 8 * 60, 'America/New_York').toISOString(), '2025-11-03T13:00:00.000Z');
+});
@@ -0,0 +1,106 @@
+/**
+ * Field catalog (src/fieldCatalog.js): custom fields configured by name, the cached field list, and
+ * plain values of the configured extra fields. The catalog cache lives in a temp directory.
+ */
+
+import { test, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  loadFieldCatalog, setFieldCatalog, resolveField, getFieldName, configureExtraFields, getExtraFieldNames, extractExtraFields
+} from '../src/fieldCatalog.js';
+import { extractSlas } from '../src/sla.js';
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'field-catalog-test-'));
+after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+
+const FIELDS = [
+  { id: 'summary', name: 'Summary', custom: false },
+  { id: 'customfield_10010', name: 'Organizations', custom: true },
+  { id: 'customfield_10030', name: 'Time to first response', custom: true },
+  { id: 'customfield_10042', name: 'Root Cause', custom: true },
+  { id: 'customfield_10050', name: 'Team', custom: true },
+  { id: 'customfield_10051', name: 'Team', custom: true },
+  { id: 'customfield_10060', name: 'Affected Area', custom: true }
+];
+
+test('loadFieldCatalog caches the field list and reuses it offline', async () => {
+  let fetches = 0;
+  const fetchFields = async () => { fetches++; return FIELDS; };
+
+  await loadFieldCatalog({ fetchFields, cacheDir });
+  await loadFieldCatalog({ fetchFields, cacheDir });
+  assert.equal(fetches, 1);
+  assert.ok(fs.existsSync(path.join(cacheDir, 'fields.json')));
+
+  await loadFieldCatalog({ fetchFields, cacheDir, refresh: true });
+  assert.equal(fetches, 2);
+
+  const offline = await loadFieldCatalog({ cacheDir });
+  assert.equal(offline.fields.length, FIELDS.length);
+});
+
+test('loadFieldCatalog keeps a cached copy when a refresh fails, and fails without one', async () => {
+  mock.method(console, 'warn', () => {});
+  const failing = async () => { throw new Error('HTTP 503'); };
+
+  const stale = await loadFieldCatalog({ fetchFields: failing, cacheDir, refresh: true });
+  assert.equal(stale.fields.length, FIELDS.length);
+  assert.equal(console.warn.mock.callCount(), 1);
+
+  await assert.rejects(loadFieldCatalog({ fetchFields: failing, cacheDir: path.join(cacheDir, 'empty') }),
+    /Could not load the Jira field catalog: HTTP 503/);
+});
+
+test('resolveField finds fields by name or id and reports ambiguous names', () => {
+  setFieldCatalog({ fetchedAt: '2025-06-02T00:00:00Z', fields: FIELDS });
+  assert.deepEqual(resolveField('root cause'), { id: 'customfield_10042', error: null });
+  assert.deepEqual(resolveField('customfield_10010'), { id: 'customfield_10010', error: null });
+  assert.deepEqual(resolveField('Team'), { id: null, error: '"Team" matches several fields (customfield_10050, customfield_10051) - use the field id' });
+  assert.deepEqual(resolveField('Severity'), { id: null, error: '"Severity": no such field in Jira' });
+  assert.equal(getFieldName('customfield_10030'), 'Time to first response');
+});
+
+test('without a catalog only field ids resolve', () => {
+  setFieldCatalog(null);
+  assert.deepEqual(resolveField('customfield_10042'), { id: 'customfield_10042', error: null });
+  assert.match(resolveField('Root Cause').error, /no field catalog available/);
+  assert.equal(getFieldName('customfield_10042'), null);
+});
+
+test('SLA custom fields without a name of their own are named from the catalog', () => {
+  setFieldCatalog({ fetchedAt: '2025-06-02T00:00:00Z', fields: FIELDS });
+  const slas = extractSlas({
+    fields: { customfield_10030: { completedCycles: [{ breached: false, goalDuration: { millis: 3600000 } }] } }
+  });
+  assert.equal(slas[0].name, 'Time to first response');
+});
+
+test('extractExtraFields gives plain values of the configured fields', () => {
+  setFieldCatalog({ fetchedAt: '2025-06-02T00:00:00Z', fields: FIELDS });
+  assert.deepEqual(configureExtraFields('Organizations, Root Cause, Affected Area, Team, Severity, customfield_10030'), [
+    '"Team" matches several fields (customfield_10050, customfield_10051) - use the field id',
+    '"Severity": no such field in Jira'
+  ]);
+  assert.deepEqual(getExtraFieldNames(), ['Organizations', 'Root Cause', 'Affected Area', 'customfield_10030']);
+
+  const values = extractExtraFields({
+    fields: {
+      customfield_10010: [{ id: 1, name: 'Acme' }, { id: 2, name: 'Globex' }],
+      customfield_10042: { type: 'doc', content: [{ type: 'paragraph', content: [{ type: 'text', text: 'Config drift' }] }] },
+      customfield_10060: { value: 'Billing', child: { value: 'Invoices' } },
+      customfield_10030: { completedCycles: [{ breached: false }], ongoingCycle: { breached: false } }
+    }
+  });
+  assert.deepEqual(values, {
+    Organizations: 'Acme; Globex',
+    'Root Cause': 'Config drift',
+    'Affected Area': 'Billing / Invoices',
+    customfield_10030: 'running'
+  });
+  assert.deepEqual(extractExtraFields({ fields: {} }), {
+    Organizations: null, 'Root Cause': null, 'Affected Area': null, customfield_10030: null
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Created vs resolved flow (src/flow.js): weekly (Monday) and monthly periods with created, resolved
+ * and carried-over counts, throughput over complete periods, the net-flow trend and arrival times -
+ * all in the team's local time. The fixture roster is in New York: a ticket created Sunday
+ * 2025-06-01 03:00 UTC arrived Saturday 31 May, 11 PM.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { loadRoster } from '../src/roster.js';
+import { calculateFlow } from '../src/flow.js';
+
+loadRoster(fileURLToPath(new URL('./fixtures/roster.json', import.meta.url)));
+
+const ASOF = '2025-06-12T16:00:00.000Z';
+const metrics = [
+  { key: 'BUG-1', created: '2025-06-02T13:00:00.000Z', resolutionDate: '2025-06-03T13:00:00.000Z' },
+  { key: 'BUG-2', created: '2025-06-03T14:00:00.000Z', resolutionDate: '2025-06-10T14:00:00.000Z' },
+  { key: 'BUG-3', created: '2025-06-10T13:00:00.000Z', resolutionDate: null },
+  { key: 'BUG-4', created: '2025-06-01T03:00:00.000Z', resolutionDate: '2025-06-02T15:00:00.000Z' },
+  // Created after the data was captured
+  { key: 'BUG-5', created: '2025-06-13T13:00:00.000Z', resolutionDate: null }
+];
+
+test('weekly and monthly periods in local time, up to the one in progress', () => {
+  const flow = calculateFlow(metrics, { asOf: ASOF });
+
+  assert.equal(flow.timezone, 'America/New_York');
+  assert.equal(flow.asOf, ASOF);
+  assert.equal(flow.tickets, 4);
+  assert.deepEqual(flow.weekly, [
+    { period: '2025-05-26', start: '2025-05-26', end: '2025-06-01', created: 1, resolved: 0, netFlow: 1, openAtStart: 0, carriedOver: 1, inProgress: false },
+    { period: '2025-06-02', start: '2025-06-02', end: '2025-06-08', created: 2, resolved: 2, netFlow: 0, openAtStart: 1, carriedOver: 1, inProgress: false },
+    { period: '2025-06-09', start: '2025-06-09', end: '2025-06-15', created: 1, resolved: 1, netFlow: 0, openAtStart: 1, carriedOver: 1, inProgress: true }
+  ]);
+  assert.deepEqual(flow.monthly.map(r => [r.period, r.start, r.end, r.created, r.resolved, r.carriedOver, r.inProgress]), [
+    ['2025-05', '2025-05-01', '2025-05-31', 1, 0, 1, false],
+    ['2025-06', '2025-06-01', '2025-06-30', 3, 3, 1, true]
+  ]);
+});
+
+test('throughput and the net-flow trend count complete weeks only', () => {
+  const flow = calculateFlow(metrics, { asOf: ASOF });
+
+  assert.deepEqual(flow.throughput.weekly.created, { periods: 2, avg: 1.5, median: 1.5, p90: 1.9, max: 2 });
+  assert.deepEqual(flow.throughput.weekly.resolved, { periods: 2, avg: 1, median: 1, p90: 1.8, max: 2 });
+  assert.deepEqual(flow.throughput.monthly.created, { periods: 1, avg: 1, median: 1, p90: 1, max: 1 });
+  assert.deepEqual(flow.netFlowTrend, { weeks: 2, recentAvgNetFlow: 0.5, previousAvgNetFlow: null, direction: 'growing' });
+});
+
+test('arrivals by local weekday and hour', () => {
+  const { arrivals } = calculateFlow(metrics, { asOf: ASOF });
+
+  // Saturday 31 May to Thursday 12 June
+  assert.equal(arrivals.days, 13);
+  assert.equal(arrivals.avgPerDay, 0.3);
+  assert.deepEqual(arrivals.byWeekday.map(d => d.day), ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']);
+  assert.deepEqual(arrivals.byWeekday.find(d => d.day === 'Tuesday'), { day: 'Tuesday', created: 2, avgPerDay: 1, share: '50.0' });
+  assert.deepEqual(arrivals.byWeekday.find(d => d.day === 'Saturday'), { day: 'Saturday', created: 1, avgPerDay: 0.5, share: '25.0' });
+  assert.equal(arrivals.byWeekday.find(d => d.day === 'Sunday').created, 0);
+  assert.deepEqual(arrivals.byHour.filter(h => h.created > 0).map(h => [h.hour, h.created]), [['09:00', 2], ['10:00', 1], ['23:00', 1]]);
+});
+
+test('no tickets before asOf', () => {
+  assert.deepEqual(calculateFlow(metrics, { asOf: '2025-05-01T00:00:00.000Z' }), {
+    timezone: 'America/New_York',
+    asOf: '2025-05-01T00:00:00.000Z',
+    tickets: 0,
+    weekly: [],
+    monthly: [],
+    throughput: null,
+    netFlowTrend: null,
+    arrivals: null
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Holiday calendars (src/holidays.js): inline date lists and .ics files, and their effect on
+ * business-hours clocks. The fixture roster works Mon-Fri 8 AM - 5 PM New York time on the "company"
+ * calendar (Thanksgiving and the day after, 2025); Olena works the same hours in Kyiv on the "ua"
+ * calendar (ua.ics: 2025-12-31 - 2026-01-02 and 2025-06-30).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { loadRoster } from '../src/roster.js';
+import { parseIcs, validateHolidays, loadHolidayCalendars, getHoliday, validateRosterCalendars } from '../src/holidays.js';
+import { calculateBusinessMinutes, countBusinessDays, isOutsideBusinessHours, getCreatedTimeContext } from '../src/businessHours.js';
+
+const fixture = (name) => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+const roster = loadRoster(fixture('roster-holidays.json'));
+loadHolidayCalendars(fixture('holidays.json'));
+
+test('parseIcs: multi-day all-day events cover DTSTART up to, not including, DTEND', () => {
+  const days = parseIcs('BEGIN:VEVENT\nDTSTART;VALUE=DATE:20251224\nDTEND;VALUE=DATE:20251227\nSUMMARY:Winter Break\nEND:VEVENT\n');
+  assert.deepEqual([...days.keys()], ['2025-12-24', '2025-12-25', '2025-12-26']);
+  assert.equal(days.get('2025-12-25'), 'Winter Break');
+});
+
+test('parseIcs: unfolds continuation lines, unescapes text and reads timed events as their date', () => {
+  const text = 'BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nDTSTART:20250704T000000Z\r\nSUMMARY:Independence\\, Day\r\n  Observed\r\nEND:VEVENT\r\nEND:VCALENDAR\r\n';
+  assert.deepEqual([...parseIcs(text)], [['2025-07-04', 'Independence, Day Observed']]);
+});
+
+test('parseIcs: events without a summary are named "Holiday"; events without a start are skipped', () => {
+  const days = parseIcs('BEGIN:VEVENT\nDTSTART:20250101\nEND:VEVENT\nBEGIN:VEVENT\nSUMMARY:No date\nEND:VEVENT\n');
+  assert.deepEqual([...days], [['2025-01-01', 'Holiday']]);
+});
+
+test('validateHolidays lists every problem', () => {
+  const errors = validateHolidays({
+    version: 2,
+    calendars: {
+      both: { dates: [], ics: 'x.ics' },
+      neither: {},
+      badDate: { dates: ['2025-13-45', { date: '27/11/2025' }] }
+    }
+  });
+  assert.deepEqual(errors, [
+    'unsupported version 2 (expected 1)',
+    'calendars.both: set exactly one of "dates" or "ics"',
+    'calendars.neither: set exactly one of "dates" or "ics"',
+    'calendars.badDate.dates[0]: expected "YYYY-MM-DD" or { "date": "YYYY-MM-DD", "name": "..." }',
+    'calendars.badDate.dates[1]: expected "YYYY-MM-DD" or { "date": "YYYY-MM-DD", "name": "..." }'
+  ]);
+});
+
+test('loadHolidayCalendars reads inline dates and .ics files relative to the holidays file', () => {
+  assert.equal(getHoliday({ year: 2025, month: 11, day: 27 }, ['company']), 'Thanksgiving');
+  assert.equal(getHoliday({ year: 2025, month: 11, day: 28 }, ['company']), 'Holiday');
+  assert.equal(getHoliday({ year: 2026, month: 1, day: 1 }, ['ua']), 'New Year, Christmas and Winter Break');
+  assert.equal(getHoliday({ year: 2025, month: 6, day: 30 }, ['ua']), 'Constitution Day (observed)');
+  assert.equal(getHoliday({ year: 2025, month: 11, day: 27 }, ['ua']), null);
+  assert.equal(getHoliday({ year: 2025, month: 11, day: 27 }, []), null);
+});
+
+test('validateRosterCalendars reports calendars the holidays file does not define', () => {
+  assert.deepEqual(validateRosterCalendars(roster), []);
+  const withUnknown = { ...roster, people: [...roster.people, { name: 'Someone', holidays: ['uk'] }] };
+  assert.deepEqual(validateRosterCalendars(withUnknown), ['Someone: unknown holiday calendar "uk"']);
+});
+
+test('calculateBusinessMinutes skips the Thanksgiving holidays', () => {
+  // Wednesday 4 PM -> Monday 9 AM EST: an hour each side of Thursday, Friday and the weekend
+  assert.equal(calculateBusinessMinutes('2025-11-26T21:00:00Z', '2025-12-01T14:00:00Z'), 120);
+});
+
+test('calculateBusinessMinutes uses each person\'s own calendars', () => {
+  // Tuesday 4 PM -> Monday 9 AM Kyiv time (UTC+2) over New Year
+  assert.equal(calculateBusinessMinutes('2025-12-30T14:00:00Z', '2026-01-05T07:00:00Z', 'Olena Kyiv'), 120);
+  // Thanksgiving is a working day in Kyiv: 8 AM - 5 PM local
+  assert.equal(calculateBusinessMinutes('2025-11-27T06:00:00Z', '2025-11-27T15:00:00Z', 'Olena Kyiv'), 540);
+});
+
+test('countBusinessDays does not count holidays', () => {
+  // After Wednesday: Thursday and Friday are holidays, then the weekend - only Monday counts
+  assert.equal(countBusinessDays('2025-11-26T15:00:00Z', '2025-12-01T15:00:00Z'), 1);
+});
+
+test('a ticket created on a holiday is outside business hours, with the holiday named', () => {
+  assert.equal(isOutsideBusinessHours('2025-11-27T17:00:00Z'), true);
+  assert.equal(getCreatedTimeContext('2025-11-27T17:00:00Z'), 'Holiday (Thanksgiving)');
+  assert.equal(getCreatedTimeContext('2025-11-26T17:00:00Z'), 'During business hours');
+});
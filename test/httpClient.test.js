@@ -0,0 +1,150 @@
+/**
+ * Retries, Retry-After, timeouts and bounded concurrency (src/httpClient.js) against a local stub HTTP server
+ */
+
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { getWithRetry, parseRetryAfter, mapWithConcurrency } from '../src/httpClient.js';
+
+// Per-path scripted responses: each entry answers one request, the last one repeats.
+// { status, headers, body } answers; { hang: true } never answers.
+let scripts = {};
+// Requests received per path, with the time each arrived
+let received = {};
+let inFlight = 0;
+let maxInFlight = 0;
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const path = req.url.split('?')[0];
+    received[path] = received[path] || [];
+    received[path].push(Date.now());
+    const script = scripts[path] || [{ status: 404 }];
+    const step = script[Math.min(received[path].length - 1, script.length - 1)];
+    if (step.hang) return;
+
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    setTimeout(() => {
+      inFlight--;
+      res.writeHead(step.status, { 'Content-Type': 'application/json', ...(step.headers || {}) });
+      res.end(JSON.stringify(step.body !== undefined ? step.body : { status: step.status }));
+    }, step.delayMs || 0);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+beforeEach(() => {
+  scripts = {};
+  received = {};
+  inFlight = 0;
+  maxInFlight = 0;
+  mock.method(console, 'warn', () => {});
+});
+
+test('429 with Retry-After waits the requested time, then succeeds', async () => {
+  scripts['/limited'] = [{ status: 429, headers: { 'Retry-After': '1' } }, { status: 200, body: { ok: true } }];
+
+  const response = await getWithRetry(`${baseUrl}/limited`, { baseDelayMs: 1 });
+
+  assert.deepEqual(response.data, { ok: true });
+  assert.equal(received['/limited'].length, 2);
+  const waited = received['/limited'][1] - received['/limited'][0];
+  // Retry-After (1s) wins over the 1ms backoff
+  assert.ok(waited >= 950, `waited ${waited}ms`);
+  assert.match(console.warn.mock.calls[0].arguments[0], /\(429\), retrying in 1\.0s \(retry 1\/5\)/);
+});
+
+test('503 then 200 retries once', async () => {
+  scripts['/flaky'] = [{ status: 503 }, { status: 200, body: { ok: true } }];
+
+  const response = await getWithRetry(`${baseUrl}/flaky`, { baseDelayMs: 5 });
+
+  assert.equal(response.status, 200);
+  assert.equal(received['/flaky'].length, 2);
+  assert.equal(console.warn.mock.callCount(), 1);
+});
+
+test('a response that hangs times out and is retried', async () => {
+  scripts['/slow'] = [{ hang: true }, { status: 200, body: { ok: true } }];
+
+  const response = await getWithRetry(`${baseUrl}/slow`, { timeoutMs: 100, baseDelayMs: 5 });
+
+  assert.deepEqual(response.data, { ok: true });
+  assert.equal(received['/slow'].length, 2);
+  assert.match(console.warn.mock.calls[0].arguments[0], /ECONNABORTED/);
+});
+
+test('repeated failures throw after maxRetries retries', async () => {
+  scripts['/down'] = [{ status: 500 }];
+
+  await assert.rejects(
+    getWithRetry(`${baseUrl}/down`, { maxRetries: 3, baseDelayMs: 1 }),
+    error => error.response && error.response.status === 500
+  );
+  assert.equal(received['/down'].length, 4);
+  assert.equal(console.warn.mock.callCount(), 3);
+});
+
+test('client errors are not retried', async () => {
+  scripts['/missing'] = [{ status: 404 }];
+
+  await assert.rejects(getWithRetry(`${baseUrl}/missing`, { baseDelayMs: 1 }), error => error.response.status === 404);
+  assert.equal(received['/missing'].length, 1);
+});
+
+test('Jira requests give up after JIRA_MAX_RETRIES retries', async () => {
+  process.env.JIRA_BASE_URL = baseUrl;
+  process.env.JIRA_DEPLOYMENT = 'cloud';
+  process.env.JIRA_EMAIL = 'test@example.com';
+  process.env.JIRA_API_TOKEN = 'test';
+  process.env.JIRA_MAX_RETRIES = '2';
+  // jiraClient.js reads its settings on import
+  const { fetchFieldList } = await import('../src/jiraClient.js');
+  scripts['/rest/api/3/field'] = [{ status: 503, headers: { 'Retry-After': '0' } }];
+
+  await assert.rejects(fetchFieldList(), error => error.response.status === 503);
+  assert.equal(received['/rest/api/3/field'].length, 3);
+});
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  const now = Date.parse('2025-11-19T15:00:00Z');
+  assert.equal(parseRetryAfter('120', now), 120000);
+  assert.equal(parseRetryAfter('0', now), 0);
+  assert.equal(parseRetryAfter('Wed, 19 Nov 2025 15:00:30 GMT', now), 30000);
+  assert.equal(parseRetryAfter('Wed, 19 Nov 2025 14:59:00 GMT', now), 0);
+  assert.equal(parseRetryAfter('soon', now), null);
+  assert.equal(parseRetryAfter(undefined, now), null);
+});
+
+test('mapWithConcurrency never has more than the limit in flight', async () => {
+  scripts['/item'] = [{ status: 200, delayMs: 20 }];
+  const items = Array.from({ length: 12 }, (_, i) => i);
+  let running = 0;
+  let maxRunning = 0;
+
+  const results = await mapWithConcurrency(items, 3, async (item) => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    try {
+      await getWithRetry(`${baseUrl}/item?n=${item}`);
+      return item * 2;
+    } finally {
+      running--;
+    }
+  });
+
+  assert.deepEqual(results, items.map(i => i * 2));
+  assert.equal(received['/item'].length, 12);
+  assert.equal(maxRunning, 3);
+  assert.ok(maxInFlight <= 3, `server saw ${maxInFlight} at once`);
+});
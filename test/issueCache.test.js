@@ -0,0 +1,103 @@
+/**
+ * Local issue cache (src/issueCache.js): merging incremental fetches, evicting issues that left the
+ * query, and resetting when the fetch signature changes. Each test works in its own temp directory.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { openIssueCache, mergeIssues, evictIssues, saveIssueCache, readCachedIssues } from '../src/issueCache.js';
+
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-cache-test-'));
+after(() => fs.rmSync(tmpRoot, { recursive: true, force: true }));
+
+const signature = { baseUrl: 'https://jira.example.com', jql: 'project = BUG', fields: ['summary'], expand: ['changelog'] };
+
+const issue = (key, created, updated, summary = key) => ({ key, fields: { created, updated, summary } });
+
+function freshCache(name) {
+  return openIssueCache(signature, { cacheDir: path.join(tmpRoot, name) });
+}
+
+test('a new cache needs a full fetch', () => {
+  const cache = freshCache('new');
+  assert.equal(cache.lastSync, null);
+  assert.equal(cache.resetReason, 'no cache yet');
+  assert.deepEqual(cache.issues, {});
+});
+
+test('mergeIssues keeps the newest copy and counts real changes', () => {
+  const cache = freshCache('merge');
+  assert.equal(mergeIssues(cache, [
+    issue('BUG-1', '2025-06-01T10:00:00Z', '2025-06-02T10:00:00Z'),
+    issue('BUG-2', '2025-06-03T10:00:00Z', '2025-06-03T10:00:00Z')
+  ]), 2);
+  // Older copy of BUG-1 is ignored; re-fetching BUG-2 unchanged is not a change
+  assert.equal(mergeIssues(cache, [
+    issue('BUG-1', '2025-06-01T10:00:00Z', '2025-06-01T12:00:00Z', 'stale'),
+    issue('BUG-2', '2025-06-03T10:00:00Z', '2025-06-03T10:00:00Z')
+  ]), 0);
+  assert.equal(mergeIssues(cache, [issue('BUG-1', '2025-06-01T10:00:00Z', '2025-06-04T10:00:00Z', 'edited')]), 1);
+
+  const issues = readCachedIssues(cache);
+  assert.deepEqual(issues.map(i => i.key), ['BUG-2', 'BUG-1']);
+  assert.equal(issues[1].fields.summary, 'edited');
+});
+
+test('saveIssueCache makes the next open incremental', () => {
+  const cache = freshCache('reopen');
+  mergeIssues(cache, [issue('BUG-1', '2025-06-01T10:00:00Z', '2025-06-02T10:00:00Z')]);
+  saveIssueCache(cache, '2025-06-05T00:00:00Z');
+
+  const reopened = freshCache('reopen');
+  assert.equal(reopened.resetReason, null);
+  assert.equal(reopened.lastSync, '2025-06-05T00:00:00Z');
+  assert.deepEqual(reopened.issues, { 'BUG-1': '2025-06-02T10:00:00Z' });
+});
+
+test('a changed signature or --full-refresh starts over', () => {
+  const dir = path.join(tmpRoot, 'signature');
+  const cache = openIssueCache(signature, { cacheDir: dir });
+  mergeIssues(cache, [issue('BUG-1', '2025-06-01T10:00:00Z', '2025-06-02T10:00:00Z')]);
+  saveIssueCache(cache, '2025-06-05T00:00:00Z');
+
+  // Webhooks only look: nothing is cleared
+  const peek = openIssueCache({ ...signature, jql: 'project = OPS' }, { cacheDir: dir, reset: false });
+  assert.equal(peek.resetReason, 'query or field configuration changed');
+  assert.ok(fs.existsSync(path.join(dir, 'issues', 'BUG-1.json')));
+
+  const changed = openIssueCache({ ...signature, jql: 'project = OPS' }, { cacheDir: dir });
+  assert.equal(changed.lastSync, null);
+  assert.equal(fs.existsSync(path.join(dir, 'issues', 'BUG-1.json')), false);
+
+  const refreshed = openIssueCache(signature, { cacheDir: dir, fullRefresh: true });
+  assert.equal(refreshed.resetReason, 'full refresh requested');
+});
+
+test('evictIssues drops issues the query no longer returns', () => {
+  const cache = freshCache('evict');
+  mergeIssues(cache, [
+    issue('BUG-1', '2025-06-01T10:00:00Z', '2025-06-01T10:00:00Z'),
+    issue('BUG-2', '2025-06-02T10:00:00Z', '2025-06-02T10:00:00Z'),
+    issue('BUG-3', '2025-06-03T10:00:00Z', '2025-06-03T10:00:00Z')
+  ]);
+
+  assert.deepEqual(evictIssues(cache, new Set(['BUG-1', 'BUG-3', 'BUG-4'])), ['BUG-2']);
+  assert.equal(fs.existsSync(path.join(cache.dir, 'issues', 'BUG-2.json')), false);
+  assert.deepEqual(readCachedIssues(cache).map(i => i.key), ['BUG-3', 'BUG-1']);
+  assert.deepEqual(evictIssues(cache, new Set(['BUG-1', 'BUG-3'])), []);
+});
+
+test('readCachedIssues forgets entries whose file is gone', () => {
+  const cache = freshCache('missing');
+  mergeIssues(cache, [
+    issue('BUG-1', '2025-06-01T10:00:00Z', '2025-06-01T10:00:00Z'),
+    issue('BUG-2', '2025-06-02T10:00:00Z', '2025-06-02T10:00:00Z')
+  ]);
+  fs.rmSync(path.join(cache.dir, 'issues', 'BUG-1.json'));
+
+  assert.deepEqual(readCachedIssues(cache).map(i => i.key), ['BUG-2']);
+  assert.deepEqual(Object.keys(cache.issues), ['BUG-2']);
+});
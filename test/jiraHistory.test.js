@@ -0,0 +1,105 @@
+/**
+ * Complete changelogs and comments (src/jiraClient.js loadFullHistory) against the mock Jira Cloud
+ * server, embedding only 2 histories and 1 comment per issue so the per-issue endpoints get paged.
+ * BUG-1 has 250 histories (three changelog pages) and 3 comments; BUG-2 fits in the embedded ones.
+ */
+
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockServer } from '../src/mockServer.js';
+
+const HOUR = 60 * 60 * 1000;
+const author = { accountId: 'acc-dev', displayName: 'Dev One' };
+
+function makeIssue(key, created, historyCount, commentCount) {
+  const at = (n) => new Date(Date.parse(created) + (n + 1) * HOUR).toISOString();
+  return {
+    id: key.split('-')[1],
+    key,
+    fields: {
+      created,
+      updated: at(historyCount),
+      summary: `${key} summary`,
+      project: { key: 'BUG' },
+      status: { name: 'Open' },
+      comment: {
+        comments: Array.from({ length: commentCount }, (_, n) => ({
+          id: `${key}-c${n}`,
+          author,
+          created: at(n),
+          body: { type: 'doc', version: 1, content: [{ type: 'paragraph', content: [{ type: 'text', text: `comment ${n}` }] }] }
+        }))
+      }
+    },
+    changelog: {
+      // Newest first, as Jira embeds them
+      histories: Array.from({ length: historyCount }, (_, n) => ({
+        id: `${key}-h${n}`,
+        author,
+        created: at(n),
+        items: [{ field: 'labels', fromString: null, toString: `label-${n}` }]
+      })).reverse()
+    }
+  };
+}
+
+const mockJira = createMockServer({
+  issues: [makeIssue('BUG-1', '2025-06-02T13:00:00Z', 250, 3), makeIssue('BUG-2', '2025-06-03T13:00:00Z', 2, 1)]
+}, { historyEmbedLimit: 2, commentEmbedLimit: 1 });
+let client;
+
+before(async () => {
+  process.env.JIRA_BASE_URL = await mockJira.listen();
+  process.env.JIRA_DEPLOYMENT = 'cloud';
+  process.env.JIRA_EMAIL = 'test@example.com';
+  process.env.JIRA_API_TOKEN = 'test';
+  process.env.JIRA_JQL = 'project = BUG ORDER BY created DESC';
+  process.env.JIRA_MAX_RETRIES = '0';
+  delete process.env.JIRA_SERVICE_DESK_ID;
+  // jiraClient.js reads its settings on import
+  client = await import('../src/jiraClient.js');
+});
+
+after(() => mockJira.close());
+
+beforeEach(() => {
+  mockJira.requests.length = 0;
+  mockJira.clearFaults();
+  mock.method(console, 'warn', () => {});
+});
+
+test('changelogs and comments cut off in the search response are paged in per issue', async () => {
+  const [bug2, bug1] = await client.fetchIssues({});
+
+  assert.equal(bug1.key, 'BUG-1');
+  assert.equal(bug1.changelog.histories.length, 250);
+  assert.equal(bug1.changelog.total, 250);
+  // Normalized: histories newest first, comments oldest first with plain text
+  assert.equal(bug1.changelog.histories[0].id, 'BUG-1-h249');
+  assert.equal(bug1.changelog.histories[249].id, 'BUG-1-h0');
+  assert.deepEqual(bug1.fields.comment.comments.map(c => c.bodyText), ['comment 0', 'comment 1', 'comment 2']);
+  assert.equal(bug1.historyIncomplete, undefined);
+
+  assert.equal(bug2.changelog.histories.length, 2);
+  assert.equal(bug2.fields.comment.comments.length, 1);
+
+  const paths = mockJira.requests.map(r => r.path);
+  assert.equal(paths.filter(p => p === '/rest/api/3/issue/BUG-1/changelog').length, 3);
+  assert.equal(paths.filter(p => p === '/rest/api/3/issue/BUG-1/comment').length, 1);
+  assert.equal(paths.some(p => p.startsWith('/rest/api/3/issue/BUG-2/')), false);
+});
+
+test('an issue whose changelog fails to load is kept and marked incomplete', async () => {
+  mockJira.addFaults({ route: 'changelog', status: 500, times: 1 });
+
+  const issues = await client.fetchIssues({});
+  const bug1 = issues.find(i => i.key === 'BUG-1');
+
+  assert.deepEqual(bug1.historyIncomplete, ['changelog']);
+  assert.equal(bug1.changelog.histories.length, 2);
+  // Comments still loaded
+  assert.equal(bug1.fields.comment.comments.length, 3);
+  const failed = client.getFailedKeys().find(f => f.key === 'BUG-1');
+  assert.equal(failed.missing, false);
+  assert.match(failed.error, /^changelog: /);
+});
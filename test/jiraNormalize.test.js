@@ -0,0 +1,148 @@
+/**
+ * Cloud / Data Center normalization (src/jiraNormalize.js): ADF and wiki-markup comment text, Data
+ * Center user keys as accountIds, ordering and Service Management visibility - and a Data Center
+ * fetch (REST v2, startAt paging, changelog from the issue resource) against the mock server.
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { adfToText, wikiToText, normalizeIssue } from '../src/jiraNormalize.js';
+import { createMockServer } from '../src/mockServer.js';
+
+test('adfToText keeps inline nodes on one line and blocks on their own', () => {
+  const doc = {
+    type: 'doc',
+    content: [
+      { type: 'paragraph', content: [{ type: 'mention', attrs: { text: '@Dana' } }, { type: 'text', text: ' can you look?' }] },
+      { type: 'bulletList', content: [{ type: 'listItem', content: [{ type: 'paragraph', content: [{ type: 'text', text: 'logs' }, { type: 'hardBreak' }, { type: 'inlineCard', attrs: { url: 'https://example.com/1' } }] }] }] },
+      { type: 'paragraph', content: [{ type: 'emoji', attrs: { shortName: ':thumbsup:' } }] }
+    ]
+  };
+  assert.equal(adfToText(doc), '@Dana can you look?\nlogs\nhttps://example.com/1\n:thumbsup:');
+  assert.equal(adfToText('already text'), 'already text');
+  assert.equal(adfToText(null), '');
+});
+
+test('wikiToText strips the markup people type in comments', () => {
+  assert.equal(wikiToText('h3. Update\n*Fixed* in {{v2.1}} by [~jdoe], see [the PR|https://example.com/pr/1]'),
+    'Update\nFixed in v2.1 by @jdoe, see the PR');
+  assert.equal(wikiToText('{code:java}int x = 1;{code}\n* one\n* two\n!screenshot.png|thumbnail!'), 'int x = 1;\none\ntwo');
+  assert.equal(wikiToText('line one\\\\line two'), 'line one\nline two');
+  assert.equal(wikiToText(undefined), '');
+});
+
+test('normalizeIssue gives Data Center users their key as accountId and orders history', () => {
+  const dcUser = { key: 'JIRAUSER10100', name: 'dreyes', displayName: 'Dana Reyes' };
+  const issue = normalizeIssue({
+    key: 'BUG-1',
+    fields: {
+      created: '2025-06-02T13:00:00.000+0000',
+      assignee: { name: 'akim', displayName: 'Alex Kim' },
+      comment: {
+        comments: [
+          { id: '2', author: dcUser, created: '2025-06-02T15:00:00.000+0000', body: '_second_' },
+          {
+            id: '1', author: dcUser, created: '2025-06-02T14:00:00.000+0000', body: 'internal',
+            properties: [{ key: 'sd.public.comment', value: { internal: true } }]
+          }
+        ]
+      }
+    },
+    changelog: {
+      histories: [
+        { id: '10', author: dcUser, created: '2025-06-02T14:30:00.000+0000', items: [] },
+        { id: '11', author: dcUser, created: '2025-06-02T16:00:00.000+0000', items: [] }
+      ]
+    }
+  }, 'datacenter');
+
+  assert.equal(issue.fields.assignee.accountId, 'akim');
+  assert.deepEqual(issue.fields.comment.comments.map(c => [c.id, c.author.accountId, c.bodyText, c.jsdPublic]), [
+    ['1', 'JIRAUSER10100', 'internal', false],
+    ['2', 'JIRAUSER10100', 'second', true]
+  ]);
+  assert.deepEqual(issue.changelog.histories.map(h => h.id), ['11', '10']);
+});
+
+test('normalizeIssue leaves Cloud users alone and reads jsdPublic', () => {
+  const issue = normalizeIssue({
+    key: 'BUG-2',
+    fields: {
+      assignee: { accountId: '5b10a2844c20165700ede21g', displayName: 'Alex Kim' },
+      comment: { comments: [{ id: '1', created: '2025-06-02T14:00:00.000+0000', jsdPublic: false, body: { type: 'doc', content: [] } }] }
+    }
+  }, 'cloud');
+  assert.equal(issue.fields.assignee.accountId, '5b10a2844c20165700ede21g');
+  assert.equal(issue.fields.comment.comments[0].jsdPublic, false);
+  assert.equal(issue.fields.comment.comments[0].bodyText, '');
+});
+
+// --- Data Center against the mock server -----------------------------------------------------
+
+const HOUR = 60 * 60 * 1000;
+const dana = { accountId: 'JIRAUSER10100', displayName: 'Dana Reyes' };
+
+function makeIssue(n) {
+  const created = Date.parse('2025-06-02T13:00:00Z') + n * HOUR;
+  const at = (h) => new Date(created + (h + 1) * HOUR).toISOString();
+  return {
+    id: String(10000 + n),
+    key: `BUG-${n}`,
+    fields: {
+      created: new Date(created).toISOString(),
+      updated: at(4),
+      project: { key: 'BUG' },
+      status: { name: 'Open' },
+      assignee: dana,
+      comment: {
+        comments: [0, 1].map(c => ({
+          id: `${n}${c}`,
+          author: dana,
+          created: at(c),
+          body: { type: 'doc', version: 1, content: [{ type: 'paragraph', content: [{ type: 'text', text: `comment ${c}`, marks: [{ type: 'strong' }] }] }] }
+        }))
+      }
+    },
+    changelog: {
+      histories: [4, 3, 2, 1, 0].map(h => ({ id: `${n}${h}`, author: dana, created: at(h), items: [{ field: 'labels', fromString: null, toString: `label-${h}` }] }))
+    }
+  };
+}
+
+const mockJira = createMockServer({ issues: Array.from({ length: 60 }, (_, n) => makeIssue(n + 1)) }, { historyEmbedLimit: 3, commentEmbedLimit: 1 });
+
+before(async () => {
+  process.env.JIRA_BASE_URL = await mockJira.listen();
+  process.env.JIRA_DEPLOYMENT = 'datacenter';
+  process.env.JIRA_PAT = 'test';
+  process.env.JIRA_JQL = 'project = BUG ORDER BY created DESC';
+  process.env.JIRA_MAX_RETRIES = '0';
+  delete process.env.JIRA_SERVICE_DESK_ID;
+});
+
+after(() => mockJira.close());
+
+test('a Data Center fetch pages with startAt and completes history from the issue resource', async () => {
+  mock.method(console, 'warn', () => {});
+  // jiraClient.js reads its settings on import
+  const { fetchIssues, searchUsers } = await import('../src/jiraClient.js');
+
+  const issues = await fetchIssues({});
+  assert.equal(issues.length, 60);
+  assert.equal(issues[0].key, 'BUG-60');
+  issues.forEach(issue => {
+    assert.equal(issue.changelog.histories.length, 5);
+    assert.deepEqual(issue.fields.comment.comments.map(c => c.bodyText), ['comment 0', 'comment 1']);
+    assert.equal(issue.fields.assignee.accountId, 'JIRAUSER10100');
+    assert.equal(issue.fields.comment.comments[0].author.accountId, 'JIRAUSER10100');
+  });
+
+  const paths = mockJira.requests.map(r => r.path);
+  assert.equal(paths.filter(p => p === '/rest/api/2/search').length, 2);
+  assert.equal(paths.filter(p => p === '/rest/api/2/issue/BUG-1').length, 1);
+  assert.equal(paths.filter(p => p === '/rest/api/2/issue/BUG-1/comment').length, 1);
+  assert.equal(paths.some(p => p.startsWith('/rest/api/3/')), false);
+
+  const users = await searchUsers('dana');
+  assert.deepEqual(users.map(u => [u.accountId, u.displayName]), [['JIRAUSER10100', 'Dana Reyes']]);
+});
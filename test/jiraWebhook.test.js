@@ -0,0 +1,114 @@
+/**
+ * Jira webhooks (src/jiraWebhook.js): HMAC and shared-secret checks, event parsing, and a live update
+ * of the latest metrics file from the mock Jira server - held back while a metrics run holds the run
+ * lock. Generated mock tickets (mockFixtures.js) against config/roster.json, in a temp working directory.
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createMockServer } from '../src/mockServer.js';
+import { generateFixtures } from '../src/mockFixtures.js';
+
+const repoFile = (name) => fileURLToPath(new URL(`../${name}`, import.meta.url));
+const SECRET = 'webhook-test-secret';
+
+const fixtures = generateFixtures({ roster: JSON.parse(fs.readFileSync(repoFile('config/roster.json'), 'utf8')), count: 6, weeks: 1 });
+const mockJira = createMockServer(fixtures);
+
+const originalCwd = process.cwd();
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-test-'));
+let webhook;
+
+before(async () => {
+  process.env.JIRA_BASE_URL = await mockJira.listen();
+  process.env.JIRA_DEPLOYMENT = 'cloud';
+  process.env.JIRA_EMAIL = 'test@example.com';
+  process.env.JIRA_API_TOKEN = 'test';
+  process.env.JIRA_JQL = 'project = BUG ORDER BY created DESC';
+  process.env.JIRA_SERVICE_DESK_ID = '1';
+  process.env.JIRA_DRY_RUN = 'false';
+  process.env.JIRA_WEBHOOK_SECRET = SECRET;
+  process.env.ROSTER_PATH = repoFile('config/roster.json');
+  process.env.HOLIDAYS_PATH = repoFile('config/holidays.json');
+  process.chdir(tmpDir);
+  // jiraWebhook.js and jiraClient.js read their settings on import
+  webhook = await import('../src/jiraWebhook.js');
+});
+
+after(async () => {
+  process.chdir(originalCwd);
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  await mockJira.close();
+});
+
+const request = (headers, body = '{"webhookEvent":"jira:issue_updated"}', query = '') => ({
+  headers, query: new URLSearchParams(query), rawBody: Buffer.from(body)
+});
+const sign = (body, secret = SECRET) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+test('verifyWebhookRequest checks the HMAC of the exact body', () => {
+  const body = '{"webhookEvent":"jira:issue_updated","issue":{"key":"BUG-1"}}';
+  assert.equal(webhook.verifyWebhookRequest(request({ 'x-hub-signature': sign(body) }, body)), true);
+  assert.equal(webhook.verifyWebhookRequest(request({ 'x-hub-signature': sign(body) }, `${body} `)), false);
+  assert.equal(webhook.verifyWebhookRequest(request({ 'x-hub-signature': sign(body, 'other') }, body)), false);
+  assert.equal(webhook.verifyWebhookRequest(request({ 'x-hub-signature': sign(body).replace('sha256', 'sha1') }, body)), false);
+  assert.equal(webhook.verifyWebhookRequest(request({ 'x-hub-signature': 'sha256=abc' }, body)), false);
+});
+
+test('verifyWebhookRequest accepts the shared secret as a header or query parameter', () => {
+  assert.equal(webhook.verifyWebhookRequest(request({ 'x-webhook-secret': SECRET })), true);
+  assert.equal(webhook.verifyWebhookRequest(request({}, undefined, `secret=${SECRET}`)), true);
+  assert.equal(webhook.verifyWebhookRequest(request({ 'x-webhook-secret': 'wrong' })), false);
+  assert.equal(webhook.verifyWebhookRequest(request({})), false);
+  // Without a configured secret nothing gets in
+  assert.equal(webhook.verifyWebhookRequest(request({ 'x-webhook-secret': '' }), ''), false);
+});
+
+test('parseWebhookEvent takes the issue key of handled events', () => {
+  assert.deepEqual(webhook.parseWebhookEvent({ webhookEvent: 'comment_created', issue: { key: 'bug-12' } }),
+    { key: 'BUG-12', event: 'comment_created', ignored: null });
+  assert.deepEqual(webhook.parseWebhookEvent({ webhookEvent: 'jira:issue_deleted', issue: { key: 'BUG-12' } }),
+    { key: null, event: 'jira:issue_deleted', ignored: 'event jira:issue_deleted isn\'t handled' });
+  assert.deepEqual(webhook.parseWebhookEvent({ webhookEvent: 'jira:issue_updated', issue: { key: '../etc' } }),
+    { key: null, event: 'jira:issue_updated', ignored: 'no valid issue key in payload' });
+  assert.equal(webhook.parseWebhookEvent(null).event, 'unknown');
+});
+
+test('an update refetches the issue into the cache and the latest metrics file, after a run finishes', async () => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  const { getFetchSignature } = await import('../src/jiraClient.js');
+  const { openIssueCache, saveIssueCache } = await import('../src/issueCache.js');
+  const { acquireRunLock, releaseRunLock } = await import('../src/runLock.js');
+
+  // A batch run's output: an empty issue cache and a metrics file without the ticket
+  const [issue] = fixtures.issues;
+  const cache = openIssueCache(getFetchSignature());
+  saveIssueCache(cache, '2025-11-10T00:00:00.000Z');
+  const metricsFile = path.join('data', 'metrics-2025-11-10T00-00-00-000Z.json');
+  fs.writeFileSync(metricsFile, JSON.stringify({ generatedAt: '2025-11-10T00:00:00.000Z', metrics: [] }));
+
+  // While a metrics run holds the lock the update is put back in the queue
+  acquireRunLock('metrics run');
+  try {
+    await webhook.applyIssueUpdates([issue.key]);
+  } finally {
+    releaseRunLock();
+  }
+  assert.deepEqual(JSON.parse(fs.readFileSync(metricsFile, 'utf8')).metrics, []);
+
+  webhook.queueIssueUpdate(issue.key);
+  await webhook.whenIdle();
+
+  const out = JSON.parse(fs.readFileSync(metricsFile, 'utf8'));
+  assert.deepEqual(out.metrics.map(m => m.key), [issue.key]);
+  assert.deepEqual(out.liveUpdatedKeys, [issue.key]);
+  assert.equal(out.kpis.overall.totalTickets, 1);
+  assert.ok(fs.existsSync(path.join('data', 'cache', 'issues', `${issue.key}.json`)));
+  assert.deepEqual(Object.keys(openIssueCache(getFetchSignature()).issues), [issue.key]);
+});
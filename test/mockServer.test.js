@@ -0,0 +1,138 @@
+/**
+ * Mock Jira & Opsgenie server (src/mockServer.js) with the real clients: paging, SLAs and the
+ * on-call timeline over generated tickets (mockFixtures.js, config/roster.json), and injected
+ * faults - rate limits, server errors, timeouts and dropped connections - that the clients retry.
+ */
+
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { createMockServer, parseFaultSpec } from '../src/mockServer.js';
+import { generateFixtures } from '../src/mockFixtures.js';
+
+const ROSTER_PATH = fileURLToPath(new URL('../config/roster.json', import.meta.url));
+const fixtures = generateFixtures({ roster: JSON.parse(fs.readFileSync(ROSTER_PATH, 'utf8')), count: 60, weeks: 3 });
+const mockServer = createMockServer(fixtures, { historyEmbedLimit: 5, commentEmbedLimit: 2 });
+let baseUrl;
+let jira;
+let opsgenie;
+
+before(async () => {
+  baseUrl = await mockServer.listen();
+  process.env.JIRA_BASE_URL = baseUrl;
+  process.env.JIRA_DEPLOYMENT = 'cloud';
+  process.env.JIRA_EMAIL = 'test@example.com';
+  process.env.JIRA_API_TOKEN = 'test';
+  process.env.JIRA_JQL = 'project = BUG ORDER BY created DESC';
+  process.env.JIRA_SERVICE_DESK_ID = '1';
+  process.env.JIRA_MAX_RETRIES = '2';
+  process.env.JIRA_TIMEOUT_MS = '500';
+  process.env.OPSGENIE_BASE_URL = baseUrl;
+  // The clients read their settings on import
+  jira = await import('../src/jiraClient.js');
+  opsgenie = await import('../src/opsgenieClient.js');
+});
+
+after(() => mockServer.close());
+
+beforeEach(() => {
+  mockServer.clearFaults();
+  mockServer.requests.length = 0;
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'log', () => {});
+});
+
+const byRoute = (route) => mockServer.requests.filter(r => r.route === route);
+
+test('parseFaultSpec reads route:status[:times][@rate] and rejects the rest', () => {
+  assert.deepEqual(parseFaultSpec('search:429:2'), { route: 'search', status: 429, times: 2, rate: null });
+  assert.deepEqual(parseFaultSpec('sla:503@0.2'), { route: 'sla', status: 503, times: null, rate: 0.2 });
+  assert.deepEqual(parseFaultSpec('*:reset'), { route: '*', status: 'reset', times: null, rate: null });
+  assert.throws(() => parseFaultSpec('issues:200:0@2'), {
+    message: 'Invalid fault issues:200:0@2:\n' +
+      '  - unknown route "issues" (expected search, issue, changelog, comment, field, picker, user, sla, schedules, timeline, oncalls, *)\n' +
+      '  - status "200" isn\'t 400-599, timeout or reset\n' +
+      '  - times "0" isn\'t a positive whole number\n' +
+      '  - rate "2" isn\'t between 0 and 1'
+  });
+});
+
+test('the mock answers like Jira: authentication required, page tokens bound to their query', async () => {
+  const search = (query, headers = { Authorization: 'Basic dGVzdA==' }) =>
+    fetch(`${baseUrl}/rest/api/3/search/jql?${new URLSearchParams(query)}`, { headers });
+
+  assert.equal((await search({ jql: 'project = BUG' }, {})).status, 401);
+
+  const first = await (await search({ jql: 'project = BUG', maxResults: 10 })).json();
+  assert.equal(first.issues.length, 10);
+  assert.equal(first.isLast, false);
+  assert.equal((await search({ jql: 'project = OPS', nextPageToken: first.nextPageToken })).status, 400);
+  assert.equal((await search({ jql: 'project = BUG', nextPageToken: first.nextPageToken })).status, 200);
+  assert.equal((await fetch(`${baseUrl}/rest/api/3/search?jql=project%20%3D%20BUG`, { headers: { Authorization: 'Basic dGVzdA==' } })).status, 410);
+});
+
+test('the real client fetches every issue with full history and SLAs', async () => {
+  const issues = await jira.fetchIssues({});
+
+  assert.equal(issues.length, 60);
+  issues.forEach(issue => {
+    const source = fixtures.issues.find(i => i.key === issue.key);
+    assert.equal(issue.changelog.histories.length, source.changelog.histories.length);
+    assert.equal(issue.fields.comment.comments.length, source.fields.comment.comments.length);
+    assert.deepEqual(issue.serviceDeskSla, fixtures.slas[issue.key] || []);
+  });
+  assert.deepEqual(await jira.fetchIssueKeys(), new Set(fixtures.issues.map(i => i.key)));
+  assert.deepEqual(jira.getFailedKeys(), []);
+});
+
+test('rate limits, server errors, timeouts and resets are retried', async () => {
+  mockServer.addFaults([
+    { route: 'search', status: 429, times: 1, retryAfter: 0 },
+    { route: 'sla', status: 503, times: 2, retryAfter: 0 },
+    { route: 'changelog', status: 'timeout', times: 1 },
+    { route: 'comment', status: 'reset', times: 1 }
+  ]);
+
+  const issues = await jira.fetchIssues({});
+
+  assert.equal(issues.length, 60);
+  assert.equal(issues.filter(i => i.historyIncomplete).length, 0);
+  assert.deepEqual(jira.getFailedKeys(), []);
+  assert.deepEqual(byRoute('search').map(r => r.fault).filter(Boolean), ['429']);
+  assert.deepEqual(byRoute('sla').map(r => r.fault).filter(Boolean), ['503', '503']);
+  assert.equal(byRoute('changelog').filter(r => r.fault === 'timeout').length, 1);
+  assert.equal(byRoute('comment').filter(r => r.fault === 'reset').length, 1);
+});
+
+test('faults added over the control endpoint: an issue whose SLAs keep failing is reported, not dropped', async () => {
+  const [issue] = fixtures.issues;
+  const added = await fetch(`${baseUrl}/__mock/faults`, { method: 'POST', body: JSON.stringify({ route: 'sla', status: 500 }) });
+  assert.equal(added.status, 200);
+  assert.equal((await fetch(`${baseUrl}/__mock/faults`, { method: 'POST', body: '{"route":"nope","status":500}' })).status, 400);
+
+  const [fetched] = await jira.fetchIssues({ keys: [issue.key] });
+  assert.equal(fetched.key, issue.key);
+  assert.equal(fetched.serviceDeskSla, undefined);
+  assert.deepEqual(jira.getFailedKeys().find(f => f.key === issue.key), { key: issue.key, error: 'SLA: HTTP 500', missing: false });
+  // First try and two retries
+  assert.equal(byRoute('sla').length, 3);
+
+  const { requests } = await (await fetch(`${baseUrl}/__mock/requests`)).json();
+  assert.equal(requests.filter(r => r.route === 'sla' && r.status === 500).length, 3);
+  await fetch(`${baseUrl}/__mock/faults`, { method: 'DELETE' });
+  const [again] = await jira.fetchIssues({ keys: [issue.key] });
+  assert.deepEqual(again.serviceDeskSla, fixtures.slas[issue.key] || []);
+});
+
+test('the Opsgenie client reads the on-call timeline', async () => {
+  const [schedule] = fixtures.opsgenie.schedules;
+  const scheduleId = await opsgenie.getScheduleId(schedule.name, 'test');
+  assert.equal(scheduleId, schedule.id);
+
+  const shifts = await opsgenie.getScheduleTimeline(scheduleId, new Date('2025-11-03T00:00:00Z'), new Date('2025-11-10T00:00:00Z'), 'test');
+  assert.ok(shifts.length > 0);
+  const period = fixtures.opsgenie.periods.find(p => p.startDate === shifts[0].shiftStart);
+  assert.equal(shifts[0].person, period.recipient.name.split('@')[0]);
+  assert.equal(opsgenie.findShiftAtTime(shifts, shifts[0].shiftStart).person, shifts[0].person);
+});
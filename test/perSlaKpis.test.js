@@ -0,0 +1,107 @@
+/**
+ * Per-SLA KPIs (src/kpi.js calculatePerSlaKPIs): every named SLA gets its own compliance, breach
+ * counts and distribution, and every cycle of a re-opened ticket counts. The fixture roster is on
+ * New York time, where the day-of-week buckets are taken.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { loadRoster } from '../src/roster.js';
+import { extractSlas } from '../src/sla.js';
+import { calculatePerSlaKPIs } from '../src/kpi.js';
+
+loadRoster(fileURLToPath(new URL('./fixtures/roster.json', import.meta.url)));
+
+delete process.env.JIRA_SLA_NAME;
+
+const HOUR = 60 * 60 * 1000;
+const time = (ms) => ({ iso8601: new Date(ms).toISOString(), epochMillis: ms });
+const duration = (millis) => ({ millis });
+
+function cycle(start, elapsedHours, goalHours, extra = {}) {
+  const startMs = Date.parse(start);
+  return {
+    startTime: time(startMs),
+    stopTime: time(startMs + elapsedHours * HOUR),
+    breachTime: time(startMs + goalHours * HOUR),
+    breached: elapsedHours > goalHours,
+    goalDuration: duration(goalHours * HOUR),
+    elapsedTime: duration(elapsedHours * HOUR),
+    remainingTime: duration((goalHours - elapsedHours) * HOUR),
+    ...extra
+  };
+}
+
+function row(key, created, serviceDeskSla) {
+  return { key, created, sla: extractSlas({ fields: {}, serviceDeskSla }) };
+}
+
+const metrics = [
+  // Monday: answered in 15 minutes; resolved, re-opened, then resolved late the second time
+  row('BUG-1', '2025-06-02T13:00:00Z', [
+    { name: 'Time to first response', completedCycles: [cycle('2025-06-02T13:00:00Z', 0.25, 1)] },
+    { name: 'Time to resolution', completedCycles: [cycle('2025-06-02T13:00:00Z', 5, 24), cycle('2025-06-04T13:00:00Z', 30, 24)] }
+  ]),
+  // Sunday evening in New York: still being resolved, paused on the customer
+  row('BUG-2', '2025-06-01T23:00:00Z', [
+    { name: 'Time to resolution', completedCycles: [], ongoingCycle: cycle('2025-06-01T23:00:00Z', 3, 24, { paused: true }) }
+  ]),
+  // Monday 11 PM in New York (Tuesday in UTC): answered late
+  row('BUG-3', '2025-06-03T03:00:00Z', [
+    { name: 'Time to first response', completedCycles: [cycle('2025-06-03T03:00:00Z', 2, 1)] }
+  ]),
+  row('BUG-4', '2025-06-03T13:00:00Z', null)
+];
+
+test('extractSlas keeps every cycle, the first one on the entry itself', () => {
+  const resolution = metrics[0].sla.find(s => s.name === 'Time to resolution');
+  assert.equal(resolution.cycles.length, 2);
+  assert.equal(resolution.breached, false);
+  assert.deepEqual(resolution.cycles.map(c => c.breached), [false, true]);
+  assert.equal(metrics[1].sla[0].cycles[0].ongoing, true);
+});
+
+test('calculatePerSlaKPIs keys the KPIs by SLA name', () => {
+  const bySla = calculatePerSlaKPIs(metrics);
+  assert.deepEqual(Object.keys(bySla).sort(), ['Time to first response', 'Time to resolution']);
+
+  const response = bySla['Time to first response'];
+  assert.equal(response.goalMinutes, 60);
+  assert.equal(response.tickets, 2);
+  assert.equal(response.cycles, 2);
+  assert.equal(response.met, 1);
+  assert.equal(response.breached, 1);
+  assert.equal(response.complianceRate, '50.0');
+  assert.equal(response.avgElapsedTime, '1h 7m');
+});
+
+test('calculatePerSlaKPIs counts every cycle of a re-opened ticket', () => {
+  const resolution = calculatePerSlaKPIs(metrics)['Time to resolution'];
+  assert.equal(resolution.goalMinutes, 24 * 60);
+  assert.equal(resolution.tickets, 2);
+  assert.equal(resolution.cycles, 3);
+  assert.equal(resolution.reopenedTickets, 1);
+  assert.equal(resolution.met, 1);
+  assert.equal(resolution.breached, 1);
+  assert.equal(resolution.running, 1);
+  assert.equal(resolution.paused, 1);
+  // BUG-1 breached on its second cycle
+  assert.equal(resolution.breachedTickets, 1);
+  assert.equal(resolution.complianceRate, '50.0');
+  assert.deepEqual(resolution.distribution, {
+    'Under 50% of goal': 1, '50-75% of goal': 0, '75-100% of goal': 0, 'Breached': 1, 'Running': 1
+  });
+});
+
+test('calculatePerSlaKPIs buckets tickets by day in the team timezone', () => {
+  const bySla = calculatePerSlaKPIs(metrics);
+  assert.deepEqual(bySla['Time to first response'].timeAnalysis.byDayOfWeek, [
+    { day: 'Monday', total: 2, met: 1, breached: 1, complianceRate: '50.0' }
+  ]);
+  // A running SLA is neither met nor breached yet
+  assert.deepEqual(bySla['Time to resolution'].timeAnalysis.byDayOfWeek, [
+    { day: 'Monday', total: 1, met: 0, breached: 1, complianceRate: '0.0' },
+    { day: 'Sunday', total: 1, met: 0, breached: 0, complianceRate: '0.0' }
+  ]);
+});
@@ -0,0 +1,90 @@
+/**
+ * Reopens (src/metrics.js, src/kpi.js): resolutions and reopens read from a ticket's status history -
+ * a reopen is any move from a closed status back to an open one - and the reopen-rate KPI over the
+ * tickets resolved at least once. The fixture roster has one on-call manager, "oncall".
+ */
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { loadRoster } from '../src/roster.js';
+import { computeMetrics } from '../src/metrics.js';
+import { calculateSLAKPIs } from '../src/kpi.js';
+
+loadRoster(fileURLToPath(new URL('./fixtures/roster.json', import.meta.url)));
+
+delete process.env.RESOLVED_STATUSES;
+delete process.env.UNRESOLVED_STATUSES;
+
+const CATEGORIES = { Open: 'new', 'In Progress': 'indeterminate', Reopened: 'new', Done: 'done' };
+
+// A ticket created Monday 9 AM New York that went through the given statuses, one hour apart
+function ticket(key, statuses, resolutiondate = null) {
+  const created = Date.parse('2025-06-02T13:00:00Z');
+  const at = (i) => new Date(created + (i + 1) * 60 * 60 * 1000).toISOString();
+  const histories = statuses.slice(1).map((to, i) => ({
+    created: at(i),
+    items: [{ field: 'status', fromString: statuses[i], toString: to }]
+  }));
+  const status = statuses[statuses.length - 1];
+  return {
+    key,
+    fields: {
+      summary: key,
+      created: new Date(created).toISOString(),
+      status: { name: status, statusCategory: { key: CATEGORIES[status] } },
+      resolution: resolutiondate ? { name: 'Done' } : null,
+      resolutiondate,
+      comment: { comments: [] }
+    },
+    // Jira lists the changelog newest first
+    changelog: { histories: histories.reverse() }
+  };
+}
+
+test('a ticket closed once is resolved with no reopens', () => {
+  const m = computeMetrics(ticket('BUG-1', ['Open', 'In Progress', 'Done'], '2025-06-02T15:00:00.000Z'));
+  assert.equal(m.firstResolutionDate, '2025-06-02T15:00:00.000Z');
+  assert.equal(m.finalResolutionDate, '2025-06-02T15:00:00.000Z');
+  assert.equal(m.resolutionDate, '2025-06-02T15:00:00.000Z');
+  assert.equal(m.reopenCount, 0);
+  assert.deepEqual(m.reopenedAt, []);
+});
+
+test('a reopened ticket closed again keeps its first and last resolution', () => {
+  const m = computeMetrics(ticket('BUG-2', ['Open', 'Done', 'Reopened', 'In Progress', 'Done'], '2025-06-02T17:00:00.000Z'));
+  assert.equal(m.firstResolutionDate, '2025-06-02T14:00:00.000Z');
+  assert.equal(m.finalResolutionDate, '2025-06-02T17:00:00.000Z');
+  assert.equal(m.reopenCount, 1);
+  assert.deepEqual(m.reopenedAt, ['2025-06-02T15:00:00.000Z']);
+});
+
+test('a ticket reopened and still open is unresolved, even with a stale resolution date', () => {
+  const m = computeMetrics(ticket('BUG-3', ['Open', 'Done', 'Reopened', 'Done', 'Reopened'], '2025-06-02T16:00:00.000Z'));
+  assert.equal(m.firstResolutionDate, '2025-06-02T14:00:00.000Z');
+  assert.equal(m.finalResolutionDate, null);
+  assert.equal(m.resolutionDate, null);
+  assert.equal(m.resolutionClass, null);
+  assert.equal(m.reopenCount, 2);
+  assert.deepEqual(m.reopenedAt, ['2025-06-02T15:00:00.000Z', '2025-06-02T17:00:00.000Z']);
+});
+
+test('the reopen rate counts tickets resolved at least once', () => {
+  mock.method(console, 'log', () => {});
+  const metrics = [
+    computeMetrics(ticket('BUG-1', ['Open', 'In Progress', 'Done'], '2025-06-02T15:00:00.000Z')),
+    computeMetrics(ticket('BUG-2', ['Open', 'Done', 'Reopened', 'In Progress', 'Done'], '2025-06-02T17:00:00.000Z')),
+    computeMetrics(ticket('BUG-3', ['Open', 'Done', 'Reopened', 'Done', 'Reopened'])),
+    computeMetrics(ticket('BUG-4', ['Open', 'In Progress'])),
+    // A row from a metrics file written before reopen tracking
+    { key: 'BUG-5', created: '2025-06-02T13:00:00Z', firstResolutionDate: undefined, resolutionDate: '2025-06-02T14:00:00Z' }
+  ];
+
+  assert.deepEqual(calculateSLAKPIs({ metrics }).reopens, {
+    resolvedTickets: 3,
+    reopenedTickets: 2,
+    totalReopens: 3,
+    reopenRate: '66.7',
+    reopenedKeys: ['BUG-2', 'BUG-3']
+  });
+});
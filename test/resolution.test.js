@@ -0,0 +1,110 @@
+/**
+ * Resolution detection (src/resolution.js): terminal statuses from Jira's "done" status category,
+ * learned from the issues, with a name fallback for statuses no issue sits in and
+ * RESOLVED_STATUSES / UNRESOLVED_STATUSES overrides; fixed vs closed without a fix. The overrides
+ * are read once per process, so this file sets them up front.
+ */
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { loadRoster } from '../src/roster.js';
+import {
+  getStatusOverrides, getNotFixedResolutions, learnStatusCategories, isClosedStatus, classifyResolution
+} from '../src/resolution.js';
+import { computeMetrics } from '../src/metrics.js';
+import { calculateSLAKPIs } from '../src/kpi.js';
+
+loadRoster(fileURLToPath(new URL('./fixtures/roster.json', import.meta.url)));
+
+delete process.env.NOT_FIXED_RESOLUTIONS;
+
+const issue = (key, status, categoryKey, { resolution = null, resolutiondate = null, histories = [] } = {}) => ({
+  key,
+  fields: {
+    summary: key,
+    created: '2025-06-02T13:00:00.000Z',
+    status: { name: status, statusCategory: { key: categoryKey } },
+    resolution: resolution ? { name: resolution } : null,
+    resolutiondate,
+    comment: { comments: [] }
+  },
+  changelog: { histories }
+});
+const moved = (at, from, to) => ({ created: at, items: [{ field: 'status', fromString: from, toString: to }] });
+
+test('a status can\'t be both resolved and unresolved', () => {
+  process.env.RESOLVED_STATUSES = 'Shipped, Verified';
+  process.env.UNRESOLVED_STATUSES = 'verified';
+  assert.throws(() => getStatusOverrides(), { message: 'Statuses listed in both RESOLVED_STATUSES and UNRESOLVED_STATUSES: verified' });
+
+  process.env.RESOLVED_STATUSES = 'Shipped';
+  assert.deepEqual(getStatusOverrides(), { resolved: ['shipped'], unresolved: ['verified'] });
+});
+
+test('isClosedStatus: overrides, then learned categories, then the name fallback', () => {
+  learnStatusCategories([
+    issue('BUG-1', 'Deployed', 'done'),
+    issue('BUG-2', 'Verified', 'done'),
+    issue('BUG-3', 'Resolution Pending', 'indeterminate'),
+    { key: 'BUG-4', fields: {} }
+  ]);
+
+  assert.equal(isClosedStatus('Deployed'), true);
+  assert.equal(isClosedStatus('deployed'), true);
+  assert.equal(isClosedStatus('Resolution Pending'), false);
+  // Nobody sits in these: matched by name
+  assert.equal(isClosedStatus('Closed'), true);
+  assert.equal(isClosedStatus('Not Done'), false);
+  // Overrides beat both
+  assert.equal(isClosedStatus('Shipped'), true);
+  assert.equal(isClosedStatus('Verified'), false);
+  assert.equal(isClosedStatus(''), false);
+  assert.equal(isClosedStatus(null), false);
+});
+
+test('classifyResolution: the resolution decides, the status name only without one', () => {
+  assert.ok(getNotFixedResolutions().includes('duplicate'));
+  assert.equal(classifyResolution("WON'T FIX", 'Deployed'), 'not-fixed');
+  assert.equal(classifyResolution(null, 'Duplicate'), 'not-fixed');
+  assert.equal(classifyResolution('Fixed', 'Duplicate'), 'fixed');
+  assert.equal(classifyResolution(null, 'Deployed'), 'fixed');
+});
+
+test('metrics and the resolution KPIs follow the terminal statuses', () => {
+  mock.method(console, 'log', () => {});
+  const metrics = [
+    // Closed without a resolution date: resolved when it moved into Deployed
+    computeMetrics(issue('BUG-1', 'Deployed', 'done', {
+      resolution: "Won't Do",
+      histories: [moved('2025-06-02T15:00:00.000Z', 'In Progress', 'Deployed'), moved('2025-06-02T14:00:00.000Z', 'Open', 'In Progress')]
+    })),
+    // A resolution set on the way to Resolution Pending doesn't make it resolved
+    computeMetrics(issue('BUG-2', 'Resolution Pending', 'indeterminate', {
+      resolution: 'Fixed',
+      resolutiondate: '2025-06-02T14:00:00.000Z',
+      histories: [moved('2025-06-02T14:00:00.000Z', 'Open', 'Resolution Pending')]
+    })),
+    computeMetrics(issue('BUG-3', 'Shipped', 'indeterminate', {
+      resolution: 'Fixed',
+      resolutiondate: '2025-06-02T16:00:00.000Z',
+      histories: [moved('2025-06-02T16:00:00.000Z', 'Open', 'Shipped')]
+    }))
+  ];
+
+  assert.deepEqual(metrics.map(m => [m.key, m.resolutionDate, m.resolution, m.resolutionClass]), [
+    ['BUG-1', '2025-06-02T15:00:00.000Z', "Won't Do", 'not-fixed'],
+    ['BUG-2', null, null, null],
+    ['BUG-3', '2025-06-02T16:00:00.000Z', 'Fixed', 'fixed']
+  ]);
+
+  const { resolutions } = calculateSLAKPIs({ metrics });
+  assert.equal(resolutions.resolvedTickets, 2);
+  assert.equal(resolutions.fixed.tickets, 1);
+  assert.equal(resolutions.notFixed.share, '50.0');
+  assert.deepEqual(resolutions.notFixedKeys, ['BUG-1']);
+  assert.deepEqual(resolutions.byResolution.map(r => [r.resolution, r.class, r.tickets]), [
+    ["Won't Do", 'not-fixed', 1],
+    ['Fixed', 'fixed', 1]
+  ]);
+});
@@ -0,0 +1,115 @@
+/**
+ * Public vs internal responses (src/metrics.js, src/kpi.js): the first customer-visible reply by
+ * someone on the roster, the first internal note or assignment, and SLA_RESPONSE_TYPE=public judging
+ * the response SLAs on public replies only. The fixture roster has Dana (on-call manager) and Sam.
+ */
+
+import { test, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { loadRoster } from '../src/roster.js';
+import { pinClock } from '../src/clock.js';
+import { computeMetrics } from '../src/metrics.js';
+import { calculateSLAKPIs } from '../src/kpi.js';
+
+loadRoster(fileURLToPath(new URL('./fixtures/roster-identity.json', import.meta.url)));
+
+delete process.env.JIRA_SLA_NAME;
+delete process.env.SLA_PAUSE_STATUSES;
+
+before(() => mock.method(console, 'log', () => {}));
+afterEach(() => {
+  delete process.env.SLA_RESPONSE_TYPE;
+  pinClock(null);
+});
+
+const DANA = { accountId: 'acc-dana', displayName: 'Dana Reyes' };
+const SAM = { accountId: 'acc-sam', displayName: 'Sam Lee' };
+const CUSTOMER = { accountId: 'acc-customer', displayName: 'Pat Customer' };
+const at = (minutes) => new Date(Date.parse('2025-06-02T13:00:00.000Z') + minutes * 60 * 1000).toISOString();
+const comment = (minutes, author, jsdPublic) => ({ created: at(minutes), author, jsdPublic, body: 'reply' });
+
+// Created Monday 9 AM New York. Dana leaves an internal note, assigns Sam, Sam answers the customer,
+// then Dana replies publicly too.
+const issue = (key, comments, histories = []) => ({
+  key,
+  fields: {
+    summary: key,
+    created: at(0),
+    status: { name: 'Open', statusCategory: { key: 'new' } },
+    assignee: histories.length > 0 ? SAM : null,
+    comment: { comments }
+  },
+  changelog: { histories }
+});
+const answered = issue('BUG-1', [
+  comment(5, DANA, false),
+  comment(10, CUSTOMER, true),
+  comment(60, SAM, true),
+  comment(120, DANA, true)
+], [{ created: at(20), author: DANA, items: [{ field: 'assignee', to: 'acc-sam', toString: 'Sam Lee' }] }]);
+
+test('the first public response comes from the roster, the first internal action may be a note', () => {
+  const m = computeMetrics(answered);
+  assert.equal(m.firstPublicResponseTime, at(60));
+  assert.equal(m.firstPublicResponseBy, 'Sam Lee');
+  assert.equal(m.firstPublicResponseById, 'sam');
+  assert.equal(m.timeToFirstPublicResponseMinutes, 60);
+  assert.equal(m.businessHoursToFirstPublicResponse, 60);
+  assert.equal(m.firstInternalActionTime, at(5));
+  assert.equal(m.firstInternalActionType, 'internal-comment');
+  assert.equal(m.timeToFirstInternalActionMinutes, 5);
+  assert.equal(m.firstOnCallPublicResponseTime, at(120));
+  assert.equal(m.firstAssigneePublicCommentTime, at(60));
+  assert.equal(m.timeToFirstAssigneePublicCommentMinutes, 40);
+});
+
+test('an assignment is an internal action; comments without jsdPublic are public', () => {
+  const m = computeMetrics(issue('BUG-2', [comment(30, SAM, undefined)],
+    [{ created: at(15), author: DANA, items: [{ field: 'assignee', to: 'acc-sam', toString: 'Sam Lee' }] }]));
+  assert.equal(m.firstInternalActionTime, at(15));
+  assert.equal(m.firstInternalActionType, 'assignment');
+  assert.equal(m.firstPublicResponseTime, at(30));
+
+  const unanswered = computeMetrics(issue('BUG-3', [comment(10, CUSTOMER, true)]));
+  assert.equal(unanswered.firstPublicResponseTime, null);
+  assert.equal(unanswered.firstInternalActionTime, null);
+});
+
+test('SLA_RESPONSE_TYPE=public judges the on-call response on public replies', () => {
+  pinClock(at(24 * 60));
+  const row = { ...computeMetrics(answered), whoWasOnCall: 'dana', sla: [{ name: 'Time to first response', goalDuration: 60 * 60 * 1000 }] };
+
+  // Dana's internal note after 5 minutes meets the one-hour goal...
+  const action = calculateSLAKPIs({ metrics: [row] });
+  assert.equal(action.responseType, 'action');
+  assert.deepEqual(action.details.filter(r => r.role === 'on-call').map(r => [r.met, r.businessMinutes]), [[true, 5]]);
+
+  // ...her public reply after two hours doesn't
+  process.env.SLA_RESPONSE_TYPE = 'public';
+  const publicOnly = calculateSLAKPIs({ metrics: [row] });
+  assert.equal(publicOnly.responseType, 'public');
+  assert.deepEqual(publicOnly.details.filter(r => r.role === 'on-call').map(r => [r.met, r.businessMinutes]), [[false, 120]]);
+
+  process.env.SLA_RESPONSE_TYPE = 'email';
+  assert.throws(() => calculateSLAKPIs({ metrics: [row] }), { message: 'Unknown SLA_RESPONSE_TYPE "email" (expected action or public)' });
+});
+
+test('the response visibility KPIs compare public replies with internal work', () => {
+  const metrics = [
+    computeMetrics(answered),
+    computeMetrics(issue('BUG-4', [comment(30, DANA, false)])),
+    // A row from a metrics file written before public responses were recorded
+    { key: 'BUG-5', created: at(0) }
+  ];
+  const visibility = calculateSLAKPIs({ metrics }).responseVisibility;
+
+  assert.equal(visibility.tickets, 2);
+  assert.equal(visibility.withPublicResponse, 1);
+  assert.equal(visibility.withInternalAction, 2);
+  assert.deepEqual(visibility.internalOnlyKeys, ['BUG-4']);
+  assert.equal(visibility.firstInternalAction.p50, 17.5);
+  assert.equal(visibility.firstPublicResponse.count, 1);
+  // The customer waited 55 minutes after Dana's note
+  assert.equal(visibility.publicAfterInternal.mean, 55);
+});
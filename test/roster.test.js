@@ -0,0 +1,86 @@
+/**
+ * Roster identity (src/roster.js): people are matched by Jira accountId first, then by display name,
+ * email prefix, aliases and Opsgenie usernames. The fixture roster has Dana (on-call manager) and Sam
+ * (SLA responder) with accountIds, and Alex (developer, Berlin) matched by name only.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import {
+  loadRoster, validateRoster, resolvePerson, getPersonId, getDisplayName, isSamePerson,
+  isOnCallManager, isSlaResponder, resolveOpsgenieUser, getSchedule
+} from '../src/roster.js';
+
+loadRoster(fileURLToPath(new URL('./fixtures/roster-identity.json', import.meta.url)));
+
+test('resolvePerson matches on accountId even after a rename', () => {
+  assert.equal(resolvePerson({ accountId: 'acc-dana', displayName: 'Dana Reyes-Smith' }).id, 'dana');
+});
+
+test('resolvePerson falls back to display name, email prefix and aliases', () => {
+  assert.equal(resolvePerson({ displayName: 'alex kim' }).id, 'alex');
+  assert.equal(resolvePerson({ displayName: 'A. Kim', emailAddress: 'akim@example.com' }).id, 'alex');
+  assert.equal(resolvePerson({ accountId: 'acc-new', displayName: 'Alex Kim' }).id, 'alex');
+  assert.equal(resolvePerson('Dana R').id, 'dana');
+  assert.equal(resolvePerson('SAM').id, 'sam');
+  assert.equal(resolvePerson({ displayName: 'Nobody' }), null);
+  assert.equal(resolvePerson(null), null);
+});
+
+test('resolvePerson: another account sharing a display name is not the roster person', () => {
+  assert.equal(resolvePerson({ accountId: 'acc-other', displayName: 'Dana Reyes' }), null);
+});
+
+test('getPersonId and getDisplayName use the roster, then the Jira account', () => {
+  assert.equal(getPersonId({ accountId: 'acc-sam', displayName: 'Samuel Lee' }), 'sam');
+  assert.equal(getDisplayName({ accountId: 'acc-sam', displayName: 'Samuel Lee' }), 'Sam Lee');
+  assert.equal(getPersonId({ accountId: 'acc-x', displayName: 'Visitor' }), 'jira:acc-x');
+  assert.equal(getDisplayName({ accountId: 'acc-x', displayName: 'Visitor' }), 'Visitor');
+  assert.equal(getPersonId({ displayName: 'Visitor' }), 'Visitor');
+});
+
+test('isSamePerson compares accountIds when both users have one', () => {
+  assert.equal(isSamePerson({ accountId: 'acc-dana', displayName: 'Dana' }, { accountId: 'acc-dana', displayName: 'Dana Reyes' }), true);
+  assert.equal(isSamePerson({ accountId: 'acc-a', displayName: 'Alex Kim' }, { accountId: 'acc-b', displayName: 'Alex Kim' }), false);
+  assert.equal(isSamePerson({ displayName: 'akim' }, 'Alex Kim'), true);
+});
+
+test('roles and Opsgenie usernames', () => {
+  assert.equal(isOnCallManager({ accountId: 'acc-dana' }), true);
+  assert.equal(isOnCallManager({ accountId: 'acc-other', displayName: 'Dana Reyes' }), false);
+  assert.equal(isSlaResponder({ accountId: 'acc-sam' }), true);
+  assert.equal(isSlaResponder('Alex Kim'), false);
+  assert.equal(resolveOpsgenieUser('dana.reyes@example.com'), 'Dana Reyes');
+  assert.equal(resolveOpsgenieUser('someone@example.com'), null);
+});
+
+test('getSchedule: a person\'s timezone, or the roster defaults', () => {
+  assert.equal(getSchedule('Alex Kim').timezone, 'Europe/Berlin');
+  assert.equal(getSchedule('Sam Lee').timezone, 'America/New_York');
+  assert.equal(getSchedule().timezone, 'America/New_York');
+});
+
+test('validateRoster lists every problem', () => {
+  const errors = validateRoster({
+    version: 1,
+    people: [
+      { id: 'a', name: 'A', accountId: 'acc-1', roles: ['developer'] },
+      { id: 'b', name: 'B', accountId: 'acc-1', aliases: ['a'], roles: ['boss'] },
+      { id: 'a', name: 'C', accountId: '', roles: [] },
+      { id: 'bad id', name: 'D', roles: ['developer'] },
+      { name: ' ' }
+    ]
+  });
+  assert.deepEqual(errors, [
+    'people[1] (B): accountId is already used by a',
+    'people[1] (B): "a" is already used by a',
+    'people[1] (B): unknown role "boss" (expected one of on-call-manager, sla-responder, developer, excluded)',
+    'people[2] (C): duplicate id "a"',
+    'people[2] (C): "a" is already used by b',
+    'people[2] (C): "accountId" must be a non-empty string',
+    'people[2] (C): "roles" must be a non-empty array',
+    'people[3] (D): "id" is required (letters, digits, ".", "_" or "-")',
+    'people[4] ( ): "name" is required'
+  ]);
+});
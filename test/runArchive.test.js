@@ -0,0 +1,165 @@
+/**
+ * Run archives (src/runArchive.js) and offline recomputes (src/recompute.js): archives round-trip and
+ * catch damaged files, old ones are pruned, and recomputing an archived run with the clock pinned to
+ * its capture time reproduces the run's metrics and KPIs. Generated mock tickets (mockFixtures.js)
+ * against config/roster.json; everything is written under a temp directory.
+ */
+
+import { test, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import {
+  writeRunArchive, readRunArchive, listRunArchives, pruneRunArchives, keepOriginalMetrics, getArchiveRetention
+} from '../src/runArchive.js';
+import { loadRoster } from '../src/roster.js';
+import { loadHolidayCalendars } from '../src/holidays.js';
+import { normalizeIssue } from '../src/jiraNormalize.js';
+import { generateFixtures } from '../src/mockFixtures.js';
+import { computeRun, getComputeSettings } from '../src/pipeline.js';
+import { pinClock } from '../src/clock.js';
+
+const repoFile = (name) => fileURLToPath(new URL(`../${name}`, import.meta.url));
+const ROSTER_PATH = repoFile('config/roster.json');
+const HOLIDAYS_PATH = repoFile('config/holidays.json');
+
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'run-archive-test-'));
+after(() => fs.rmSync(tmpRoot, { recursive: true, force: true }));
+
+loadRoster(ROSTER_PATH);
+loadHolidayCalendars(HOLIDAYS_PATH);
+
+// Generated tickets as jiraClient.js would return them: normalized, Service Management SLAs attached,
+// as plain JSON
+const fixtures = generateFixtures({ roster: JSON.parse(fs.readFileSync(ROSTER_PATH, 'utf8')), count: 20, weeks: 2 });
+const issues = JSON.parse(JSON.stringify(fixtures.issues.map(issue => ({
+  ...normalizeIssue(issue, 'cloud'), serviceDeskSla: fixtures.slas[issue.key] || []
+}))));
+const shifts = fixtures.opsgenie.periods.map(p => ({
+  person: p.recipient.name.split('@')[0], shiftStart: p.startDate, shiftEnd: p.endDate, type: p.type || 'on-call'
+}));
+// Generated data describes the day after the last two weeks of tickets
+const capturedAt = '2025-11-18T00:00:00.000Z';
+
+function archive(archiveDir, runId, extra = {}) {
+  return writeRunArchive(runId, {
+    capturedAt,
+    period: { start: '2025-11-03', end: '2025-11-17' },
+    source: 'jira',
+    issues,
+    shifts,
+    fieldCatalog: null,
+    settings: {},
+    ...extra
+  }, archiveDir);
+}
+
+test('an archive reads back what was written', () => {
+  const archiveDir = path.join(tmpRoot, 'roundtrip');
+  archive(archiveDir, '2025-11-18T00-00-00-000Z', { configFiles: { roster: ROSTER_PATH, missing: path.join(tmpRoot, 'nope.json') } });
+
+  const { manifest, issues: archived, shifts: archivedShifts, fieldCatalog } = readRunArchive('2025-11-18T00-00-00-000Z', archiveDir);
+  assert.deepEqual(archived, issues);
+  assert.deepEqual(archivedShifts, shifts);
+  assert.equal(fieldCatalog, null);
+  assert.deepEqual(manifest.counts, { issues: 20, shifts: shifts.length });
+  assert.deepEqual(Object.keys(manifest.files), ['issues.json.gz', 'opsgenie-shifts.json.gz']);
+  assert.match(manifest.configFiles.roster.sha256, /^[0-9a-f]{64}$/);
+  assert.equal(manifest.configFiles.missing, null);
+});
+
+test('a damaged or missing archive file is reported', () => {
+  const archiveDir = path.join(tmpRoot, 'damaged');
+  const dir = archive(archiveDir, '2025-11-18T00-00-00-000Z');
+  fs.appendFileSync(path.join(dir, 'issues.json.gz'), 'x');
+  fs.rmSync(path.join(dir, 'opsgenie-shifts.json.gz'));
+
+  assert.throws(() => readRunArchive('2025-11-18T00-00-00-000Z', archiveDir), {
+    message: 'Archived run 2025-11-18T00-00-00-000Z is damaged:\n  - issues.json.gz doesn\'t match its checksum\n  - opsgenie-shifts.json.gz is missing'
+  });
+  assert.throws(() => readRunArchive('2024-01-01T00-00-00-000Z', archiveDir), /No archived run 2024-01-01T00-00-00-000Z/);
+});
+
+test('pruneRunArchives keeps the newest runs and drops old ones, never the latest', () => {
+  const archiveDir = path.join(tmpRoot, 'prune');
+  const runs = ['2025-08-01', '2025-10-01', '2025-11-01', '2025-11-15'];
+  runs.forEach(day => archive(archiveDir, `${day}T00-00-00-000Z`, { capturedAt: `${day}T00:00:00.000Z`, shifts: null }));
+  const now = new Date('2025-11-18T00:00:00Z');
+
+  assert.deepEqual(pruneRunArchives({ keepRuns: 0, maxAgeDays: 0 }, now, archiveDir), []);
+  assert.deepEqual(pruneRunArchives({ keepRuns: 0, maxAgeDays: 90 }, now, archiveDir), ['2025-08-01T00-00-00-000Z']);
+  assert.deepEqual(pruneRunArchives({ keepRuns: 2, maxAgeDays: 0 }, now, archiveDir), ['2025-10-01T00-00-00-000Z']);
+  assert.deepEqual(listRunArchives(archiveDir).map(m => m.runId), ['2025-11-01T00-00-00-000Z', '2025-11-15T00-00-00-000Z']);
+  // Everything is past the age limit, but the latest run stays
+  assert.deepEqual(pruneRunArchives({ keepRuns: 0, maxAgeDays: 1 }, now, archiveDir), ['2025-11-01T00-00-00-000Z']);
+  assert.deepEqual(listRunArchives(archiveDir).map(m => m.runId), ['2025-11-15T00-00-00-000Z']);
+});
+
+test('getArchiveRetention reads whole numbers, 0 for no limit', (t) => {
+  t.after(() => {
+    delete process.env.ARCHIVE_KEEP_RUNS;
+    delete process.env.ARCHIVE_MAX_AGE_DAYS;
+  });
+  process.env.ARCHIVE_KEEP_RUNS = '';
+  process.env.ARCHIVE_MAX_AGE_DAYS = '0';
+  assert.deepEqual(getArchiveRetention(), { keepRuns: 30, maxAgeDays: 0 });
+  process.env.ARCHIVE_KEEP_RUNS = '2.5';
+  assert.throws(() => getArchiveRetention(), { message: 'ARCHIVE_KEEP_RUNS must be a whole number, 0 for no limit (got "2.5")' });
+});
+
+test('keepOriginalMetrics copies the metrics file once', () => {
+  const archiveDir = path.join(tmpRoot, 'original');
+  const dir = archive(archiveDir, '2025-11-18T00-00-00-000Z');
+  const metricsPath = path.join(tmpRoot, 'metrics-original-test.json');
+  fs.writeFileSync(metricsPath, '{"run":"first"}');
+
+  assert.equal(keepOriginalMetrics('2025-11-18T00-00-00-000Z', metricsPath, archiveDir), path.join(dir, 'metrics-original.json'));
+  fs.writeFileSync(metricsPath, '{"run":"recomputed"}');
+  assert.equal(keepOriginalMetrics('2025-11-18T00-00-00-000Z', metricsPath, archiveDir), null);
+  assert.equal(fs.readFileSync(path.join(dir, 'metrics-original.json'), 'utf8'), '{"run":"first"}');
+});
+
+test('recomputing an archived run reproduces its metrics and KPIs', (t) => {
+  mock.method(console, 'log', () => {});
+  const runId = '2025-11-18T00-00-00-000Z';
+  const cwd = path.join(tmpRoot, 'recompute');
+
+  // The run: open tickets measured up to its capture time
+  pinClock(capturedAt);
+  let run;
+  try {
+    run = computeRun(issues, shifts);
+  } finally {
+    pinClock(null);
+  }
+  const original = JSON.parse(JSON.stringify({ generatedAt: capturedAt, summary: run.summary, metrics: run.metrics, kpis: run.kpis }));
+  archive(path.join(cwd, 'data', 'archive'), runId, { settings: getComputeSettings() });
+  fs.writeFileSync(path.join(cwd, 'data', `metrics-${runId}.json`), JSON.stringify(original));
+
+  // The recompute adds snapshots to the repository's data/ history files: put them back afterwards
+  const historyFiles = ['data/kpi-history.json', 'data/backlog-history.json'].map(repoFile);
+  const saved = historyFiles.map(file => (fs.existsSync(file) ? fs.readFileSync(file) : null));
+  t.after(() => historyFiles.forEach((file, i) => {
+    if (saved[i]) fs.writeFileSync(file, saved[i]);
+    else fs.rmSync(file, { force: true });
+  }));
+
+  execFileSync(process.execPath, [repoFile('src/recompute.js'), runId], {
+    cwd,
+    env: { ...process.env, ROSTER_PATH, HOLIDAYS_PATH },
+    stdio: 'pipe',
+    timeout: 60000
+  });
+
+  const recomputed = JSON.parse(fs.readFileSync(path.join(cwd, 'data', `metrics-${runId}.json`), 'utf8'));
+  assert.equal(recomputed.generatedAt, capturedAt);
+  assert.deepEqual(recomputed.metrics, original.metrics);
+  assert.deepEqual(recomputed.summary, original.summary);
+  assert.deepEqual(recomputed.kpis, original.kpis);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(cwd, 'data', 'archive', runId, 'metrics-original.json'), 'utf8')), original);
+  // The lock is released once the recompute is done
+  assert.equal(fs.existsSync(path.join(cwd, 'data', '.run.lock')), false);
+});
@@ -0,0 +1,71 @@
+/**
+ * Run lock (src/runLock.js): data/.run.lock marks a metrics run or recompute in progress; a lock
+ * left by a process that has exited is ignored. Runs in a temp working directory.
+ */
+
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { getRunInProgress, acquireRunLock, releaseRunLock } from '../src/runLock.js';
+
+const originalCwd = process.cwd();
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-lock-test-'));
+const lockFile = path.join(tmpDir, 'data', '.run.lock');
+
+before(() => process.chdir(tmpDir));
+after(() => {
+  process.chdir(originalCwd);
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+afterEach(() => fs.rmSync(lockFile, { force: true }));
+
+function writeLock(lock) {
+  fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+  fs.writeFileSync(lockFile, JSON.stringify(lock));
+}
+
+test('acquireRunLock records this process, releaseRunLock removes it', () => {
+  assert.equal(getRunInProgress(), null);
+  acquireRunLock('recompute');
+
+  const running = getRunInProgress();
+  assert.equal(running.pid, process.pid);
+  assert.equal(running.label, 'recompute');
+  assert.ok(!Number.isNaN(Date.parse(running.startedAt)));
+
+  // Taking it again from the same process is fine
+  acquireRunLock('metrics run');
+  releaseRunLock();
+  assert.equal(fs.existsSync(lockFile), false);
+});
+
+test('acquireRunLock fails while another live process holds the lock', () => {
+  // The test runner that started this file is alive for as long as it runs
+  writeLock({ pid: process.ppid, label: 'metrics run', startedAt: '2025-06-02T13:00:00.000Z' });
+
+  assert.throws(() => acquireRunLock('recompute'), {
+    message: `Another metrics run is in progress (pid ${process.ppid}, started 2025-06-02T13:00:00.000Z) - wait for it to finish`
+  });
+  // Not ours to release
+  releaseRunLock();
+  assert.equal(fs.existsSync(lockFile), true);
+});
+
+test('a lock left by a process that exited is ignored', () => {
+  const { pid } = spawnSync(process.execPath, ['-e', '']);
+  writeLock({ pid, label: 'metrics run', startedAt: '2025-06-02T13:00:00.000Z' });
+
+  assert.equal(getRunInProgress(), null);
+  acquireRunLock('metrics run');
+  assert.equal(getRunInProgress().pid, process.pid);
+  releaseRunLock();
+});
+
+test('a lock file being written counts as a run in progress', () => {
+  fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+  fs.writeFileSync(lockFile, '{"pid":');
+  assert.deepEqual(getRunInProgress(), { pid: null, label: 'metrics run', startedAt: null });
+});
@@ -0,0 +1,100 @@
+/**
+ * KPI segments (src/segments.js): KPI_SEGMENTS parsing, including JIRA_EXTRA_FIELDS dimensions and
+ * combined ones ("priority+component"), and the SLA outcomes per segment - per ticket, so that
+ * met + breached + pending = withSla in every segment. Segmentations are read once per process,
+ * so this file sets them up front.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSegmentations, calculateSegmentKPIs } from '../src/segments.js';
+
+delete process.env.JIRA_SLA_NAME;
+
+test('KPI_SEGMENTS lists every problem at once', () => {
+  process.env.JIRA_EXTRA_FIELDS = 'Team';
+  process.env.KPI_SEGMENTS = 'priority+Priority, severity';
+  assert.throws(() => getSegmentations(), {
+    message: 'Invalid KPI_SEGMENTS:\n' +
+      '  - "priority+Priority" uses the same dimension twice\n' +
+      '  - "severity" (in "severity") is not priority, component, label, issueType or a JIRA_EXTRA_FIELDS field'
+  });
+
+  process.env.KPI_SEGMENTS = 'priority, labels, label, priority+components, team';
+  assert.deepEqual(getSegmentations().map(s => [s.name, s.dimensions.map(d => d.name)]), [
+    ['priority', ['priority']],
+    ['label', ['label']],
+    ['priority+component', ['priority', 'component']],
+    ['Team', ['Team']]
+  ]);
+});
+
+const metrics = [
+  {
+    key: 'BUG-1', priority: 'High', components: ['Billing', 'API'], labels: ['customer'], extraFields: { Team: 'Core' },
+    resolutionDate: '2025-06-02T15:00:00.000Z', resolutionClass: 'fixed', timeToResolutionMinutes: 120
+  },
+  { key: 'BUG-2', priority: 'High', components: ['Billing', 'Billing'], labels: [], reopenCount: 1, resolutionDate: null },
+  {
+    key: 'BUG-3', priority: 'Low', components: [], labels: [], resolutionDate: null,
+    sla: [{ name: 'Time to first response', breached: true }]
+  },
+  {
+    key: 'BUG-4', priority: 'Low', components: [], labels: [], extraFields: { Team: '' },
+    resolutionDate: '2025-06-02T14:00:00.000Z', resolutionClass: 'not-fixed', timeToResolutionMinutes: 60
+  }
+];
+// BUG-1: the on-call manager answered in time, the assignee didn't; BUG-2: still waiting;
+// BUG-3: answered late; BUG-4 has no response SLA
+const slaResults = [
+  { ticket: 'BUG-1', role: 'on-call', met: true, status: 'responded', businessMinutes: 30 },
+  { ticket: 'BUG-1', role: 'assignee', met: false, status: 'responded', businessMinutes: 90 },
+  { ticket: 'BUG-2', role: 'on-call', met: false, status: 'pending', businessMinutes: 75 },
+  { ticket: 'BUG-3', role: 'on-call', met: false, status: 'responded', businessMinutes: 200 }
+];
+
+test('segments by priority count SLA outcomes per ticket', () => {
+  const kpis = calculateSegmentKPIs(metrics, slaResults);
+  assert.deepEqual(kpis.segmentations, ['priority', 'label', 'priority+component', 'Team']);
+
+  const [high, low] = kpis.bySegmentation.priority.segments;
+  assert.deepEqual(high, {
+    key: 'High',
+    values: { priority: 'High' },
+    tickets: 2,
+    withSla: 2,
+    metSLA: 1,
+    breachedSLA: 0,
+    pendingSLA: 1,
+    complianceRate: '50.0',
+    jiraBreachedTickets: 0,
+    responseTimeStats: { count: 2, mean: 60, stddev: 30, min: 30, p50: 60, p75: 75, p90: 84, p95: 87, max: 90 },
+    resolved: 1,
+    fixed: 1,
+    notFixed: 0,
+    stillOpen: 1,
+    reopened: 1,
+    resolutionTimeStats: { count: 1, mean: 120, stddev: 0, min: 120, p50: 120, p75: 120, p90: 120, p95: 120, max: 120 }
+  });
+  assert.equal(low.key, 'Low');
+  assert.deepEqual([low.withSla, low.metSLA, low.breachedSLA, low.pendingSLA, low.complianceRate], [1, 0, 1, 0, '0.0']);
+  assert.equal(low.jiraBreachedTickets, 1);
+  assert.equal(low.notFixed, 1);
+});
+
+test('multi-valued and combined dimensions; tickets without a value fall in (none)', () => {
+  const { bySegmentation } = calculateSegmentKPIs(metrics, slaResults);
+
+  assert.deepEqual(bySegmentation.label.segments.map(s => [s.key, s.tickets]), [['(none)', 3], ['customer', 1]]);
+  assert.deepEqual(bySegmentation['priority+component'].dimensions, ['priority', 'component']);
+  assert.deepEqual(bySegmentation['priority+component'].segments.map(s => [s.key, s.values, s.tickets]), [
+    ['High / Billing', { priority: 'High', component: 'Billing' }, 2],
+    ['Low / (none)', { priority: 'Low', component: '(none)' }, 2],
+    ['High / API', { priority: 'High', component: 'API' }, 1]
+  ]);
+  assert.deepEqual(bySegmentation.Team.segments.map(s => [s.key, s.tickets]), [['(none)', 3], ['Core', 1]]);
+
+  Object.values(bySegmentation).forEach(({ segments }) => segments.forEach(s => {
+    assert.equal(s.metSLA + s.breachedSLA + s.pendingSLA, s.withSla, s.key);
+  }));
+});
@@ -0,0 +1,115 @@
+/**
+ * Named SLAs (src/sla.js): SLA metrics from the Service Management API or SLA custom fields, looked
+ * up by name - a ticket without the response SLA (JIRA_SLA_NAME, default "Time to first response")
+ * never falls back to another one. The fixture roster has one on-call manager, "oncall".
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { loadRoster } from '../src/roster.js';
+import { extractSlas, findSla, getResponseGoalMinutes } from '../src/sla.js';
+import { calculateSLAKPIs } from '../src/kpi.js';
+
+loadRoster(fileURLToPath(new URL('./fixtures/roster.json', import.meta.url)));
+
+delete process.env.JIRA_SLA_NAME;
+
+const HOUR = 60 * 60 * 1000;
+const time = (iso) => ({ iso8601: iso, epochMillis: Date.parse(iso) });
+const duration = (millis) => ({ millis, friendly: `${millis / HOUR}h` });
+
+const completed = (start, elapsedHours, goalHours) => ({
+  startTime: time(start),
+  stopTime: time(new Date(Date.parse(start) + elapsedHours * HOUR).toISOString()),
+  breachTime: time(new Date(Date.parse(start) + goalHours * HOUR).toISOString()),
+  breached: elapsedHours > goalHours,
+  goalDuration: duration(goalHours * HOUR),
+  elapsedTime: duration(elapsedHours * HOUR),
+  remainingTime: duration((goalHours - elapsedHours) * HOUR)
+});
+
+test('extractSlas reads every named metric from the Service Management API, response SLA first', () => {
+  const slas = extractSlas({
+    fields: {},
+    serviceDeskSla: [
+      { name: 'Time to resolution', completedCycles: [], ongoingCycle: { ...completed('2025-06-02T13:00:00Z', 2, 24), paused: true } },
+      { name: 'Time to first response', completedCycles: [completed('2025-06-02T13:00:00Z', 1.5, 1)] },
+      { name: 'Time to triage', completedCycles: [] }
+    ]
+  });
+
+  assert.deepEqual(slas.map(s => s.name), ['Time to first response', 'Time to resolution']);
+  const [response, resolution] = slas;
+  assert.equal(response.source, 'servicedesk');
+  assert.equal(response.breached, true);
+  assert.equal(response.goalDuration, HOUR);
+  assert.equal(response.elapsedTime, 1.5 * HOUR);
+  assert.equal(response.startTime, '2025-06-02T13:00:00Z');
+  assert.equal(response.stopTime, '2025-06-02T14:30:00.000Z');
+  assert.equal(response.ongoing, false);
+  assert.equal(resolution.ongoing, true);
+  assert.equal(resolution.paused, true);
+  assert.equal(resolution.stopTime, null);
+});
+
+test('extractSlas falls back to SLA-shaped custom fields', () => {
+  const slas = extractSlas({
+    fields: {
+      summary: 'Login fails',
+      customfield_10030: { name: 'Time to resolution', completedCycles: [completed('2025-06-02T13:00:00Z', 5, 24)] },
+      customfield_10031: { name: 'Time to first response', completedCycles: [completed('2025-06-02T13:00:00Z', 0.5, 1)] },
+      customfield_10032: { ongoingCycle: completed('2025-06-02T13:00:00Z', 1, 8) }
+    }
+  });
+  assert.deepEqual(slas.map(s => [s.name, s.source]), [
+    ['Time to first response', 'field'],
+    ['Time to resolution', 'field'],
+    // No name on the value and no field catalog loaded: the field id
+    ['customfield_10032', 'field']
+  ]);
+  assert.equal(extractSlas({ fields: { summary: 'No SLAs' } }), null);
+});
+
+test('findSla looks up by name, case-insensitively, and never returns another SLA', () => {
+  const slas = [{ name: 'Time to resolution', goalDuration: 24 * HOUR }, { name: 'Time to First Response', goalDuration: HOUR }];
+  assert.equal(findSla(slas).goalDuration, HOUR);
+  assert.equal(findSla(slas, 'time to resolution').goalDuration, 24 * HOUR);
+  assert.equal(findSla([{ name: 'Time to resolution', goalDuration: 24 * HOUR }]), null);
+  assert.equal(findSla([]), null);
+  assert.equal(findSla(null), null);
+});
+
+test('getResponseGoalMinutes needs a response SLA with a goal', () => {
+  assert.equal(getResponseGoalMinutes([{ name: 'Time to first response', goalDuration: 4 * HOUR }]), 240);
+  assert.equal(getResponseGoalMinutes([{ name: 'Time to first response', goalDuration: null }]), null);
+  assert.equal(getResponseGoalMinutes([{ name: 'Time to resolution', goalDuration: 24 * HOUR }]), null);
+  assert.equal(getResponseGoalMinutes(null), null);
+});
+
+test('calculateSLAKPIs only judges tickets whose response SLA has a goal', () => {
+  // Each ticket answered by the on-call manager 30 minutes after it came in (Monday 9 AM New York)
+  const row = (key, sla) => ({
+    key,
+    created: '2025-06-02T13:00:00Z',
+    sla,
+    whoWasOnCall: 'oncall',
+    firstOnCallActionTime: '2025-06-02T13:30:00Z',
+    timeToFirstOnCallActionMinutes: 30
+  });
+  const kpis = calculateSLAKPIs({
+    metrics: [
+      row('BUG-1', [{ name: 'Time to first response', goalDuration: HOUR }]),
+      row('BUG-2', [{ name: 'Time to resolution', goalDuration: 24 * HOUR }]),
+      row('BUG-3', [{ name: 'Time to first response', goalDuration: null }]),
+      row('BUG-4', null)
+    ]
+  });
+
+  assert.equal(kpis.slaName, 'Time to first response');
+  assert.equal(kpis.overall.totalTickets, 4);
+  assert.equal(kpis.overall.noResponseSla, 2);
+  assert.equal(kpis.overall.metSLA, 1);
+  assert.equal(kpis.overall.complianceRate, '100.0');
+  assert.equal(kpis.onCall.totalTickets, 1);
+});
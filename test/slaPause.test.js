@@ -0,0 +1,79 @@
+/**
+ * SLA clock pauses (src/slaPause.js): pause intervals replayed from the changelog, and the paused
+ * time taken out of the SLA clocks. The fixture roster works Mon-Fri 8 AM - 5 PM New York time;
+ * Monday 2025-06-02 8 AM EDT is 12:00 UTC.
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { loadRoster } from '../src/roster.js';
+import { pinClock } from '../src/clock.js';
+import { buildPauseIntervals, calculatePausedMinutes, calculateSlaBusinessMinutes } from '../src/slaPause.js';
+
+loadRoster(fileURLToPath(new URL('./fixtures/roster.json', import.meta.url)));
+
+const PAUSE_STATUSES = ['waiting for customer', 'pending'];
+
+const transition = (at, from, to) => ({ created: at, items: [{ field: 'status', fromString: from, toString: to }] });
+
+// Created Monday 9 AM; waiting on the customer 10 AM - noon, pending again from 2 PM
+const issue = {
+  fields: { created: '2025-06-02T13:00:00Z', status: { name: 'Pending' } },
+  changelog: {
+    histories: [
+      transition('2025-06-02T18:00:00Z', 'Open', 'Pending'),
+      transition('2025-06-02T14:00:00Z', 'Open', 'Waiting for Customer'),
+      { created: '2025-06-02T15:00:00Z', items: [{ field: 'assignee', fromString: null, toString: 'On Call' }] },
+      transition('2025-06-02T16:00:00Z', 'Waiting for Customer', 'Open')
+    ]
+  }
+};
+
+afterEach(() => pinClock(null));
+
+test('buildPauseIntervals replays status changes in order, leaving the current pause open', () => {
+  assert.deepEqual(buildPauseIntervals(issue, PAUSE_STATUSES), [
+    { start: '2025-06-02T14:00:00Z', end: '2025-06-02T16:00:00Z', status: 'Waiting for Customer' },
+    { start: '2025-06-02T18:00:00Z', end: null, status: 'Pending' }
+  ]);
+});
+
+test('buildPauseIntervals: a ticket created in a pause status is paused from creation', () => {
+  const created = { fields: { created: '2025-06-02T13:00:00Z', status: { name: 'Waiting for Customer' } } };
+  assert.deepEqual(buildPauseIntervals(created, PAUSE_STATUSES), [
+    { start: '2025-06-02T13:00:00Z', end: null, status: 'Waiting for Customer' }
+  ]);
+  const moved = { ...created, changelog: { histories: [transition('2025-06-02T15:00:00Z', 'Pending', 'In Progress')] } };
+  assert.deepEqual(buildPauseIntervals(moved, PAUSE_STATUSES), [
+    { start: '2025-06-02T13:00:00Z', end: '2025-06-02T15:00:00Z', status: 'Pending' }
+  ]);
+});
+
+test('buildPauseIntervals matches status names case-insensitively and is off with no pause statuses', () => {
+  assert.equal(buildPauseIntervals(issue, ['pending']).length, 1);
+  assert.deepEqual(buildPauseIntervals(issue, []), []);
+});
+
+test('calculatePausedMinutes counts wall-clock overlap, open pauses running until now', () => {
+  pinClock('2025-06-02T19:00:00Z');
+  const intervals = buildPauseIntervals(issue, PAUSE_STATUSES);
+  assert.equal(calculatePausedMinutes(intervals, '2025-06-02T13:00:00Z', '2025-06-02T20:00:00Z'), 180);
+  assert.equal(calculatePausedMinutes(intervals, '2025-06-02T15:00:00Z', '2025-06-02T15:30:00Z'), 30);
+  assert.equal(calculatePausedMinutes([], '2025-06-02T13:00:00Z', '2025-06-02T20:00:00Z'), 0);
+});
+
+test('calculateSlaBusinessMinutes takes the paused business minutes out', () => {
+  pinClock('2025-06-02T19:00:00Z');
+  const intervals = buildPauseIntervals(issue, PAUSE_STATUSES);
+  // 9 AM - 4 PM is 420 business minutes; 2 hours waiting on the customer, 1 hour pending until now
+  assert.equal(calculateSlaBusinessMinutes('2025-06-02T13:00:00Z', '2025-06-02T20:00:00Z', null, intervals), 240);
+});
+
+test('calculateSlaBusinessMinutes: a pause overnight only gives back its business minutes', () => {
+  // Paused Monday 4 PM -> Tuesday 10 AM: 18 wall-clock hours, 3 business hours
+  const overnight = [{ start: '2025-06-02T20:00:00Z', end: '2025-06-03T14:00:00Z', status: 'Pending' }];
+  assert.equal(calculatePausedMinutes(overnight, '2025-06-02T12:00:00Z', '2025-06-03T16:00:00Z'), 1080);
+  // Monday 8 AM -> Tuesday noon: 540 + 240 business minutes, less 60 + 120 paused
+  assert.equal(calculateSlaBusinessMinutes('2025-06-02T12:00:00Z', '2025-06-03T16:00:00Z', null, overnight), 600);
+});
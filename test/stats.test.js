@@ -0,0 +1,74 @@
+/**
+ * Distribution statistics (src/stats.js) and summarize() (src/metrics.js): interpolated percentiles,
+ * population standard deviation and duration histograms, where unmeasured (null) values are ignored.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { percentile, median, average, histogram, describeDistribution } from '../src/stats.js';
+import { summarize, DURATION_METRICS } from '../src/metrics.js';
+
+test('percentile interpolates between the nearest ranks', () => {
+  assert.equal(percentile([1, 2, 3, 4], 50), 2.5);
+  assert.equal(percentile([1, 2, 3, 4], 0), 1);
+  assert.equal(percentile([1, 2, 3, 4], 100), 4);
+  assert.equal(percentile([10, 20, 30, 40, 1000], 75), 40);
+  assert.equal(percentile([7], 95), 7);
+  assert.equal(percentile([], 50), null);
+});
+
+test('median sorts its input; average rounds to whole minutes', () => {
+  assert.equal(median([30, 10, 20]), 20);
+  assert.equal(median([]), null);
+  assert.equal(average([1, 2]), 2);
+  assert.equal(average([10, 20, 30, 40, 1000]), 220);
+  assert.equal(average([]), null);
+});
+
+test('histogram buckets by upper bound, the last one open-ended', () => {
+  const buckets = [{ label: '< 1h', max: 60 }, { label: '1-4h', max: 240 }, { label: '4h+', max: null }];
+  assert.deepEqual(histogram([0, 59, 60, 239, 240, 100000], buckets), [
+    { label: '< 1h', min: 0, max: 60, count: 2 },
+    { label: '1-4h', min: 60, max: 240, count: 2 },
+    { label: '4h+', min: 240, max: null, count: 2 }
+  ]);
+});
+
+test('describeDistribution: one outlier moves the mean, not the median', () => {
+  const stats = describeDistribution([40, null, 10, 1000, 30, undefined, 20]);
+  assert.deepEqual({ ...stats, histogram: undefined }, {
+    count: 5,
+    mean: 220,
+    stddev: 390.1,
+    min: 10,
+    p50: 30,
+    p75: 40,
+    p90: 616,
+    p95: 808,
+    max: 1000,
+    histogram: undefined
+  });
+  assert.deepEqual(stats.histogram.filter(b => b.count > 0).map(b => [b.label, b.count]), [['< 1h', 4], ['8h-1d', 1]]);
+});
+
+test('describeDistribution of nothing measured', () => {
+  const stats = describeDistribution([null, NaN]);
+  assert.equal(stats.count, 0);
+  assert.equal(stats.mean, null);
+  assert.equal(stats.p90, null);
+  assert.equal(stats.histogram.reduce((sum, b) => sum + b.count, 0), 0);
+});
+
+test('summarize describes every duration metric', () => {
+  const summary = summarize([
+    { openDurationMinutes: 30, cycleTimeMinutes: 120 },
+    { openDurationMinutes: 90, cycleTimeMinutes: null },
+    { openDurationMinutes: 45.5 }
+  ]);
+  assert.equal(summary.count, 3);
+  assert.equal(summary.avgOpenDurationMinutes, 55.17);
+  assert.deepEqual(Object.keys(summary.distributions), DURATION_METRICS);
+  assert.equal(summary.distributions.openDurationMinutes.p50, 45.5);
+  assert.equal(summary.distributions.cycleTimeMinutes.count, 1);
+  assert.equal(summary.distributions.pausedMinutes.count, 0);
+});
@@ -0,0 +1,96 @@
+/**
+ * Time in status (src/statusTime.js): status intervals replayed from the changelog, wall-clock and
+ * business minutes per open status, and lead and cycle times. The fixture roster works Mon-Fri
+ * 8 AM - 5 PM New York time (EDT in June) with no holidays.
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { loadRoster } from '../src/roster.js';
+import { pinClock } from '../src/clock.js';
+import { buildStatusIntervals, calculateTimeInStatus, calculateFlowTimes, getInProgressStatuses } from '../src/statusTime.js';
+
+loadRoster(fileURLToPath(new URL('./fixtures/roster.json', import.meta.url)));
+
+delete process.env.IN_PROGRESS_STATUSES;
+delete process.env.RESOLVED_STATUSES;
+delete process.env.UNRESOLVED_STATUSES;
+
+afterEach(() => pinClock(null));
+
+// Jira lists the changelog newest first
+const issue = (status, transitions) => ({
+  fields: { created: '2025-06-02T13:00:00.000Z', status: { name: status } },
+  changelog: {
+    histories: transitions.map(([at, from, to]) => ({ created: at, items: [{ field: 'status', fromString: from, toString: to }] })).reverse()
+  }
+});
+
+// Monday 9 AM -> 11 AM Open, in progress overnight, an hour in review Tuesday, done Tuesday noon
+const resolved = issue('Done', [
+  ['2025-06-02T15:00:00.000Z', 'Open', 'In Progress'],
+  ['2025-06-03T13:00:00.000Z', 'In Progress', 'In Review'],
+  ['2025-06-03T14:00:00.000Z', 'In Review', 'In Progress'],
+  ['2025-06-03T16:00:00.000Z', 'In Progress', 'Done']
+]);
+
+test('buildStatusIntervals replays the changelog from creation', () => {
+  assert.deepEqual(buildStatusIntervals(resolved), [
+    { status: 'Open', start: '2025-06-02T13:00:00.000Z', end: '2025-06-02T15:00:00.000Z' },
+    { status: 'In Progress', start: '2025-06-02T15:00:00.000Z', end: '2025-06-03T13:00:00.000Z' },
+    { status: 'In Review', start: '2025-06-03T13:00:00.000Z', end: '2025-06-03T14:00:00.000Z' },
+    { status: 'In Progress', start: '2025-06-03T14:00:00.000Z', end: '2025-06-03T16:00:00.000Z' },
+    { status: 'Done', start: '2025-06-03T16:00:00.000Z', end: null }
+  ]);
+  // A ticket that never moved sits in its current status since creation
+  assert.deepEqual(buildStatusIntervals(issue('Open', [])), [{ status: 'Open', start: '2025-06-02T13:00:00.000Z', end: null }]);
+  assert.deepEqual(buildStatusIntervals({ fields: {} }), []);
+});
+
+test('calculateTimeInStatus adds up visits and leaves out closed statuses', () => {
+  assert.deepEqual(calculateTimeInStatus(buildStatusIntervals(resolved)), {
+    Open: { minutes: 120, businessMinutes: 120, visits: 1 },
+    // 22 hours overnight (11 AM - 5 PM and 8 - 9 AM in business hours) and 2 hours Tuesday morning
+    'In Progress': { minutes: 1440, businessMinutes: 540, visits: 2 },
+    'In Review': { minutes: 60, businessMinutes: 60, visits: 1 }
+  });
+});
+
+test('calculateTimeInStatus measures the current status up to now', () => {
+  pinClock('2025-06-02T17:30:00.000Z');
+  const open = issue('In Progress', [['2025-06-02T15:00:00.000Z', 'Open', 'In Progress']]);
+  assert.deepEqual(calculateTimeInStatus(buildStatusIntervals(open)), {
+    Open: { minutes: 120, businessMinutes: 120, visits: 1 },
+    'In Progress': { minutes: 150, businessMinutes: 150, visits: 1 }
+  });
+});
+
+test('calculateFlowTimes: lead time from creation, cycle time from the first in-progress status', () => {
+  assert.deepEqual(getInProgressStatuses(), ['in progress', 'in review', 'in development']);
+  const intervals = buildStatusIntervals(resolved);
+
+  assert.deepEqual(calculateFlowTimes(resolved, intervals, '2025-06-03T16:00:00.000Z'), {
+    cycleStartTime: '2025-06-02T15:00:00.000Z',
+    leadTimeMinutes: 1620,
+    leadTimeBusinessMinutes: 720,
+    cycleTimeMinutes: 1500,
+    cycleTimeBusinessMinutes: 600
+  });
+  // Work counted from review only
+  assert.equal(calculateFlowTimes(resolved, intervals, '2025-06-03T16:00:00.000Z', ['in review']).cycleTimeMinutes, 180);
+  // Unresolved: no lead or cycle time yet
+  assert.deepEqual(calculateFlowTimes(resolved, intervals, null), {
+    cycleStartTime: '2025-06-02T15:00:00.000Z',
+    leadTimeMinutes: null,
+    leadTimeBusinessMinutes: null,
+    cycleTimeMinutes: null,
+    cycleTimeBusinessMinutes: null
+  });
+  // Never went in progress: lead time only
+  const skipped = issue('Done', [['2025-06-02T15:00:00.000Z', 'Open', 'Done']]);
+  const flow = calculateFlowTimes(skipped, buildStatusIntervals(skipped), '2025-06-02T15:00:00.000Z');
+  assert.equal(flow.leadTimeMinutes, 120);
+  assert.equal(flow.cycleStartTime, null);
+  assert.equal(flow.cycleTimeMinutes, null);
+});
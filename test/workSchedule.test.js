@@ -0,0 +1,76 @@
+/**
+ * Per-person working schedules (src/workSchedule.js): minute-precision hours, split shifts and custom
+ * workdays. The fixture roster defaults to Mon-Fri 8:30 AM - 5:15 PM New York time; Sam works
+ * Sunday-Thursday 09:00-12:30 and 13:15-17:45 UTC.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { loadRoster } from '../src/roster.js';
+import { parseClock, validateWorkSchedule, buildWeeklySchedule } from '../src/workSchedule.js';
+import { calculateBusinessMinutes, getCreatedTimeContext, isOutsideBusinessHours } from '../src/businessHours.js';
+
+loadRoster(fileURLToPath(new URL('./fixtures/roster-schedules.json', import.meta.url)));
+
+test('parseClock reads "HH:MM" and whole hours', () => {
+  assert.equal(parseClock('08:30'), 510);
+  assert.equal(parseClock('24:00'), 1440);
+  assert.equal(parseClock(17), 1020);
+  assert.equal(parseClock('24:30'), null);
+  assert.equal(parseClock('8:30'), null);
+  assert.equal(parseClock(25), null);
+});
+
+test('validateWorkSchedule accepts both forms', () => {
+  assert.deepEqual(validateWorkSchedule({ workingHours: { start: '07:45', end: '16:15', days: ['sun', 'mon'] } }, 'a'), []);
+  assert.deepEqual(validateWorkSchedule({ schedule: { fri: ['06:00-10:00', '10:00-14:30'] } }, 'b'), []);
+});
+
+test('validateWorkSchedule lists every problem', () => {
+  assert.deepEqual(validateWorkSchedule({ workingHours: { start: '17:00', end: '09:00', days: ['monday'] }, schedule: {} }, 'p'), [
+    'p: set either "workingHours" or "schedule", not both',
+    'p: "workingHours" must be { start, end } as "HH:MM" with start < end',
+    'p: "workingHours.days" must be a non-empty list of sun, mon, tue, wed, thu, fri, sat'
+  ]);
+  assert.deepEqual(validateWorkSchedule({ schedule: { funday: [], mon: '09:00-17:00', tue: ['22:00-02:00'], wed: ['09:00-13:00', '12:00-17:00'] } }, 'q'), [
+    'q: unknown schedule day "funday" (expected sun, mon, tue, wed, thu, fri, sat)',
+    'q: schedule.mon must be an array of "HH:MM-HH:MM"',
+    'q: schedule.tue has an invalid interval (expected "HH:MM-HH:MM" with start < end)',
+    'q: schedule.wed has overlapping intervals'
+  ]);
+});
+
+test('buildWeeklySchedule indexes intervals by weekday, sorted', () => {
+  const weekly = buildWeeklySchedule({ schedule: { thu: ['13:15-17:45', '09:00-12:30'] } });
+  assert.equal(weekly.length, 7);
+  assert.deepEqual(weekly[4], [{ start: 540, end: 750 }, { start: 795, end: 1065 }]);
+  assert.deepEqual(weekly[5], []);
+  assert.deepEqual(buildWeeklySchedule({ workingHours: { start: '08:30', end: '17:15' } })[1], [{ start: 510, end: 1035 }]);
+  assert.deepEqual(buildWeeklySchedule({ workingHours: { start: '08:30', end: '17:15' } })[0], []);
+  assert.equal(buildWeeklySchedule({}), null);
+});
+
+test('the default schedule counts to the minute', () => {
+  // Monday 2025-06-02 8:00 AM -> 5:30 PM EDT: 8:30 AM - 5:15 PM
+  assert.equal(calculateBusinessMinutes('2025-06-02T12:00:00Z', '2025-06-02T21:30:00Z'), 525);
+});
+
+test('a split shift leaves the break out', () => {
+  // Sunday 10:00 -> 14:00 UTC: 10:00-12:30 and 13:15-14:00
+  assert.equal(calculateBusinessMinutes('2025-06-01T10:00:00Z', '2025-06-01T14:00:00Z', 'Sam Split'), 195);
+});
+
+test('custom workdays: Friday and Saturday off, Sunday worked', () => {
+  // Thursday 17:00 -> Sunday 09:30 UTC
+  assert.equal(calculateBusinessMinutes('2025-06-05T17:00:00Z', '2025-06-08T09:30:00Z', 'Sam Split'), 75);
+  assert.equal(isOutsideBusinessHours('2025-06-08T10:00:00Z', 'Sam Split'), false);
+  assert.equal(isOutsideBusinessHours('2025-06-08T10:00:00Z'), true);
+});
+
+test('getCreatedTimeContext names breaks and non-working weekdays', () => {
+  assert.equal(getCreatedTimeContext('2025-06-01T12:45:00Z', 'Sam Split'), "During Sam Split's break");
+  assert.equal(getCreatedTimeContext('2025-06-06T10:00:00Z', 'Sam Split'), 'Friday (Non-working day)');
+  assert.equal(getCreatedTimeContext('2025-06-07T10:00:00Z', 'Sam Split'), 'Saturday (Weekend)');
+  assert.equal(getCreatedTimeContext('2025-06-01T17:45:00Z', 'Sam Split'), "After Sam Split's business hours");
+});